@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * CHANGE LOG - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Lets clients ask "what changed since I last synced?" (GET /api/sync,
+ * routes/sync.js) instead of reloading everything, and tells them about
+ * deletions, which a reload can't show.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. observe(storage) wraps the storage (like search.js does), so every
+ *    write to a synced collection (notes, tasks, tags) stamps the record
+ *    with the next change number (changeSeq), whichever route makes it
+ * 2. Removing a record leaves a tombstone { collection, recordId, userId,
+ *    changeSeq, deletedAt } in the tombstones collection
+ * 3. changesSince(userId, seq) returns the records and tombstones with a
+ *    higher changeSeq, plus the change number to continue from
+ *
+ * The counter is shared by all users and restarts from the highest
+ * changeSeq in storage when the server starts. Records saved before the
+ * change log existed count as change 0.
+ *
+ * WRITES IN PROGRESS:
+ * ------------------
+ * Change numbers are handed out before the write is stored, so a slow
+ * write can land after a faster one with a higher number. The number sent
+ * back to clients is therefore the last one below every write still in
+ * progress: a client may get a record twice, but never misses one.
+ *
+ * TOMBSTONES:
+ * ----------
+ * Kept for TOMBSTONE_RETENTION_DAYS (default 90) and then purged hourly,
+ * like the trash. Clients that haven't synced for longer start over (see
+ * routes/sync.js).
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+
+const SYNCED_COLLECTIONS = ['notes', 'tasks', 'tags'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createChangeLogService({ storage, retentionDays = 90 }) {
+  const retentionMs = retentionDays * DAY_MS;
+  const inProgress = new Set();
+  let lastSeq = null;
+  let loading = null;
+
+  // Highest change number in storage, read once
+  function ensureLoaded() {
+    if (lastSeq !== null) {
+      return Promise.resolve();
+    }
+    if (!loading) {
+      loading = (async () => {
+        let highest = 0;
+        for (const collection of [...SYNCED_COLLECTIONS, 'tombstones']) {
+          for (const record of await storage.list(collection)) {
+            highest = Math.max(highest, record.changeSeq || 0);
+          }
+        }
+        lastSeq = highest;
+      })();
+    }
+    return loading;
+  }
+
+  /**
+   * Runs write with the next change number and keeps that number "in
+   * progress" until the write is done.
+   */
+  async function withChange(write) {
+    await ensureLoaded();
+    lastSeq += 1;
+    const seq = lastSeq;
+    inProgress.add(seq);
+    try {
+      return await write(seq);
+    } finally {
+      inProgress.delete(seq);
+    }
+  }
+
+  // Last change number with no write below it still in progress
+  async function settledSeq() {
+    await ensureLoaded();
+    return inProgress.size > 0 ? Math.min(...inProgress) - 1 : lastSeq;
+  }
+
+  async function addTombstones(collection, records, seq) {
+    const deletedAt = new Date().toISOString();
+    for (const record of records) {
+      await storage.insert('tombstones', {
+        id: randomUUID(),
+        collection,
+        recordId: record.id,
+        userId: record.userId,
+        changeSeq: seq,
+        deletedAt,
+      });
+    }
+  }
+
+  return {
+    retentionDays,
+
+    /**
+     * Change number a client that has seen everything so far continues from
+     */
+    currentSeq: settledSeq,
+
+    /**
+     * Records of the user changed after since, by collection, and the IDs
+     * of the ones removed since then. seq is where the next sync continues.
+     */
+    async changesSince(userId, since) {
+      // Taken before reading, so writes finishing meanwhile are sent next time
+      const seq = await settledSeq();
+      const changed = {};
+      const deleted = {};
+
+      for (const collection of SYNCED_COLLECTIONS) {
+        changed[collection] = (await storage.list(collection, { userId }))
+          .filter((record) => (record.changeSeq || 0) > since);
+        deleted[collection] = [];
+      }
+
+      // A record removed and then put back (trash restore) is just changed
+      const present = new Set(SYNCED_COLLECTIONS.flatMap((collection) => changed[collection].map((record) => record.id)));
+      for (const tombstone of await storage.list('tombstones', { userId })) {
+        if (tombstone.changeSeq > since && deleted[tombstone.collection] && !present.has(tombstone.recordId)) {
+          deleted[tombstone.collection].push(tombstone.recordId);
+        }
+      }
+      for (const collection of SYNCED_COLLECTIONS) {
+        deleted[collection] = [...new Set(deleted[collection])];
+      }
+
+      return { changed, deleted, seq };
+    },
+
+    /**
+     * Deletes tombstones past the retention period. Returns the count.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await storage.list('tombstones'))
+        .filter((tombstone) => new Date(tombstone.deletedAt).getTime() + retentionMs <= now);
+      for (const tombstone of expired) {
+        await storage.remove('tombstones', tombstone.id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired tombstones now and then every hour.
+     * The timer is unref'd so it never keeps the process alive.
+     */
+    startAutoPurge({ intervalMs = PURGE_INTERVAL_MS } = {}) {
+      const run = () => {
+        this.purgeExpired()
+          .catch((error) => console.error('Tombstone purge error', error));
+      };
+      run();
+      const timer = setInterval(run, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+
+    /**
+     * Wraps a storage so writes to synced collections are numbered and
+     * removals leave tombstones.
+     */
+    observe(store) {
+      const synced = (collection) => SYNCED_COLLECTIONS.includes(collection);
+
+      return {
+        ...store,
+
+        async insert(collection, record) {
+          if (!synced(collection)) return store.insert(collection, record);
+          return withChange((seq) => store.insert(collection, { ...record, changeSeq: seq }));
+        },
+
+        async update(collection, id, changes) {
+          if (!synced(collection)) return store.update(collection, id, changes);
+          return withChange((seq) => store.update(collection, id, { ...changes, changeSeq: seq }));
+        },
+
+        async remove(collection, id) {
+          if (!synced(collection)) return store.remove(collection, id);
+          return withChange(async (seq) => {
+            const record = await store.findOne(collection, { id });
+            const removed = await store.remove(collection, id);
+            if (removed && record) {
+              await addTombstones(collection, [record], seq);
+            }
+            return removed;
+          });
+        },
+
+        async removeWhere(collection, filter) {
+          if (!synced(collection)) return store.removeWhere(collection, filter);
+          return withChange(async (seq) => {
+            const doomed = await store.list(collection, filter);
+            const count = await store.removeWhere(collection, filter);
+            await addTombstones(collection, doomed, seq);
+            return count;
+          });
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createChangeLogService, SYNCED_COLLECTIONS };
@@ -0,0 +1,87 @@
+/**
+ * ============================================================================
+ * LOCKOUT CHECK - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS SCRIPT DO?
+ * -------------------------
+ * Checks the failed login lockout (rateLimiter.js) the way POST /login
+ * uses it: every attempt is counted as failed before the password check,
+ * and a correct password withdraws it again. Fails if a withdrawn attempt
+ * leaves a lock behind or parallel attempts get past the limit.
+ *
+ * USAGE:
+ * -----
+ * npm test   (from backend/)
+ *
+ * ============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const { createLockout } = require('./rateLimiter');
+
+const MINUTE_MS = 60 * 1000;
+
+function newLockout() {
+  return createLockout({ maxFailures: 3, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS });
+}
+
+function main() {
+  let checked = 0;
+  const expect = (actual, expected, message) => {
+    assert.equal(actual, expected, message);
+    checked += 1;
+  };
+
+  // Wrong passwords lock on the third
+  let lockout = newLockout();
+  expect(lockout.recordFailure('ip').retryAfter, 0, 'first failure does not lock');
+  expect(lockout.recordFailure('ip').retryAfter, 0, 'second failure does not lock');
+  expect(lockout.recordFailure('ip').retryAfter > 0, true, 'third failure locks');
+  expect(lockout.check('ip') > 0, true, 'locked after three failures');
+
+  // A correct password as the attempt that reaches the limit lifts its lock
+  lockout = newLockout();
+  lockout.recordFailure('ip');
+  lockout.recordFailure('ip');
+  const correct = lockout.recordFailure('ip');
+  expect(correct.retryAfter > 0, true, 'reaching the limit locks while the password is checked');
+  correct.withdraw();
+  expect(lockout.check('ip'), 0, 'withdrawing the attempt that locked lifts the lock');
+  expect(lockout.recordFailure('ip').retryAfter > 0, true, 'earlier failures still count after the withdrawal');
+
+  // Withdrawing below the limit gives the attempt back
+  lockout = newLockout();
+  lockout.recordFailure('ip');
+  lockout.recordFailure('ip').withdraw();
+  expect(lockout.recordFailure('ip').retryAfter, 0, 'withdrawn failure is not counted');
+
+  // Parallel attempts: only the first three pass check() before any finishes
+  lockout = newLockout();
+  let started = 0;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    if (lockout.check('ip') === 0) {
+      lockout.recordFailure('ip');
+      started += 1;
+    }
+  }
+  expect(started, 3, 'parallel attempts stop at the limit');
+
+  // A withdrawal after recordSuccess forgot everything changes nothing
+  lockout = newLockout();
+  const forgotten = lockout.recordFailure('user');
+  lockout.recordSuccess('user');
+  forgotten.withdraw();
+  lockout.recordFailure('user');
+  lockout.recordFailure('user');
+  expect(lockout.recordFailure('user').retryAfter > 0, true, 'withdrawal after a success does not hide new failures');
+
+  console.log(`Lockout check passed: ${checked} checks`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,87 @@
+/**
+ * ============================================================================
+ * RECURRENCE CHECK - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS SCRIPT DO?
+ * -------------------------
+ * recurrence.js has a copy in the frontend (frontend/src/recurrence.js) so
+ * occurrences also show offline. This script expands a set of rules with
+ * both copies and fails if they disagree, or if known cases (series that
+ * started years before the range, leap days...) come out wrong.
+ *
+ * USAGE:
+ * -----
+ * npm test   (from backend/)
+ *
+ * ============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const backend = require('./recurrence');
+
+const RULES = [
+  'FREQ=DAILY',
+  'FREQ=DAILY;INTERVAL=3',
+  'FREQ=WEEKLY',
+  'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR',
+  'FREQ=MONTHLY',
+  'FREQ=MONTHLY;INTERVAL=5',
+  'FREQ=MONTHLY;BYMONTHDAY=-1',
+  'FREQ=MONTHLY;BYDAY=-1FR',
+  'FREQ=MONTHLY;BYDAY=2TU',
+  'FREQ=YEARLY',
+  'FREQ=YEARLY;INTERVAL=4',
+  'FREQ=WEEKLY;COUNT=10',
+  'FREQ=MONTHLY;UNTIL=20270101',
+];
+const STARTS = ['2000-02-29', '2019-01-31', '2024-01-15', '2026-10-10'];
+const RANGES = [
+  ['2026-10-01', '2026-10-31'],
+  ['2028-02-01', '2028-03-31'],
+  ['2019-01-01', '2019-12-31'],
+];
+
+// Known answers, the same for both copies
+const EXPECTED = [
+  // Series started years before the range
+  [['2024-01-15', 'FREQ=MONTHLY', '2026-10-01', '2026-10-31'], ['2026-10-15']],
+  [['2019-01-31', 'FREQ=MONTHLY;BYMONTHDAY=-1', '2026-02-01', '2026-03-31'], ['2026-02-28', '2026-03-31']],
+  [['2000-02-29', 'FREQ=YEARLY', '2024-01-01', '2028-12-31'], ['2024-02-29', '2028-02-29']],
+  [['2001-01-01', 'FREQ=YEARLY', '2026-01-01', '2026-01-01'], ['2026-01-01']],
+  [['2010-03-01', 'FREQ=WEEKLY;BYDAY=MO', '2026-10-19', '2026-10-25'], ['2026-10-19']],
+];
+
+async function main() {
+  const frontend = await import(pathToFileURL(path.join(__dirname, '../frontend/src/recurrence.js')).href);
+
+  for (const [[start, text, from, to], dates] of EXPECTED) {
+    for (const [name, copy] of [['backend', backend], ['frontend', frontend]]) {
+      assert.deepEqual(copy.occurrenceDates(start, copy.parseRule(text).rule, from, to), dates, `${name}: ${text} from ${start}, ${from}..${to}`);
+      assert.equal(copy.overlapsRange({ date: start, recurrence: text }, 'date', from, to), true, `${name}: overlapsRange ${text} from ${start}`);
+    }
+  }
+
+  let compared = 0;
+  for (const text of RULES) {
+    assert.deepEqual(frontend.parseRule(text), backend.parseRule(text), `parseRule ${text}`);
+    const record = { id: 'x', date: null, recurrence: text, overrides: {} };
+    for (const start of STARTS) {
+      for (const [from, to] of RANGES) {
+        const dated = { ...record, date: start, overrides: { [start]: { cancelled: true } } };
+        assert.deepEqual(frontend.expandRecord(dated, 'date', from, to), backend.expandRecord(dated, 'date', from, to), `expandRecord ${text} from ${start}, ${from}..${to}`);
+        assert.equal(frontend.overlapsRange(dated, 'date', from, to), backend.overlapsRange(dated, 'date', from, to), `overlapsRange ${text} from ${start}, ${from}..${to}`);
+        compared += 1;
+      }
+    }
+  }
+
+  console.log(`Recurrence check passed: ${EXPECTED.length} known cases, ${compared} comparisons`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,598 @@
+/**
+ * ============================================================================
+ * ICALENDAR (.ics) - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Reads and writes iCalendar files (RFC 5545), so meetings kept in other
+ * calendar apps can sit next to WellWork notes and WellWork data can be
+ * opened elsewhere. It only converts; routes/ical.js does the storing.
+ *
+ * MAPPING:
+ * -------
+ * VEVENT <-> note
+ * - DTSTART's date is the note's date. A timed event's content starts with
+ *   its time ('09:00-10:00 Standup'); its LOCATION becomes a last line
+ * - SUMMARY is the first line of the content, DESCRIPTION the rest
+ * VTODO <-> task
+ * - DUE (or DTSTART without a DUE) gives dueDate and dueTime
+ * - SUMMARY -> title; PRIORITY 1-4 high, 5 or none medium, 6-9 low
+ * - STATUS COMPLETED -> done, IN-PROCESS -> in-progress, anything else todo
+ * Both
+ * - CATEGORIES <-> tag names; only tags the user already has are applied
+ * - RRULE <-> recurrence when recurrence.js supports the rule; otherwise
+ *   only the first date is imported, with a warning
+ * - EXDATE and cancelled instances -> cancelled days
+ * - Instances with a RECURRENCE-ID -> per-day overrides. An instance moved
+ *   to another day cancels its own day and is imported as a separate entry
+ * - Texts longer than a note / task allows are cut off
+ *
+ * TIME ZONES:
+ * ----------
+ * UTC times (...Z) and times with a TZID are converted to the importing
+ * user's time zone; floating times are taken as they are. A TZID that Intl
+ * doesn't know (e.g. Windows names from Outlook) is read as floating.
+ * Exported times are floating, so they show the same in any calendar.
+ *
+ * ROUND TRIPS:
+ * -----------
+ * Every entry read from a file carries its uid. Exports use the uid a
+ * record was imported with, or <id>@wellwork, so importing an export again
+ * finds the same records (see routes/ical.js).
+ *
+ * ============================================================================
+ */
+
+const { parseRule, formatRule, occurrenceOf, differingFields, withOverride, pruneOverrides } = require('./recurrence');
+
+const NOTE_MAX_LENGTH = 10000;
+const TITLE_MAX_LENGTH = 200;
+const OWN_UID_SUFFIX = '@wellwork';
+const PRODID = '-//WellWork//WellWork Calendar//EN';
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_VALUE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+
+class IcalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IcalError';
+  }
+}
+
+/**
+ * TIME ZONES
+ * ----------
+ * Intl is the only time zone database at hand: wallClock() reads the
+ * local date and time of an instant in a zone, instantOf() goes back.
+ */
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isKnownTimeZone(timeZone) {
+  try {
+    zoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Local time in timeZone as if it were UTC, in ms
+function zonedMs(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+function instantOf(wallMs, timeZone) {
+  const guess = wallMs - (zonedMs(wallMs, timeZone) - wallMs);
+  return wallMs - (zonedMs(guess, timeZone) - guess);
+}
+
+function wallClock(wallMs) {
+  const iso = new Date(wallMs).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+// A TZID as Intl knows it: as is, or the Region/City at its end
+function knownZone(tzid) {
+  if (!tzid) return null;
+  const candidates = [tzid, tzid.split('/').slice(-2).join('/')];
+  return candidates.find(isKnownTimeZone) || null;
+}
+
+/**
+ * READING
+ * -------
+ */
+
+// Undoes line folding (a line break followed by a space or tab)
+function unfold(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// Splits at separator outside of double quotes
+function splitOutsideQuotes(text, separator, limit = Infinity) {
+  const pieces = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted && pieces.length < limit - 1) {
+      pieces.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  pieces.push(current);
+  return pieces;
+}
+
+/**
+ * 'DTSTART;TZID=Europe/Berlin:20250301T090000' ->
+ * { name: 'DTSTART', params: { TZID: 'Europe/Berlin' }, value: '20250301T090000' }
+ */
+function parseContentLine(line) {
+  const [head, value] = splitOutsideQuotes(line, ':', 2);
+  if (value === undefined) return null;
+  const [name, ...rawParams] = splitOutsideQuotes(head, ';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, paramValue = ''] = param.split('=');
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// A comma-separated list of texts (CATEGORIES), escaped commas kept
+function splitTextList(value) {
+  return value.split(/(?<!\\),/).map(unescapeText).map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * The VEVENT and VTODO components of a calendar:
+ * [{ type, props: { NAME: [{ params, value }] } }]
+ * Nested components (VALARM...) and VTIMEZONE are left out.
+ */
+function readComponents(text) {
+  const lines = unfold(text);
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new IcalError('This is not an iCalendar (.ics) file.');
+  }
+
+  const components = [];
+  const stack = [];
+  for (const line of lines) {
+    const property = line.trim() && parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.trim().toUpperCase(), props: {} };
+      if (stack.length === 1 && (component.type === 'VEVENT' || component.type === 'VTODO')) {
+        components.push(component);
+      }
+      stack.push(component);
+    } else if (property.name === 'END') {
+      stack.pop();
+    } else if (stack.length === 2) {
+      const props = stack[1].props;
+      (props[property.name] = props[property.name] || []).push(property);
+    }
+  }
+  return components;
+}
+
+const firstProp = (component, name) => (component.props[name] || [])[0] || null;
+const textProp = (component, name) => {
+  const prop = firstProp(component, name);
+  return prop ? unescapeText(prop.value).trim() : '';
+};
+
+/**
+ * { date, time } of a DATE / DATE-TIME value in timeZone (time null for
+ * dates), or null if it isn't one.
+ */
+function readDateValue(value, params, timeZone) {
+  const dateMatch = DATE_VALUE.exec(value.trim());
+  if (dateMatch) {
+    return { date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`, time: null };
+  }
+  const match = DATE_TIME_VALUE.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const wallMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const sourceZone = utc ? 'UTC' : knownZone(params.TZID);
+  if (!sourceZone) {
+    return wallClock(wallMs);
+  }
+  const instant = sourceZone === 'UTC' ? wallMs : instantOf(wallMs, sourceZone);
+  return wallClock(zonedMs(instant, timeZone));
+}
+
+function readDateProp(component, name, timeZone) {
+  const prop = firstProp(component, name);
+  return prop ? readDateValue(prop.value, prop.params, timeZone) : null;
+}
+
+// ISO string of a UTC DATE-TIME property (COMPLETED, DTSTAMP...), or null
+function readTimestamp(component, name) {
+  const prop = firstProp(component, name);
+  const match = prop && DATE_TIME_VALUE.exec(prop.value.trim());
+  if (!match || !match[7]) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}.000Z`;
+}
+
+// Every date of every EXDATE
+function readExceptionDates(component, timeZone) {
+  return (component.props.EXDATE || []).flatMap((prop) =>
+    prop.value.split(',').map((value) => readDateValue(value, prop.params, timeZone)).filter(Boolean).map(({ date }) => date)
+  );
+}
+
+/**
+ * RRULE as a recurrence.js rule: { recurrence } or { error }.
+ * A date-time UNTIL becomes the last date with an occurrence before it
+ * (startTime being the series' time of day in timeZone).
+ */
+function readRule(component, timeZone, startTime) {
+  const prop = firstProp(component, 'RRULE');
+  if (!prop) return { recurrence: null };
+
+  const parts = prop.value.split(';').map((part) => {
+    const [key, value = ''] = part.split('=');
+    const until = key.toUpperCase() === 'UNTIL' && readDateValue(value, {}, timeZone);
+    if (!until) return part;
+    const lastDay = until.time && startTime && until.time < startTime
+      ? new Date(Date.parse(until.date) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+      : until.date;
+    return `UNTIL=${lastDay.replace(/-/g, '')}`;
+  });
+  const { rule, error } = parseRule(parts.join(';'));
+  return error ? { error } : { recurrence: formatRule(rule) };
+}
+
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+const STATUSES = { todo: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', done: 'COMPLETED' };
+
+function readPriority(component) {
+  const value = Number(textProp(component, 'PRIORITY'));
+  if (value >= 1 && value <= 4) return 'high';
+  if (value >= 6 && value <= 9) return 'low';
+  return 'medium';
+}
+
+function readStatus(component) {
+  const status = textProp(component, 'STATUS').toUpperCase();
+  if (status === 'COMPLETED') return 'done';
+  if (status === 'IN-PROCESS') return 'in-progress';
+  return 'todo';
+}
+
+function readTagIds(component, tagIdsByName) {
+  const names = (component.props.CATEGORIES || []).flatMap((prop) => splitTextList(prop.value));
+  const ids = names.map((name) => tagIdsByName.get(name.toLowerCase())).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * The note a VEVENT stands for (without rule and overrides), or null
+ * when it has no start date or no text.
+ */
+function readNote(component, { timeZone, tagIdsByName }) {
+  const start = readDateProp(component, 'DTSTART', timeZone);
+  if (!start) return null;
+
+  const summary = textProp(component, 'SUMMARY');
+  const description = firstProp(component, 'DESCRIPTION') ? unescapeText(firstProp(component, 'DESCRIPTION').value) : '';
+  let firstLine = summary;
+  if (start.time) {
+    const end = readDateProp(component, 'DTEND', timeZone);
+    const range = end && end.time && end.date === start.date ? `${start.time}-${end.time}` : start.time;
+    firstLine = `${range} ${summary}`.trim();
+  }
+  const lines = [firstLine, description].filter(Boolean);
+  const location = textProp(component, 'LOCATION');
+  if (location) lines.push(`Location: ${location}`);
+  const content = lines.join('\n').slice(0, NOTE_MAX_LENGTH).trim();
+  if (!content) return null;
+
+  return { date: start.date, content, tagIds: readTagIds(component, tagIdsByName) };
+}
+
+/**
+ * The task a VTODO stands for (without rule and overrides), or null
+ * when it has no date or no title.
+ */
+function readTask(component, { timeZone }) {
+  const due = readDateProp(component, 'DUE', timeZone) || readDateProp(component, 'DTSTART', timeZone);
+  const title = textProp(component, 'SUMMARY').replace(/\s+/g, ' ').slice(0, TITLE_MAX_LENGTH).trim();
+  if (!due || !title) return null;
+
+  const status = readStatus(component);
+  return {
+    dueDate: due.date,
+    dueTime: due.time,
+    title,
+    priority: readPriority(component),
+    status,
+    // Without COMPLETED, the last change is the best guess (and the same on every import)
+    completedAt: status === 'done'
+      ? readTimestamp(component, 'COMPLETED') || readTimestamp(component, 'LAST-MODIFIED') || readTimestamp(component, 'DTSTAMP')
+      : null,
+  };
+}
+
+const KINDS = {
+  VEVENT: { kind: 'note', dateField: 'date', read: readNote, label: 'event' },
+  VTODO: { kind: 'task', dateField: 'dueDate', read: readTask, label: 'to-do' },
+};
+
+// Fields of a read record that an override may change (all but the date)
+function overrideValues(record, dateField) {
+  const values = { ...record };
+  delete values[dateField];
+  return values;
+}
+
+/**
+ * Reads a calendar. Returns { entries, skipped, warnings }:
+ * - entries: [{ kind: 'note' | 'task', uid, fields }], fields being the
+ *   record's fields (recurrence and overrides included)
+ * - skipped / warnings: [{ uid, summary, message }]
+ * Throws an IcalError if text is not a calendar.
+ *
+ * options: { timeZone: IANA zone of the user, tagIdsByName: Map of
+ * lower-case tag name -> tag ID }
+ */
+function readCalendar(text, { timeZone = 'UTC', tagIdsByName = new Map() } = {}) {
+  const options = { timeZone, tagIdsByName };
+  const entries = [];
+  const skipped = [];
+  const warnings = [];
+  const byUid = new Map();
+
+  const notice = (component, message) => ({
+    uid: textProp(component, 'UID') || null,
+    summary: textProp(component, 'SUMMARY'),
+    message,
+  });
+  const skip = (component, message) => skipped.push(notice(component, message));
+
+  for (const component of readComponents(text)) {
+    const uid = textProp(component, 'UID');
+    if (!uid) {
+      skip(component, `The ${KINDS[component.type].label} has no UID.`);
+      continue;
+    }
+    const key = `${component.type}:${uid}`;
+    if (!byUid.has(key)) {
+      byUid.set(key, { ...KINDS[component.type], uid, series: null, instances: [] });
+    }
+    const group = byUid.get(key);
+    if (firstProp(component, 'RECURRENCE-ID')) {
+      group.instances.push(component);
+    } else {
+      group.series = component;
+    }
+  }
+
+  for (const { kind, dateField, read, label, uid, series, instances } of byUid.values()) {
+    if (series && textProp(series, 'STATUS').toUpperCase() === 'CANCELLED') {
+      skip(series, `The ${label} is cancelled.`);
+      continue;
+    }
+
+    let record = null;
+    if (series) {
+      const fields = read(series, options);
+      if (!fields) {
+        skip(series, `The ${label} has no date or no text.`);
+        continue;
+      }
+      const start = readDateProp(series, kind === 'task' && firstProp(series, 'DUE') ? 'DUE' : 'DTSTART', timeZone);
+      const rule = readRule(series, timeZone, start && start.time);
+      if (rule.error) {
+        warnings.push(notice(series, `Repeat rule not supported (${rule.error}) - only the first date was imported.`));
+      }
+      record = { ...fields, recurrence: rule.recurrence || null, overrides: {} };
+      if (record.recurrence) {
+        for (const date of readExceptionDates(series, timeZone)) {
+          record.overrides = withOverride(record.overrides, date, { cancelled: true });
+        }
+      }
+      entries.push({ kind, uid, fields: record });
+    }
+
+    for (const instance of instances) {
+      const recurrenceId = readDateProp(instance, 'RECURRENCE-ID', timeZone);
+      const occurrence = record && record.recurrence && recurrenceId && occurrenceOf(record, dateField, recurrenceId.date);
+      const cancelled = textProp(instance, 'STATUS').toUpperCase() === 'CANCELLED';
+      const fields = cancelled ? null : read(instance, options);
+
+      if (occurrence && (cancelled || !fields || fields[dateField] !== recurrenceId.date)) {
+        record.overrides = withOverride(record.overrides, recurrenceId.date, { cancelled: true });
+      } else if (occurrence) {
+        const override = differingFields(overrideValues(occurrenceOf({ ...record, overrides: {} }, dateField, recurrenceId.date), dateField),
+          overrideValues(fields, dateField));
+        record.overrides = withOverride(record.overrides, recurrenceId.date, override);
+        continue;
+      }
+
+      // Moved to another day, or a single instance of a series we don't have
+      if (fields) {
+        const instanceUid = `${uid};RECURRENCE-ID=${recurrenceId ? recurrenceId.date : instances.indexOf(instance)}`;
+        entries.push({ kind, uid: instanceUid, fields: { ...fields, recurrence: null, overrides: {} } });
+      } else if (!cancelled) {
+        skip(instance, `The ${label} has no date or no text.`);
+      }
+    }
+
+    if (record) {
+      record.overrides = pruneOverrides(record, dateField);
+    }
+  }
+
+  return { entries, skipped, warnings };
+}
+
+/**
+ * WRITING
+ * -------
+ */
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds a line into chunks of at most 75 bytes (continuations start with a space)
+function fold(line) {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const compactDate = (date) => date.replace(/-/g, '');
+const utcStamp = (iso) => new Date(iso || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// ';VALUE=DATE:20250301' or ':20250301T090000' (floating)
+function dateValue(date, time = null) {
+  return time ? `:${compactDate(date)}T${time.replace(':', '')}00` : `;VALUE=DATE:${compactDate(date)}`;
+}
+
+const uidOf = (record) => record.icalUid || `${record.id}${OWN_UID_SUFFIX}`;
+
+function stampLines(record) {
+  return [
+    `UID:${escapeText(uidOf(record))}`,
+    `DTSTAMP:${utcStamp(record.updatedAt)}`,
+    ...(record.createdAt ? [`CREATED:${utcStamp(record.createdAt)}`] : []),
+    ...(record.updatedAt ? [`LAST-MODIFIED:${utcStamp(record.updatedAt)}`] : []),
+  ];
+}
+
+function ruleLines(record, dateField, time = null) {
+  if (!record.recurrence) return [];
+  const cancelled = Object.keys(record.overrides || {})
+    .filter((date) => record.overrides[date].cancelled)
+    .sort();
+  return [
+    `RRULE:${record.recurrence}`,
+    ...(cancelled.length > 0
+      ? [`EXDATE${time ? '' : ';VALUE=DATE'}:${cancelled.map((date) => compactDate(date) + (time ? `T${time.replace(':', '')}00` : '')).join(',')}`]
+      : []),
+  ];
+}
+
+// Days with an override other than a cancellation, each written as an instance
+function changedDays(record) {
+  return Object.keys(record.overrides || {})
+    .filter((date) => !record.overrides[date].cancelled)
+    .sort();
+}
+
+function noteLines(note, tagsById, recurrenceId = null) {
+  const [summary, ...rest] = note.content.split('\n');
+  const tagNames = (note.tagIds || []).map((id) => tagsById.get(id)).filter(Boolean).map((tag) => escapeText(tag.name));
+  return [
+    'BEGIN:VEVENT',
+    ...stampLines(note),
+    ...(recurrenceId ? [`RECURRENCE-ID${dateValue(recurrenceId)}`] : []),
+    `DTSTART${dateValue(note.date)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(rest.length > 0 ? [`DESCRIPTION:${escapeText(rest.join('\n'))}`] : []),
+    ...(tagNames.length > 0 ? [`CATEGORIES:${tagNames.join(',')}`] : []),
+    ...(recurrenceId ? [] : ruleLines(note, 'date')),
+    'END:VEVENT',
+  ];
+}
+
+function taskLines(task, recurrenceId = null, seriesTime = null) {
+  const due = dateValue(task.dueDate, task.dueTime);
+  return [
+    'BEGIN:VTODO',
+    ...stampLines(task),
+    ...(recurrenceId ? [`RECURRENCE-ID${dateValue(recurrenceId, seriesTime)}`] : []),
+    // A repeating to-do needs a DTSTART for its RRULE
+    ...(task.recurrence || recurrenceId ? [`DTSTART${due}`] : []),
+    `DUE${due}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `PRIORITY:${PRIORITIES[task.priority] || PRIORITIES.medium}`,
+    `STATUS:${STATUSES[task.status] || STATUSES.todo}`,
+    ...(task.status === 'done' && task.completedAt ? [`COMPLETED:${utcStamp(task.completedAt)}`] : []),
+    ...(recurrenceId ? [] : ruleLines(task, 'dueDate', task.dueTime)),
+    'END:VTODO',
+  ];
+}
+
+/**
+ * A calendar of notes (VEVENT) and tasks (VTODO), as text with CRLF line
+ * ends. tags: the user's tags, for CATEGORIES. refreshMinutes: how often
+ * subscribed calendar apps should fetch it again (subscription feeds).
+ */
+function writeCalendar({ notes = [], tasks = [], tags = [], name = 'WellWork', refreshMinutes = null }) {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(refreshMinutes ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`] : []),
+  ];
+
+  for (const note of notes) {
+    lines.push(...noteLines(note, tagsById));
+    for (const date of changedDays(note)) {
+      lines.push(...noteLines({ ...occurrenceOf(note, 'date', date), icalUid: uidOf(note) }, tagsById, date));
+    }
+  }
+  for (const task of tasks) {
+    lines.push(...taskLines(task));
+    for (const date of changedDays(task)) {
+      lines.push(...taskLines({ ...occurrenceOf(task, 'dueDate', date), icalUid: uidOf(task) }, date, task.dueTime));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { readCalendar, writeCalendar, isKnownTimeZone, IcalError, OWN_UID_SUFFIX };
@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * IDEMPOTENT WRITES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Makes it safe to send the same write twice. Clients replaying their
+ * offline queue can't tell whether a request whose answer got lost was
+ * applied; sending it again must not add a second note.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. The client gives each write an ID of its own, sent as the
+ *    Idempotency-Key header (any POST / PUT / DELETE under /api/)
+ * 2. The first time a key is seen, the request runs as usual; if it
+ *    succeeds (2xx), its answer is stored with the key, per user
+ * 3. The same key again gets the stored answer, with
+ *    Idempotent-Replayed: true, and nothing is written
+ * - A key reused for a different request (method or URL) is a 422
+ * - Failed requests are not stored, so they can be sent again
+ * - Nothing is stored once the user is gone (DELETE /api/me), so no
+ *   operation outlives its account
+ * - Requests with the same key run one after another (withLock), so two
+ *   copies sent at once can't both be applied
+ *
+ * STORAGE:
+ * -------
+ * operations: { id, userId, key, method, url, status, body, location,
+ *               etag, createdAt }
+ * Kept for OPERATION_RETENTION_DAYS (default 30) and then purged hourly,
+ * like the trash.
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const WRITE_METHODS = new Set(['POST', 'PUT', 'DELETE']);
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,200}$/;
+
+function createIdempotencyService({ storage, withLock, retentionDays = 30 }) {
+  const retentionMs = retentionDays * DAY_MS;
+
+  function replay(res, operation) {
+    if (operation.location) res.location(operation.location);
+    if (operation.etag) res.set('ETag', operation.etag);
+    res.set('Idempotent-Replayed', 'true');
+    res.status(operation.status).json(operation.body);
+  }
+
+  /**
+   * Runs the request, storing a successful answer under key before it is
+   * sent. Resolves once the answer is out.
+   */
+  function runAndRecord(req, res, next, key) {
+    return new Promise((resolve) => {
+      res.on('finish', resolve);
+      res.on('close', resolve);
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return json(body);
+        }
+        storage.findOne('users', { id: req.user.sub })
+          .then((user) => user && storage.insert('operations', {
+            id: randomUUID(),
+            userId: req.user.sub,
+            key,
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            body: body === undefined ? null : body,
+            location: res.get('Location') || null,
+            etag: res.get('ETag') || null,
+            createdAt: new Date().toISOString(),
+          }))
+          .catch((error) => console.error('Operation record error', error))
+          .finally(() => json(body));
+        return res;
+      };
+
+      next();
+    });
+  }
+
+  return {
+    retentionDays,
+
+    /**
+     * Express middleware for the whole app. Requests carrying an
+     * Idempotency-Key are authenticated here (authenticateToken), since
+     * keys belong to a user; all others pass straight through.
+     */
+    middleware(authenticateToken) {
+      return (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined || !WRITE_METHODS.has(req.method) || !req.path.startsWith('/api/')) {
+          return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+          const message = 'Idempotency-Key must be 1-200 letters, digits, dashes or underscores.';
+          return res.status(400).json({ message, errors: [{ field: 'headers.idempotency-key', message }] });
+        }
+
+        authenticateToken(req, res, () => {
+          withLock(`operation:${req.user.sub}:${key}`, async () => {
+            const done = await storage.findOne('operations', { userId: req.user.sub, key });
+            if (!done) {
+              return runAndRecord(req, res, next, key);
+            }
+            if (done.method !== req.method || done.url !== req.originalUrl) {
+              return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request.' });
+            }
+            replay(res, done);
+          }).catch(next);
+        });
+      };
+    },
+
+    /**
+     * Deletes operation records past the retention period. Returns the count.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await storage.list('operations'))
+        .filter((operation) => new Date(operation.createdAt).getTime() + retentionMs <= now);
+      for (const operation of expired) {
+        await storage.remove('operations', operation.id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired operation records now and then every hour.
+     * The timer is unref'd so it never keeps the process alive.
+     */
+    startAutoPurge({ intervalMs = PURGE_INTERVAL_MS } = {}) {
+      const run = () => {
+        this.purgeExpired()
+          .catch((error) => console.error('Operation purge error', error));
+      };
+      run();
+      const timer = setInterval(run, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { createIdempotencyService };
@@ -0,0 +1,98 @@
+/**
+ * ============================================================================
+ * MAILER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Sends e-mail (password reset links) through a pluggable transport.
+ *
+ * TRANSPORT INTERFACE:
+ * -------------------
+ * Any object with:
+ *   async send({ from, to, subject, text }) -> { id }
+ *
+ * BUILT-IN TRANSPORTS (MAIL_TRANSPORT):
+ * ------------------------------------
+ * - outbox (default): writes each message as a .eml file to MAIL_OUTBOX_DIR
+ *   (default: backend/outbox). No SMTP server needed - open the file to
+ *   read the message.
+ * - console: prints messages to the server log
+ *
+ * COMMON QUESTIONS:
+ * ----------------
+ * Q: How do I send real e-mail?
+ * A: Pass your own transport (e.g. wrapping nodemailer's SMTP transport)
+ *    to createMailer({ transport })
+ *
+ * ============================================================================
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { randomUUID } = require('crypto');
+
+function formatMessage({ id, from, to, subject, text }) {
+  return [
+    `Message-ID: <${id}@workwell.local>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+}
+
+function createOutboxTransport({ dir }) {
+  return {
+    async send(message) {
+      const id = randomUUID();
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`;
+      await fs.writeFile(path.join(dir, fileName), formatMessage({ id, ...message }), 'utf-8');
+      return { id };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      const id = randomUUID();
+      console.log(`--- mail ${id} ---\n${formatMessage({ id, ...message })}\n--- end mail ---`);
+      return { id };
+    },
+  };
+}
+
+function createTransport(name, { outboxDir }) {
+  switch (name) {
+    case 'outbox':
+      return createOutboxTransport({ dir: outboxDir });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use "outbox" or "console".`);
+  }
+}
+
+function createMailer({
+  transport = process.env.MAIL_TRANSPORT || 'outbox',
+  outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox'),
+  from = process.env.MAIL_FROM || 'WellWork <no-reply@workwell.local>',
+} = {}) {
+  const activeTransport = typeof transport === 'string'
+    ? createTransport(transport, { outboxDir })
+    : transport;
+
+  return {
+    send({ to, subject, text }) {
+      return activeTransport.send({ from, to, subject, text });
+    },
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * NOTE HISTORY - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Keeps every version of every note, so an accidental overwrite can be
+ * undone from the history drawer in the frontend.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. Each write to a note (create, edit, restore) also stores a revision
+ *    with the new content, the time, and the session + device that wrote it
+ * 2. Notes written before history existed get a "baseline" revision of their
+ *    current content the first time they change, so nothing is lost
+ * 3. listRevisions(noteId) returns newest first; the first entry is the
+ *    note's current content
+ *
+ * STORAGE:
+ * -------
+ * noteRevisions: { id, noteId, userId, content, createdAt, sessionId, userAgent }
+ * sessionId / userAgent are null for baseline revisions (author unknown).
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+
+const USER_AGENT_MAX_LENGTH = 300;
+
+/**
+ * Who made a change, taken from an authenticated request
+ */
+function authorFromRequest(req) {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    sessionId: req.user.sid || null,
+    userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+  };
+}
+
+function createNoteHistoryService({ storage }) {
+  return {
+    /**
+     * Stores note.content as the newest revision of the note.
+     */
+    async recordRevision(note, { sessionId = null, userAgent = null } = {}) {
+      return storage.insert('noteRevisions', {
+        id: randomUUID(),
+        noteId: note.id,
+        userId: note.userId,
+        content: note.content,
+        createdAt: note.updatedAt || new Date().toISOString(),
+        sessionId,
+        userAgent,
+      });
+    },
+
+    /**
+     * Call before changing a note: if it has no revisions yet (it predates
+     * history), its current content is saved first.
+     */
+    async ensureBaseline(note) {
+      const existing = await storage.findOne('noteRevisions', { noteId: note.id });
+      if (!existing) {
+        await this.recordRevision(note);
+      }
+    },
+
+    async listRevisions(noteId) {
+      // Both drivers list in insertion order, which is write order here
+      // (timestamps can tie within a millisecond)
+      const revisions = await storage.list('noteRevisions', { noteId });
+      return revisions.reverse();
+    },
+
+    findRevision(noteId, revisionId) {
+      return storage.findOne('noteRevisions', { id: revisionId, noteId });
+    },
+
+    removeForNote(noteId) {
+      return storage.removeWhere('noteRevisions', { noteId });
+    },
+  };
+}
+
+module.exports = { createNoteHistoryService, authorFromRequest };
@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * PASSWORD RESET - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Creates single-use, expiring password reset tokens and mails them to the
+ * user's e-mail address.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. requestReset(username or email) looks up the account
+ * 2. If it has an e-mail address, a random token is mailed as a link:
+ *    <APP_URL>/?resetToken=<token>
+ * 3. consumeToken(token) checks the token and marks it used
+ * 4. The caller stores the new password and revokes the user's sessions
+ *
+ * SECURITY:
+ * --------
+ * - Only a SHA-256 hash of each token is stored
+ * - Tokens expire after RESET_TOKEN_TTL_MINUTES (default: 30)
+ * - Requesting a new token invalidates older unused ones
+ * - Callers respond the same way whether or not the account exists, and
+ *   before calling requestReset, so timing doesn't tell either
+ *
+ * STORAGE:
+ * -------
+ * passwordResets: { id, userId, tokenHash, createdAt, expiresAt, usedAt }
+ *
+ * ============================================================================
+ */
+
+const { randomBytes, randomUUID, createHash } = require('crypto');
+const { createKeyedLock } = require('./storage/lock');
+
+const MINUTE_MS = 60 * 1000;
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function createPasswordResetService({ storage, mailer, appUrl, tokenTtlMinutes = 30 }) {
+  const withLock = createKeyedLock();
+
+  async function findUser(identifier) {
+    const byUsername = await storage.findOne('users', { username: identifier });
+    if (byUsername) {
+      return byUsername;
+    }
+    return storage.findOne('users', { email: identifier.toLowerCase() });
+  }
+
+  return {
+    /**
+     * Mails a reset link if the account exists and has an e-mail address.
+     * Returns true when a message was sent (never tell this to the client).
+     */
+    async requestReset(identifier) {
+      const user = await findUser(identifier);
+      if (!user || !user.email) {
+        return false;
+      }
+
+      await storage.removeWhere('passwordResets', { userId: user.id, usedAt: null });
+
+      const token = randomBytes(32).toString('base64url');
+      const now = new Date();
+      await storage.insert('passwordResets', {
+        id: randomUUID(),
+        userId: user.id,
+        tokenHash: hashToken(token),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + tokenTtlMinutes * MINUTE_MS).toISOString(),
+        usedAt: null,
+      });
+
+      const link = `${appUrl}/?resetToken=${encodeURIComponent(token)}`;
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your WellWork password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Someone asked to reset the password of your WellWork account.',
+          `Open this link within ${tokenTtlMinutes} minutes to choose a new password:`,
+          '',
+          link,
+          '',
+          'Or paste this reset code into the app:',
+          token,
+          '',
+          'If this was not you, ignore this message. Your password stays the same.',
+        ].join('\n'),
+      });
+      return true;
+    },
+
+    /**
+     * Validates a reset token and marks it used.
+     * Returns the user id, or null if the token is unknown, used or expired.
+     */
+    consumeToken(token) {
+      const tokenHash = hashToken(token);
+
+      return withLock(tokenHash, async () => {
+        const reset = await storage.findOne('passwordResets', { tokenHash });
+        if (!reset || reset.usedAt || new Date(reset.expiresAt).getTime() <= Date.now()) {
+          return null;
+        }
+
+        await storage.update('passwordResets', reset.id, { usedAt: new Date().toISOString() });
+        return reset.userId;
+      });
+    },
+  };
+}
+
+module.exports = { createPasswordResetService };
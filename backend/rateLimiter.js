@@ -0,0 +1,172 @@
+/**
+ * ============================================================================
+ * RATE LIMITING & LOGIN LOCKOUT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * In-memory protection against password guessing:
+ * - createRateLimiter: at most `max` requests per key per window
+ * - createLockout: locks a key (username or IP) for a while after too many
+ *   failed logins
+ * - rateLimit: Express middleware around a rate limiter
+ *
+ * Blocked requests get 429 with a Retry-After header (seconds) and
+ *   { code: 'rate_limited' | 'account_locked', message, retryAfter }
+ *
+ * COMMON QUESTIONS:
+ * ----------------
+ * Q: Does this work with several server processes?
+ * A: No, counters live in memory per process and reset on restart. Put a
+ *    shared store (e.g. Redis) behind the same functions if you scale out.
+ *
+ * Q: Everyone gets blocked together behind my reverse proxy?
+ * A: Set TRUST_PROXY so req.ip is the client address, not the proxy's.
+ *
+ * ============================================================================
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Periodically drops expired entries so the maps don't grow forever.
+ * unref() keeps the timer from holding the process open.
+ */
+function sweepExpired(entries, isExpired) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+function secondsUntil(timestamp) {
+  return Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+}
+
+/**
+ * FIXED WINDOW RATE LIMITER
+ * -------------------------
+ * hit(key) -> { allowed: boolean, retryAfter: seconds }
+ */
+function createRateLimiter({ windowMs, max }) {
+  const entries = new Map();
+  sweepExpired(entries, (entry, now) => entry.resetAt <= now);
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+
+      entry.count++;
+      return {
+        allowed: entry.count <= max,
+        retryAfter: secondsUntil(entry.resetAt),
+      };
+    },
+  };
+}
+
+/**
+ * FAILED LOGIN LOCKOUT
+ * --------------------
+ * - check(key) -> seconds until unlocked, 0 when not locked
+ * - recordFailure(key) -> { retryAfter, withdraw() }: retryAfter as check
+ *   after counting this failure; withdraw() takes it back, lifting the
+ *   lock too if this failure set it
+ * - recordSuccess(key) -> forgets earlier failures
+ *
+ * Failures older than windowMs are forgotten. Count an attempt as failed
+ * before checking the password (and withdraw it if it was right), so that
+ * attempts running in parallel all see each other.
+ */
+function createLockout({ maxFailures, windowMs, lockoutMs }) {
+  const entries = new Map();
+  sweepExpired(entries, (entry, now) =>
+    entry.lockedUntil <= now && entry.windowStart + windowMs <= now,
+  );
+
+  function check(key) {
+    const entry = entries.get(key);
+    return entry && entry.lockedUntil > Date.now() ? secondsUntil(entry.lockedUntil) : 0;
+  }
+
+  return {
+    check,
+
+    recordFailure(key) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.windowStart + windowMs <= now) {
+        entry = { failures: 0, windowStart: now, lockedUntil: 0 };
+        entries.set(key, entry);
+      }
+
+      const previous = { ...entry };
+      entry.failures++;
+      const locks = entry.failures >= maxFailures;
+      if (locks) {
+        entry.lockedUntil = now + lockoutMs;
+        entry.failures = 0;
+        entry.windowStart = now;
+      }
+
+      return {
+        retryAfter: check(key),
+        withdraw() {
+          // Forgotten meanwhile (success, new window): nothing to take back
+          if (entries.get(key) !== entry) {
+            return;
+          }
+          if (locks) {
+            Object.assign(entry, previous);
+          } else if (entry.failures > 0) {
+            entry.failures--;
+          }
+        },
+      };
+    },
+
+    recordSuccess(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Sends the standard 429 response.
+ */
+function sendTooManyRequests(res, { code, message, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ code, message, retryAfter });
+}
+
+/**
+ * RATE LIMIT MIDDLEWARE
+ * ---------------------
+ * app.post('/login', rateLimit(limiter), handler)
+ * Keys by client IP unless keyFor is given.
+ */
+function rateLimit(limiter, { keyFor = (req) => req.ip } = {}) {
+  return (req, res, next) => {
+    const { allowed, retryAfter } = limiter.hit(keyFor(req));
+    if (!allowed) {
+      return sendTooManyRequests(res, {
+        code: 'rate_limited',
+        message: 'Too many requests. Please wait a moment and try again.',
+        retryAfter,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, createLockout, rateLimit, sendTooManyRequests };
@@ -0,0 +1,399 @@
+/**
+ * ============================================================================
+ * RECURRENCE - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Repeating notes and tasks. A repeating record stores one RRULE-style rule
+ * (the RECUR value of iCalendar, RFC 5545) and is expanded into its
+ * occurrences on demand; occurrences are never stored one by one.
+ *
+ * RULES:
+ * -----
+ * 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251231'
+ * - FREQ: DAILY | WEEKLY | MONTHLY | YEARLY (required)
+ * - INTERVAL: every n days/weeks/months/years (default 1)
+ * - BYDAY: WEEKLY - weekdays (MO,TU,...); MONTHLY - weekdays with an
+ *   ordinal, e.g. 1MO (first Monday) or -1FR (last Friday)
+ * - BYMONTHDAY: MONTHLY - days of the month, -1 is the last day
+ * - UNTIL: last possible date, YYYYMMDD (inclusive)
+ * - COUNT: number of occurrences (not together with UNTIL)
+ * Without BYDAY / BYMONTHDAY the weekday or day of month of the start
+ * date is used; months without that day are skipped (no 31st in April).
+ * The start date is always the first occurrence.
+ *
+ * OCCURRENCES & OVERRIDES:
+ * -----------------------
+ * The record's own date (date for notes, dueDate for tasks) is the start
+ * of the series. record.overrides maps an occurrence date to the fields
+ * that differ on that day only ("this occurrence" edits), or to
+ * { cancelled: true } for a deleted occurrence:
+ *   overrides: { '2025-03-12': { content: 'Moved to room 4' }, '2025-03-19': { cancelled: true } }
+ * An occurrence is the record with its override applied and the date set
+ * to the occurrence date; its id stays the series id.
+ *
+ * "This and all future" changes split the series: the original ends the
+ * day before (splitSeries) and a new record starts at the occurrence.
+ *
+ * The frontend has a copy of this logic in src/recurrence.js, so
+ * occurrences also show offline; keep both in step. npm test
+ * (checkRecurrence.js) fails when the two expand a rule differently.
+ *
+ * ============================================================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 1000;
+const RULE_MAX_LENGTH = 200;
+
+// Dates are handled as whole days since 1970-01-01 (UTC)
+const dayNumber = (date) => Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10))) / DAY_MS;
+const dayString = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const weekdayIndex = (day) => (new Date(day * DAY_MS).getUTCDay() + 6) % 7; // Monday = 0
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+function isRealDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  return dayString(dayNumber(value)) === value;
+}
+
+/**
+ * Parses a rule. Returns { rule } or { error } (a message for the user).
+ * rule: { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay: [n], until, count }
+ */
+function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Repeat rule is empty.' };
+  }
+  if (text.length > RULE_MAX_LENGTH) {
+    return { error: `Repeat rule must be at most ${RULE_MAX_LENGTH} characters.` };
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+  const parts = text.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!value) {
+      return { error: `Repeat rule part "${part}" has no value.` };
+    }
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          return { error: 'Repeat frequency must be DAILY, WEEKLY, MONTHLY or YEARLY.' };
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!/^\d+$/.test(value) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          return { error: `Repeat interval must be a whole number from 1 to ${MAX_INTERVAL}.` };
+        }
+        break;
+      case 'BYDAY':
+        for (const entry of value.split(',')) {
+          const match = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry);
+          if (!match) {
+            return { error: `Repeat weekday "${entry}" is not valid.` };
+          }
+          rule.byDay.push({ weekday: match[2], ordinal: match[1] ? Number(match[1]) : null });
+        }
+        break;
+      case 'BYMONTHDAY':
+        for (const entry of value.split(',')) {
+          const day = Number(entry);
+          if (!/^[+-]?\d+$/.test(entry) || day === 0 || day < -31 || day > 31) {
+            return { error: `Repeat day of month "${entry}" is not valid.` };
+          }
+          rule.byMonthDay.push(day);
+        }
+        break;
+      case 'UNTIL': {
+        // YYYYMMDD, a UTC date-time (YYYYMMDDTHHMMSSZ) or YYYY-MM-DD
+        const digits = value.replace(/-/g, '').slice(0, 8);
+        const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+        if (!/^\d{8}/.test(value.replace(/-/g, '')) || !isRealDate(date)) {
+          return { error: 'Repeat end (UNTIL) must be a date like 20251231.' };
+        }
+        rule.until = date;
+        break;
+      }
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!/^\d+$/.test(value) || rule.count < 1 || rule.count > MAX_COUNT) {
+          return { error: `Repeat count must be a whole number from 1 to ${MAX_COUNT}.` };
+        }
+        break;
+      case 'WKST':
+        // Weeks start on Monday here; other week starts are accepted but ignored
+        break;
+      default:
+        return { error: `Repeat rule part "${key}" is not supported.` };
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: 'Repeat rule needs a FREQ.' };
+  }
+  if (rule.until && rule.count) {
+    return { error: 'Repeat rule can have UNTIL or COUNT, not both.' };
+  }
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY' && rule.freq !== 'MONTHLY') {
+    return { error: 'BYDAY is only supported for weekly and monthly repeats.' };
+  }
+  if (rule.freq === 'WEEKLY' && rule.byDay.some((entry) => entry.ordinal !== null)) {
+    return { error: 'Weekly repeats take plain weekdays (MO,WE), without numbers.' };
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    return { error: 'BYMONTHDAY is only supported for monthly repeats.' };
+  }
+  if (rule.byDay.length > 0 && rule.byMonthDay.length > 0) {
+    return { error: 'Repeat rule can have BYDAY or BYMONTHDAY, not both.' };
+  }
+
+  return { rule };
+}
+
+/**
+ * The rule in its canonical text form (what gets stored)
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal ?? ''}${weekday}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * The period'th period after the start (a day, week, month or year):
+ * { first: its first day, days: candidate days within it, sorted }
+ */
+function periodDays(rule, start, period) {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    return { first: start + step, days: [start + step] };
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const monday = start - weekdayIndex(start) + step * 7;
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(({ weekday }) => WEEKDAYS.indexOf(weekday))
+      : [weekdayIndex(start)];
+    return { first: monday, days: [...new Set(weekdays)].sort((a, b) => a - b).map((index) => monday + index) };
+  }
+
+  const startDate = new Date(start * DAY_MS);
+  const first = Date.UTC(
+    startDate.getUTCFullYear() + (rule.freq === 'YEARLY' ? step : 0),
+    startDate.getUTCMonth() + (rule.freq === 'MONTHLY' ? step : 0),
+    1,
+  ) / DAY_MS;
+  const firstDate = new Date(first * DAY_MS);
+  const length = daysInMonth(firstDate.getUTCFullYear(), firstDate.getUTCMonth());
+
+  let monthDays;
+  if (rule.byMonthDay.length > 0) {
+    monthDays = rule.byMonthDay.map((day) => (day > 0 ? day : length + day + 1));
+  } else if (rule.byDay.length > 0) {
+    monthDays = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const offset = (WEEKDAYS.indexOf(weekday) - weekdayIndex(first) + 7) % 7;
+      const all = [];
+      for (let day = offset + 1; day <= length; day += 7) all.push(day);
+      if (ordinal === null) return all;
+      const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+      return picked ? [picked] : [];
+    });
+  } else {
+    monthDays = [startDate.getUTCDate()];
+  }
+
+  const days = [...new Set(monthDays)]
+    .filter((day) => day >= 1 && day <= length)
+    .sort((a, b) => a - b)
+    .map((day) => first + day - 1);
+  return { first, days };
+}
+
+/**
+ * Largest number of days one period can span, to skip ahead to a range:
+ * skipping by it never passes a period that reaches into the range
+ */
+function longestPeriod(rule) {
+  return { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq] * rule.interval;
+}
+
+/**
+ * Occurrence dates of a series starting at start (YYYY-MM-DD) that fall
+ * within from..to (inclusive), at most limit of them. Cancelled
+ * occurrences are included; they still count towards COUNT.
+ */
+function occurrenceDates(start, rule, from, to, limit = Infinity) {
+  const startDay = dayNumber(start);
+  const fromDay = dayNumber(from);
+  const lastDay = Math.min(dayNumber(to), rule.until ? dayNumber(rule.until) : Infinity);
+  const dates = [];
+  let seen = 0;
+
+  const emit = (day) => {
+    seen += 1;
+    if (day >= fromDay) dates.push(dayString(day));
+  };
+  const done = () => dates.length >= limit;
+
+  if (startDay > lastDay) {
+    return dates;
+  }
+
+  // With COUNT every occurrence from the start has to be counted;
+  // otherwise whole periods before the range can be skipped
+  let period = rule.count ? 0 : Math.max(0, Math.floor((fromDay - startDay) / longestPeriod(rule)) - 1);
+  if (period === 0) {
+    emit(startDay);
+  }
+
+  for (; ; period += 1) {
+    const { first, days } = periodDays(rule, startDay, period);
+    if (first > lastDay) {
+      return dates;
+    }
+    for (const day of days) {
+      if (day <= startDay) continue;
+      if (done() || day > lastDay || (rule.count && seen >= rule.count)) {
+        return dates;
+      }
+      emit(day);
+    }
+  }
+}
+
+
+/**
+ * The record's occurrences within from..to, with overrides applied and
+ * cancelled ones left out. A record that doesn't repeat is returned as
+ * is when its date is in the range.
+ */
+function expandRecord(record, dateField, from, to) {
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {};
+  if (!rule) {
+    const date = record[dateField];
+    return date >= from && date <= to ? [record] : [];
+  }
+
+  const { overrides = {}, ...series } = record;
+  return occurrenceDates(record[dateField], rule, from, to)
+    .filter((date) => !overrides[date]?.cancelled)
+    .map((date) => ({ ...series, ...overrides[date], [dateField]: date }));
+}
+
+function expandRecords(records, dateField, from, to) {
+  return records.flatMap((record) => expandRecord(record, dateField, from, to));
+}
+
+/**
+ * The record's occurrence on date, or null if there is none (or it was
+ * cancelled)
+ */
+function occurrenceOf(record, dateField, date) {
+  return expandRecord(record, dateField, date, date)[0] || null;
+}
+
+/**
+ * Whether the record shows up anywhere within from..to (either bound may
+ * be left out). Used to list repeating records for a date range.
+ */
+function overlapsRange(record, dateField, from, to) {
+  const date = record[dateField];
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {};
+  if (!rule) {
+    return (!from || date >= from) && (!to || date <= to);
+  }
+  if (to && date > to) return false;
+  if (!from || date >= from) return true;
+  return occurrenceDates(date, rule, from, to || '9999-12-31', 1).length > 0;
+}
+
+/**
+ * Splits a series at one of its occurrences ("this and all future"
+ * changes). Returns the fields of the part before it, which ends the day
+ * before, and of the part from it on, whose COUNT is reduced by the
+ * occurrences before. Overrides go with the part their date belongs to.
+ */
+function splitSeries(record, dateField, at) {
+  const { rule } = parseRule(record.recurrence);
+  const start = record[dateField];
+  const dayBefore = dayString(dayNumber(at) - 1);
+  const countBefore = occurrenceDates(start, rule, start, dayBefore).length;
+
+  const overridesBefore = {};
+  const overridesAfter = {};
+  for (const [date, override] of Object.entries(record.overrides || {})) {
+    (date < at ? overridesBefore : overridesAfter)[date] = override;
+  }
+
+  return {
+    before: { recurrence: formatRule({ ...rule, count: null, until: dayBefore }), overrides: overridesBefore },
+    after: {
+      recurrence: formatRule({ ...rule, count: rule.count ? rule.count - countBefore : null }),
+      overrides: overridesAfter,
+    },
+  };
+}
+
+/**
+ * Overrides whose date is still an occurrence under the record's
+ * (changed) rule; all of them go when it stops repeating.
+ */
+function pruneOverrides(record, dateField) {
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {};
+  if (!rule) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(record.overrides || {})
+      .filter(([date]) => occurrenceDates(record[dateField], rule, date, date).length > 0),
+  );
+}
+
+/**
+ * The fields of values that differ from the series, i.e. what an
+ * occurrence override has to store
+ */
+function differingFields(series, values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(series[field] ?? null)),
+  );
+}
+
+/**
+ * overrides with date set to override (or dropped when it is empty)
+ */
+function withOverride(overrides = {}, date, override) {
+  const others = { ...overrides };
+  delete others[date];
+  return Object.keys(override).length > 0 ? { ...others, [date]: override } : others;
+}
+
+module.exports = {
+  parseRule,
+  formatRule,
+  occurrenceDates,
+  expandRecord,
+  expandRecords,
+  occurrenceOf,
+  overlapsRange,
+  splitSeries,
+  pruneOverrides,
+  differingFields,
+  withOverride,
+  RULE_MAX_LENGTH,
+};
@@ -0,0 +1,176 @@
+/**
+ * ============================================================================
+ * ACCOUNT ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Let a logged-in user manage their own account. Every change asks for the
+ * current password again, so a borrowed unlocked device is not enough.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET    /api/me            - Current account info
+ * PUT    /api/me/password   - { currentPassword, newPassword }
+ * PUT    /api/me/username   - { currentPassword, username }
+ * DELETE /api/me            - { currentPassword }
+ *
+ * WRONG CURRENT PASSWORD:
+ * ----------------------
+ * Answered with 400, not 401/403: those mean "token expired" to the
+ * frontend's authFetch and would trigger a token refresh.
+ *
+ * SIDE EFFECTS:
+ * ------------
+ * - Password change: every other session is logged out
+ * - Username change: answers with a new access token (token) for the
+ *   new name; the caller's refresh token stays valid
+ * - Delete: removes the user's notes (with their history and trash), tags,
+ *   tasks, calendar feeds, sync tombstones and operations, reset tokens and
+ *   sessions, then
+ *   the user
+ *
+ * ============================================================================
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { validate, fields } = require('../validation');
+
+const changePasswordSchema = {
+  body: { currentPassword: fields.currentPassword, newPassword: fields.newPassword },
+};
+const changeUsernameSchema = {
+  body: { currentPassword: fields.currentPassword, username: fields.username },
+};
+const deleteAccountSchema = {
+  body: { currentPassword: fields.currentPassword },
+};
+
+function toProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email || null,
+    createdAt: user.createdAt,
+  };
+}
+
+function createAccountRouter({ storage, sessions, authenticateToken, withLock, bcryptRounds = 10 }) {
+  const router = express.Router();
+
+  /**
+   * Loads the caller's account and checks body.currentPassword
+   * (presence is already checked by the route's schema).
+   * Sends the error response itself and returns null on failure.
+   */
+  async function verifyCurrentPassword(req, res) {
+    const { currentPassword } = req.body;
+    const user = await storage.findOne('users', { id: req.user.sub });
+    if (!user) {
+      res.status(404).json({ message: 'Account not found.' });
+      return null;
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.passwordHash))) {
+      const message = 'Current password is incorrect.';
+      res.status(400).json({ message, errors: [{ field: 'currentPassword', message }] });
+      return null;
+    }
+
+    return user;
+  }
+
+  router.get('/api/me', authenticateToken, async (req, res) => {
+    try {
+      const user = await storage.findOne('users', { id: req.user.sub });
+      if (!user) {
+        return res.status(404).json({ message: 'Account not found.' });
+      }
+      res.json(toProfile(user));
+    } catch (error) {
+      console.error('Get account error', error);
+      res.status(500).json({ message: 'Server error while loading account.' });
+    }
+  });
+
+  router.put('/api/me/password', authenticateToken, validate(changePasswordSchema), async (req, res) => {
+    try {
+      const { newPassword } = req.body;
+      const user = await verifyCurrentPassword(req, res);
+      if (!user) return;
+
+      await storage.update('users', user.id, {
+        passwordHash: await bcrypt.hash(newPassword, bcryptRounds),
+        passwordChangedAt: new Date().toISOString(),
+      });
+      await sessions.revokeAllSessions(user.id, { exceptSessionId: req.user.sid || null });
+
+      res.json({ message: 'Password changed. Other devices have been logged out.' });
+    } catch (error) {
+      console.error('Change password error', error);
+      res.status(500).json({ message: 'Server error while changing password.' });
+    }
+  });
+
+  router.put('/api/me/username', authenticateToken, validate(changeUsernameSchema), async (req, res) => {
+    try {
+      const { username } = req.body;
+      const user = await verifyCurrentPassword(req, res);
+      if (!user) return;
+
+      // Same lock as /register, so a name can't be taken twice
+      const updated = await withLock('register', async () => {
+        const taken = await storage.findOne('users', { username });
+        if (taken && taken.id !== user.id) {
+          return null;
+        }
+        return storage.update('users', user.id, { username });
+      });
+
+      if (!updated) {
+        const message = 'Username already taken.';
+        return res.status(409).json({ message, errors: [{ field: 'username', message }] });
+      }
+
+      res.json({
+        message: 'Username changed.',
+        user: toProfile(updated),
+        token: sessions.issueAccessToken(updated, req.user.sid),
+      });
+    } catch (error) {
+      console.error('Change username error', error);
+      res.status(500).json({ message: 'Server error while changing username.' });
+    }
+  });
+
+  router.delete('/api/me', authenticateToken, validate(deleteAccountSchema), async (req, res) => {
+    try {
+      const user = await verifyCurrentPassword(req, res);
+      if (!user) return;
+
+      await storage.removeWhere('notes', { userId: user.id });
+      await storage.removeWhere('trash', { userId: user.id });
+      await storage.removeWhere('tags', { userId: user.id });
+      await storage.removeWhere('tasks', { userId: user.id });
+      await storage.removeWhere('feedTokens', { userId: user.id });
+      await storage.removeWhere('noteRevisions', { userId: user.id });
+      await storage.removeWhere('passwordResets', { userId: user.id });
+      await sessions.revokeAllSessions(user.id);
+      await storage.removeWhere('refreshTokens', { userId: user.id });
+      await storage.removeWhere('sessions', { userId: user.id });
+      await storage.removeWhere('tombstones', { userId: user.id });
+      await storage.removeWhere('operations', { userId: user.id });
+      await storage.remove('users', user.id);
+
+      res.json({ message: 'Account deleted.' });
+    } catch (error) {
+      console.error('Delete account error', error);
+      res.status(500).json({ message: 'Server error while deleting account.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
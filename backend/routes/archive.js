@@ -0,0 +1,568 @@
+/**
+ * ============================================================================
+ * ACCOUNT ARCHIVE ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Take all of a user's data out as one .zip (backups, other tools), and
+ * bring such an archive into an account, e.g. to move someone to another
+ * self-hosted WellWork server.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET  /api/export   - Streams wellwork-export-YYYY-MM-DD.zip
+ * POST /api/import   - Body: that zip, or just its wellwork.json, 20 MB at most
+ *                      (Content-Type: application/zip or application/octet-stream)
+ *      - Answers { tags: { created, existing }, notes: { created, updated, unchanged },
+ *        tasks: { ... }, skipped: [{ kind, id, message }] }
+ *
+ * WHAT IS IN THE ZIP?
+ * ------------------
+ * - wellwork.json: tags, notes and tasks as stored (without user IDs);
+ *   the only file an import reads
+ * - notes.csv: one row per note, for spreadsheets
+ * - days/YYYY-MM-DD.md: one Markdown file per day with notes or tasks,
+ *   with YAML front matter (date, tags, counts)
+ * Not included: note history, the trash, calendar feeds, sessions and the
+ * password.
+ *
+ * MERGING:
+ * -------
+ * An import adds to the account, it never deletes:
+ * - Tags are matched by name; missing ones are created
+ * - Notes and tasks are matched by ID. When both sides have one, the one
+ *   changed last wins. Notes with the same day and text (tasks: due date
+ *   and title) count as the same, so importing a backup twice doesn't add
+ *   copies
+ * - New notes keep their ID and timestamps (unless the ID is taken) and go
+ *   at the end of their day; full days are skipped (routes/notes.js)
+ * - Notes that are in the trash are skipped
+ * - Records that don't pass the usual checks are skipped, with the reason
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { validateObject, fields } = require('../validation');
+const { authorFromRequest } = require('../noteHistory');
+const { pruneOverrides } = require('../recurrence');
+const { writeZip, readZip, isZip, ZipError } = require('../zip');
+const { compareNotes, nextVersion, MAX_NOTES_PER_DAY } = require('./notes');
+const { compareTasks } = require('./tasks');
+const { MAX_TAGS_PER_USER } = require('./tags');
+const { changedFields } = require('./ical');
+
+const FORMAT = 'wellwork-export';
+const FORMAT_VERSION = 1;
+const DUMP_FILE = 'wellwork.json';
+const MAX_ARCHIVE_SIZE = '20mb';
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+const NOTE_FIELDS = ['date', 'content', 'tagIds', 'recurrence', 'overrides'];
+const TASK_FIELDS = ['dueDate', 'dueTime', 'title', 'priority', 'status', 'completedAt', 'recurrence', 'overrides'];
+
+const timestamp = { type: 'string', trim: true, maxLength: 40 };
+const tagSchema = {
+  id: fields.id,
+  name: fields.tagName,
+  color: fields.color,
+};
+const noteSchema = {
+  id: fields.id,
+  date: fields.date,
+  content: fields.noteContent,
+  tagIds: fields.tagIds,
+  recurrence: fields.recurrence,
+  icalUid: { type: 'string', maxLength: 1000 },
+  createdAt: timestamp,
+  updatedAt: timestamp,
+};
+const taskSchema = {
+  id: fields.id,
+  title: fields.taskTitle,
+  dueDate: { ...fields.date, label: 'Due date' },
+  dueTime: { ...fields.time, label: 'Due time' },
+  priority: fields.priority,
+  status: fields.taskStatus,
+  completedAt: timestamp,
+  recurrence: fields.recurrence,
+  icalUid: { type: 'string', maxLength: 1000 },
+  createdAt: timestamp,
+  updatedAt: timestamp,
+};
+// What a single day of a repeating note / task may change
+const noteOverrideSchema = {
+  content: { ...fields.noteContent, required: false },
+  tagIds: fields.tagIds,
+};
+const taskOverrideSchema = {
+  title: { ...fields.taskTitle, required: false },
+  dueTime: { ...fields.time, label: 'Due time' },
+  priority: fields.priority,
+  status: fields.taskStatus,
+  completedAt: timestamp,
+};
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+/**
+ * EXPORT FILES
+ * ------------
+ */
+function withoutUser({ userId: _userId, ...record }) {
+  return record;
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function notesCsv(notes, tagName) {
+  const rows = [['id', 'date', 'position', 'content', 'tags', 'repeats', 'createdAt', 'updatedAt']];
+  for (const note of notes) {
+    rows.push([
+      note.id,
+      note.date,
+      note.position || 0,
+      note.content,
+      (note.tagIds || []).map(tagName).join('; '),
+      note.recurrence || '',
+      note.createdAt,
+      note.updatedAt,
+    ]);
+  }
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${rows.map((row) => row.map(csvValue).join(',')).join('\r\n')}\r\n`;
+}
+
+// YAML front matter values; JSON strings are valid YAML
+const yamlList = (values) => `[${values.map((value) => JSON.stringify(value)).join(', ')}]`;
+
+function dayMarkdown(date, notes, tasks, tagName) {
+  const tagNames = [...new Set(notes.flatMap((note) => (note.tagIds || []).map(tagName)))];
+  const lines = [
+    '---',
+    `date: ${date}`,
+    `tags: ${yamlList(tagNames)}`,
+    `notes: ${notes.length}`,
+    `tasks: ${tasks.length}`,
+    '---',
+    '',
+    `# ${date}`,
+  ];
+
+  notes.forEach((note, index) => {
+    lines.push('', ...(index > 0 ? ['* * *', ''] : []), note.content);
+    const details = [
+      ...(note.tagIds?.length ? [`Tags: ${note.tagIds.map(tagName).join(', ')}`] : []),
+      ...(note.recurrence ? [`Repeats: ${note.recurrence}`] : []),
+    ];
+    if (details.length > 0) {
+      lines.push('', `_${details.join(' · ')}_`);
+    }
+  });
+
+  if (tasks.length > 0) {
+    lines.push('', '## Tasks', '');
+    for (const task of tasks) {
+      const details = [task.priority !== 'medium' && `${task.priority} priority`, task.recurrence && `repeats ${task.recurrence}`]
+        .filter(Boolean);
+      lines.push(`- [${task.status === 'done' ? 'x' : ' '}] ${task.dueTime ? `${task.dueTime} ` : ''}${task.title}`
+        + (details.length > 0 ? ` (${details.join(', ')})` : ''));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function* archiveEntries({ user, tags, notes, tasks, exportedAt }) {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const tagName = (tagId) => tagsById.get(tagId)?.name || tagId;
+
+  yield {
+    name: DUMP_FILE,
+    data: JSON.stringify({
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt,
+      account: { username: user.username, email: user.email || null, createdAt: user.createdAt || null },
+      tags: tags.map(withoutUser),
+      notes: notes.map(withoutUser),
+      tasks: tasks.map(withoutUser),
+    }, null, 2),
+  };
+  yield { name: 'notes.csv', data: notesCsv(notes, tagName) };
+
+  const dates = [...new Set([...notes.map((note) => note.date), ...tasks.map((task) => task.dueDate)])].sort();
+  for (const date of dates) {
+    yield {
+      name: `days/${date}.md`,
+      data: dayMarkdown(date, notes.filter((note) => note.date === date), tasks.filter((task) => task.dueDate === date), tagName),
+    };
+  }
+}
+
+/**
+ * IMPORT
+ * ------
+ */
+
+// The wellwork.json of a request body (zip, JSON file or parsed JSON)
+function readDump(body) {
+  let dump = body;
+  if (Buffer.isBuffer(body)) {
+    let text = body;
+    if (isZip(body)) {
+      text = readZip(body).get(DUMP_FILE);
+      if (!text) {
+        throw new ArchiveError(`The zip has no ${DUMP_FILE}. Is it a WellWork export?`);
+      }
+    }
+    try {
+      dump = JSON.parse(text.toString('utf8'));
+    } catch {
+      throw new ArchiveError('This file is neither a zip nor JSON.');
+    }
+  }
+
+  if (!dump || typeof dump !== 'object' || dump.format !== FORMAT) {
+    throw new ArchiveError("This isn't a WellWork export.");
+  }
+  if (dump.version !== FORMAT_VERSION) {
+    throw new ArchiveError('This export was made by a newer version of WellWork.');
+  }
+  for (const part of ['tags', 'notes', 'tasks']) {
+    if (dump[part] !== undefined && !Array.isArray(dump[part])) {
+      throw new ArchiveError(`The export is damaged (${part} is not a list).`);
+    }
+  }
+  return dump;
+}
+
+// An ISO timestamp from the file, or fallback when it isn't one
+function timestampOr(value, fallback) {
+  return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : fallback;
+}
+
+/**
+ * Checks one record of the file against its schema. Returns the cleaned
+ * fields, or { error } with the first problem.
+ */
+function cleanRecord(record, schema) {
+  const { value, errors } = validateObject(record, schema);
+  return errors.length > 0 ? { error: errors[0].message } : value;
+}
+
+// Valid overrides of a repeating record, on days that are occurrences
+function cleanOverrides(record, overrides, schema, dateField, mapTagIds = (tagIds) => tagIds) {
+  if (!record.recurrence || !overrides || typeof overrides !== 'object') {
+    return {};
+  }
+  const cleaned = {};
+  for (const [date, override] of Object.entries(overrides)) {
+    if (validateObject({ date }, { date: fields.date }).errors.length > 0) {
+      continue;
+    }
+    if (override?.cancelled === true) {
+      cleaned[date] = { cancelled: true };
+      continue;
+    }
+    const { value, errors } = validateObject(override, schema);
+    if (errors.length === 0 && Object.keys(value).length > 0) {
+      cleaned[date] = value.tagIds ? { ...value, tagIds: mapTagIds(value.tagIds) } : value;
+    }
+  }
+  return pruneOverrides({ ...record, overrides: cleaned }, dateField);
+}
+
+function createArchiveRouter({ storage, authenticateToken, withLock, noteHistory }) {
+  const router = express.Router();
+
+  function withDayLock(userId, date, operation) {
+    return withLock(`notes:${userId}:${date}`, operation);
+  }
+
+  async function lastPosition(userId, date) {
+    const dayNotes = await storage.list('notes', { userId, date });
+    return {
+      full: dayNotes.length >= MAX_NOTES_PER_DAY,
+      position: dayNotes.reduce((max, existing) => Math.max(max, existing.position || 0), 0),
+    };
+  }
+
+  // An ID for an imported record: its own, unless some record has it
+  async function freeId(collections, id) {
+    for (const collection of collections) {
+      if (await storage.findOne(collection, { id })) {
+        return randomUUID();
+      }
+    }
+    return id;
+  }
+
+  /**
+   * Adds the file's tags the user doesn't have (by name). Returns a map of
+   * file tag ID -> account tag ID.
+   */
+  async function importTags(userId, dumpTags, counts, skipped) {
+    const tagIds = new Map();
+    await withLock(`tags:${userId}`, async () => {
+      const existing = await storage.list('tags', { userId });
+      const byName = new Map(existing.map((tag) => [tag.name.toLowerCase(), tag.id]));
+      let total = existing.length;
+
+      for (const raw of dumpTags) {
+        const tag = cleanRecord(raw, tagSchema);
+        if (tag.error) {
+          skipped.push({ kind: 'tag', id: raw?.id ?? null, message: tag.error });
+          continue;
+        }
+        const known = byName.get(tag.name.toLowerCase());
+        if (known) {
+          tagIds.set(tag.id, known);
+          counts.existing += 1;
+          continue;
+        }
+        if (total >= MAX_TAGS_PER_USER) {
+          skipped.push({ kind: 'tag', id: tag.id, message: `You can have at most ${MAX_TAGS_PER_USER} tags.` });
+          continue;
+        }
+        const created = await storage.insert('tags', {
+          id: await freeId(['tags'], tag.id),
+          userId,
+          name: tag.name,
+          color: tag.color,
+          createdAt: timestampOr(raw.createdAt, new Date().toISOString()),
+        });
+        byName.set(created.name.toLowerCase(), created.id);
+        tagIds.set(tag.id, created.id);
+        total += 1;
+        counts.created += 1;
+      }
+    });
+    return tagIds;
+  }
+
+  /**
+   * Merges one note of the file. Returns 'created' | 'updated' |
+   * 'unchanged', or { skipped: message }.
+   */
+  async function importNote(req, raw, mapTagIds) {
+    const userId = req.user.sub;
+    const note = cleanRecord(raw, noteSchema);
+    if (note.error) {
+      return { skipped: note.error };
+    }
+
+    const now = new Date().toISOString();
+    const incoming = {
+      date: note.date,
+      content: note.content,
+      tagIds: mapTagIds(note.tagIds || []),
+      recurrence: note.recurrence || null,
+    };
+    incoming.overrides = cleanOverrides(incoming, raw.overrides, noteOverrideSchema, 'date', mapTagIds);
+    const updatedAt = timestampOr(note.updatedAt, now);
+
+    if (await storage.findOne('trash', { id: note.id, userId })) {
+      return { skipped: 'This note was deleted and is in the trash.' };
+    }
+
+    const existing = await storage.findOne('notes', { id: note.id, userId });
+    if (existing) {
+      const changes = changedFields(existing, incoming, NOTE_FIELDS);
+      if (Object.keys(changes).length === 0 || updatedAt <= (existing.updatedAt || '')) {
+        return 'unchanged';
+      }
+      return withDayLock(userId, incoming.date, async () => {
+        if (changes.date) {
+          const day = await lastPosition(userId, incoming.date);
+          if (day.full) {
+            return { skipped: `A day can hold at most ${MAX_NOTES_PER_DAY} notes.` };
+          }
+          changes.position = day.position + 1;
+        }
+        if (changes.content !== undefined) {
+          await noteHistory.ensureBaseline(existing);
+        }
+        const updated = await storage.update('notes', existing.id, { ...changes, version: nextVersion(existing), updatedAt });
+        if (changes.content !== undefined) {
+          await noteHistory.recordRevision(updated, authorFromRequest(req));
+        }
+        return 'updated';
+      });
+    }
+
+    const { recurrence: _recurrence, overrides: _overrides, ...single } = incoming;
+    return withDayLock(userId, incoming.date, async () => {
+      const dayNotes = await storage.list('notes', { userId, date: incoming.date });
+      if (dayNotes.some((other) => other.content === incoming.content)) {
+        return 'unchanged';
+      }
+      if (dayNotes.length >= MAX_NOTES_PER_DAY) {
+        return { skipped: `A day can hold at most ${MAX_NOTES_PER_DAY} notes.` };
+      }
+      const created = await storage.insert('notes', {
+        id: await freeId(['notes', 'trash'], note.id),
+        userId,
+        ...(incoming.recurrence ? incoming : single),
+        ...(note.icalUid ? { icalUid: note.icalUid } : {}),
+        position: dayNotes.reduce((max, other) => Math.max(max, other.position || 0), 0) + 1,
+        version: 1,
+        createdAt: timestampOr(note.createdAt, now),
+        updatedAt,
+      });
+      await noteHistory.recordRevision(created, authorFromRequest(req));
+      return 'created';
+    });
+  }
+
+  /**
+   * Merges one task of the file, like importNote.
+   */
+  async function importTask(req, raw) {
+    const userId = req.user.sub;
+    const task = cleanRecord(raw, taskSchema);
+    if (task.error) {
+      return { skipped: task.error };
+    }
+
+    const now = new Date().toISOString();
+    const status = task.status || 'todo';
+    const incoming = {
+      title: task.title,
+      dueDate: task.dueDate,
+      dueTime: task.dueTime || null,
+      priority: task.priority || 'medium',
+      status,
+      completedAt: status === 'done' ? timestampOr(task.completedAt, now) : null,
+      recurrence: task.recurrence || null,
+    };
+    incoming.overrides = cleanOverrides(incoming, raw.overrides, taskOverrideSchema, 'dueDate');
+    const updatedAt = timestampOr(task.updatedAt, now);
+
+    const existing = await storage.findOne('tasks', { id: task.id, userId });
+    if (existing) {
+      const changes = changedFields(existing, incoming, TASK_FIELDS);
+      if (Object.keys(changes).length === 0 || updatedAt <= (existing.updatedAt || '')) {
+        return 'unchanged';
+      }
+      await storage.update('tasks', existing.id, { ...changes, updatedAt });
+      return 'updated';
+    }
+
+    const sameDay = await storage.list('tasks', { userId, dueDate: incoming.dueDate });
+    if (sameDay.some((other) => other.title === incoming.title)) {
+      return 'unchanged';
+    }
+    const { recurrence: _recurrence, overrides: _overrides, ...single } = incoming;
+    await storage.insert('tasks', {
+      id: await freeId(['tasks'], task.id),
+      userId,
+      ...(incoming.recurrence ? incoming : single),
+      ...(task.icalUid ? { icalUid: task.icalUid } : {}),
+      createdAt: timestampOr(task.createdAt, now),
+      updatedAt,
+    });
+    return 'created';
+  }
+
+  router.get('/api/export', authenticateToken, async (req, res) => {
+    let started = false;
+    try {
+      const userId = req.user.sub;
+      const [user, tags, notes, tasks] = await Promise.all([
+        storage.findOne('users', { id: userId }),
+        storage.list('tags', { userId }),
+        storage.list('notes', { userId }),
+        storage.list('tasks', { userId }),
+      ]);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found.' });
+      }
+
+      const exportedAt = new Date();
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="wellwork-export-${exportedAt.toISOString().slice(0, 10)}.zip"`);
+      started = true;
+      await writeZip(res, archiveEntries({
+        user,
+        tags: tags.sort((a, b) => a.name.localeCompare(b.name)),
+        notes: notes.sort(compareNotes),
+        tasks: tasks.sort(compareTasks),
+        exportedAt: exportedAt.toISOString(),
+      }), { modifiedAt: exportedAt });
+    } catch (error) {
+      console.error('Export account error', error);
+      // Once the zip has started the status is sent; all that's left is to cut it off
+      if (started) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({ message: 'Server error while exporting your data.' });
+      }
+    }
+  });
+
+  router.post(
+    '/api/import',
+    authenticateToken,
+    express.raw({ type: ARCHIVE_TYPES, limit: MAX_ARCHIVE_SIZE }),
+    async (req, res) => {
+      try {
+        if (!req.body || (Buffer.isBuffer(req.body) && req.body.length === 0)) {
+          const message = 'Send the export .zip as the request body (Content-Type: application/zip).';
+          return res.status(400).json({ message, errors: [{ field: 'body', message }] });
+        }
+
+        const dump = readDump(req.body);
+        const userId = req.user.sub;
+        const counts = {
+          tags: { created: 0, existing: 0 },
+          notes: { created: 0, updated: 0, unchanged: 0 },
+          tasks: { created: 0, updated: 0, unchanged: 0 },
+        };
+        const skipped = [];
+
+        const tagIds = await importTags(userId, dump.tags || [], counts.tags, skipped);
+        const mapTagIds = (ids) => [...new Set(ids.map((id) => tagIds.get(id)).filter(Boolean))];
+
+        for (const raw of dump.notes || []) {
+          const result = await importNote(req, raw, mapTagIds);
+          if (result.skipped) {
+            skipped.push({ kind: 'note', id: raw?.id ?? null, message: result.skipped });
+          } else {
+            counts.notes[result] += 1;
+          }
+        }
+        for (const raw of dump.tasks || []) {
+          const result = await importTask(req, raw);
+          if (result.skipped) {
+            skipped.push({ kind: 'task', id: raw?.id ?? null, message: result.skipped });
+          } else {
+            counts.tasks[result] += 1;
+          }
+        }
+
+        res.json({ ...counts, skipped });
+      } catch (error) {
+        if (error instanceof ArchiveError || error instanceof ZipError) {
+          return res.status(400).json({ message: error.message, errors: [{ field: 'body', message: error.message }] });
+        }
+        console.error('Import account error', error);
+        res.status(500).json({ message: 'Server error while importing your data.' });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = { createArchiveRouter };
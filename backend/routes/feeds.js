@@ -0,0 +1,263 @@
+/**
+ * ============================================================================
+ * CALENDAR FEED ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Calendar subscriptions: a user creates a secret feed URL and adds it to
+ * Google Calendar, Outlook, Apple Calendar... The app fetches the URL every
+ * now and then and always gets the current notes and tasks, built on the
+ * fly with ical.js. Unlike GET /api/export/ics there is nothing to download
+ * again after a change.
+ *
+ * API ENDPOINTS:
+ * -------------
+ * GET    /api/feeds        - The user's feeds (without their secret)
+ * POST   /api/feeds        - { name?, notes?, tagIds?, includeTasks? } creates a feed,
+ *                            answers 201 with the feed plus token and url (only once!)
+ * PUT    /api/feeds/:id    - Same body; changes what the feed contains
+ * DELETE /api/feeds/:id    - Revokes the feed, its URL stops working
+ * GET    /feeds/:token.ics - The feed itself (public, the token is the password)
+ *
+ * OPTIONS:
+ * -------
+ * - notes: 'all' (default) | 'tagged' (only notes with one of tagIds) | 'none'
+ * - tagIds: the user's own tags, required with notes 'tagged'. Tags are
+ *   matched on the note (a repeating note's series), not per day
+ * - includeTasks: whether tasks are in the feed (default true)
+ * - name: shown as the calendar's name in the calendar app
+ * Deleting a tag takes it off every feed (routes/tags.js); a 'tagged' feed
+ * whose tags are all gone shows no notes rather than all of them.
+ *
+ * SECURITY:
+ * --------
+ * - Calendar apps can't log in, so the URL carries a random token
+ *   (256 bits). Only its SHA-256 hash is stored, like refresh tokens, so the
+ *   URL can't be shown again: lost URLs are revoked and replaced
+ * - A feed is read-only and answers 404 for unknown or revoked tokens
+ * - lastUsedAt tells the user which feeds are still fetched (updated at
+ *   most once an hour)
+ *
+ * ============================================================================
+ */
+
+const { randomBytes, randomUUID, createHash } = require('crypto');
+const express = require('express');
+const { validate, fields } = require('../validation');
+const { writeCalendar } = require('../ical');
+
+const MAX_FEEDS_PER_USER = 20;
+const REFRESH_MINUTES = 60;
+const LAST_USED_PRECISION_MS = 60 * 60 * 1000;
+
+const feedBody = {
+  name: { type: 'string', trim: true, maxLength: 60, label: 'Name' },
+  notes: { type: 'string', trim: true, lowercase: true, enum: ['all', 'tagged', 'none'], label: 'Notes' },
+  tagIds: fields.tagIds,
+  includeTasks: { type: 'boolean', label: 'Include tasks' },
+};
+const createFeedSchema = {
+  body: feedBody,
+};
+const updateFeedSchema = {
+  params: { id: fields.id },
+  body: feedBody,
+};
+const feedIdSchema = {
+  params: { id: fields.id },
+};
+const feedTokenSchema = {
+  params: { token: { ...fields.token, maxLength: 100 } },
+};
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function feedPath(token) {
+  return `/feeds/${token}.ics`;
+}
+
+function toFeedResponse(feed) {
+  return {
+    id: feed.id,
+    name: feed.name,
+    notes: feed.notes,
+    tagIds: feed.tagIds,
+    includeTasks: feed.includeTasks,
+    createdAt: feed.createdAt,
+    lastUsedAt: feed.lastUsedAt,
+  };
+}
+
+// The notes a feed shows
+function feedNotes(feed, notes) {
+  if (feed.notes === 'none') {
+    return [];
+  }
+  if (feed.notes === 'tagged') {
+    const wanted = new Set(feed.tagIds);
+    return notes.filter((note) => (note.tagIds || []).some((tagId) => wanted.has(tagId)));
+  }
+  return notes;
+}
+
+function createFeedsRouter({ storage, authenticateToken, withLock }) {
+  const router = express.Router();
+
+  // Serializes feed writes per user so the feed limit holds
+  function withFeedLock(userId, operation) {
+    return withLock(`feeds:${userId}`, operation);
+  }
+
+  /**
+   * Feed options from a validated body. Sends a 400 and returns null if a
+   * tag is unknown or 'tagged' comes without tags.
+   */
+  async function feedOptions(userId, body, res) {
+    const notes = body.notes || 'all';
+    const tagIds = notes === 'tagged' ? [...new Set(body.tagIds || [])] : [];
+
+    if (notes === 'tagged' && tagIds.length === 0) {
+      const message = 'Pick at least one tag, or include all notes.';
+      res.status(400).json({ message, errors: [{ field: 'tagIds', message }] });
+      return null;
+    }
+    const known = new Set((await storage.list('tags', { userId })).map((tag) => tag.id));
+    if (tagIds.some((id) => !known.has(id))) {
+      const message = 'Some tags do not exist.';
+      res.status(400).json({ message, errors: [{ field: 'tagIds', message }] });
+      return null;
+    }
+
+    return {
+      name: body.name || 'WellWork',
+      notes,
+      tagIds,
+      includeTasks: body.includeTasks !== false,
+    };
+  }
+
+  router.get('/api/feeds', authenticateToken, async (req, res) => {
+    try {
+      const feeds = await storage.list('feedTokens', { userId: req.user.sub });
+      feeds.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      res.json(feeds.map(toFeedResponse));
+    } catch (error) {
+      console.error('List feeds error', error);
+      res.status(500).json({ message: 'Server error while listing calendar feeds.' });
+    }
+  });
+
+  router.post('/api/feeds', authenticateToken, validate(createFeedSchema), async (req, res) => {
+    try {
+      const userId = req.user.sub;
+      const options = await feedOptions(userId, req.body, res);
+      if (!options) return;
+
+      const token = randomBytes(32).toString('base64url');
+      const feed = await withFeedLock(userId, async () => {
+        const existing = await storage.list('feedTokens', { userId });
+        if (existing.length >= MAX_FEEDS_PER_USER) {
+          return null;
+        }
+        return storage.insert('feedTokens', {
+          id: randomUUID(),
+          userId,
+          tokenHash: hashToken(token),
+          ...options,
+          createdAt: new Date().toISOString(),
+          lastUsedAt: null,
+        });
+      });
+
+      if (!feed) {
+        return res.status(409).json({ message: `You can have at most ${MAX_FEEDS_PER_USER} calendar feeds.` });
+      }
+
+      res.location(`/api/feeds/${feed.id}`);
+      res.status(201).json({ ...toFeedResponse(feed), token, url: feedPath(token) });
+    } catch (error) {
+      console.error('Create feed error', error);
+      res.status(500).json({ message: 'Server error while creating calendar feed.' });
+    }
+  });
+
+  router.put('/api/feeds/:id', authenticateToken, validate(updateFeedSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const userId = req.user.sub;
+      const feed = await storage.findOne('feedTokens', { id, userId });
+
+      if (!feed) {
+        return res.status(404).json({ message: 'Calendar feed not found.' });
+      }
+
+      const options = await feedOptions(userId, req.body, res);
+      if (!options) return;
+
+      const updated = await storage.update('feedTokens', id, options);
+      res.json(toFeedResponse(updated));
+    } catch (error) {
+      console.error('Update feed error', error);
+      res.status(500).json({ message: 'Server error while updating calendar feed.' });
+    }
+  });
+
+  router.delete('/api/feeds/:id', authenticateToken, validate(feedIdSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const feed = await storage.findOne('feedTokens', { id, userId: req.user.sub });
+
+      if (!feed) {
+        return res.status(404).json({ message: 'Calendar feed not found.' });
+      }
+
+      await storage.remove('feedTokens', id);
+      res.json({ message: 'Calendar feed revoked.' });
+    } catch (error) {
+      console.error('Revoke feed error', error);
+      res.status(500).json({ message: 'Server error while revoking calendar feed.' });
+    }
+  });
+
+  router.get('/feeds/:token.ics', validate(feedTokenSchema), async (req, res) => {
+    try {
+      const feed = await storage.findOne('feedTokens', { tokenHash: hashToken(req.validated.params.token) });
+      if (!feed) {
+        return res.status(404).json({ message: 'Calendar feed not found.' });
+      }
+
+      const { userId } = feed;
+      const [notes, tasks, tags] = await Promise.all([
+        storage.list('notes', { userId }),
+        feed.includeTasks ? storage.list('tasks', { userId }) : [],
+        storage.list('tags', { userId }),
+      ]);
+
+      const now = new Date();
+      if (!feed.lastUsedAt || now - Date.parse(feed.lastUsedAt) >= LAST_USED_PRECISION_MS) {
+        await storage.update('feedTokens', feed.id, { lastUsedAt: now.toISOString() });
+      }
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="wellwork.ics"');
+      res.set('Cache-Control', 'private, no-cache');
+      res.send(writeCalendar({
+        notes: feedNotes(feed, notes),
+        tasks,
+        tags,
+        name: feed.name,
+        refreshMinutes: REFRESH_MINUTES,
+      }));
+    } catch (error) {
+      console.error('Calendar feed error', error);
+      res.status(500).json({ message: 'Server error while building calendar feed.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFeedsRouter };
@@ -0,0 +1,290 @@
+/**
+ * ============================================================================
+ * ICALENDAR ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Bring meetings from other calendar apps in as notes and tasks, and take
+ * WellWork notes and tasks out as an .ics file. The format itself (and
+ * how events map to notes and to-dos to tasks) is in ical.js.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * POST /api/import/ics?timezone=Europe/Berlin
+ *      - Body: the .ics file (Content-Type: text/calendar), at most 5 MB
+ *      - timezone: IANA time zone that times are converted to (default UTC)
+ *      - Answers { notes: { created, updated, unchanged }, tasks: { ... },
+ *        skipped: [{ uid, summary, message }], warnings: [...] }
+ * GET  /api/export/ics
+ *      - Every note and task of the user as a calendar file (download)
+ *
+ * RE-IMPORTING:
+ * ------------
+ * Imported notes and tasks remember their UID (icalUid). Importing a file
+ * again updates those records instead of adding copies (the file wins over
+ * changes made here), and leaves the ones that didn't change alone. UIDs
+ * of our own exports (<id>@wellwork) find the record they came from, so an
+ * export can be imported back.
+ * - A note that was imported and then deleted is skipped while it is in
+ *   the trash, and imported anew once the trash is emptied
+ * - Notes changed by an import get a new version in their history
+ * - Days that are full (routes/notes.js) are skipped
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { validate, fields } = require('../validation');
+const { authorFromRequest } = require('../noteHistory');
+const { nextVersion, MAX_NOTES_PER_DAY } = require('./notes');
+const { readCalendar, writeCalendar, IcalError, OWN_UID_SUFFIX } = require('../ical');
+
+const MAX_FILE_SIZE = '5mb';
+const NOTE_FIELDS = ['date', 'content', 'tagIds', 'recurrence', 'overrides'];
+const TASK_FIELDS = ['dueDate', 'dueTime', 'title', 'priority', 'status', 'completedAt', 'recurrence', 'overrides'];
+const EMPTY_FIELDS = { tagIds: [], dueTime: null, completedAt: null, recurrence: null, overrides: {} };
+
+const importSchema = {
+  query: { timezone: fields.timeZone },
+};
+
+// JSON with sorted keys, so records with the same fields compare equal
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Record fields of a calendar entry; only repeating ones keep a rule and overrides
+function newRecordFields({ recurrence, overrides, ...rest }) {
+  return recurrence ? { ...rest, recurrence, overrides } : rest;
+}
+
+// The fields of incoming that differ from the stored record
+function changedFields(existing, incoming, names) {
+  const stored = { ...EMPTY_FIELDS, ...existing };
+  return Object.fromEntries(
+    names
+      .filter((name) => canonical(stored[name]) !== canonical(incoming[name]))
+      .map((name) => [name, incoming[name]]),
+  );
+}
+
+// COMPLETED only has whole seconds: keep a stored completedAt of the same second
+function keepCompletedAt(incoming, existing) {
+  const sameSecond = (a, b) => Boolean(a && b) && a.slice(0, 19) === b.slice(0, 19);
+  const storedOverrides = existing.overrides || {};
+  return {
+    ...incoming,
+    completedAt: sameSecond(incoming.completedAt, existing.completedAt) ? existing.completedAt : incoming.completedAt,
+    overrides: Object.fromEntries(Object.entries(incoming.overrides).map(([date, override]) => {
+      const stored = storedOverrides[date];
+      return [date, stored && sameSecond(override.completedAt, stored.completedAt)
+        ? { ...override, completedAt: stored.completedAt }
+        : override];
+    })),
+  };
+}
+
+/**
+ * Looks records up the way an import finds them: by the UID they were
+ * imported with, or by id for UIDs of our own exports.
+ */
+function recordFinder(records) {
+  const byUid = new Map();
+  const byId = new Map();
+  for (const record of records) {
+    if (record.icalUid) {
+      byUid.set(record.icalUid, record);
+    } else {
+      byId.set(record.id, record);
+    }
+  }
+  return (uid) => {
+    const ownId = uid.endsWith(OWN_UID_SUFFIX) ? uid.slice(0, -OWN_UID_SUFFIX.length) : null;
+    return byUid.get(uid) || (ownId && byId.get(ownId)) || null;
+  };
+}
+
+function createIcalRouter({ storage, authenticateToken, withLock, noteHistory }) {
+  const router = express.Router();
+
+  function withDayLock(userId, date, operation) {
+    return withLock(`notes:${userId}:${date}`, operation);
+  }
+
+  async function lastPosition(userId, date) {
+    const dayNotes = await storage.list('notes', { userId, date });
+    return {
+      full: dayNotes.length >= MAX_NOTES_PER_DAY,
+      position: dayNotes.reduce((max, existing) => Math.max(max, existing.position || 0), 0),
+    };
+  }
+
+  /**
+   * Adds or updates the note of one calendar entry.
+   * Returns 'created' | 'updated' | 'unchanged' | 'full'.
+   */
+  async function importNote(req, uid, incoming, existing) {
+    const userId = req.user.sub;
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      return withDayLock(userId, incoming.date, async () => {
+        const day = await lastPosition(userId, incoming.date);
+        if (day.full) {
+          return 'full';
+        }
+        const note = await storage.insert('notes', {
+          id: randomUUID(),
+          userId,
+          ...newRecordFields(incoming),
+          icalUid: uid,
+          position: day.position + 1,
+          version: 1,
+          createdAt: now,
+          updatedAt: now,
+        });
+        await noteHistory.recordRevision(note, authorFromRequest(req));
+        return 'created';
+      });
+    }
+
+    const changes = changedFields(existing, incoming, NOTE_FIELDS);
+    if (Object.keys(changes).length === 0) {
+      return 'unchanged';
+    }
+    return withDayLock(userId, incoming.date, async () => {
+      if (changes.date) {
+        // Moved to another day: goes to the end of that day
+        const day = await lastPosition(userId, incoming.date);
+        if (day.full) {
+          return 'full';
+        }
+        changes.position = day.position + 1;
+      }
+      if (changes.content !== undefined) {
+        await noteHistory.ensureBaseline(existing);
+      }
+      const updated = await storage.update('notes', existing.id, { ...changes, version: nextVersion(existing), updatedAt: now });
+      if (changes.content !== undefined) {
+        await noteHistory.recordRevision(updated, authorFromRequest(req));
+      }
+      return 'updated';
+    });
+  }
+
+  /**
+   * Adds or updates the task of one calendar entry.
+   * Returns 'created' | 'updated' | 'unchanged'.
+   */
+  async function importTask(req, uid, incoming, existing) {
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      await storage.insert('tasks', {
+        id: randomUUID(),
+        userId: req.user.sub,
+        ...newRecordFields(incoming),
+        icalUid: uid,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return 'created';
+    }
+
+    const changes = changedFields(existing, keepCompletedAt(incoming, existing), TASK_FIELDS);
+    if (Object.keys(changes).length === 0) {
+      return 'unchanged';
+    }
+    await storage.update('tasks', existing.id, { ...changes, updatedAt: now });
+    return 'updated';
+  }
+
+  router.post(
+    '/api/import/ics',
+    authenticateToken,
+    express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_FILE_SIZE }),
+    validate(importSchema),
+    async (req, res) => {
+      try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+          const message = 'Send the .ics file as the request body (Content-Type: text/calendar).';
+          return res.status(400).json({ message, errors: [{ field: 'body', message }] });
+        }
+
+        const userId = req.user.sub;
+        const tags = await storage.list('tags', { userId });
+        const { entries, skipped, warnings } = readCalendar(req.body, {
+          timeZone: req.validated.query.timezone || 'UTC',
+          tagIdsByName: new Map(tags.map((tag) => [tag.name.toLowerCase(), tag.id])),
+        });
+
+        const findNote = recordFinder(await storage.list('notes', { userId }));
+        const findTrashed = recordFinder(await storage.list('trash', { userId }));
+        const findTask = recordFinder(await storage.list('tasks', { userId }));
+        const counts = {
+          notes: { created: 0, updated: 0, unchanged: 0 },
+          tasks: { created: 0, updated: 0, unchanged: 0 },
+        };
+        const skipNote = (entry, message) => {
+          skipped.push({ uid: entry.uid, summary: entry.fields.content.split('\n')[0], message });
+        };
+
+        for (const entry of entries) {
+          if (entry.kind === 'task') {
+            counts.tasks[await importTask(req, entry.uid, entry.fields, findTask(entry.uid))] += 1;
+            continue;
+          }
+          if (findTrashed(entry.uid)) {
+            skipNote(entry, 'This note was deleted and is in the trash.');
+            continue;
+          }
+          const result = await importNote(req, entry.uid, entry.fields, findNote(entry.uid));
+          if (result === 'full') {
+            skipNote(entry, `A day can hold at most ${MAX_NOTES_PER_DAY} notes.`);
+          } else {
+            counts.notes[result] += 1;
+          }
+        }
+
+        res.json({ ...counts, skipped, warnings });
+      } catch (error) {
+        if (error instanceof IcalError) {
+          return res.status(400).json({ message: error.message, errors: [{ field: 'body', message: error.message }] });
+        }
+        console.error('Import calendar error', error);
+        res.status(500).json({ message: 'Server error while importing the calendar.' });
+      }
+    },
+  );
+
+  router.get('/api/export/ics', authenticateToken, async (req, res) => {
+    try {
+      const userId = req.user.sub;
+      const [notes, tasks, tags] = await Promise.all([
+        storage.list('notes', { userId }),
+        storage.list('tasks', { userId }),
+        storage.list('tags', { userId }),
+      ]);
+
+      const today = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="wellwork-${today}.ics"`);
+      res.send(writeCalendar({ notes, tasks, tags }));
+    } catch (error) {
+      console.error('Export calendar error', error);
+      res.status(500).json({ message: 'Server error while exporting the calendar.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createIcalRouter, changedFields };
@@ -0,0 +1,692 @@
+/**
+ * ============================================================================
+ * NOTES ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * CRUD for a user's notes. A day holds an ordered list of notes
+ * (meetings, tasks, journal entries...), each edited on its own.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET    /api/notes         - The user's notes, sorted (see QUERYING below)
+ * POST   /api/notes         - { date, content, tagIds?, recurrence? } adds a note at the end of the day
+ * PUT    /api/notes/order   - { date, ids } reorders the notes of a day
+ * PUT    /api/notes/:id     - { content, tagIds?, recurrence? } edits one note
+ *                             (If-Match: see VERSIONS & CONFLICTS)
+ * DELETE /api/notes/:id     - Moves one note to the trash (see routes/trash.js)
+ * GET    /api/notes/:id/history
+ *                           - Every version of the note, newest first
+ * POST   /api/notes/:id/history/:revisionId/restore
+ *                           - Makes an old version the current content
+ *
+ * Writes answer with the affected note only: the new / edited / restored
+ * note, the trashed note for DELETE (with deletedAt), and the day's notes
+ * for a reorder. POST also sends a Location header pointing at the new note.
+ * Occurrence writes answer as described under REPEATING NOTES.
+ *
+ * VERSIONS & CONFLICTS:
+ * --------------------
+ * Each note has a version, 1 when created and one higher with every change
+ * to its content, tags, date, repeat rule or single days (not its position).
+ * Notes saved before versions existed count as version 1. Responses with a
+ * single note carry it as ETag ("3").
+ * PUT /api/notes/:id with If-Match: "3" only saves if the note is still at
+ * version 3; otherwise nothing changes and the answer is
+ *   409 { message, current: <the note as stored now> }
+ * so the client can show both sides (see Notes.jsx). If-Match: * accepts any
+ * version; without If-Match the last write wins, as before.
+ *
+ * QUERYING:
+ * --------
+ * GET /api/notes?from=2025-01-01&to=2025-01-31&tag=Work&limit=100&cursor=...
+ * - from / to: YYYY-MM-DD bounds, both inclusive (either may be left out)
+ * - expand=true: list repeating notes as their occurrences in from..to
+ *   (needs both bounds, at most MAX_EXPAND_DAYS apart); otherwise a
+ *   repeating note is listed once, as stored, if it occurs in the range
+ * - tag: tag ID or name (case-insensitive); an unknown tag matches nothing
+ * - limit: page size, 1-MAX_PAGE_SIZE; without it every match is returned
+ * - cursor: value of the X-Next-Cursor header of the previous page
+ * The body is always an array. When a limit cut the list short, the
+ * X-Next-Cursor response header holds the cursor for the next page.
+ * Cursors point after a note rather than at an offset, so notes added
+ * or deleted between two pages don't shift the pages around.
+ *
+ * REPEATING NOTES:
+ * ---------------
+ * recurrence is an RRULE-style rule ('FREQ=WEEKLY;BYDAY=MO', see
+ * recurrence.js) and the note's date is the first occurrence. '' stops a
+ * note repeating; leaving recurrence out of a PUT keeps the current rule.
+ * Occurrences share the note's id. Writes to one occurrence add
+ * ?occurrence=<date>&scope=this|future:
+ * - PUT, scope=this: changes that day only (stored as an override)
+ * - PUT, scope=future: the series ends the day before and a new note
+ *   (with the new content and rule) repeats from that day on; answers with
+ *   both notes, [ended series, new series]
+ * - DELETE, scope=this: cancels that day; scope=future: ends the series
+ *   the day before
+ * The other occurrence writes answer with the repeating note as stored,
+ * overrides included.
+ * scope=future on the first occurrence is the same as changing / deleting
+ * the whole note.
+ *
+ * TAGS:
+ * ----
+ * tagIds must be IDs of the user's own tags (routes/tags.js); leaving tagIds
+ * out of a PUT keeps the note's current tags.
+ *
+ * HISTORY:
+ * -------
+ * Every create, edit and restore stores a revision (see noteHistory.js),
+ * so a restore can itself be undone. Edits that don't change the content
+ * (e.g. only the tags) are not recorded.
+ *
+ * ORDERING:
+ * --------
+ * - Each note has a position; lists are sorted by date, then position
+ * - Notes saved before positions existed count as position 0 and
+ *   keep their creation order
+ * - Writes to one day are serialized with the notes:<userId>:<date> lock,
+ *   so two notes added at once never get the same position
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { validate, fields } = require('../validation');
+const { authorFromRequest } = require('../noteHistory');
+const { expandRecords, overlapsRange, occurrenceOf, splitSeries, pruneOverrides, differingFields, withOverride } = require('../recurrence');
+
+const MAX_NOTES_PER_DAY = 500;
+const MAX_PAGE_SIZE = 1000;
+const MAX_EXPAND_DAYS = 732;
+
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('This note was changed somewhere else.');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+const listNotesSchema = {
+  query: {
+    tag: { type: 'string', trim: true, maxLength: 100, label: 'Tag' },
+    from: { ...fields.date, required: false, label: 'From' },
+    to: { ...fields.date, required: false, label: 'To' },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, label: 'Limit' },
+    cursor: { type: 'string', trim: true, maxLength: 500, label: 'Cursor' },
+    expand: { type: 'boolean', label: 'Expand' },
+  },
+};
+const occurrenceQuery = {
+  occurrence: fields.occurrence,
+  scope: fields.occurrenceScope,
+};
+const createNoteSchema = {
+  body: { date: fields.date, content: fields.noteContent, tagIds: fields.tagIds, recurrence: fields.recurrence },
+};
+const updateNoteSchema = {
+  params: { id: fields.id },
+  query: occurrenceQuery,
+  body: { content: fields.noteContent, tagIds: fields.tagIds, recurrence: fields.recurrence },
+};
+const reorderNotesSchema = {
+  body: {
+    date: fields.date,
+    ids: { type: 'array', required: true, maxLength: MAX_NOTES_PER_DAY, items: fields.id, label: 'Note order' },
+  },
+};
+const noteIdSchema = {
+  params: { id: fields.id },
+};
+const deleteNoteSchema = {
+  params: { id: fields.id },
+  query: occurrenceQuery,
+};
+const restoreRevisionSchema = {
+  params: { id: fields.id, revisionId: { ...fields.id, label: 'Revision ID' } },
+};
+
+function toRevisionResponse(revision, index) {
+  return {
+    id: revision.id,
+    noteId: revision.noteId,
+    content: revision.content,
+    createdAt: revision.createdAt,
+    sessionId: revision.sessionId,
+    userAgent: revision.userAgent,
+    current: index === 0,
+  };
+}
+
+function compareNotes(a, b) {
+  if (a.date !== b.date) {
+    return a.date < b.date ? -1 : 1;
+  }
+  const byPosition = (a.position || 0) - (b.position || 0);
+  if (byPosition !== 0) {
+    return byPosition;
+  }
+  const byCreation = String(a.createdAt).localeCompare(String(b.createdAt));
+  if (byCreation !== 0) {
+    return byCreation;
+  }
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Page cursors are the sort key of the last note sent, base64url-encoded.
+ */
+function encodeCursor(note) {
+  const key = { date: note.date, position: note.position || 0, createdAt: note.createdAt, id: note.id };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * The sort key inside a cursor, or null if it isn't one of ours.
+ */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = key && typeof key.date === 'string' && typeof key.id === 'string'
+      && Number.isInteger(key.position) && typeof key.createdAt === 'string';
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function sendQueryError(res, field, message) {
+  return res.status(400).json({ message, errors: [{ field: `query.${field}`, message }] });
+}
+
+/**
+ * Version a note gets with its next change (see VERSIONS & CONFLICTS).
+ * Every route that changes a note's content, tags, date or repeat rule
+ * stores this with the change.
+ */
+function nextVersion(note) {
+  return (note.version || 1) + 1;
+}
+
+const noteETag = (note) => `"${note.version || 1}"`;
+
+/**
+ * The entity tags listed in an If-Match header: '*', an array of tags, or
+ * null without the header. Weak tags (W/"3") never match, as for any If-Match.
+ */
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header) {
+    return null;
+  }
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return header.split(',').map((tag) => tag.trim()).filter((tag) => tag.startsWith('"'));
+}
+
+// Throws a VersionConflictError unless note is at a version ifMatch lists
+function checkVersion(note, ifMatch) {
+  if (ifMatch && ifMatch !== '*' && !ifMatch.includes(noteETag(note))) {
+    throw new VersionConflictError(note);
+  }
+}
+
+function sendNote(res, note) {
+  res.set('ETag', noteETag(note));
+  return res.json(note);
+}
+
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+
+/**
+ * Checks ?occurrence=&scope= on a write. Returns the occurrence date when
+ * the write targets part of a repeating note, null when it is about the
+ * whole note, or false after sending a 400 / 404.
+ */
+function resolveOccurrence(req, res, note) {
+  const { occurrence, scope } = req.validated.query;
+  if (scope && !occurrence) {
+    sendQueryError(res, 'occurrence', 'Occurrence is required with a scope.');
+    return false;
+  }
+  if (!occurrence) {
+    return null;
+  }
+  if (!occurrenceOf(note, 'date', occurrence)) {
+    res.status(404).json({ message: 'Occurrence not found.' });
+    return false;
+  }
+  // A note that doesn't repeat, or the whole series from its first day on
+  if (!note.recurrence || (scope === 'future' && occurrence === note.date)) {
+    return null;
+  }
+  return occurrence;
+}
+
+function createNotesRouter({ storage, authenticateToken, withLock, noteHistory, trash }) {
+  const router = express.Router();
+
+  async function listUserNotes(userId) {
+    const notes = await storage.list('notes', { userId });
+    return notes.sort(compareNotes);
+  }
+
+  function withDayLock(userId, date, operation) {
+    return withLock(`notes:${userId}:${date}`, operation);
+  }
+
+  /**
+   * Checks tagIds against the user's tags. Sends a 400 and returns null if
+   * any is unknown; otherwise returns the IDs without duplicates.
+   */
+  async function resolveTagIds(userId, tagIds, res) {
+    if (tagIds === undefined) {
+      return undefined;
+    }
+    const unique = [...new Set(tagIds)];
+    const known = new Set((await storage.list('tags', { userId })).map((tag) => tag.id));
+    if (unique.some((id) => !known.has(id))) {
+      const message = 'Some tags do not exist.';
+      res.status(400).json({ message, errors: [{ field: 'tagIds', message }] });
+      return null;
+    }
+    return unique;
+  }
+
+  /**
+   * Adds a note at the end of its day and records its first version.
+   * Returns the note, or null if the day is full.
+   */
+  async function createNote(req, fields) {
+    return withDayLock(fields.userId, fields.date, async () => {
+      const dayNotes = await storage.list('notes', { userId: fields.userId, date: fields.date });
+      if (dayNotes.length >= MAX_NOTES_PER_DAY) {
+        return null;
+      }
+      const lastPosition = dayNotes.reduce((max, existing) => Math.max(max, existing.position || 0), 0);
+      const now = new Date().toISOString();
+      const created = await storage.insert('notes', {
+        id: randomUUID(),
+        ...fields,
+        position: lastPosition + 1,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+      await noteHistory.recordRevision(created, authorFromRequest(req));
+      return created;
+    });
+  }
+
+  /**
+   * Applies { content, tagIds?, recurrence? } to a note; a content change
+   * also records a new version. Returns the note as saved, or null if it
+   * disappeared in the meantime. Throws a VersionConflictError if the note
+   * is no longer at a version ifMatch lists.
+   */
+  async function writeNote(req, note, { content, tagIds, recurrence }, ifMatch = null) {
+    return withDayLock(note.userId, note.date, async () => {
+      const current = await storage.findOne('notes', { id: note.id, userId: note.userId });
+      if (!current) {
+        return null;
+      }
+      checkVersion(current, ifMatch);
+
+      const contentChanged = current.content !== content;
+      const tagsChanged = tagIds !== undefined
+        && JSON.stringify(tagIds) !== JSON.stringify(current.tagIds || []);
+      const recurrenceChanged = recurrence !== undefined && (recurrence || null) !== (current.recurrence || null);
+      if (!contentChanged && !tagsChanged && !recurrenceChanged) {
+        return current;
+      }
+
+      const changes = { version: nextVersion(current), updatedAt: new Date().toISOString() };
+      if (contentChanged) {
+        await noteHistory.ensureBaseline(current);
+        changes.content = content;
+      }
+      if (tagsChanged) {
+        changes.tagIds = tagIds;
+      }
+      if (recurrenceChanged) {
+        changes.recurrence = recurrence || null;
+        changes.overrides = pruneOverrides({ ...current, ...changes }, 'date');
+      }
+      const updated = await storage.update('notes', current.id, changes);
+      if (contentChanged) {
+        await noteHistory.recordRevision(updated, authorFromRequest(req));
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * "This occurrence" edit: stores what differs from the series as the
+   * occurrence's override. Returns the note as saved, or null if the
+   * occurrence (or the note) is gone. Checks ifMatch like writeNote.
+   */
+  async function writeOccurrence(note, date, { content, tagIds }, ifMatch = null) {
+    return withDayLock(note.userId, note.date, async () => {
+      const current = await storage.findOne('notes', { id: note.id, userId: note.userId });
+      const occurrence = current && occurrenceOf(current, 'date', date);
+      if (!occurrence) {
+        return null;
+      }
+      checkVersion(current, ifMatch);
+
+      const series = { ...current, tagIds: current.tagIds || [] };
+      const override = differingFields(series, { content, tagIds: tagIds ?? occurrence.tagIds ?? [] });
+      return storage.update('notes', current.id, {
+        overrides: withOverride(current.overrides, date, override),
+        version: nextVersion(current),
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * "This and all future" edit: ends the series the day before date and
+   * starts a new note there with the edit applied. Returns [ended, new],
+   * null if the occurrence is gone, or [ended] if date's day is full.
+   * Checks ifMatch (against the series) like writeNote.
+   */
+  async function splitNote(req, note, date, { content, tagIds, recurrence }, ifMatch = null) {
+    const split = await withDayLock(note.userId, note.date, async () => {
+      const current = await storage.findOne('notes', { id: note.id, userId: note.userId });
+      if (!current || !occurrenceOf(current, 'date', date)) {
+        return null;
+      }
+      checkVersion(current, ifMatch);
+      const { before, after } = splitSeries(current, 'date', date);
+      const ended = await storage.update('notes', current.id, {
+        ...before,
+        version: nextVersion(current),
+        updatedAt: new Date().toISOString(),
+      });
+      return { current, ended, after };
+    });
+    if (!split) {
+      return null;
+    }
+
+    const { current, ended, after } = split;
+    const rule = recurrence === undefined ? after.recurrence : recurrence || null;
+    const created = await createNote(req, {
+      userId: current.userId,
+      date,
+      content,
+      tagIds: tagIds ?? current.tagIds ?? [],
+      recurrence: rule,
+      overrides: pruneOverrides({ date, recurrence: rule, overrides: after.overrides }, 'date'),
+    });
+    return created ? [ended, created] : [ended];
+  }
+
+  router.get('/api/notes', authenticateToken, validate(listNotesSchema), async (req, res) => {
+    try {
+      const { tag, from, to, limit, cursor, expand } = req.validated.query;
+
+      if (from && to && from > to) {
+        return sendQueryError(res, 'to', 'To must not be before From.');
+      }
+      if (expand && (!from || !to)) {
+        return sendQueryError(res, 'expand', 'Expanding repeating notes needs both From and To.');
+      }
+      if (expand && daysBetween(from, to) > MAX_EXPAND_DAYS) {
+        return sendQueryError(res, 'to', `With expand, From and To can be at most ${MAX_EXPAND_DAYS} days apart.`);
+      }
+      const after = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !after) {
+        return sendQueryError(res, 'cursor', 'Cursor is not valid.');
+      }
+
+      let notes = await listUserNotes(req.user.sub);
+      notes = expand
+        ? expandRecords(notes, 'date', from, to).sort(compareNotes)
+        : notes.filter((note) => overlapsRange(note, 'date', from, to));
+
+      if (tag) {
+        const tags = await storage.list('tags', { userId: req.user.sub });
+        const match = tags.find((candidate) => candidate.id === tag)
+          || tags.find((candidate) => candidate.name.toLowerCase() === tag.toLowerCase());
+        notes = match ? notes.filter((note) => (note.tagIds || []).includes(match.id)) : [];
+      }
+      if (after) {
+        notes = notes.filter((note) => compareNotes(note, after) > 0);
+      }
+
+      if (limit && notes.length > limit) {
+        notes = notes.slice(0, limit);
+        res.set('X-Next-Cursor', encodeCursor(notes[notes.length - 1]));
+      }
+      res.json(notes);
+    } catch (error) {
+      console.error('Get notes error', error);
+      res.status(500).json({ message: 'Server error while fetching notes.' });
+    }
+  });
+
+  router.post('/api/notes', authenticateToken, validate(createNoteSchema), async (req, res) => {
+    try {
+      const { date, content, recurrence } = req.body;
+      const userId = req.user.sub;
+      const tagIds = await resolveTagIds(userId, req.body.tagIds || [], res);
+      if (!tagIds) return;
+
+      const note = await createNote(req, {
+        userId,
+        date,
+        content,
+        tagIds,
+        ...(recurrence ? { recurrence, overrides: {} } : {}),
+      });
+
+      if (!note) {
+        return res.status(400).json({ message: `A day can hold at most ${MAX_NOTES_PER_DAY} notes.` });
+      }
+
+      res.location(`/api/notes/${note.id}`);
+      res.status(201);
+      sendNote(res, note);
+    } catch (error) {
+      console.error('Create note error', error);
+      res.status(500).json({ message: 'Server error while creating note.' });
+    }
+  });
+
+  // Declared before /api/notes/:id so "order" is not taken for a note ID
+  router.put('/api/notes/order', authenticateToken, validate(reorderNotesSchema), async (req, res) => {
+    try {
+      const { date, ids } = req.body;
+      const userId = req.user.sub;
+
+      const result = await withDayLock(userId, date, async () => {
+        const dayNotes = (await storage.list('notes', { userId, date })).sort(compareNotes);
+        const byId = new Map(dayNotes.map((note) => [note.id, note]));
+        if (ids.some((id) => !byId.has(id))) {
+          return null;
+        }
+
+        // Listed notes first, in the given order; any the client did not
+        // know about (e.g. added from another device) keep their order after them
+        const listed = new Set(ids);
+        const ordered = [...ids.map((id) => byId.get(id)), ...dayNotes.filter((note) => !listed.has(note.id))];
+        const reordered = [];
+        for (const [index, note] of ordered.entries()) {
+          reordered.push(note.position === index + 1
+            ? note
+            : await storage.update('notes', note.id, { position: index + 1 }));
+        }
+        return reordered;
+      });
+
+      if (!result) {
+        const message = 'Some notes in the new order do not belong to this day.';
+        return res.status(400).json({ message, errors: [{ field: 'ids', message }] });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Reorder notes error', error);
+      res.status(500).json({ message: 'Server error while reordering notes.' });
+    }
+  });
+
+  router.put('/api/notes/:id', authenticateToken, validate(updateNoteSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { content, recurrence } = req.body;
+      const ifMatch = parseIfMatch(req);
+
+      const note = await storage.findOne('notes', { id, userId: req.user.sub });
+      if (!note) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+
+      const tagIds = await resolveTagIds(req.user.sub, req.body.tagIds, res);
+      if (tagIds === null) return;
+
+      const occurrence = resolveOccurrence(req, res, note);
+      if (occurrence === false) return;
+
+      if (occurrence && req.validated.query.scope === 'future') {
+        const notes = await splitNote(req, note, occurrence, { content, tagIds, recurrence }, ifMatch);
+        if (!notes) {
+          return res.status(404).json({ message: 'Occurrence not found.' });
+        }
+        if (notes.length === 1) {
+          return res.status(400).json({ message: `A day can hold at most ${MAX_NOTES_PER_DAY} notes.` });
+        }
+        return res.json(notes);
+      }
+
+      if (occurrence) {
+        if (recurrence !== undefined) {
+          const message = 'A single occurrence keeps the repeat rule of its series.';
+          return res.status(400).json({ message, errors: [{ field: 'recurrence', message }] });
+        }
+        const saved = await writeOccurrence(note, occurrence, { content, tagIds }, ifMatch);
+        if (!saved) {
+          return res.status(404).json({ message: 'Occurrence not found.' });
+        }
+        return sendNote(res, saved);
+      }
+
+      const saved = await writeNote(req, note, { content, tagIds, recurrence }, ifMatch);
+      if (!saved) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+
+      sendNote(res, saved);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        res.set('ETag', noteETag(error.current));
+        return res.status(409).json({ message: error.message, current: error.current });
+      }
+      console.error('Update note error', error);
+      res.status(500).json({ message: 'Server error while updating note.' });
+    }
+  });
+
+  router.delete('/api/notes/:id', authenticateToken, validate(deleteNoteSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const note = await storage.findOne('notes', { id, userId: req.user.sub });
+
+      const occurrence = note && resolveOccurrence(req, res, note);
+      if (occurrence === false) return;
+
+      if (occurrence) {
+        const { scope } = req.validated.query;
+        const updated = await withDayLock(note.userId, note.date, async () => {
+          const current = await storage.findOne('notes', { id, userId: note.userId });
+          if (!current || !occurrenceOf(current, 'date', occurrence)) {
+            return null;
+          }
+          const changes = scope === 'future'
+            ? splitSeries(current, 'date', occurrence).before
+            : { overrides: withOverride(current.overrides, occurrence, { cancelled: true }) };
+          return storage.update('notes', id, { ...changes, version: nextVersion(current), updatedAt: new Date().toISOString() });
+        });
+
+        if (!updated) {
+          return res.status(404).json({ message: 'Occurrence not found.' });
+        }
+        return sendNote(res, updated);
+      }
+
+      const trashed = note && (await withDayLock(note.userId, note.date, async () => {
+        // Re-read under the lock so a concurrent edit is not lost
+        const current = await storage.findOne('notes', { id, userId: note.userId });
+        return current ? trash.moveToTrash(current) : null;
+      }));
+
+      if (!trashed) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+
+      res.json(trashed);
+    } catch (error) {
+      console.error('Delete note error', error);
+      res.status(500).json({ message: 'Server error while deleting note.' });
+    }
+  });
+
+  router.get('/api/notes/:id/history', authenticateToken, validate(noteIdSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const note = await storage.findOne('notes', { id, userId: req.user.sub });
+
+      if (!note) {
+        return res.status(404).json({ message: 'Note not found.' });
+      }
+
+      let revisions = await noteHistory.listRevisions(id);
+      if (revisions.length === 0) {
+        // Never changed since history was added: the note itself is the only version
+        revisions = [{ id: null, noteId: id, content: note.content, createdAt: note.updatedAt, sessionId: null, userAgent: null }];
+      }
+
+      res.json(revisions.map(toRevisionResponse));
+    } catch (error) {
+      console.error('Note history error', error);
+      res.status(500).json({ message: 'Server error while fetching note history.' });
+    }
+  });
+
+  router.post(
+    '/api/notes/:id/history/:revisionId/restore',
+    authenticateToken,
+    validate(restoreRevisionSchema),
+    async (req, res) => {
+      try {
+        const { id, revisionId } = req.validated.params;
+        const note = await storage.findOne('notes', { id, userId: req.user.sub });
+        const revision = note && (await noteHistory.findRevision(id, revisionId));
+
+        if (!revision) {
+          return res.status(404).json({ message: 'Note version not found.' });
+        }
+
+        const restored = await writeNote(req, note, { content: revision.content });
+        if (!restored) {
+          return res.status(404).json({ message: 'Note not found.' });
+        }
+
+        sendNote(res, restored);
+      } catch (error) {
+        console.error('Restore note error', error);
+        res.status(500).json({ message: 'Server error while restoring note.' });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = { createNotesRouter, compareNotes, nextVersion, MAX_NOTES_PER_DAY };
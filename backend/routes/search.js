@@ -0,0 +1,63 @@
+/**
+ * ============================================================================
+ * SEARCH ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Full-text search over the user's notes (ranking and snippets: search.js).
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET /api/notes/search?q=<words>&from=<date>&to=<date>&limit=<n>
+ *   - q: words to look for (all must match, the last one as a prefix)
+ *   - from / to: optional YYYY-MM-DD bounds, both inclusive
+ *   - limit: number of results, 1-50 (default 20)
+ *
+ * RESPONSE:
+ * --------
+ * {
+ *   query: 'team meet',
+ *   total: 3,                       // matches before limit
+ *   results: [{ id, date, tagIds, updatedAt, score, snippet, highlights: [[start, end]] }]
+ * }
+ *
+ * ============================================================================
+ */
+
+const express = require('express');
+const { validate, fields } = require('../validation');
+
+const searchSchema = {
+  query: {
+    q: { type: 'string', required: true, trim: true, maxLength: 200, label: 'Search text' },
+    from: { ...fields.date, required: false, label: 'From' },
+    to: { ...fields.date, required: false, label: 'To' },
+    limit: { type: 'integer', min: 1, max: 50, label: 'Limit' },
+  },
+};
+
+function createSearchRouter({ search, authenticateToken }) {
+  const router = express.Router();
+
+  router.get('/api/notes/search', authenticateToken, validate(searchSchema), async (req, res) => {
+    try {
+      const { q, from, to, limit } = req.validated.query;
+
+      if (from && to && from > to) {
+        const message = 'To must not be before From.';
+        return res.status(400).json({ message, errors: [{ field: 'query.to', message }] });
+      }
+
+      const { total, results } = await search.search(req.user.sub, q, { from, to, limit });
+      res.json({ query: q, total, results });
+    } catch (error) {
+      console.error('Search notes error', error);
+      res.status(500).json({ message: 'Server error while searching notes.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * SYNC ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Keep a client's offline copy of notes, tasks and tags up to date by
+ * sending only what changed since its last sync, deletions included
+ * (see changeLog.js for how changes are tracked).
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET /api/sync               - Everything (first sync)
+ * GET /api/sync?since=<cursor> - What changed after that cursor
+ *
+ * RESPONSE:
+ * --------
+ * {
+ *   cursor: '...',          // send as ?since= next time
+ *   reset: false,           // true: this is everything, replace the copy
+ *   notes: [...], tasks: [...], tags: [...],      // changed or new, as stored
+ *   deleted: { notes: [ids], tasks: [ids], tags: [ids] }
+ * }
+ * - Repeating notes and tasks come as stored (rule + overrides); clients
+ *   expand them themselves
+ * - A record may arrive again in the next sync; apply changes by ID
+ * - Notes moved to the trash count as deleted, restored ones as changed
+ *
+ * STARTING OVER:
+ * -------------
+ * Cursors are opaque. A cursor older than the tombstone retention (see
+ * changeLog.js), or from before the server's data was replaced, gets a
+ * full answer with reset: true. A cursor that isn't one of ours is a 400.
+ *
+ * ============================================================================
+ */
+
+const express = require('express');
+const { validate } = require('../validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const syncSchema = {
+  query: {
+    since: { type: 'string', trim: true, maxLength: 200, label: 'Since' },
+  },
+};
+
+/**
+ * Cursors hold the change number and when it was handed out, base64url-encoded.
+ */
+function encodeCursor(seq, issuedAt) {
+  return Buffer.from(JSON.stringify({ seq, at: issuedAt })).toString('base64url');
+}
+
+/**
+ * The { seq, at } inside a cursor, or null if it isn't one of ours.
+ */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = key && Number.isInteger(key.seq) && key.seq >= 0 && typeof key.at === 'number';
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function createSyncRouter({ changeLog, authenticateToken }) {
+  const router = express.Router();
+
+  router.get('/api/sync', authenticateToken, validate(syncSchema), async (req, res) => {
+    try {
+      const { since } = req.validated.query;
+      const after = since ? decodeCursor(since) : null;
+      if (since && !after) {
+        const message = 'Sync cursor is not valid.';
+        return res.status(400).json({ message, errors: [{ field: 'query.since', message }] });
+      }
+
+      const now = Date.now();
+      const reset = !after
+        || now - after.at > changeLog.retentionDays * DAY_MS
+        || after.seq > await changeLog.currentSeq();
+
+      const { changed, deleted, seq } = await changeLog.changesSince(req.user.sub, reset ? -1 : after.seq);
+
+      res.json({
+        cursor: encodeCursor(seq, now),
+        reset,
+        ...changed,
+        deleted: reset ? { notes: [], tasks: [], tags: [] } : deleted,
+      });
+    } catch (error) {
+      console.error('Sync error', error);
+      res.status(500).json({ message: 'Server error while syncing.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSyncRouter };
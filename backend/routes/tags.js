@@ -0,0 +1,199 @@
+/**
+ * ============================================================================
+ * TAG ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Manage a user's own tags (e.g. "Work", "Wellness"). Each tag has a name
+ * and a colour; notes refer to tags by ID in their tagIds list.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET    /api/tags        - All of the user's tags, sorted by name
+ * POST   /api/tags        - { name, color } creates a tag
+ * PUT    /api/tags/:id    - { name?, color? } renames / recolours a tag
+ * DELETE /api/tags/:id    - Deletes a tag and takes it off every note and calendar feed
+ *
+ * RULES:
+ * -----
+ * - Names are unique per user, ignoring case (409 otherwise)
+ * - Colours are hex colours like #4f46e5
+ * - At most MAX_TAGS_PER_USER tags per user
+ *
+ * Filtering notes by tag: GET /api/notes?tag=<id or name> (routes/notes.js)
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { validate, fields } = require('../validation');
+const { nextVersion } = require('./notes');
+
+const MAX_TAGS_PER_USER = 100;
+
+const createTagSchema = {
+  body: { name: fields.tagName, color: fields.color },
+};
+const updateTagSchema = {
+  params: { id: fields.id },
+  body: { name: { ...fields.tagName, required: false }, color: { ...fields.color, required: false } },
+};
+const tagIdSchema = {
+  params: { id: fields.id },
+};
+
+function toTagResponse(tag) {
+  return { id: tag.id, name: tag.name, color: tag.color, createdAt: tag.createdAt };
+}
+
+function sendNameTaken(res) {
+  const message = 'You already have a tag with this name.';
+  return res.status(409).json({ message, errors: [{ field: 'name', message }] });
+}
+
+function createTagsRouter({ storage, authenticateToken, withLock }) {
+  const router = express.Router();
+
+  // Serializes tag writes per user so names stay unique
+  function withTagLock(userId, operation) {
+    return withLock(`tags:${userId}`, operation);
+  }
+
+  function sameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+
+  router.get('/api/tags', authenticateToken, async (req, res) => {
+    try {
+      const tags = await storage.list('tags', { userId: req.user.sub });
+      tags.sort((a, b) => a.name.localeCompare(b.name));
+      res.json(tags.map(toTagResponse));
+    } catch (error) {
+      console.error('Get tags error', error);
+      res.status(500).json({ message: 'Server error while fetching tags.' });
+    }
+  });
+
+  router.post('/api/tags', authenticateToken, validate(createTagSchema), async (req, res) => {
+    try {
+      const { name, color } = req.body;
+      const userId = req.user.sub;
+
+      const result = await withTagLock(userId, async () => {
+        const tags = await storage.list('tags', { userId });
+        if (tags.some((tag) => sameName(tag.name, name))) {
+          return { error: 'taken' };
+        }
+        if (tags.length >= MAX_TAGS_PER_USER) {
+          return { error: 'limit' };
+        }
+        const tag = await storage.insert('tags', {
+          id: randomUUID(),
+          userId,
+          name,
+          color,
+          createdAt: new Date().toISOString(),
+        });
+        return { tag };
+      });
+
+      if (result.error === 'taken') {
+        return sendNameTaken(res);
+      }
+      if (result.error === 'limit') {
+        return res.status(400).json({ message: `You can have at most ${MAX_TAGS_PER_USER} tags.` });
+      }
+
+      res.status(201).json(toTagResponse(result.tag));
+    } catch (error) {
+      console.error('Create tag error', error);
+      res.status(500).json({ message: 'Server error while creating tag.' });
+    }
+  });
+
+  router.put('/api/tags/:id', authenticateToken, validate(updateTagSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { name, color } = req.body;
+      const userId = req.user.sub;
+
+      const result = await withTagLock(userId, async () => {
+        const tags = await storage.list('tags', { userId });
+        const tag = tags.find((existing) => existing.id === id);
+        if (!tag) {
+          return { error: 'missing' };
+        }
+        if (name && tags.some((other) => other.id !== id && sameName(other.name, name))) {
+          return { error: 'taken' };
+        }
+
+        const changes = {};
+        if (name) changes.name = name;
+        if (color) changes.color = color;
+        return { tag: await storage.update('tags', id, changes) };
+      });
+
+      if (result.error === 'missing') {
+        return res.status(404).json({ message: 'Tag not found.' });
+      }
+      if (result.error === 'taken') {
+        return sendNameTaken(res);
+      }
+
+      res.json(toTagResponse(result.tag));
+    } catch (error) {
+      console.error('Update tag error', error);
+      res.status(500).json({ message: 'Server error while updating tag.' });
+    }
+  });
+
+  router.delete('/api/tags/:id', authenticateToken, validate(tagIdSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const userId = req.user.sub;
+
+      const deleted = await withTagLock(userId, async () => {
+        const tag = await storage.findOne('tags', { id, userId });
+        if (!tag) {
+          return false;
+        }
+        await storage.remove('tags', id);
+
+        // Take the tag off notes, including the ones in the trash
+        for (const collection of ['notes', 'trash']) {
+          const tagged = (await storage.list(collection, { userId }))
+            .filter((note) => Array.isArray(note.tagIds) && note.tagIds.includes(id));
+          for (const note of tagged) {
+            await storage.update(collection, note.id, {
+              tagIds: note.tagIds.filter((tagId) => tagId !== id),
+              version: nextVersion(note),
+            });
+          }
+        }
+
+        // And off calendar feeds (routes/feeds.js)
+        const feeds = (await storage.list('feedTokens', { userId }))
+          .filter((feed) => feed.tagIds.includes(id));
+        for (const feed of feeds) {
+          await storage.update('feedTokens', feed.id, { tagIds: feed.tagIds.filter((tagId) => tagId !== id) });
+        }
+        return true;
+      });
+
+      if (!deleted) {
+        return res.status(404).json({ message: 'Tag not found.' });
+      }
+
+      res.json({ message: 'Tag deleted.' });
+    } catch (error) {
+      console.error('Delete tag error', error);
+      res.status(500).json({ message: 'Server error while deleting tag.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTagsRouter, MAX_TAGS_PER_USER };
@@ -0,0 +1,309 @@
+/**
+ * ============================================================================
+ * TASK ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Tasks are to-dos with a due date, unlike notes (free text kept on a date).
+ * Each task has a title, a due date and optional time, a priority and a
+ * status, so finished work can be ticked off and stops triggering reminders.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET    /api/tasks        - The user's tasks, ?from=&to= (due dates, inclusive), ?status= and ?expand=
+ * POST   /api/tasks        - { title, dueDate, dueTime?, priority?, status?, recurrence? } creates a task
+ * PUT    /api/tasks/:id    - Same body; replaces the task's fields
+ * DELETE /api/tasks/:id    - Deletes a task
+ *
+ * Writes answer with the affected task only; POST also sends a Location header.
+ *
+ * FIELDS:
+ * ------
+ * - dueTime: 'HH:MM' (24-hour) or left out for "any time that day"
+ * - priority: 'low' | 'medium' (default) | 'high'
+ * - status: 'todo' (default) | 'in-progress' | 'done'
+ * - completedAt: set when the status becomes 'done', cleared otherwise
+ * - recurrence: RRULE-style repeat rule (see recurrence.js), dueDate being
+ *   the first occurrence
+ * PUT replaces every field, so leaving dueTime or recurrence out clears it.
+ *
+ * REPEATING TASKS:
+ * ---------------
+ * Work like repeating notes (routes/notes.js): ?expand=true lists the
+ * occurrences within from..to, and writes to one occurrence add
+ * ?occurrence=<date>&scope=this|future. Each occurrence has its own
+ * status, so ticking off this week's task is a scope=this PUT; the
+ * occurrence keeps its date and the series' repeat rule.
+ * - PUT, scope=future answers with [ended series, new series]
+ * - the other occurrence writes answer with the repeating task as stored
+ * ?status= filters occurrences when expanding, the stored tasks otherwise.
+ *
+ * ORDER:
+ * -----
+ * By due date, then time (tasks without a time first), then priority
+ * (high first), then creation.
+ *
+ * ============================================================================
+ */
+
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { validate, fields } = require('../validation');
+const { expandRecords, overlapsRange, occurrenceOf, splitSeries, pruneOverrides, differingFields, withOverride } = require('../recurrence');
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const MAX_EXPAND_DAYS = 732;
+
+const taskBody = {
+  title: fields.taskTitle,
+  dueDate: { ...fields.date, label: 'Due date' },
+  dueTime: { ...fields.time, label: 'Due time' },
+  priority: fields.priority,
+  status: fields.taskStatus,
+  recurrence: fields.recurrence,
+};
+const occurrenceQuery = {
+  occurrence: fields.occurrence,
+  scope: fields.occurrenceScope,
+};
+const listTasksSchema = {
+  query: {
+    from: { ...fields.date, required: false, label: 'From' },
+    to: { ...fields.date, required: false, label: 'To' },
+    status: { ...fields.taskStatus, label: 'Status' },
+    expand: { type: 'boolean', label: 'Expand' },
+  },
+};
+const createTaskSchema = {
+  body: taskBody,
+};
+const updateTaskSchema = {
+  params: { id: fields.id },
+  query: occurrenceQuery,
+  body: taskBody,
+};
+const deleteTaskSchema = {
+  params: { id: fields.id },
+  query: occurrenceQuery,
+};
+
+function compareTasks(a, b) {
+  if (a.dueDate !== b.dueDate) {
+    return a.dueDate < b.dueDate ? -1 : 1;
+  }
+  const timeA = a.dueTime || '';
+  const timeB = b.dueTime || '';
+  if (timeA !== timeB) {
+    return timeA < timeB ? -1 : 1;
+  }
+  const byPriority = PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority];
+  if (byPriority !== 0) {
+    return byPriority;
+  }
+  return String(a.createdAt).localeCompare(String(b.createdAt));
+}
+
+function sendQueryError(res, field, message) {
+  return res.status(400).json({ message, errors: [{ field: `query.${field}`, message }] });
+}
+
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+
+/**
+ * Checks ?occurrence=&scope= on a write. Returns the occurrence date when
+ * the write targets part of a repeating task, null when it is about the
+ * whole task, or false after sending a 400 / 404.
+ */
+function resolveOccurrence(req, res, task) {
+  const { occurrence, scope } = req.validated.query;
+  if (scope && !occurrence) {
+    sendQueryError(res, 'occurrence', 'Occurrence is required with a scope.');
+    return false;
+  }
+  if (!occurrence) {
+    return null;
+  }
+  if (!occurrenceOf(task, 'dueDate', occurrence)) {
+    res.status(404).json({ message: 'Occurrence not found.' });
+    return false;
+  }
+  if (!task.recurrence || (scope === 'future' && occurrence === task.dueDate)) {
+    return null;
+  }
+  return occurrence;
+}
+
+/**
+ * Task fields from a validated body, with defaults and completedAt
+ * kept in step with the status.
+ */
+function taskFields(body, existing = null) {
+  const status = body.status || 'todo';
+  let completedAt = null;
+  if (status === 'done') {
+    completedAt = existing && existing.status === 'done' ? existing.completedAt : new Date().toISOString();
+  }
+  return {
+    title: body.title,
+    dueDate: body.dueDate,
+    dueTime: body.dueTime || null,
+    priority: body.priority || 'medium',
+    status,
+    completedAt,
+  };
+}
+
+// The fields a "this occurrence" edit can change (not the date or the rule)
+function occurrenceFields(body, occurrence) {
+  const { dueDate: _dueDate, ...rest } = taskFields(body, occurrence);
+  return rest;
+}
+
+function createTasksRouter({ storage, authenticateToken, withLock }) {
+  const router = express.Router();
+
+  // Serializes writes to one task, so edits to different occurrences
+  // (each rewriting the task's overrides) don't lose each other
+  function withTaskLock(userId, id, operation) {
+    return withLock(`tasks:${userId}:${id}`, operation);
+  }
+
+  router.get('/api/tasks', authenticateToken, validate(listTasksSchema), async (req, res) => {
+    try {
+      const { from, to, status, expand } = req.validated.query;
+
+      if (from && to && from > to) {
+        return sendQueryError(res, 'to', 'To must not be before From.');
+      }
+      if (expand && (!from || !to)) {
+        return sendQueryError(res, 'expand', 'Expanding repeating tasks needs both From and To.');
+      }
+      if (expand && daysBetween(from, to) > MAX_EXPAND_DAYS) {
+        return sendQueryError(res, 'to', `With expand, From and To can be at most ${MAX_EXPAND_DAYS} days apart.`);
+      }
+
+      let tasks = await storage.list('tasks', { userId: req.user.sub });
+      tasks = expand
+        ? expandRecords(tasks, 'dueDate', from, to)
+        : tasks.filter((task) => overlapsRange(task, 'dueDate', from, to));
+      if (status) {
+        tasks = tasks.filter((task) => task.status === status);
+      }
+
+      res.json(tasks.sort(compareTasks));
+    } catch (error) {
+      console.error('Get tasks error', error);
+      res.status(500).json({ message: 'Server error while fetching tasks.' });
+    }
+  });
+
+  router.post('/api/tasks', authenticateToken, validate(createTaskSchema), async (req, res) => {
+    try {
+      const now = new Date().toISOString();
+      const task = await storage.insert('tasks', {
+        id: randomUUID(),
+        userId: req.user.sub,
+        ...taskFields(req.body),
+        ...(req.body.recurrence ? { recurrence: req.body.recurrence, overrides: {} } : {}),
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      res.location(`/api/tasks/${task.id}`);
+      res.status(201).json(task);
+    } catch (error) {
+      console.error('Create task error', error);
+      res.status(500).json({ message: 'Server error while creating task.' });
+    }
+  });
+
+  router.put('/api/tasks/:id', authenticateToken, validate(updateTaskSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      await withTaskLock(req.user.sub, id, async () => {
+        const existing = await storage.findOne('tasks', { id, userId: req.user.sub });
+
+        if (!existing) {
+          return res.status(404).json({ message: 'Task not found.' });
+        }
+
+        const occurrence = resolveOccurrence(req, res, existing);
+        if (occurrence === false) return;
+        const now = new Date().toISOString();
+        const recurrence = req.body.recurrence || null;
+
+        if (occurrence && req.validated.query.scope === 'future') {
+          // End the series the day before; a new task repeats from there on
+          const { before, after } = splitSeries(existing, 'dueDate', occurrence);
+          const ended = await storage.update('tasks', id, { ...before, updatedAt: now });
+          const rule = req.body.recurrence === undefined ? after.recurrence : recurrence;
+          const created = await storage.insert('tasks', {
+            id: randomUUID(),
+            userId: req.user.sub,
+            ...taskFields({ ...req.body, dueDate: occurrence }),
+            recurrence: rule,
+            overrides: pruneOverrides({ dueDate: occurrence, recurrence: rule, overrides: after.overrides }, 'dueDate'),
+            createdAt: now,
+            updatedAt: now,
+          });
+          return res.json([ended, created]);
+        }
+
+        if (occurrence) {
+          const current = occurrenceOf(existing, 'dueDate', occurrence);
+          const override = differingFields(existing, occurrenceFields(req.body, current));
+          const updated = await storage.update('tasks', id, {
+            overrides: withOverride(existing.overrides, occurrence, override),
+            updatedAt: now,
+          });
+          return res.json(updated);
+        }
+
+        const changes = { ...taskFields(req.body, existing), recurrence, updatedAt: now };
+        if (recurrence !== (existing.recurrence || null)) {
+          changes.overrides = pruneOverrides({ ...existing, ...changes }, 'dueDate');
+        }
+        const task = await storage.update('tasks', id, changes);
+        res.json(task);
+      });
+    } catch (error) {
+      console.error('Update task error', error);
+      res.status(500).json({ message: 'Server error while updating task.' });
+    }
+  });
+
+  router.delete('/api/tasks/:id', authenticateToken, validate(deleteTaskSchema), async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      await withTaskLock(req.user.sub, id, async () => {
+        const task = await storage.findOne('tasks', { id, userId: req.user.sub });
+
+        if (!task) {
+          return res.status(404).json({ message: 'Task not found.' });
+        }
+
+        const occurrence = resolveOccurrence(req, res, task);
+        if (occurrence === false) return;
+
+        if (occurrence) {
+          const changes = req.validated.query.scope === 'future'
+            ? splitSeries(task, 'dueDate', occurrence).before
+            : { overrides: withOverride(task.overrides, occurrence, { cancelled: true }) };
+          const updated = await storage.update('tasks', id, { ...changes, updatedAt: new Date().toISOString() });
+          return res.json(updated);
+        }
+
+        await storage.remove('tasks', id);
+        res.json(task);
+      });
+    } catch (error) {
+      console.error('Delete task error', error);
+      res.status(500).json({ message: 'Server error while deleting task.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTasksRouter, compareTasks };
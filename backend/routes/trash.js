@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * TRASH ROUTES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DO THESE ROUTES DO?
+ * ------------------------
+ * Let users see, restore and permanently delete notes they deleted.
+ * DELETE /api/notes/:id only moves a note here; see trash.js.
+ *
+ * API ENDPOINTS (all protected):
+ * -----------------------------
+ * GET    /api/trash              - { retentionDays, notes: [{ ...note, deletedAt, purgeAt }] }
+ * POST   /api/trash/:id/restore  - Puts the note back; answers with the restored note
+ * DELETE /api/trash/:id          - Deletes one trashed note for good
+ * DELETE /api/trash              - Empties the trash
+ *
+ * ============================================================================
+ */
+
+const express = require('express');
+const { validate, fields } = require('../validation');
+
+const trashIdSchema = {
+  params: { id: fields.id },
+};
+
+function createTrashRouter({ trash, authenticateToken }) {
+  const router = express.Router();
+
+  router.get('/api/trash', authenticateToken, async (req, res) => {
+    try {
+      res.json({
+        retentionDays: trash.retentionDays,
+        notes: await trash.list(req.user.sub),
+      });
+    } catch (error) {
+      console.error('Get trash error', error);
+      res.status(500).json({ message: 'Server error while fetching the trash.' });
+    }
+  });
+
+  router.post('/api/trash/:id/restore', authenticateToken, validate(trashIdSchema), async (req, res) => {
+    try {
+      const restored = await trash.restore(req.user.sub, req.validated.params.id);
+
+      if (!restored) {
+        return res.status(404).json({ message: 'Note not found in the trash.' });
+      }
+
+      res.json(restored);
+    } catch (error) {
+      console.error('Restore from trash error', error);
+      res.status(500).json({ message: 'Server error while restoring note.' });
+    }
+  });
+
+  router.delete('/api/trash/:id', authenticateToken, validate(trashIdSchema), async (req, res) => {
+    try {
+      if (!(await trash.purge(req.user.sub, req.validated.params.id))) {
+        return res.status(404).json({ message: 'Note not found in the trash.' });
+      }
+      res.json({ message: 'Note deleted for good.' });
+    } catch (error) {
+      console.error('Purge note error', error);
+      res.status(500).json({ message: 'Server error while deleting note.' });
+    }
+  });
+
+  router.delete('/api/trash', authenticateToken, async (req, res) => {
+    try {
+      const deleted = await trash.empty(req.user.sub);
+      res.json({ message: 'Trash emptied.', deleted });
+    } catch (error) {
+      console.error('Empty trash error', error);
+      res.status(500).json({ message: 'Server error while emptying the trash.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * NOTE SEARCH - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Full-text search over a user's notes: ranked results with a highlighted
+ * snippet each, optionally limited to a date range.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. Words are split on anything that isn't a letter or digit, lower-cased
+ *    and stripped of accents ("Café" matches "cafe")
+ * 2. Each user gets an in-memory inverted index (word -> note IDs), built
+ *    from storage the first time they search
+ * 3. observe(storage) wraps the storage so every write to the notes
+ *    collection (whichever route makes it) updates the index right away
+ * 4. A note matches when it contains every query word; the last word
+ *    of the query also matches as a prefix ("meet" finds "meeting"),
+ *    so results show up while typing
+ * 5. Ranking is BM25 (rare words and short notes weigh more) with a bonus
+ *    when the query appears as a whole phrase; ties go to the newest date
+ *
+ * SNIPPETS:
+ * --------
+ * snippet is plain text (at most SNIPPET_LENGTH characters around the first
+ * hit, with "…" where it was cut) and highlights lists [start, end)
+ * character ranges of matched words within it. Clients wrap those ranges
+ * in <mark>; the text itself is never HTML.
+ *
+ * Repeating notes match a date range when any of their occurrences falls
+ * in it (overlapsRange, like GET /api/notes); date stays the series start.
+ *
+ * Trashed notes are not searchable until they are restored.
+ *
+ * ============================================================================
+ */
+
+const { overlapsRange } = require('./recurrence');
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+const PHRASE_BONUS = 1.5;
+
+function foldWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Words of a text with their position: [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    tokens.push({ term: foldWord(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Query words in order, without duplicates.
+ */
+function parseQuery(query) {
+  return [...new Set(tokenize(query).map((token) => token.term))].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Builds a matcher telling whether an indexed word satisfies a query word.
+ * Only the last query word is a prefix (the one still being typed).
+ */
+function termMatcher(queryTerms) {
+  const last = queryTerms[queryTerms.length - 1];
+  return (term, queryTerm) => term === queryTerm || (queryTerm === last && term.startsWith(queryTerm));
+}
+
+/**
+ * Cuts a snippet around the first hit and lists the highlighted ranges in it.
+ */
+function buildSnippet(content, queryTerms) {
+  const matches = termMatcher(queryTerms);
+  const hits = tokenize(content).filter((token) => queryTerms.some((queryTerm) => matches(token.term, queryTerm)));
+
+  let start = 0;
+  if (hits.length > 0 && content.length > SNIPPET_LENGTH) {
+    start = Math.max(0, Math.min(hits[0].start - SNIPPET_LEAD, content.length - SNIPPET_LENGTH));
+    // Don't start halfway through a word
+    if (start > 0) {
+      const space = content.slice(start, hits[0].start).search(/\s/);
+      if (space >= 0) start += space + 1;
+    }
+  }
+  let end = Math.min(content.length, start + SNIPPET_LENGTH);
+  // ...nor end halfway through one
+  if (end < content.length) {
+    const lastSpace = content.slice(start, end).search(/\s\S*$/);
+    if (lastSpace > 0) end = start + lastSpace;
+  }
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  return {
+    snippet: prefix + content.slice(start, end) + suffix,
+    highlights: hits
+      .filter((hit) => hit.start >= start && hit.end <= end)
+      .map((hit) => [hit.start - start + prefix.length, hit.end - start + prefix.length]),
+  };
+}
+
+function createSearchService({ storage }) {
+  // userId -> { docs: Map(noteId -> doc), postings: Map(term -> Set(noteId)), totalLength }
+  const indexes = new Map();
+  // userId -> promise of the first load
+  const loading = new Map();
+
+  function removeFromIndex(index, noteId) {
+    const doc = index.docs.get(noteId);
+    if (!doc) {
+      return;
+    }
+    for (const term of doc.terms.keys()) {
+      const ids = index.postings.get(term);
+      ids.delete(noteId);
+      if (ids.size === 0) {
+        index.postings.delete(term);
+      }
+    }
+    index.totalLength -= doc.length;
+    index.docs.delete(noteId);
+  }
+
+  function addToIndex(index, note) {
+    removeFromIndex(index, note.id);
+
+    const tokens = tokenize(note.content);
+    const terms = new Map();
+    for (const { term } of tokens) {
+      terms.set(term, (terms.get(term) || 0) + 1);
+    }
+    for (const term of terms.keys()) {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Set());
+      }
+      index.postings.get(term).add(note.id);
+    }
+
+    index.docs.set(note.id, {
+      id: note.id,
+      date: note.date,
+      recurrence: note.recurrence || null,
+      content: note.content || '',
+      tagIds: note.tagIds || [],
+      updatedAt: note.updatedAt,
+      terms,
+      length: tokens.length,
+    });
+    index.totalLength += tokens.length;
+  }
+
+  async function loadUser(userId) {
+    if (indexes.has(userId)) {
+      return indexes.get(userId);
+    }
+    if (!loading.has(userId)) {
+      const load = (async () => {
+        const index = { docs: new Map(), postings: new Map(), totalLength: 0 };
+        for (const note of await storage.list('notes', { userId })) {
+          addToIndex(index, note);
+        }
+        indexes.set(userId, index);
+        return index;
+      })();
+      loading.set(userId, load);
+      load.finally(() => loading.delete(userId)).catch(() => {});
+    }
+    return loading.get(userId);
+  }
+
+  /**
+   * Applies a change to the user's index. Users who never searched have no
+   * index yet; if theirs is being built, the change waits for it, so a
+   * write racing the first search is not lost.
+   */
+  function whenIndexed(userId, apply) {
+    if (indexes.has(userId)) {
+      apply(indexes.get(userId));
+    } else if (loading.has(userId)) {
+      loading.get(userId).then(apply, () => {});
+    }
+  }
+
+  function noteWritten(note) {
+    if (note) {
+      whenIndexed(note.userId, (index) => addToIndex(index, note));
+    }
+  }
+
+  function noteRemoved(note) {
+    if (note) {
+      whenIndexed(note.userId, (index) => removeFromIndex(index, note.id));
+    }
+  }
+
+  return {
+    /**
+     * Ranked matches for a query: { total, results: [{ id, date, tagIds,
+     * updatedAt, score, snippet, highlights }] }, best first.
+     * from / to (YYYY-MM-DD, inclusive) limit the dates searched; a
+     * repeating note is in range when one of its occurrences is.
+     */
+    async search(userId, query, { from, to, limit = 20 } = {}) {
+      const queryTerms = parseQuery(query);
+      if (queryTerms.length === 0) {
+        return { total: 0, results: [] };
+      }
+
+      const index = await loadUser(userId);
+      const candidates = [...index.docs.values()].filter((doc) => overlapsRange(doc, 'date', from, to));
+      if (candidates.length === 0) {
+        return { total: 0, results: [] };
+      }
+
+      const matches = termMatcher(queryTerms);
+      const docCount = index.docs.size;
+      const averageLength = index.totalLength / docCount || 1;
+      const phrase = queryTerms.length > 1 ? queryTerms.join(' ') : null;
+
+      // Indexed words each query word matches, and how many notes hold them
+      const expansions = queryTerms.map((queryTerm) => {
+        const terms = [...index.postings.keys()].filter((term) => matches(term, queryTerm));
+        const noteIds = new Set(terms.flatMap((term) => [...index.postings.get(term)]));
+        const idf = Math.log(1 + (docCount - noteIds.size + 0.5) / (noteIds.size + 0.5));
+        return { terms, idf };
+      });
+
+      const scored = [];
+      for (const doc of candidates) {
+        let score = 0;
+        const matchesAll = expansions.every(({ terms, idf }) => {
+          const frequency = terms.reduce((sum, term) => sum + (doc.terms.get(term) || 0), 0);
+          if (frequency === 0) {
+            return false;
+          }
+          const norm = K1 * (1 - B + (B * doc.length) / averageLength);
+          score += (idf * frequency * (K1 + 1)) / (frequency + norm);
+          return true;
+        });
+        if (!matchesAll) {
+          continue;
+        }
+        if (phrase && tokenize(doc.content).map((token) => token.term).join(' ').includes(phrase)) {
+          score *= PHRASE_BONUS;
+        }
+        scored.push({ doc, score });
+      }
+
+      scored.sort((a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date));
+
+      return {
+        total: scored.length,
+        results: scored.slice(0, limit).map(({ doc, score }) => ({
+          id: doc.id,
+          date: doc.date,
+          tagIds: doc.tagIds,
+          updatedAt: doc.updatedAt,
+          score: Math.round(score * 1000) / 1000,
+          ...buildSnippet(doc.content, queryTerms),
+        })),
+      };
+    },
+
+    /**
+     * Wraps a storage driver so writes to the notes collection keep the
+     * index current. Everything else passes straight through.
+     */
+    observe(store) {
+      return {
+        ...store,
+
+        async insert(collection, record) {
+          const inserted = await store.insert(collection, record);
+          if (collection === 'notes') noteWritten(inserted);
+          return inserted;
+        },
+
+        async update(collection, id, changes) {
+          const updated = await store.update(collection, id, changes);
+          if (collection === 'notes') noteWritten(updated);
+          return updated;
+        },
+
+        async remove(collection, id) {
+          // Read first: the owner is needed to find the right index
+          const note = collection === 'notes' ? await store.findOne(collection, { id }) : null;
+          const removed = await store.remove(collection, id);
+          if (removed) noteRemoved(note);
+          return removed;
+        },
+
+        async removeWhere(collection, filter) {
+          const doomed = collection === 'notes' ? await store.list(collection, filter) : [];
+          const count = await store.removeWhere(collection, filter);
+          doomed.forEach(noteRemoved);
+          return count;
+        },
+
+        async replaceAll(collection, records) {
+          const result = await store.replaceAll(collection, records);
+          if (collection === 'notes') indexes.clear();
+          return result;
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createSearchService };
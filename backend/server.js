@@ -7,40 +7,106 @@
  * --------------------------
  * Provides REST API backend for WorkWell application:
  * - User authentication (register/login)
- * - JWT token generation and validation
+ * - JWT token generation and validation, refresh token rotation
  * - Notes CRUD operations (Create, Read, Update, Delete)
- * - File-based data storage (JSON files)
+ * - Tasks with due date/time, priority and status
+ * - Repeating notes and tasks (RRULE-style rules, expanded per date range)
+ * - iCalendar (.ics) import and export of notes and tasks (ical.js)
+ * - Secret calendar feed URLs that calendar apps can subscribe to
+ * - Whole-account export (.zip of JSON, CSV and Markdown) and merging import
+ * - Delta sync: changes and deletions since a cursor (changeLog.js)
+ * - Idempotent writes: repeated Idempotency-Key requests are answered once (idempotency.js)
+ * - Full-text note search with an in-memory index (search.js)
+ * - Pluggable data storage (JSON files or SQLite)
  * 
  * ARCHITECTURE:
  * ------------
  * - Express.js web server
- * - File-based storage (user.json, notes.json)
- * - JWT authentication middleware
+ * - Feature routers in routes/ (created with their dependencies passed in)
+ * - Pluggable storage (JSON files by default, SQLite optional - see storage/)
+ * - JWT authentication middleware + server-side sessions
  * - CORS enabled for frontend communication
  * 
  * API ENDPOINTS:
  * -------------
  * GET  /health              - Server health check
  * POST /register            - Create new user account
- * POST /login               - Authenticate user, get JWT token
- * GET  /api/notes           - Get all user's notes (protected)
- * POST /api/notes           - Create or update note (protected)
- * PUT  /api/notes/:id       - Update specific note (protected)
- * DELETE /api/notes/:id     - Delete specific note (protected)
+ * POST /login               - Authenticate user, get access + refresh token
+ * POST /password/forgot     - Mail a password reset link
+ * POST /password/reset      - Set new password with a reset token
+ * POST /auth/refresh        - Rotate refresh token, get new access token
+ * POST /logout              - Revoke the session of a refresh token
+ * GET  /auth/sessions       - List active sessions (protected)
+ * DELETE /auth/sessions/:id - Revoke one session (protected)
+ * DELETE /auth/sessions     - Revoke all other sessions (protected)
+ * GET  /api/me              - Account info (protected)
+ * PUT  /api/me/password     - Change password (protected)
+ * PUT  /api/me/username     - Change username (protected)
+ * DELETE /api/me            - Delete account and all its data (protected)
+ * GET  /api/notes           - Get user's notes, ?from=&to=&tag=&limit=&cursor=&expand= (protected)
+ * GET  /api/notes/search    - Full-text search, ?q=&from=&to=&limit= (protected)
+ * POST /api/notes           - Add a note to a day (protected)
+ * PUT  /api/notes/order     - Reorder the notes of a day (protected)
+ * PUT  /api/notes/:id       - Update specific note, ?occurrence=&scope= for one repeat,
+ *                             If-Match: "<version>" to refuse (409) overwriting other changes (protected)
+ * DELETE /api/notes/:id     - Move specific note to the trash, or cancel repeats (protected)
+ * GET  /api/notes/:id/history - Every version of a note (protected)
+ * POST /api/notes/:id/history/:revisionId/restore - Restore a version (protected)
+ * GET  /api/trash           - Deleted notes and when they will be purged (protected)
+ * POST /api/trash/:id/restore - Restore a deleted note (protected)
+ * DELETE /api/trash/:id     - Delete a trashed note for good (protected)
+ * DELETE /api/trash         - Empty the trash (protected)
+ * GET  /api/tags            - List the user's tags (protected)
+ * POST /api/tags            - Create a tag { name, color } (protected)
+ * PUT  /api/tags/:id        - Rename / recolour a tag (protected)
+ * DELETE /api/tags/:id      - Delete a tag and remove it from notes (protected)
+ * GET  /api/tasks           - List tasks, ?from=&to=&status=&expand= (protected)
+ * POST /api/tasks           - Create a task { title, dueDate, dueTime?, priority?, status?, recurrence? } (protected)
+ * PUT  /api/tasks/:id       - Update a task, e.g. mark it done, ?occurrence=&scope= for one repeat (protected)
+ * DELETE /api/tasks/:id     - Delete a task (protected)
+ * POST /api/import/ics      - Import events / to-dos from an .ics file, ?timezone= (protected)
+ * GET  /api/export/ics      - Download notes and tasks as an .ics file (protected)
+ * GET  /api/feeds           - List calendar feeds (protected)
+ * POST /api/feeds           - Create a feed { name?, notes?, tagIds?, includeTasks? }, answers its secret URL once (protected)
+ * PUT  /api/feeds/:id       - Change what a feed contains (protected)
+ * DELETE /api/feeds/:id     - Revoke a feed (protected)
+ * GET  /feeds/:token.ics    - A feed's live calendar (the token is the password)
+ * GET  /api/export          - Download all of the account's data as a .zip (protected)
+ * POST /api/import          - Merge such a .zip into the account (protected)
+ * GET  /api/sync            - Notes, tasks and tags changed or deleted ?since= a cursor (protected)
  * 
  * SECURITY:
  * --------
- * - Passwords hashed with bcrypt (10 rounds)
- * - JWT tokens expire after 1 hour
- * - Protected routes require valid JWT token
+ * - Passwords hashed with bcrypt (10 rounds, async - never blocks the event loop)
+ * - Login/register/password routes rate limited per IP, logins locked out
+ *   temporarily after repeated failures (see rateLimiter.js)
+ * - Access tokens (JWT) expire after ACCESS_TOKEN_TTL (default 1 hour)
+ * - Refresh tokens rotate on every use and expire after 30 days
+ * - Sessions are stored server-side and can be revoked (see sessions.js)
+ * - Protected routes require valid JWT token of an active session
+ * - Every route validates its input declaratively (validation.js),
+ *   errors come back as 400 { message, errors: [{ field, message }] }
  * - CORS configured for development
  * 
  * DATA STORAGE:
  * ------------
- * - user.json: Stores user accounts (username, hashed password, ID)
- * - notes.json: Stores all notes (user-specific, date-based)
- * - Files auto-created if missing
- * - Corrupted files auto-reset to empty arrays
+ * - Routes talk to the storage interface (storage/index.js), never to files
+ * - users collection: user accounts (username, optional email, hashed password, ID)
+ * - notes collection: all notes (user-specific, several per date, ordered by position, tagIds,
+ *   version counting their changes)
+ * - tags collection: user-defined tags { name, color }
+ * - tasks collection: to-dos { title, dueDate, dueTime, priority, status }
+ * - Repeating notes and tasks keep a rule and per-day overrides (see recurrence.js)
+ * - Notes and tasks imported from a calendar file keep its UID (icalUid)
+ * - noteRevisions collection: every version of every note (see noteHistory.js)
+ * - trash collection: deleted notes until they are restored or purged (see trash.js)
+ * - feedTokens collection: calendar feeds, with only a hash of their secret token
+ * - Notes, tasks and tags carry a change number (changeSeq); removing one leaves
+ *   a record in the tombstones collection (see changeLog.js)
+ * - operations collection: answers to writes sent with an Idempotency-Key (see idempotency.js)
+ * - json driver: user.json / notes.json, auto-created if missing,
+ *   written atomically (temp file + rename) with a .bak of the last version
+ * - sqlite driver: workwell.db, import JSON data with npm run migrate:sqlite
  * 
  * COMMON QUESTIONS:
  * ----------------
@@ -48,13 +114,14 @@
  * A: Set PORT environment variable or modify default (currently 5000)
  * 
  * Q: How do I use a real database?
- * A: Replace readUsers/writeUsers and readNotes/writeNotes with database calls
+ * A: Set STORAGE_DRIVER=sqlite, or add a driver in storage/ for another database
  * 
  * Q: How do I change token expiration?
- * A: Modify expiresIn in jwt.sign() call (currently '1h')
+ * A: Set ACCESS_TOKEN_TTL (e.g. '15m') and REFRESH_TOKEN_TTL_DAYS
  * 
- * Q: How do I add password reset?
- * A: Add new endpoint that generates reset token and sends email
+ * Q: How does password reset send e-mail?
+ * A: Through mailer.js. By default messages land in backend/outbox as .eml
+ *    files; plug in your own transport for real delivery
  * 
  * Q: How do I deploy this?
  * A: Use services like Heroku, Railway, or AWS. Set environment variables.
@@ -62,8 +129,6 @@
  * ============================================================================
  */
 
-const path = require('path');
-const fs = require('fs').promises;
 const { randomUUID } = require('crypto');
 const express = require('express');
 const cors = require('cors');
@@ -71,6 +136,28 @@ const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const { createStorage } = require('./storage');
+const { createKeyedLock } = require('./storage/lock');
+const { createSessionService, SessionError } = require('./sessions');
+const { createMailer } = require('./mailer');
+const { createPasswordResetService } = require('./passwordResets');
+const { createAccountRouter } = require('./routes/account');
+const { createNotesRouter } = require('./routes/notes');
+const { createNoteHistoryService } = require('./noteHistory');
+const { createTrashService } = require('./trash');
+const { createTrashRouter } = require('./routes/trash');
+const { createTagsRouter } = require('./routes/tags');
+const { createTasksRouter } = require('./routes/tasks');
+const { createIcalRouter } = require('./routes/ical');
+const { createFeedsRouter } = require('./routes/feeds');
+const { createArchiveRouter } = require('./routes/archive');
+const { createChangeLogService } = require('./changeLog');
+const { createSyncRouter } = require('./routes/sync');
+const { createIdempotencyService } = require('./idempotency');
+const { createSearchService } = require('./search');
+const { createSearchRouter } = require('./routes/search');
+const { createRateLimiter, createLockout, rateLimit, sendTooManyRequests } = require('./rateLimiter');
+const { validate, fields } = require('./validation');
 
 dotenv.config();
 
@@ -79,16 +166,110 @@ dotenv.config();
  * ------------
  * - PORT: Server port (default: 5000)
  * - JWT_SECRET: Secret key for signing tokens (use env var in production!)
- * - DATA_FILE: Path to user data file
- * - NOTES_FILE: Path to notes data file
+ * - ACCESS_TOKEN_TTL: Access token lifetime (default: '1h')
+ * - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime in days (default: 30)
+ * - APP_URL: Frontend URL used in password reset links (default: http://localhost:5173)
+ * - RESET_TOKEN_TTL_MINUTES: Password reset link lifetime (default: 30)
+ * - MAIL_TRANSPORT / MAIL_OUTBOX_DIR / MAIL_FROM: see mailer.js
+ * - AUTH_RATE_LIMIT_PER_MINUTE: Requests per IP per minute on login/register/password routes (default: 20)
+ * - LOGIN_MAX_FAILURES: Failed logins per username before lockout (default: 5)
+ * - LOGIN_LOCKOUT_MINUTES: Lockout duration (default: 15)
+ * - TRUST_PROXY: Express "trust proxy" setting, needed behind a reverse proxy
+ * - STORAGE_DRIVER: 'json' (default) or 'sqlite', see storage/index.js
+ * - DATA_DIR: Folder holding user.json/notes.json (json driver)
+ * - SQLITE_FILE: Database file (sqlite driver)
+ * - TRASH_RETENTION_DAYS: Days a deleted note stays in the trash (default: 30)
+ * - TOMBSTONE_RETENTION_DAYS: Days deletions are remembered for delta sync (default: 90)
+ * - OPERATION_RETENTION_DAYS: Days a write's Idempotency-Key is remembered (default: 30)
  */
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'workwell-dev-secret';
-const DATA_FILE = path.join(__dirname, 'user.json');
-const NOTES_FILE = path.join(__dirname, 'notes.json');
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const BCRYPT_ROUNDS = 10;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * STORAGE + SEARCH INDEX + CHANGE LOG
+ * -----------------------------------
+ * Routes get the storage wrapped by the search service and the change
+ * log, so every write to notes also updates the search index (see
+ * search.js) and every write to notes, tasks and tags is numbered for
+ * delta sync (see changeLog.js).
+ */
+const baseStorage = createStorage();
+const search = createSearchService({ storage: baseStorage });
+const changeLog = createChangeLogService({
+  storage: baseStorage,
+  retentionDays: Number(process.env.TOMBSTONE_RETENTION_DAYS) || 90,
+});
+const storage = changeLog.observe(search.observe(baseStorage));
+const sessions = createSessionService({
+  storage,
+  jwtSecret: JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '1h',
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+});
+const passwordResets = createPasswordResetService({
+  storage,
+  mailer: createMailer(),
+  appUrl: APP_URL,
+  tokenTtlMinutes: Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30,
+});
+const noteHistory = createNoteHistoryService({ storage });
+
+/**
+ * BRUTE-FORCE PROTECTION
+ * ----------------------
+ * - authLimiter: per-IP request limit on unauthenticated auth routes
+ * - usernameLockout: locks an account after LOGIN_MAX_FAILURES failed logins
+ * - ipLockout: locks an IP guessing across many usernames (4x the budget)
+ * - DUMMY_PASSWORD_HASH: compared against for unknown usernames, so
+ *   response time doesn't reveal whether an account exists
+ */
+const authLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: Number(process.env.AUTH_RATE_LIMIT_PER_MINUTE) || 20,
+});
+const usernameLockout = createLockout({
+  maxFailures: LOGIN_MAX_FAILURES,
+  windowMs: LOGIN_LOCKOUT_MS,
+  lockoutMs: LOGIN_LOCKOUT_MS,
+});
+const ipLockout = createLockout({
+  maxFailures: LOGIN_MAX_FAILURES * 4,
+  windowMs: LOGIN_LOCKOUT_MS,
+  lockoutMs: LOGIN_LOCKOUT_MS,
+});
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('workwell-dummy-password', BCRYPT_ROUNDS);
+
+/**
+ * REQUEST LOCKS
+ * -------------
+ * Serializes "check, then write" sequences that must not interleave,
+ * e.g. two registrations for the same username or two saves for the same day.
+ */
+const withLock = createKeyedLock();
+
+const idempotency = createIdempotencyService({
+  storage,
+  withLock,
+  retentionDays: Number(process.env.OPERATION_RETENTION_DAYS) || 30,
+});
+
+const trash = createTrashService({
+  storage,
+  noteHistory,
+  withLock,
+  retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+});
 
 const app = express();
 
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 /**
  * MIDDLEWARE SETUP
  * ---------------
@@ -102,86 +283,12 @@ const app = express();
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'Idempotency-Key'],
+  exposedHeaders: ['Retry-After', 'Location', 'X-Next-Cursor', 'Content-Disposition', 'ETag', 'Idempotent-Replayed'],
   credentials: false
 }));
 app.use(bodyParser.json());
 
-/**
- * FILE OPERATIONS - USER DATA
- * ---------------------------
- * Reads user data from user.json file.
- * 
- * ERROR HANDLING:
- * - File doesn't exist: Creates empty file, returns []
- * - File is corrupted: Resets to empty file, returns []
- * - File is empty: Returns []
- * - Other errors: Throws error
- * 
- * RETURN FORMAT:
- * Array of user objects: [{ id, username, passwordHash, createdAt }, ...]
- */
-async function readUsers() {
-  try {
-    const raw = await fs.readFile(DATA_FILE, 'utf-8');
-    if (!raw || !raw.trim()) {
-      return [];
-    }
-
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch (parseError) {
-      // If the JSON file is corrupted, reset it to an empty array
-      console.error('Corrupted user.json, resetting file.', parseError);
-      await fs.writeFile(DATA_FILE, '[]', 'utf-8');
-      return [];
-    }
-
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      await fs.writeFile(DATA_FILE, '[]', 'utf-8');
-      return [];
-    }
-    throw error;
-  }
-}
-
-async function writeUsers(users) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(users, null, 2));
-}
-
-async function readNotes() {
-  try {
-    const raw = await fs.readFile(NOTES_FILE, 'utf-8');
-    if (!raw || !raw.trim()) {
-      return [];
-    }
-
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch (parseError) {
-      console.error('Corrupted notes.json, resetting file.', parseError);
-      await fs.writeFile(NOTES_FILE, '[]', 'utf-8');
-      return [];
-    }
-
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      await fs.writeFile(NOTES_FILE, '[]', 'utf-8');
-      return [];
-    }
-    throw error;
-  }
-}
-
-async function writeNotes(notes) {
-  await fs.writeFile(NOTES_FILE, JSON.stringify(notes, null, 2));
-}
-
 /**
  * AUTHENTICATION MIDDLEWARE
  * -------------------------
@@ -190,18 +297,21 @@ async function writeNotes(notes) {
  * HOW IT WORKS:
  * 1. Extracts token from Authorization header (format: "Bearer <token>")
  * 2. Verifies token signature and expiration
- * 3. Attaches decoded user data to req.user
- * 4. Calls next() to continue to route handler
+ * 3. Checks that the token's session (sid) has not been revoked
+ * 4. Attaches decoded user data to req.user
+ * 5. Calls next() to continue to route handler
  * 
  * ERROR RESPONSES:
  * - 401: No token provided
- * - 403: Invalid or expired token
+ * - 401 { code: 'token_expired' }: Access token expired, call POST /auth/refresh
+ * - 401 { code: 'session_revoked' }: Session was logged out, log in again
+ * - 403: Invalid token
  * 
  * USAGE:
  * Add as middleware to protected routes:
  * app.get('/api/notes', authenticateToken, handler)
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -209,13 +319,28 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ message: 'Access token required.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ code: 'token_expired', message: 'Access token expired.' });
+    }
     return res.status(403).json({ message: 'Invalid or expired token.' });
   }
+
+  try {
+    // Tokens issued before sessions existed have no sid and simply run out
+    if (decoded.sid && !(await sessions.isSessionActive(decoded.sid))) {
+      return res.status(401).json({ code: 'session_revoked', message: 'Session has been revoked. Please log in again.' });
+    }
+  } catch (error) {
+    console.error('Session check error', error);
+    return res.status(500).json({ message: 'Server error while checking session.' });
+  }
+
+  req.user = decoded;
+  next();
 }
 
 app.get('/health', (req, res) => {
@@ -230,59 +355,63 @@ app.get('/health', (req, res) => {
  * Creates a new user account.
  * 
  * REQUEST BODY:
- * { username: string, password: string }
+ * { username: string, password: string, email?: string }
  * 
- * VALIDATION:
- * - Username: Required, trimmed
- * - Password: Required, minimum 6 characters
- * - Username uniqueness: Checked against existing users
+ * VALIDATION (see validation.js):
+ * - Username: Required, 3-32 letters, numbers, dots, dashes or underscores
+ * - Password: Required, 6-128 characters
+ * - Email: Optional, needed for password reset, stored lowercase
+ * - Username/email uniqueness: Checked against existing users
  * 
  * PROCESS:
  * 1. Validate input
  * 2. Check if username already exists
  * 3. Hash password with bcrypt (10 rounds)
  * 4. Create user object with UUID
- * 5. Save to user.json file
+ * 5. Save to the users collection
  * 6. Return success message
  * 
  * RESPONSES:
  * - 201: Registration successful
- * - 400: Missing or invalid input
- * - 409: Username already taken
+ * - 400: { message, errors: [{ field, message }] } - invalid input
+ * - 409: Username or email already taken
+ * - 429: Too many requests from this IP
  * - 500: Server error
  */
-app.post('/register', async (req, res) => {
-  try {
-    const username = req.body?.username?.trim();
-    const password = req.body?.password;
-
-    if (!username || !password) {
-      return res.status(400).json({ message: 'Username and password are required.' });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters.' });
-    }
+const registerSchema = {
+  body: { username: fields.username, password: fields.password, email: fields.email },
+};
 
-    const users = await readUsers();
-    const alreadyExists = users.find((user) => user.username === username);
+app.post('/register', rateLimit(authLimiter), validate(registerSchema), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const email = req.body.email || null;
+
+    // One lock for all registrations: username and email must both stay unique
+    const conflict = await withLock('register', async () => {
+      if (await storage.findOne('users', { username })) {
+        return { field: 'username', message: 'Username already taken.' };
+      }
+      if (email && (await storage.findOne('users', { email }))) {
+        return { field: 'email', message: 'Email already in use.' };
+      }
+
+      // Hash password before storing (never store plain text!)
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await storage.insert('users', {
+        id: randomUUID(),
+        username,
+        email,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      });
+      return null;
+    });
 
-    if (alreadyExists) {
-      return res.status(409).json({ message: 'Username already taken.' });
+    if (conflict) {
+      return res.status(409).json({ message: conflict.message, errors: [conflict] });
     }
 
-    // Hash password before storing (never store plain text!)
-    const passwordHash = bcrypt.hashSync(password, 10);
-    const newUser = {
-      id: randomUUID(),
-      username,
-      passwordHash,
-      createdAt: new Date().toISOString(),
-    };
-
-    users.push(newUser);
-    await writeUsers(users);
-
     res.status(201).json({ message: 'Registration successful. You can now log in.' });
   } catch (error) {
     console.error('Register error', error);
@@ -304,55 +433,74 @@ app.post('/register', async (req, res) => {
  * 1. Validate input
  * 2. Find user by username
  * 3. Compare password hash with bcrypt
- * 4. Generate JWT token (expires in 1 hour)
- * 5. Return token and user info
+ * 4. Start a server-side session
+ * 5. Return access token, refresh token and user info
  * 
  * SECURITY:
- * - Never reveals if username exists (same error for invalid user/password)
- * - Uses bcrypt.compareSync for secure password comparison
- * - Token includes user ID (sub) and username
+ * - Never reveals if username exists (same error and timing for invalid user/password)
+ * - Uses async bcrypt.compare, so hashing never blocks other requests
+ * - Per-IP rate limit, plus temporary lockout after repeated failures
+ *   (per username and per IP), announced with a Retry-After header
+ * - Token includes user ID (sub), username and session ID (sid)
+ * - Access token expires after ACCESS_TOKEN_TTL, renew it with POST /auth/refresh
  * 
  * RESPONSES:
- * - 200: Login successful (returns token and user)
- * - 400: Missing username or password
+ * - 200: Login successful (returns token, refreshToken and user)
+ * - 400: { message, errors } - missing username or password
  * - 401: Invalid credentials
+ * - 429: { code: 'rate_limited' | 'account_locked', retryAfter } - try again later
  * - 500: Server error
  */
-app.post('/login', async (req, res) => {
-  try {
-    const username = req.body?.username?.trim();
-    const password = req.body?.password;
+const loginSchema = {
+  body: { username: fields.loginUsername, password: { ...fields.currentPassword, label: 'Password' } },
+};
 
-    if (!username || !password) {
-      return res.status(400).json({ message: 'Username and password are required.' });
+app.post('/login', rateLimit(authLimiter), validate(loginSchema), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const usernameKey = username.toLowerCase();
+    const lockedFor = Math.max(usernameLockout.check(usernameKey), ipLockout.check(req.ip));
+    if (lockedFor > 0) {
+      return sendTooManyRequests(res, {
+        code: 'account_locked',
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: lockedFor,
+      });
     }
 
-    const users = await readUsers();
-    const user = users.find((u) => u.username === username);
-
-    if (!user) {
+    // Count the attempt as failed before awaiting anything, so parallel
+    // guesses can't all pass the check above; a correct password takes it back
+    const usernameAttempt = usernameLockout.recordFailure(usernameKey);
+    const ipAttempt = ipLockout.recordFailure(req.ip);
+    const retryAfter = Math.max(usernameAttempt.retryAfter, ipAttempt.retryAfter);
+
+    const user = await storage.findOne('users', { username });
+
+    // Compare password with stored hash (dummy hash keeps timing equal for unknown users)
+    const isMatch = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, {
+          code: 'account_locked',
+          message: 'Too many failed login attempts. Please try again later.',
+          retryAfter,
+        });
+      }
       return res.status(401).json({ message: 'Invalid credentials.' });
     }
 
-    // Compare password with stored hash
-    const isMatch = bcrypt.compareSync(password, user.passwordHash);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials.' });
-    }
+    usernameLockout.recordSuccess(usernameKey);
+    ipAttempt.withdraw();
 
-    // Generate JWT token (valid for 1 hour)
-    const token = jwt.sign(
-      {
-        sub: user.id,
-        username: user.username,
-      },
-      JWT_SECRET,
-      { expiresIn: '1h' },
-    );
+    const { token, refreshToken } = await sessions.startSession(user, {
+      userAgent: req.headers['user-agent'] || null,
+    });
 
     res.json({
       message: 'Login successful.',
       token,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
@@ -365,152 +513,314 @@ app.post('/login', async (req, res) => {
 });
 
 /**
- * GET NOTES ENDPOINT
- * ------------------
- * GET /api/notes
- * Protected route (requires authentication)
+ * FORGOT PASSWORD ENDPOINT
+ * ------------------------
+ * POST /password/forgot
  * 
- * Returns all notes belonging to the authenticated user.
+ * Mails a password reset link to the account's e-mail address.
  * 
- * AUTHENTICATION:
- * - Requires valid JWT token in Authorization header
- * - Token must not be expired
+ * REQUEST BODY:
+ * { identifier: string } - username or e-mail address
  * 
- * RESPONSE:
- * Array of note objects: [{ id, userId, date, content, createdAt, updatedAt }, ...]
+ * SECURITY:
+ * - Always answers the same, so it can't be used to find out which
+ *   accounts exist or have an e-mail address
+ * - Answers before looking up the account; the token and e-mail are
+ *   handled afterwards, so response time gives nothing away either
  * 
- * FILTERING:
- * - Only returns notes where userId matches authenticated user's ID
- * - User ID comes from JWT token (req.user.sub)
+ * RESPONSES:
+ * - 200: Request accepted
+ * - 400: { message, errors } - missing identifier
  */
-app.get('/api/notes', authenticateToken, async (req, res) => {
-  try {
-    const notes = await readNotes();
-    const userNotes = notes.filter((note) => note.userId === req.user.sub);
-    res.json(userNotes);
-  } catch (error) {
-    console.error('Get notes error', error);
-    res.status(500).json({ message: 'Server error while fetching notes.' });
-  }
+const forgotPasswordSchema = {
+  body: { identifier: { ...fields.loginUsername, maxLength: 254, label: 'Username or email' } },
+};
+
+app.post('/password/forgot', rateLimit(authLimiter), validate(forgotPasswordSchema), (req, res) => {
+  const { identifier } = req.body;
+
+  res.json({
+    message: 'If that account has an email address, a reset link is on its way.',
+  });
+
+  passwordResets.requestReset(identifier).catch((error) => {
+    console.error('Forgot password error', error);
+  });
 });
 
 /**
- * CREATE/UPDATE NOTE ENDPOINT
- * ---------------------------
- * POST /api/notes
- * Protected route (requires authentication)
+ * RESET PASSWORD ENDPOINT
+ * -----------------------
+ * POST /password/reset
  * 
- * Creates a new note or updates existing note for a date.
+ * Sets a new password using a reset token from the e-mail.
  * 
  * REQUEST BODY:
- * { date: string (YYYY-MM-DD), content: string }
+ * { token: string, password: string }
  * 
- * LOGIC:
- * - If note exists for this user + date: Updates content
- * - If note doesn't exist: Creates new note
- * - Only one note per user per date
- * 
- * RESPONSE:
- * Returns all user's notes after save (array)
+ * PROCESS:
+ * 1. Validate new password
+ * 2. Check and consume the token (single use)
+ * 3. Store the new password hash
+ * 4. Revoke all sessions, so every device has to log in again
  * 
  * RESPONSES:
- * - 201: Note saved successfully
- * - 400: Missing date or content
+ * - 200: Password changed
+ * - 400: { message, errors } - missing input, password too short, or invalid/expired token
  * - 500: Server error
  */
-app.post('/api/notes', authenticateToken, async (req, res) => {
+const resetPasswordSchema = {
+  body: { token: { ...fields.token, label: 'Reset code' }, password: fields.password },
+};
+
+app.post('/password/reset', rateLimit(authLimiter), validate(resetPasswordSchema), async (req, res) => {
   try {
-    const { date, content } = req.body;
+    const { token, password } = req.body;
 
-    if (!date || !content || !content.trim()) {
-      return res.status(400).json({ message: 'Date and content are required.' });
+    const userId = await passwordResets.consumeToken(token);
+    const user = userId && (await storage.findOne('users', { id: userId }));
+    if (!user) {
+      const message = 'This reset link is invalid or has expired.';
+      return res.status(400).json({ message, errors: [{ field: 'token', message }] });
     }
 
-    const notes = await readNotes();
-    const existingNote = notes.find(
-      (note) => note.userId === req.user.sub && note.date === date
-    );
-
-    if (existingNote) {
-      // Update existing note
-      existingNote.content = content.trim();
-      existingNote.updatedAt = new Date().toISOString();
-    } else {
-      // Create new note
-      const newNote = {
-        id: randomUUID(),
-        userId: req.user.sub,
-        date,
-        content: content.trim(),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-      notes.push(newNote);
-    }
+    await storage.update('users', user.id, {
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      passwordChangedAt: new Date().toISOString(),
+    });
+    await sessions.revokeAllSessions(user.id);
 
-    await writeNotes(notes);
-    const userNotes = notes.filter((note) => note.userId === req.user.sub);
-    res.status(201).json(userNotes);
+    res.json({ message: 'Password updated. You can now log in.' });
   } catch (error) {
-    console.error('Create note error', error);
-    res.status(500).json({ message: 'Server error while creating note.' });
+    console.error('Reset password error', error);
+    res.status(500).json({ message: 'Server error while resetting password.' });
   }
 });
 
-app.put('/api/notes/:id', authenticateToken, async (req, res) => {
+/**
+ * REFRESH TOKEN ENDPOINT
+ * ----------------------
+ * POST /auth/refresh
+ * 
+ * Trades a refresh token for a new access token and a new refresh token.
+ * Each refresh token works exactly once (rotation).
+ * 
+ * REQUEST BODY:
+ * { refreshToken: string }
+ * 
+ * RESPONSES:
+ * - 200: { token, refreshToken, user }
+ * - 400: { message, errors } - missing refresh token
+ * - 401: { code, message } - invalid, expired, reused or revoked; log in again
+ * - 500: Server error
+ */
+const refreshSchema = {
+  body: { refreshToken: { ...fields.token, label: 'Refresh token' } },
+};
+
+app.post('/auth/refresh', validate(refreshSchema), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { content } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!content || !content.trim()) {
-      return res.status(400).json({ message: 'Content is required.' });
+    const result = await sessions.refresh(refreshToken);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ code: error.code, message: error.message });
     }
+    console.error('Refresh error', error);
+    res.status(500).json({ message: 'Server error while refreshing session.' });
+  }
+});
 
-    const notes = await readNotes();
-    const note = notes.find((n) => n.id === id && n.userId === req.user.sub);
+/**
+ * LOGOUT ENDPOINT
+ * ---------------
+ * POST /logout
+ * 
+ * Revokes the session of the given refresh token. Its refresh tokens stop
+ * working and its access tokens are rejected from now on.
+ * Always succeeds, so the client can log out even with a stale token.
+ * 
+ * REQUEST BODY:
+ * { refreshToken: string }
+ */
+const logoutSchema = {
+  body: { refreshToken: { ...fields.token, required: false, label: 'Refresh token' } },
+};
 
-    if (!note) {
-      return res.status(404).json({ message: 'Note not found.' });
+app.post('/logout', validate(logoutSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const sessionId = await sessions.findSessionIdByRefreshToken(refreshToken);
+      if (sessionId) {
+        await sessions.revokeSession(sessionId);
+      }
     }
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('Logout error', error);
+    res.status(500).json({ message: 'Server error while logging out.' });
+  }
+});
 
-    note.content = content.trim();
-    note.updatedAt = new Date().toISOString();
-
-    await writeNotes(notes);
-    const userNotes = notes.filter((note) => note.userId === req.user.sub);
-    res.json(userNotes);
+/**
+ * SESSION MANAGEMENT ENDPOINTS
+ * ----------------------------
+ * Protected routes (requires authentication)
+ * 
+ * GET    /auth/sessions      - List active sessions ({ current: true } marks this one)
+ * DELETE /auth/sessions/:id  - Revoke one session
+ * DELETE /auth/sessions      - Revoke every session except the current one
+ */
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const userSessions = await sessions.listSessions(req.user.sub);
+    res.json(userSessions.map((session) => ({ ...session, current: session.id === req.user.sid })));
   } catch (error) {
-    console.error('Update note error', error);
-    res.status(500).json({ message: 'Server error while updating note.' });
+    console.error('List sessions error', error);
+    res.status(500).json({ message: 'Server error while listing sessions.' });
   }
 });
 
-app.delete('/api/notes/:id', authenticateToken, async (req, res) => {
+app.delete('/auth/sessions/:id', authenticateToken, validate({ params: { id: fields.id } }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const notes = await readNotes();
-    const filteredNotes = notes.filter(
-      (note) => !(note.id === id && note.userId === req.user.sub)
-    );
-
-    if (notes.length === filteredNotes.length) {
-      return res.status(404).json({ message: 'Note not found.' });
+    const userSessions = await sessions.listSessions(req.user.sub);
+    if (!userSessions.some((session) => session.id === req.params.id)) {
+      return res.status(404).json({ message: 'Session not found.' });
     }
 
-    await writeNotes(filteredNotes);
-    const userNotes = filteredNotes.filter((note) => note.userId === req.user.sub);
-    res.json(userNotes);
+    await sessions.revokeSession(req.params.id);
+    res.json({ message: 'Session revoked.' });
   } catch (error) {
-    console.error('Delete note error', error);
-    res.status(500).json({ message: 'Server error while deleting note.' });
+    console.error('Revoke session error', error);
+    res.status(500).json({ message: 'Server error while revoking session.' });
   }
 });
 
+app.delete('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user.sub, {
+      exceptSessionId: req.user.sid || null,
+    });
+    res.json({ message: 'Other sessions revoked.', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error', error);
+    res.status(500).json({ message: 'Server error while revoking sessions.' });
+  }
+});
+
+/**
+ * IDEMPOTENT WRITES
+ * -----------------
+ * Writes to /api/ sent again with the same Idempotency-Key get the first
+ * answer instead of running twice (offline queue replay), see idempotency.js
+ */
+app.use(idempotency.middleware(authenticateToken));
+
+/**
+ * ACCOUNT ENDPOINTS
+ * -----------------
+ * /api/me routes, see routes/account.js
+ */
+app.use(createAccountRouter({ storage, sessions, authenticateToken, withLock, bcryptRounds: BCRYPT_ROUNDS }));
+
+/**
+ * NOTES ENDPOINTS
+ * ---------------
+ * /api/notes routes (several ordered notes per day), see routes/notes.js
+ */
+app.use(createNotesRouter({ storage, authenticateToken, withLock, noteHistory, trash }));
+
+/**
+ * SEARCH ENDPOINTS
+ * ----------------
+ * GET /api/notes/search (ranked, with highlighted snippets), see routes/search.js
+ */
+app.use(createSearchRouter({ search, authenticateToken }));
+
+/**
+ * TRASH ENDPOINTS
+ * ---------------
+ * /api/trash routes (restore or purge deleted notes), see routes/trash.js
+ */
+app.use(createTrashRouter({ trash, authenticateToken }));
+
+/**
+ * TAG ENDPOINTS
+ * -------------
+ * /api/tags routes (user-defined, coloured note tags), see routes/tags.js
+ */
+app.use(createTagsRouter({ storage, authenticateToken, withLock }));
+
+/**
+ * TASK ENDPOINTS
+ * --------------
+ * /api/tasks routes (to-dos with due date, priority and status), see routes/tasks.js
+ */
+app.use(createTasksRouter({ storage, authenticateToken, withLock }));
+
+/**
+ * CALENDAR FILE ENDPOINTS
+ * -----------------------
+ * .ics import and export of notes and tasks, see routes/ical.js
+ */
+app.use(createIcalRouter({ storage, authenticateToken, withLock, noteHistory }));
+
+/**
+ * CALENDAR FEED ENDPOINTS
+ * -----------------------
+ * /api/feeds routes (protected) and the public /feeds/:token.ics
+ * subscriptions they manage, see routes/feeds.js
+ */
+app.use(createFeedsRouter({ storage, authenticateToken, withLock }));
+
+/**
+ * ACCOUNT ARCHIVE ENDPOINTS
+ * -------------------------
+ * /api/export and /api/import (the whole account as a .zip), see routes/archive.js
+ */
+app.use(createArchiveRouter({ storage, authenticateToken, withLock, noteHistory }));
+
+/**
+ * SYNC ENDPOINTS
+ * --------------
+ * GET /api/sync (changes and deletions since a cursor), see routes/sync.js
+ */
+app.use(createSyncRouter({ changeLog, authenticateToken }));
+
 app.use((req, res) => {
   res.status(404).json({ message: 'Route not found.' });
 });
 
+/**
+ * ERROR HANDLER
+ * -------------
+ * Malformed JSON bodies get the same 400 shape as validation errors;
+ * anything else unexpected becomes a JSON 500.
+ */
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      message: 'Request body is not valid JSON.',
+      errors: [{ field: 'body', message: 'Request body is not valid JSON.' }],
+    });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large.' });
+  }
+  console.error('Unhandled error', error);
+  res.status(500).json({ message: 'Server error.' });
+});
+
 app.listen(PORT, () => {
   console.log(`WorkWell backend listening on http://localhost:${PORT}`);
+  trash.startAutoPurge();
+  changeLog.startAutoPurge();
+  idempotency.startAutoPurge();
 });
 
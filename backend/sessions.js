@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * SESSIONS & REFRESH TOKENS - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Issues short-lived access tokens (JWT) together with long-lived, rotating
+ * refresh tokens, and keeps track of every login as a server-side session
+ * that can be revoked.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. Login starts a session and returns an access token + refresh token
+ * 2. The access token carries the session id (sid claim)
+ * 3. When the access token expires, POST /auth/refresh trades the refresh
+ *    token for a new pair. The old refresh token can never be used again.
+ * 4. Revoking a session (logout, "sign out everywhere") kills its refresh
+ *    tokens and makes authenticateToken reject its access tokens
+ *
+ * REUSE DETECTION:
+ * ---------------
+ * If an already-used refresh token is presented again, someone else has a
+ * copy of it. The whole session is revoked and the user must log in again.
+ *
+ * STORAGE:
+ * -------
+ * - sessions: { id, userId, userAgent, createdAt, lastUsedAt, revokedAt }
+ * - refreshTokens: { id, sessionId, userId, tokenHash, createdAt, expiresAt, usedAt }
+ *   Only a SHA-256 hash of each refresh token is stored.
+ *
+ * ============================================================================
+ */
+
+const { randomBytes, randomUUID, createHash } = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createKeyedLock } = require('./storage/lock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error with a machine-readable code, sent to the client as { code, message }.
+ */
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function createSessionService({
+  storage,
+  jwtSecret,
+  accessTokenTtl = '1h',
+  refreshTokenTtlDays = 30,
+}) {
+  const withLock = createKeyedLock();
+
+  function signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        sub: user.id,
+        username: user.username,
+        sid: sessionId,
+      },
+      jwtSecret,
+      { expiresIn: accessTokenTtl },
+    );
+  }
+
+  async function issueRefreshToken(session) {
+    const refreshToken = randomBytes(48).toString('base64url');
+    const now = new Date();
+    await storage.insert('refreshTokens', {
+      id: randomUUID(),
+      sessionId: session.id,
+      userId: session.userId,
+      tokenHash: hashToken(refreshToken),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTokenTtlDays * DAY_MS).toISOString(),
+      usedAt: null,
+    });
+    return refreshToken;
+  }
+
+  async function revokeSession(sessionId) {
+    const session = await storage.findOne('sessions', { id: sessionId });
+    if (!session) {
+      return false;
+    }
+    if (!session.revokedAt) {
+      await storage.update('sessions', sessionId, { revokedAt: new Date().toISOString() });
+    }
+    await storage.removeWhere('refreshTokens', { sessionId });
+    return true;
+  }
+
+  return {
+    /**
+     * Starts a new session for a freshly authenticated user.
+     * Returns { token, refreshToken, sessionId }.
+     */
+    async startSession(user, { userAgent = null } = {}) {
+      const now = new Date().toISOString();
+      const session = {
+        id: randomUUID(),
+        userId: user.id,
+        userAgent,
+        createdAt: now,
+        lastUsedAt: now,
+        revokedAt: null,
+      };
+      await storage.insert('sessions', session);
+
+      return {
+        token: signAccessToken(user, session.id),
+        refreshToken: await issueRefreshToken(session),
+        sessionId: session.id,
+      };
+    },
+
+    /**
+     * Rotates a refresh token. Returns { token, refreshToken, user } or
+     * throws a SessionError.
+     */
+    async refresh(refreshToken) {
+      const tokenHash = hashToken(refreshToken);
+
+      return withLock(tokenHash, async () => {
+        const stored = await storage.findOne('refreshTokens', { tokenHash });
+        if (!stored) {
+          throw new SessionError('invalid_refresh_token', 'Invalid refresh token.');
+        }
+
+        const session = await storage.findOne('sessions', { id: stored.sessionId });
+        if (!session || session.revokedAt) {
+          throw new SessionError('session_revoked', 'Session has been revoked. Please log in again.');
+        }
+
+        if (stored.usedAt) {
+          console.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+          await revokeSession(session.id);
+          throw new SessionError('session_revoked', 'Session has been revoked. Please log in again.');
+        }
+
+        if (new Date(stored.expiresAt).getTime() <= Date.now()) {
+          await revokeSession(session.id);
+          throw new SessionError('refresh_token_expired', 'Session expired. Please log in again.');
+        }
+
+        const user = await storage.findOne('users', { id: session.userId });
+        if (!user) {
+          await revokeSession(session.id);
+          throw new SessionError('session_revoked', 'Session has been revoked. Please log in again.');
+        }
+
+        const now = new Date().toISOString();
+        await storage.update('refreshTokens', stored.id, { usedAt: now });
+        await storage.update('sessions', session.id, { lastUsedAt: now });
+
+        // Only the token just used is kept (for reuse detection); older ones go
+        const sessionTokens = await storage.list('refreshTokens', { sessionId: session.id });
+        for (const token of sessionTokens) {
+          if (token.usedAt && token.id !== stored.id) {
+            await storage.remove('refreshTokens', token.id);
+          }
+        }
+
+        return {
+          token: signAccessToken(user, session.id),
+          refreshToken: await issueRefreshToken(session),
+          user: { id: user.id, username: user.username },
+        };
+      });
+    },
+
+    /**
+     * Finds the session a refresh token belongs to (used by logout).
+     */
+    async findSessionIdByRefreshToken(refreshToken) {
+      const stored = await storage.findOne('refreshTokens', { tokenHash: hashToken(refreshToken) });
+      return stored ? stored.sessionId : null;
+    },
+
+    async isSessionActive(sessionId) {
+      const session = await storage.findOne('sessions', { id: sessionId });
+      return Boolean(session && !session.revokedAt);
+    },
+
+    async listSessions(userId) {
+      const sessions = await storage.list('sessions', { userId, revokedAt: null });
+      return sessions.map(({ id, userAgent, createdAt, lastUsedAt }) => ({
+        id,
+        userAgent,
+        createdAt,
+        lastUsedAt,
+      }));
+    },
+
+    /**
+     * A new access token for an existing session, e.g. after a rename so
+     * the token carries the new username. The refresh token stays valid.
+     */
+    issueAccessToken: signAccessToken,
+
+    revokeSession,
+
+    /**
+     * Revokes every session of a user, optionally keeping one (the caller's).
+     * Returns the number of sessions revoked.
+     */
+    async revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+      const sessions = await storage.list('sessions', { userId, revokedAt: null });
+      let revoked = 0;
+      for (const session of sessions) {
+        if (session.id !== exceptSessionId) {
+          await revokeSession(session.id);
+          revoked++;
+        }
+      }
+      return revoked;
+    },
+  };
+}
+
+module.exports = { createSessionService, SessionError };
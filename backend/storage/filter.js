@@ -0,0 +1,19 @@
+/**
+ * RECORD FILTERS
+ * --------------
+ * Filters are plain objects of field/value pairs, all of which must match:
+ *   { userId: 'abc', date: '2025-01-15' }
+ *
+ * A value of null matches records where the field is missing or null.
+ */
+function matchesFilter(record, filter = {}) {
+  return Object.entries(filter).every(([field, expected]) => {
+    const actual = record[field];
+    if (expected === null) {
+      return actual === null || actual === undefined;
+    }
+    return actual === expected;
+  });
+}
+
+module.exports = { matchesFilter };
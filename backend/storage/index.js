@@ -0,0 +1,60 @@
+/**
+ * ============================================================================
+ * STORAGE LAYER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Picks the storage driver used by server.js. Every driver exposes the same
+ * async, collection-based interface:
+ *
+ *   list(collection, filter)          - All records matching filter
+ *   findOne(collection, filter)       - First matching record or null
+ *   insert(collection, record)        - Adds record (must have an id)
+ *   update(collection, id, changes)   - Merges changes, returns record or null
+ *   remove(collection, id)            - Deletes record, returns true/false
+ *   removeWhere(collection, filter)   - Deletes matches, returns count
+ *   replaceAll(collection, records)   - Overwrites a whole collection
+ *   close()                           - Releases file handles
+ *
+ * Collections: users, notes, noteRevisions, trash, tags, tasks, feedTokens, tombstones, operations, sessions, refreshTokens, passwordResets
+ * Filters: see filter.js
+ *
+ * DRIVERS:
+ * -------
+ * - json (default): user.json / notes.json in DATA_DIR (default: backend/)
+ * - sqlite: single database file at SQLITE_FILE (default: backend/workwell.db)
+ *
+ * COMMON QUESTIONS:
+ * ----------------
+ * Q: How do I add another database?
+ * A: Write a driver exposing the interface above and add it to createStorage
+ *
+ * Q: How do I move existing data to SQLite?
+ * A: Run "npm run migrate:sqlite", then start with STORAGE_DRIVER=sqlite
+ *
+ * ============================================================================
+ */
+
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..');
+
+function createStorage({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR,
+  sqliteFile = process.env.SQLITE_FILE || path.join(DEFAULT_DATA_DIR, 'workwell.db'),
+} = {}) {
+  switch (driver) {
+    case 'json':
+      return createJsonStore({ dataDir });
+    case 'sqlite':
+      return createSqliteStore({ filename: sqliteFile });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "json" or "sqlite".`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,235 @@
+/**
+ * ============================================================================
+ * JSON FILE STORAGE DRIVER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS DRIVER DO?
+ * -------------------------
+ * Default storage driver. Keeps every collection in its own JSON file
+ * (an array of records) inside the data directory.
+ *
+ * FILES:
+ * -----
+ * - users -> user.json
+ * - notes -> notes.json
+ * - sessions -> sessions.json
+ * - refreshTokens -> refresh_tokens.json
+ * - passwordResets -> password_resets.json
+ * - noteRevisions -> note_revisions.json
+ * - trash -> trash.json
+ * - tags -> tags.json
+ * - tasks -> tasks.json
+ * - feedTokens -> feed_tokens.json
+ * - tombstones -> tombstones.json
+ * - operations -> operations.json
+ * - Any other collection -> <collection>.json
+ *
+ * SAFETY:
+ * ------
+ * - Operations on a collection are queued, one at a time (no lost updates)
+ * - Writes go to a temp file that is renamed over the original
+ * - The previous version is kept as <file>.bak
+ *
+ * ERROR HANDLING:
+ * - File doesn't exist: Creates empty file, returns []
+ * - File is corrupted: Kept as <file>.corrupt-<timestamp>, restored from .bak
+ * - File is empty: Returns []
+ * - Other errors: Throws error
+ *
+ * COMMON QUESTIONS:
+ * ----------------
+ * Q: Why is this slow with lots of notes?
+ * A: Every write rewrites the whole file. Use the SQLite driver
+ *    (STORAGE_DRIVER=sqlite) for larger teams.
+ *
+ * ============================================================================
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { matchesFilter } = require('./filter');
+const { createKeyedLock } = require('./lock');
+
+/**
+ * COLLECTION FILES
+ * ----------------
+ * Collections with a historical file name. Also used by the migration
+ * script as the list of collections to import.
+ */
+const COLLECTION_FILES = {
+  users: 'user.json',
+  notes: 'notes.json',
+  sessions: 'sessions.json',
+  refreshTokens: 'refresh_tokens.json',
+  passwordResets: 'password_resets.json',
+  noteRevisions: 'note_revisions.json',
+  trash: 'trash.json',
+  tags: 'tags.json',
+  tasks: 'tasks.json',
+  feedTokens: 'feed_tokens.json',
+  tombstones: 'tombstones.json',
+  operations: 'operations.json',
+};
+
+function createJsonStore({ dataDir }) {
+  const fileFor = (collection) =>
+    path.join(dataDir, COLLECTION_FILES[collection] || `${collection}.json`);
+
+  /**
+   * WRITE QUEUE
+   * -----------
+   * Every operation on a collection runs inside that collection's queue, so
+   * two requests can never read the same file, change their own copy and
+   * overwrite each other's change.
+   */
+  const withLock = createKeyedLock();
+
+  async function parseFile(file) {
+    const raw = await fs.readFile(file, 'utf-8');
+    if (!raw || !raw.trim()) {
+      return [];
+    }
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  /**
+   * CORRUPTED FILE RECOVERY
+   * -----------------------
+   * Keeps the unreadable file as <file>.corrupt-<timestamp> for inspection,
+   * then restores the last good copy (<file>.bak) written before each save.
+   */
+  async function recoverCorruptedFile(file, parseError) {
+    const corruptCopy = `${file}.corrupt-${Date.now()}`;
+    await fs.rename(file, corruptCopy);
+    console.error(`Corrupted ${path.basename(file)}, moved to ${path.basename(corruptCopy)}.`, parseError);
+
+    let records = [];
+    try {
+      records = await parseFile(`${file}.bak`);
+      console.error(`Restored ${path.basename(file)} from ${path.basename(file)}.bak (${records.length} records).`);
+    } catch (backupError) {
+      console.error(`No usable backup for ${path.basename(file)}, starting empty.`, backupError);
+    }
+
+    await writeAtomically(file, JSON.stringify(records, null, 2));
+    return records;
+  }
+
+  async function readCollection(collection) {
+    const file = fileFor(collection);
+    try {
+      return await parseFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await writeAtomically(file, '[]');
+        return [];
+      }
+      if (error instanceof SyntaxError) {
+        return recoverCorruptedFile(file, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ATOMIC WRITE
+   * ------------
+   * Writes to a temp file, flushes it to disk and renames it over the real
+   * file. A crash mid-write leaves the previous file intact.
+   */
+  async function writeAtomically(file, contents) {
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(contents, 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempFile, file);
+  }
+
+  async function writeCollection(collection, records) {
+    const file = fileFor(collection);
+    // Keep the last good version around for recoverCorruptedFile
+    await fs.copyFile(file, `${file}.bak`).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await writeAtomically(file, JSON.stringify(records, null, 2));
+  }
+
+  return {
+    driver: 'json',
+
+    list(collection, filter = {}) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        return records.filter((record) => matchesFilter(record, filter));
+      });
+    },
+
+    findOne(collection, filter = {}) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        return records.find((record) => matchesFilter(record, filter)) || null;
+      });
+    },
+
+    insert(collection, record) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        records.push(record);
+        await writeCollection(collection, records);
+        return record;
+      });
+    },
+
+    update(collection, id, changes) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        const record = records.find((r) => r.id === id);
+        if (!record) {
+          return null;
+        }
+        Object.assign(record, changes);
+        await writeCollection(collection, records);
+        return record;
+      });
+    },
+
+    remove(collection, id) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        const remaining = records.filter((record) => record.id !== id);
+        if (remaining.length === records.length) {
+          return false;
+        }
+        await writeCollection(collection, remaining);
+        return true;
+      });
+    },
+
+    removeWhere(collection, filter = {}) {
+      return withLock(collection, async () => {
+        const records = await readCollection(collection);
+        const remaining = records.filter((record) => !matchesFilter(record, filter));
+        const removed = records.length - remaining.length;
+        if (removed > 0) {
+          await writeCollection(collection, remaining);
+        }
+        return removed;
+      });
+    },
+
+    replaceAll(collection, records) {
+      return withLock(collection, async () => {
+        await writeCollection(collection, records);
+      });
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createJsonStore, COLLECTION_FILES };
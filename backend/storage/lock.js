@@ -0,0 +1,28 @@
+/**
+ * KEYED LOCK
+ * ----------
+ * In-process queue: operations sharing a key run one after another, in the
+ * order they were requested. Different keys run in parallel.
+ *
+ * USAGE:
+ *   const withLock = createKeyedLock();
+ *   await withLock('notes', async () => { read, change, write });
+ */
+function createKeyedLock() {
+  const queues = new Map();
+
+  return function withLock(key, operation) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(operation, operation);
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) {
+        queues.delete(key);
+      }
+    });
+    return run;
+  };
+}
+
+module.exports = { createKeyedLock };
@@ -0,0 +1,44 @@
+/**
+ * ============================================================================
+ * JSON -> SQLITE MIGRATION
+ * ============================================================================
+ *
+ * One-shot import of the JSON data files into the SQLite database.
+ *
+ * USAGE:
+ *   npm run migrate:sqlite
+ *
+ * Reads from DATA_DIR (default: backend/) and writes to SQLITE_FILE
+ * (default: backend/workwell.db). Each imported collection replaces the
+ * matching table, so running it twice is safe. The JSON files are left
+ * untouched.
+ *
+ * ============================================================================
+ */
+
+const dotenv = require('dotenv');
+const { createStorage } = require('./index');
+const { COLLECTION_FILES } = require('./jsonStore');
+
+dotenv.config();
+
+async function migrate() {
+  const source = createStorage({ driver: 'json' });
+  const target = createStorage({ driver: 'sqlite' });
+
+  try {
+    for (const collection of Object.keys(COLLECTION_FILES)) {
+      const records = await source.list(collection);
+      await target.replaceAll(collection, records);
+      console.log(`Imported ${records.length} ${collection}`);
+    }
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed', error);
+  process.exitCode = 1;
+});
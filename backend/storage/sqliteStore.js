@@ -0,0 +1,194 @@
+/**
+ * ============================================================================
+ * SQLITE STORAGE DRIVER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS DRIVER DO?
+ * -------------------------
+ * Embedded SQLite storage (via better-sqlite3). Each collection is a table
+ * holding one JSON document per row, so records keep exactly the same shape
+ * as in the JSON files:
+ *
+ *   CREATE TABLE notes (id TEXT PRIMARY KEY, data TEXT NOT NULL)
+ *
+ * Filters are translated to json_extract() comparisons, and the fields we
+ * query most (see INDEXED_FIELDS) get expression indexes.
+ *
+ * WHY?
+ * ----
+ * Writes touch a single row instead of rewriting the whole data file.
+ *
+ * ENABLING:
+ * --------
+ * STORAGE_DRIVER=sqlite
+ * SQLITE_FILE=/path/to/workwell.db   (default: backend/workwell.db)
+ *
+ * Import existing user.json/notes.json once with: npm run migrate:sqlite
+ *
+ * ============================================================================
+ */
+
+/**
+ * Fields that get an index per collection.
+ */
+const INDEXED_FIELDS = {
+  users: ['username', 'email'],
+  notes: ['userId', 'date'],
+  sessions: ['userId'],
+  refreshTokens: ['tokenHash', 'sessionId'],
+  passwordResets: ['tokenHash', 'userId'],
+  noteRevisions: ['noteId', 'userId'],
+  trash: ['userId'],
+  tags: ['userId'],
+  tasks: ['userId', 'dueDate'],
+  feedTokens: ['tokenHash', 'userId'],
+  tombstones: ['userId'],
+  operations: ['userId', 'key'],
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function assertIdentifier(name) {
+  if (!IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid collection or field name: ${name}`);
+  }
+}
+
+/**
+ * SQLite cannot bind booleans; json_extract() returns 1/0 for them.
+ */
+function toSqlValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+function buildWhere(filter = {}) {
+  const clauses = [];
+  const params = [];
+
+  for (const [field, value] of Object.entries(filter)) {
+    assertIdentifier(field);
+    if (value === null) {
+      clauses.push(`json_extract(data, '$.${field}') IS NULL`);
+    } else {
+      clauses.push(`json_extract(data, '$.${field}') = ?`);
+      params.push(toSqlValue(value));
+    }
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
+function createSqliteStore({ filename }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'STORAGE_DRIVER=sqlite requires the better-sqlite3 package. Run "npm install better-sqlite3" in backend/.',
+      { cause: error },
+    );
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+
+  const knownTables = new Set();
+
+  function ensureTable(collection) {
+    if (knownTables.has(collection)) {
+      return;
+    }
+    assertIdentifier(collection);
+    db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    for (const field of INDEXED_FIELDS[collection] || []) {
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS "idx_${collection}_${field}" ON "${collection}" (json_extract(data, '$.${field}'))`,
+      );
+    }
+    knownTables.add(collection);
+  }
+
+  function selectRows(collection, filter, limit) {
+    ensureTable(collection);
+    const { where, params } = buildWhere(filter);
+    const limitClause = limit ? `LIMIT ${Number(limit)}` : '';
+    return db
+      .prepare(`SELECT data FROM "${collection}" ${where} ORDER BY rowid ${limitClause}`)
+      .all(...params)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  const updateRecord = db.transaction((collection, id, changes) => {
+    const row = db.prepare(`SELECT data FROM "${collection}" WHERE id = ?`).get(id);
+    if (!row) {
+      return null;
+    }
+    const record = { ...JSON.parse(row.data), ...changes };
+    db.prepare(`UPDATE "${collection}" SET data = ? WHERE id = ?`).run(JSON.stringify(record), id);
+    return record;
+  });
+
+  const replaceRecords = db.transaction((collection, records) => {
+    db.prepare(`DELETE FROM "${collection}"`).run();
+    const insert = db.prepare(`INSERT INTO "${collection}" (id, data) VALUES (?, ?)`);
+    for (const record of records) {
+      insert.run(record.id, JSON.stringify(record));
+    }
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async list(collection, filter = {}) {
+      return selectRows(collection, filter);
+    },
+
+    async findOne(collection, filter = {}) {
+      return selectRows(collection, filter, 1)[0] || null;
+    },
+
+    async insert(collection, record) {
+      ensureTable(collection);
+      db.prepare(`INSERT INTO "${collection}" (id, data) VALUES (?, ?)`).run(
+        record.id,
+        JSON.stringify(record),
+      );
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      ensureTable(collection);
+      return updateRecord(collection, id, changes);
+    },
+
+    async remove(collection, id) {
+      ensureTable(collection);
+      const result = db.prepare(`DELETE FROM "${collection}" WHERE id = ?`).run(id);
+      return result.changes > 0;
+    },
+
+    async removeWhere(collection, filter = {}) {
+      ensureTable(collection);
+      const { where, params } = buildWhere(filter);
+      const result = db.prepare(`DELETE FROM "${collection}" ${where}`).run(...params);
+      return result.changes;
+    },
+
+    async replaceAll(collection, records) {
+      ensureTable(collection);
+      replaceRecords(collection, records);
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
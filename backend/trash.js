@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * TRASH - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Deleted notes are moved to the trash collection instead of being removed,
+ * so they can be restored. Trashed notes are purged for good once they are
+ * older than the retention period (TRASH_RETENTION_DAYS, default 30).
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. moveToTrash(note) copies the note into trash (same id, plus deletedAt)
+ *    and then removes it from notes; its revision history is kept
+ * 2. restore(userId, id) puts it back at the end of its day
+ * 3. startAutoPurge() runs purgeExpired() at startup and then hourly;
+ *    purging also removes the note's revision history
+ *
+ * The purge date is computed from deletedAt + the current retention, so
+ * changing TRASH_RETENTION_DAYS also applies to notes already in the trash.
+ *
+ * STORAGE:
+ * -------
+ * trash: { ...note fields, deletedAt }
+ *
+ * ============================================================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createTrashService({ storage, noteHistory, withLock, retentionDays = 30 }) {
+  const retentionMs = retentionDays * DAY_MS;
+
+  function purgeAtFor(entry) {
+    return new Date(new Date(entry.deletedAt).getTime() + retentionMs).toISOString();
+  }
+
+  async function purgeEntry(entry) {
+    await storage.remove('trash', entry.id);
+    await noteHistory.removeForNote(entry.id);
+  }
+
+  return {
+    retentionDays,
+
+    /**
+     * Moves a note into the trash and returns the trash entry. Inserting
+     * first means a crash in between leaves a duplicate rather than losing the note.
+     */
+    async moveToTrash(note) {
+      const entry = await storage.insert('trash', { ...note, deletedAt: new Date().toISOString() });
+      await storage.remove('notes', note.id);
+      return entry;
+    },
+
+    /**
+     * Trashed notes of a user, most recently deleted first, with purgeAt.
+     */
+    async list(userId) {
+      const entries = await storage.list('trash', { userId });
+      return entries
+        .map((entry) => ({ ...entry, purgeAt: purgeAtFor(entry) }))
+        .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    },
+
+    /**
+     * Puts a trashed note back at the end of its day.
+     * Returns the restored note, or null if it is not in the user's trash.
+     */
+    async restore(userId, id) {
+      const entry = await storage.findOne('trash', { id, userId });
+      if (!entry) {
+        return null;
+      }
+
+      return withLock(`notes:${userId}:${entry.date}`, async () => {
+        // Re-read under the lock: a second restore may have just finished
+        const current = await storage.findOne('trash', { id, userId });
+        if (!current) {
+          return null;
+        }
+        const note = { ...current };
+        delete note.deletedAt;
+        const dayNotes = await storage.list('notes', { userId, date: note.date });
+        const lastPosition = dayNotes.reduce((max, existing) => Math.max(max, existing.position || 0), 0);
+
+        const restored = await storage.insert('notes', { ...note, position: lastPosition + 1 });
+        await storage.remove('trash', id);
+        return restored;
+      });
+    },
+
+    /**
+     * Deletes one trashed note for good. Returns false if it wasn't there.
+     */
+    async purge(userId, id) {
+      const entry = await storage.findOne('trash', { id, userId });
+      if (!entry) {
+        return false;
+      }
+      await purgeEntry(entry);
+      return true;
+    },
+
+    /**
+     * Deletes all of a user's trashed notes for good. Returns the count.
+     */
+    async empty(userId) {
+      const entries = await storage.list('trash', { userId });
+      for (const entry of entries) {
+        await purgeEntry(entry);
+      }
+      return entries.length;
+    },
+
+    /**
+     * Purges every trashed note past the retention period. Returns the count.
+     */
+    async purgeExpired(now = Date.now()) {
+      const entries = await storage.list('trash');
+      const expired = entries.filter((entry) => new Date(entry.deletedAt).getTime() + retentionMs <= now);
+      for (const entry of expired) {
+        await purgeEntry(entry);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired notes now and then every hour.
+     * The timer is unref'd so it never keeps the process alive.
+     */
+    startAutoPurge({ intervalMs = PURGE_INTERVAL_MS } = {}) {
+      const run = () => {
+        this.purgeExpired()
+          .then((count) => {
+            if (count > 0) {
+              console.log(`Purged ${count} note(s) from the trash`);
+            }
+          })
+          .catch((error) => console.error('Trash purge error', error));
+      };
+      run();
+      const timer = setInterval(run, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { createTrashService };
@@ -0,0 +1,299 @@
+/**
+ * ============================================================================
+ * REQUEST VALIDATION - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Declarative validation for request bodies, route params and query strings.
+ * Each route lists its fields and rules; the validate() middleware checks
+ * them before the handler runs.
+ *
+ * USAGE:
+ * -----
+ * app.post('/api/notes', authenticateToken, validate({
+ *   body: { date: fields.date, content: fields.noteContent },
+ * }), handler)
+ *
+ * - req.body is replaced by the cleaned body (trimmed, unknown fields dropped)
+ * - Cleaned params/query are available as req.validated.params / .query
+ *
+ * RULES:
+ * -----
+ * type         'string' | 'integer' | 'boolean' | 'array'
+ * required     Must be present (and non-empty after trimming)
+ * allowEmpty   Keep an empty value ('' or null) as '' instead of treating
+ *              it as left out, for fields where "clear it" differs from "keep it"
+ * trim         Trim strings before checking
+ * lowercase    Lower-case strings
+ * minLength / maxLength   String length or array size
+ * min / max    Integer bounds
+ * pattern      RegExp the string must match (patternMessage explains it)
+ * format       'date' (real YYYY-MM-DD date) | 'email' | 'rrule' (repeat rule,
+ *              see recurrence.js; stored in its canonical form) | 'timezone'
+ *              (IANA name like 'Europe/Berlin')
+ * enum         List of allowed values
+ * items        Rule applied to every array element
+ * label        Human-readable field name used in messages
+ *
+ * ERROR RESPONSE (400):
+ * --------------------
+ * {
+ *   message: 'Username must be at least 3 characters.',   // or a summary
+ *   errors: [{ field: 'username', message: 'Username must be at least 3 characters.' }]
+ * }
+ *
+ * ============================================================================
+ */
+
+const { parseRule, formatRule, RULE_MAX_LENGTH } = require('./recurrence');
+const { isKnownTimeZone } = require('./ical');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const NOTE_MAX_LENGTH = 10000;
+
+function isRealDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function labelFor(field, rule) {
+  if (rule.label) {
+    return rule.label;
+  }
+  return field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+/**
+ * Checks one value against one rule.
+ * Returns { value } (cleaned) or { error } (message).
+ */
+function checkValue(field, rawValue, rule) {
+  const label = labelFor(field, rule);
+  let value = rawValue;
+
+  if (typeof value === 'string') {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+  }
+
+  const isEmpty = value === undefined || value === null || value === '';
+  if (isEmpty) {
+    if (rule.allowEmpty && !rule.required && rawValue !== undefined) {
+      return { value: '' };
+    }
+    return rule.required ? { error: `${label} is required.` } : { value: undefined };
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return { error: `${label} must be text.` };
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `${label} must be at least ${rule.minLength} characters.` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters.` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: rule.patternMessage || `${label} has an invalid format.` };
+      }
+      if (rule.format === 'date' && !isRealDate(value)) {
+        return { error: `${label} must be a valid date (YYYY-MM-DD).` };
+      }
+      if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: `${label} must be a valid email address.` };
+      }
+      if (rule.format === 'timezone' && !isKnownTimeZone(value)) {
+        return { error: `${label} must be a time zone like Europe/Berlin.` };
+      }
+      if (rule.format === 'rrule') {
+        const parsed = parseRule(value);
+        if (parsed.error) {
+          return { error: parsed.error };
+        }
+        value = formatRule(parsed.rule);
+      }
+      break;
+
+    case 'integer': {
+      // Query strings arrive as text
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(number)) {
+        return { error: `${label} must be a whole number.` };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: `${label} must be at least ${rule.min}.` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: `${label} must be at most ${rule.max}.` };
+      }
+      value = number;
+      break;
+    }
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        value = value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        return { error: `${label} must be true or false.` };
+      }
+      break;
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { error: `${label} must be a list.` };
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `${label} must have at least ${rule.minLength} items.` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `${label} must have at most ${rule.maxLength} items.` };
+      }
+      if (rule.items) {
+        const cleaned = [];
+        for (let i = 0; i < value.length; i++) {
+          const result = checkValue(`${field}[${i}]`, value[i], { label, ...rule.items, required: true });
+          if (result.error) {
+            return result;
+          }
+          cleaned.push(result.value);
+        }
+        value = cleaned;
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `${label} must be one of: ${rule.enum.join(', ')}.` };
+  }
+
+  return { value };
+}
+
+/**
+ * Validates an object against a schema ({ field: rule }).
+ * Returns { value, errors } where value only holds fields from the schema.
+ */
+function validateObject(input, schema, prefix = '') {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = checkValue(field, source[field], rule);
+    if (result.error) {
+      errors.push({ field: `${prefix}${field}`, message: result.error });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * VALIDATION MIDDLEWARE
+ * ---------------------
+ * validate({ body, params, query }) - each part is an optional schema.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const result = validateObject(req[part], schemas[part], part === 'body' ? '' : `${part}.`);
+      validated[part] = result.value;
+      errors.push(...result.errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: errors.length === 1 ? errors[0].message : 'Some fields are invalid.',
+        errors,
+      });
+    }
+
+    req.validated = validated;
+    if (validated.body) {
+      req.body = validated.body;
+    }
+    next();
+  };
+}
+
+/**
+ * SHARED FIELD RULES
+ * ------------------
+ * Reused across routes so the same field is checked the same way everywhere.
+ */
+const fields = {
+  // New usernames; existing accounts may predate these rules (see loginUsername)
+  username: {
+    type: 'string',
+    required: true,
+    trim: true,
+    minLength: 3,
+    maxLength: 32,
+    pattern: /^[A-Za-z0-9_.-]+$/,
+    patternMessage: 'Username may only contain letters, numbers, dots, dashes and underscores.',
+  },
+  loginUsername: { type: 'string', required: true, trim: true, maxLength: 100, label: 'Username' },
+  password: { type: 'string', required: true, minLength: 6, maxLength: 128 },
+  currentPassword: { type: 'string', required: true, maxLength: 128, label: 'Current password' },
+  newPassword: { type: 'string', required: true, minLength: 6, maxLength: 128, label: 'New password' },
+  email: { type: 'string', trim: true, lowercase: true, maxLength: 254, format: 'email' },
+  token: { type: 'string', required: true, trim: true, maxLength: 512 },
+  id: { type: 'string', required: true, maxLength: 100, label: 'ID' },
+  date: { type: 'string', required: true, trim: true, format: 'date' },
+  noteContent: { type: 'string', required: true, trim: true, maxLength: NOTE_MAX_LENGTH, label: 'Content' },
+  tagName: { type: 'string', required: true, trim: true, maxLength: 30, label: 'Tag name' },
+  color: {
+    type: 'string',
+    required: true,
+    trim: true,
+    lowercase: true,
+    pattern: /^#[0-9a-f]{6}$/,
+    patternMessage: 'Colour must be a hex colour like #4f46e5.',
+    label: 'Colour',
+  },
+  tagIds: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 100 }, label: 'Tags' },
+  taskTitle: { type: 'string', required: true, trim: true, maxLength: 200, label: 'Title' },
+  time: {
+    type: 'string',
+    trim: true,
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    patternMessage: 'Time must be a 24-hour time like 09:30.',
+  },
+  priority: { type: 'string', trim: true, lowercase: true, enum: ['low', 'medium', 'high'] },
+  taskStatus: { type: 'string', trim: true, lowercase: true, enum: ['todo', 'in-progress', 'done'], label: 'Status' },
+  // '' means "does not repeat"
+  recurrence: {
+    type: 'string',
+    trim: true,
+    allowEmpty: true,
+    maxLength: RULE_MAX_LENGTH,
+    format: 'rrule',
+    label: 'Repeat rule',
+  },
+  // ?occurrence=<date>&scope=this|future on writes to a repeating note or task
+  occurrence: { type: 'string', trim: true, format: 'date', label: 'Occurrence' },
+  occurrenceScope: { type: 'string', trim: true, lowercase: true, enum: ['this', 'future'], label: 'Scope' },
+  timeZone: { type: 'string', trim: true, maxLength: 100, format: 'timezone', label: 'Time zone' },
+};
+
+module.exports = { validate, validateObject, fields, NOTE_MAX_LENGTH };
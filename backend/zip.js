@@ -0,0 +1,205 @@
+/**
+ * ============================================================================
+ * ZIP ARCHIVES - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Writes and reads plain .zip archives with Node's own zlib, for the
+ * account export (routes/archive.js). Only what that needs is
+ * supported: deflated or stored files, no encryption, no ZIP64 (so under
+ * 4 GB, far above any account).
+ *
+ * WRITING:
+ * -------
+ * writeZip(output, entries) streams each file into output (e.g. an HTTP
+ * response) as soon as it is compressed, so the archive is never held in
+ * memory as a whole, then adds the central directory.
+ *
+ * READING:
+ * -------
+ * readZip(buffer) returns a Map of file name -> Buffer. Unpacked sizes are
+ * capped (maxSize) so a small "zip bomb" can't fill the memory. Broken or
+ * unsupported archives throw a ZipError.
+ *
+ * ============================================================================
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, the only timestamps zip headers have (local time)
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Writes a chunk, waiting when the output asks to slow down
+function writeChunk(output, chunk) {
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => output.once('drain', resolve));
+}
+
+/**
+ * Streams a zip of entries ({ name, data: Buffer | string }, sync or
+ * async iterable) into output, then ends it.
+ */
+async function writeZip(output, entries, { modifiedAt = new Date() } = {}) {
+  const stamp = dosDateTime(modifiedAt);
+  const central = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const method = compressed.length < data.length ? DEFLATED : STORED;
+    const body = method === DEFLATED ? compressed : data;
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(body.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(CENTRAL_HEADER, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    header.copy(record, 8, 6, 28);
+    record.writeUInt32LE(offset, 42);
+    central.push(record, name);
+
+    await writeChunk(output, Buffer.concat([header, name, body]));
+    offset += header.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  await writeChunk(output, Buffer.concat([directory, end]));
+  output.end();
+}
+
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * The files of a zip archive as a Map of name -> Buffer (folders left out).
+ */
+function readZip(buffer, { maxSize = DEFAULT_MAX_SIZE } = {}) {
+  // The end record is in the last 22 bytes, plus a comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new ZipError('This is not a zip file.');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let position = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new ZipError('The zip file is damaged.');
+    }
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    total += size;
+    if (total > maxSize) {
+      throw new ZipError('The zip file is too large once unpacked.');
+    }
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new ZipError('The zip file is damaged.');
+    }
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(start, start + compressedSize);
+    let data;
+    try {
+      if (method === STORED) {
+        data = body;
+      } else if (method === DEFLATED) {
+        data = zlib.inflateRawSync(body, { maxOutputLength: size || 1 });
+      } else {
+        throw new ZipError(`"${name}" is compressed in a way that isn't supported.`);
+      }
+    } catch (error) {
+      if (error instanceof ZipError) throw error;
+      throw new ZipError('The zip file is damaged.');
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new ZipError('The zip file is damaged.');
+    }
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+module.exports = { writeZip, readZip, isZip, ZipError };
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * ACCOUNT ARCHIVE COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * "Your data" section of the account settings (AccountSettings.jsx):
+ * - Download everything (tags, notes, tasks) as a .zip for backups; it
+ *   holds a JSON file, a CSV of notes and a Markdown file per day
+ * - Import such a .zip, e.g. from another WellWork server. It is merged
+ *   into this account: nothing is deleted, nothing is added twice
+ *
+ * HOW IT WORKS:
+ * ------------
+ * GET /api/export and POST /api/import (backend/routes/archive.js); after
+ * an import App.jsx reloads tags, notes and tasks (onImported).
+ *
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+
+// "3 added, 1 updated"
+const describeCounts = (counts) =>
+  [
+    counts.created && `${counts.created} added`,
+    counts.updated && `${counts.updated} updated`,
+    counts.existing && `${counts.existing} already there`,
+    counts.unchanged && `${counts.unchanged} already up to date`,
+  ]
+    .filter(Boolean)
+    .join(', ') || 'none'
+
+/**
+ * ACCOUNT ARCHIVE COMPONENT
+ * -------------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - onImported: Callback function called after an import changed something
+ */
+function AccountArchive({ apiBaseUrl, onImported }) {
+  const [file, setFile] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [result, setResult] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  const showRequestError = (error, fallback) => {
+    setFeedback({
+      type: 'error',
+      message: error.name === 'TypeError' ? 'Cannot connect to server. Please try again when online.' : error.message || fallback,
+    })
+  }
+
+  const handleExport = async () => {
+    setBusy('export')
+    setFeedback(null)
+    try {
+      const response = await authFetch(apiBaseUrl, '/api/export')
+      if (!response.ok) {
+        const { message } = await readApiError(response, 'Unable to export your data.')
+        setFeedback({ type: 'error', message })
+        return
+      }
+
+      const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'wellwork-export.zip'
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      showRequestError(error, 'Unable to export your data.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleImport = async (event) => {
+    event.preventDefault()
+    if (!file) return
+
+    setBusy('import')
+    setFeedback(null)
+    setResult(null)
+    try {
+      const response = await authFetch(apiBaseUrl, '/api/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file,
+      })
+
+      if (!response.ok) {
+        const { message } = await readApiError(response, 'This file could not be imported.')
+        setFeedback({ type: 'error', message })
+        return
+      }
+
+      const imported = await response.json()
+      setResult(imported)
+      const changed = imported.tags.created > 0
+        || ['notes', 'tasks'].some((kind) => imported[kind].created + imported[kind].updated > 0)
+      if (changed && onImported) {
+        onImported()
+      }
+    } catch (error) {
+      showRequestError(error, 'This file could not be imported.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <form className="auth-form account-settings-section" onSubmit={handleImport}>
+      <h4>Your data</h4>
+      <p className="modal-text">
+        Download your tags, notes and tasks as a .zip (JSON, a CSV of notes and a Markdown file per day).
+      </p>
+      <button type="button" className="secondary" onClick={handleExport} disabled={busy !== null}>
+        {busy === 'export' ? 'Preparing…' : 'Download my data'}
+      </button>
+
+      <label htmlFor="account-archive-file">Import a WellWork export</label>
+      <input
+        id="account-archive-file"
+        type="file"
+        accept=".zip,.json,application/zip,application/json"
+        onChange={(event) => {
+          setFile(event.target.files[0] || null)
+          setResult(null)
+          setFeedback(null)
+        }}
+      />
+      <p className="modal-text">It is added to what you have: nothing is deleted, and entries you already have aren't copied.</p>
+
+      {result && (
+        <>
+          <p className="feedback success">
+            Tags: {describeCounts(result.tags)}. Notes: {describeCounts(result.notes)}. Tasks: {describeCounts(result.tasks)}.
+          </p>
+          {result.skipped.length > 0 && (
+            <ul className="calendar-file-notices">
+              {result.skipped.map((item, index) => (
+                <li key={`${item.kind}-${item.id}-${index}`} className="skipped">
+                  Skipped {item.kind} {item.id}: {item.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+
+      <button type="submit" disabled={!file || busy !== null}>
+        {busy === 'import' ? 'Importing…' : 'Import'}
+      </button>
+    </form>
+  )
+}
+
+export default AccountArchive
@@ -0,0 +1,202 @@
+/**
+ * ============================================================================
+ * ACCOUNT SETTINGS COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ * 
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Account settings panel opened from the dashboard header:
+ * - Change username
+ * - Change password (other devices get logged out)
+ * - Download or import all your data (AccountArchive.jsx)
+ * - Delete account (removes all notes for good)
+ * 
+ * HOW IT WORKS:
+ * ------------
+ * - Every form asks for the current password again
+ * - Requests go through authFetch to the /api/me endpoints
+ * - Username changes are passed to App.jsx via onUserUpdated
+ * - After deleting the account, App.jsx logs the user out via onAccountDeleted
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import AccountArchive from './AccountArchive.jsx'
+
+/**
+ * ACCOUNT SETTINGS COMPONENT
+ * --------------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - user: Logged-in user ({ id, username })
+ *   - onUserUpdated: Callback function called with the updated user and a new access token after a rename
+ *   - onAccountDeleted: Callback function called after the account is deleted
+ *   - onDataImported: Callback function called after an import added or changed data
+ *   - onClose: Callback function to close the panel
+ */
+function AccountSettings({ apiBaseUrl, user, onUserUpdated, onAccountDeleted, onDataImported, onClose }) {
+  const [usernameForm, setUsernameForm] = useState({ username: user.username, currentPassword: '' })
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '' })
+  const [deleteForm, setDeleteForm] = useState({ currentPassword: '' })
+  const [feedback, setFeedback] = useState(null)
+  const [pendingAction, setPendingAction] = useState(null)
+
+  /**
+   * Sends one account request and shows its result.
+   * Returns the response payload on success, null on failure.
+   */
+  const submit = async (action, path, method, body, fallbackMessage) => {
+    setPendingAction(action)
+    setFeedback(null)
+
+    try {
+      const response = await authFetch(apiBaseUrl, path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+
+      if (!response.ok) {
+        const { message, fieldErrors } = await readApiError(response, fallbackMessage)
+        // Each form is small, so list every field error in its one feedback line
+        setFeedback({ action, type: 'error', message: Object.values(fieldErrors).join(' ') || message })
+        return null
+      }
+
+      const payload = await response.json()
+      setFeedback({ action, type: 'success', message: payload.message })
+      return payload
+    } catch (error) {
+      setFeedback({
+        action,
+        type: 'error',
+        message: error.name === 'TypeError'
+          ? 'Cannot connect to server. Account changes need the backend to be online.'
+          : error.message,
+      })
+      return null
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const handleRename = async (event) => {
+    event.preventDefault()
+    const payload = await submit('username', '/api/me/username', 'PUT', usernameForm, 'Unable to change username.')
+    if (payload) {
+      setUsernameForm((current) => ({ ...current, currentPassword: '' }))
+      onUserUpdated({ id: payload.user.id, username: payload.user.username }, payload.token)
+    }
+  }
+
+  const handlePasswordChange = async (event) => {
+    event.preventDefault()
+    const payload = await submit('password', '/api/me/password', 'PUT', passwordForm, 'Unable to change password.')
+    if (payload) {
+      setPasswordForm({ currentPassword: '', newPassword: '' })
+    }
+  }
+
+  const handleDelete = async (event) => {
+    event.preventDefault()
+    if (!confirm('Delete your account and all of your notes? This cannot be undone.')) {
+      return
+    }
+    const payload = await submit('delete', '/api/me', 'DELETE', deleteForm, 'Unable to delete account.')
+    if (payload) {
+      onAccountDeleted()
+    }
+  }
+
+  const renderFeedback = (action) =>
+    feedback?.action === action ? (
+      <p className={`feedback ${feedback.type}`}>{feedback.message}</p>
+    ) : null
+
+  return (
+    <div className="account-settings">
+      <div className="account-settings-header">
+        <h3>Account settings</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <form className="auth-form account-settings-section" onSubmit={handleRename}>
+        <h4>Username</h4>
+        <label htmlFor="account-username">New username</label>
+        <input
+          id="account-username"
+          type="text"
+          value={usernameForm.username}
+          onChange={(e) => setUsernameForm((current) => ({ ...current, username: e.target.value }))}
+          required
+        />
+        <label htmlFor="account-username-password">Current password</label>
+        <input
+          id="account-username-password"
+          type="password"
+          value={usernameForm.currentPassword}
+          onChange={(e) => setUsernameForm((current) => ({ ...current, currentPassword: e.target.value }))}
+          required
+        />
+        {renderFeedback('username')}
+        <button type="submit" disabled={pendingAction !== null}>
+          {pendingAction === 'username' ? 'Saving…' : 'Change username'}
+        </button>
+      </form>
+
+      <form className="auth-form account-settings-section" onSubmit={handlePasswordChange}>
+        <h4>Password</h4>
+        <label htmlFor="account-current-password">Current password</label>
+        <input
+          id="account-current-password"
+          type="password"
+          value={passwordForm.currentPassword}
+          onChange={(e) => setPasswordForm((current) => ({ ...current, currentPassword: e.target.value }))}
+          required
+        />
+        <label htmlFor="account-new-password">New password</label>
+        <input
+          id="account-new-password"
+          type="password"
+          placeholder="At least 6 characters"
+          value={passwordForm.newPassword}
+          onChange={(e) => setPasswordForm((current) => ({ ...current, newPassword: e.target.value }))}
+          required
+          minLength={6}
+        />
+        {renderFeedback('password')}
+        <button type="submit" disabled={pendingAction !== null}>
+          {pendingAction === 'password' ? 'Saving…' : 'Change password'}
+        </button>
+      </form>
+
+      <AccountArchive apiBaseUrl={apiBaseUrl} onImported={onDataImported} />
+
+      <form className="auth-form account-settings-section danger-zone" onSubmit={handleDelete}>
+        <h4>Delete account</h4>
+        <p className="modal-text">
+          Permanently deletes your account and every note you wrote.
+        </p>
+        <label htmlFor="account-delete-password">Current password</label>
+        <input
+          id="account-delete-password"
+          type="password"
+          value={deleteForm.currentPassword}
+          onChange={(e) => setDeleteForm({ currentPassword: e.target.value })}
+          required
+        />
+        {renderFeedback('delete')}
+        <button type="submit" className="notes-delete-button" disabled={pendingAction !== null}>
+          {pendingAction === 'delete' ? 'Deleting…' : 'Delete my account'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AccountSettings
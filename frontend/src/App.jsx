@@ -9,23 +9,36 @@
  * - Handles user authentication (login/register)
  * - Manages session state (user token and info)
  * - Monitors backend server health
- * - Coordinates all child components (Calendar, Notes, ChatBot)
+ * - Coordinates all child components (Calendar, Notes, Tasks, ChatBot)
  * - Handles notifications and task reminders
  * 
  * APPLICATION FLOW:
  * -----------------
  * 1. User starts at registration/login screen
- * 2. After login, user sees dashboard with calendar, notes, and chatbot
+ * 2. After login, user sees dashboard with calendar, notes, tasks, and chatbot
  * 3. App checks backend health every 5 seconds
- * 4. App loads user's notes when logged in
+ * 4. App syncs the user's notes, tasks and tags when logged in and then
+ *    every 30 seconds, fetching only what changed (GET /api/sync)
  * 5. App shows random wellness notifications periodically
- * 6. App checks for upcoming task reminders every 30 minutes
+ * 6. App checks for upcoming task reminders (open tasks only) every 30 minutes
  * 
  * KEY FEATURES:
  * ------------
  * - Authentication state management
  * - Backend health monitoring
- * - Note synchronization with backend
+ * - Delta sync with the backend: only changes and deletions since the last
+ *   pull (GET /api/sync), also picking up edits made on other devices
+ * - Tag filter: picking a tag chip limits Calendar and Notes to that tag
+ * - Note search: picking a result selects its date (NoteSearch.jsx)
+ * - Import / export of .ics calendar files and calendar feed subscriptions (CalendarFilePanel.jsx)
+ * - Whole-account download and import from the account settings (AccountArchive.jsx)
+ * - Sync badge in the header: how many changes made on this device haven't
+ *   reached the server; it opens the sync panel (SyncPanel.jsx) to retry,
+ *   discard or export them
+ * - Storage warning: shown when this device can't store offline data
+ *   (out of space, or no IndexedDB), see STORAGE PROBLEMS in offlineStorage.js
+ * - Update prompt: a new build was installed by the service worker
+ *   (serviceWorkerClient.js); Reload switches to it
  * - Notification system integration
  * - Task reminder system
  * 
@@ -46,19 +59,34 @@
  * ============================================================================
  */
 
-import { useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useMemo, useState } from 'react'
 import Login from './Login.jsx'
 import Register from './Register.jsx'
 import Calendar from './Calendar.jsx'
 import Notes from './Notes.jsx'
+import Tasks from './Tasks.jsx'
 import Notification from './Notification.jsx'
 import ChatBot from './ChatBot.jsx'
+import AccountSettings from './AccountSettings.jsx'
+import TrashPanel from './TrashPanel.jsx'
+import SyncPanel from './SyncPanel.jsx'
+import CalendarFilePanel from './CalendarFilePanel.jsx'
+import TagManager from './TagManager.jsx'
+import TagChip from './TagChip.jsx'
+import NoteSearch from './NoteSearch.jsx'
 import { useRandomNotifications } from './useRandomNotifications.js'
 import useTaskReminders from './useTaskReminders.js'
-import { notesStorage, sessionStorage, retryFailedRequests } from './offlineStorage.js'
+import { notesStorage, tasksStorage, tagsStorage, syncCursorStorage, sessionStorage, syncQueue, onQueueChange, onStorageProblem, retryFailedRequests } from './offlineStorage.js'
+import { onSessionChange } from './authFetch.js'
+import { fetchChanges, monthKey, visibleRange } from './notesApi.js'
+import { expandRecords } from './recurrence.js'
 import { getApiBaseUrl, initMobileFeatures } from './mobileConfig.js'
+import { onUpdateAvailable, applyUpdate, onSyncRequest, requestBackgroundSync } from './serviceWorkerClient.js'
 import './App.css'
 
+// How often notes, tasks and tags are pulled from the server while online
+const SYNC_INTERVAL_MS = 30 * 1000
+
 /**
  * MAIN APP COMPONENT
  * ------------------
@@ -69,19 +97,48 @@ function App() {
    * STATE MANAGEMENT
    * ----------------
    * - stage: Current UI stage ('register' or 'login')
-   * - session: User session data (null when logged out, contains token/user when logged in)
+   * - session: User session data (null when logged out, contains token/refreshToken/user when logged in)
    * - serverStatus: Backend health status ('checking', 'online', 'offline')
    * - notice: Success/error messages shown to user
    * - selectedDate: Currently selected calendar date (YYYY-MM-DD format)
    * - notes: Array of user's notes loaded from backend
+   * - tasks: Array of user's tasks loaded from backend
+   * - needsReauth: Refresh token expired/revoked, user must log in again
+   * - showAccountSettings: Whether the account settings panel is open
+   * - showTrash: Whether the trash panel is open
+   * - showCalendarFile: Whether the .ics import / export panel is open
+   * - tags: User's tags ({ id, name, color })
+   * - tagFilter: ID of the tag Calendar and Notes are limited to, or null
+   * - showTagManager: Whether the tag manager panel is open
+   * - queuedOperations: The sync queue (offline changes not on the server yet)
+   * - showSyncPanel: Whether the sync panel is open
+   * - storageProblem: Why offline data can't be stored ({ kind, message }), or null
+   * - updateAvailable: Whether a new build is waiting to be loaded
    */
-  const [stage, setStage] = useState('register')
+  // A password reset link (?resetToken=...) opens the login stage's reset form
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken') || '')
+  const [stage, setStage] = useState(resetToken ? 'login' : 'register')
   const [session, setSession] = useState(null)
   const [serverStatus, setServerStatus] = useState('checking')
   const [notice, setNotice] = useState(null)
   const [selectedDate, setSelectedDate] = useState(null)
   const [notes, setNotes] = useState([])
+  const [tasks, setTasks] = useState([])
   const [isOfflineMode, setIsOfflineMode] = useState(false)
+  const [needsReauth, setNeedsReauth] = useState(false)
+  const [showAccountSettings, setShowAccountSettings] = useState(false)
+  const [showTrash, setShowTrash] = useState(false)
+  const [showCalendarFile, setShowCalendarFile] = useState(false)
+  const [tags, setTags] = useState([])
+  const [tagFilter, setTagFilter] = useState(null)
+  const [showTagManager, setShowTagManager] = useState(false)
+  const [queuedOperations, setQueuedOperations] = useState(() => syncQueue.getAll())
+  const [showSyncPanel, setShowSyncPanel] = useState(false)
+  const [storageProblem, setStorageProblem] = useState(null)
+  const [updateAvailable, setUpdateAvailable] = useState(false)
+  // Month shown in Calendar ('YYYY-MM'); repeating notes are expanded for it and its neighbours
+  const [visibleMonth, setVisibleMonth] = useState(() => monthKey(new Date()))
+  const sessionUserId = session?.user?.id
   
   /**
    * CUSTOM HOOKS
@@ -90,7 +147,7 @@ function App() {
    * - useTaskReminders: Checks for upcoming tasks and generates reminders
    */
   const { notification, hideNotification, requestNotificationPermission, browserNotificationPermission, showTaskReminder } = useRandomNotifications()
-  const { checkUpcomingTasks } = useTaskReminders(notes)
+  const { checkUpcomingTasks } = useTaskReminders(tasks)
   
   /**
    * API BASE URL
@@ -107,16 +164,26 @@ function App() {
     initMobileFeatures()
   }, [])
 
+  // Drop the reset token from the address bar so it isn't bookmarked or shared
+  useEffect(() => {
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname)
+    }
+  }, [resetToken])
+
   /**
-   * EFFECT: Load Session from LocalStorage on Mount
-   * -----------------------------------------------
-   * Restores user session from localStorage if available.
+   * EFFECT: Load Session from the Offline Store on Mount
+   * ----------------------------------------------------
+   * Restores user session if available, with the cached notes (both
+   * already read from IndexedDB by main.jsx).
    * This allows users to stay logged in even after page refresh.
    */
   useEffect(() => {
     const savedSession = sessionStorage.load()
     if (savedSession) {
       setSession(savedSession)
+      setTags(tagsStorage.load(savedSession.user.id))
+      setTasks(tasksStorage.load(savedSession.user.id))
       // Load cached notes for this user
       const cachedNotes = notesStorage.load(savedSession.user.id)
       if (cachedNotes.length > 0) {
@@ -126,6 +193,108 @@ function App() {
     }
   }, [])
 
+  /**
+   * EFFECT: Follow Token Renewal
+   * ----------------------------
+   * authFetch renews expired access tokens on its own. This keeps the
+   * session state in sync with it and opens the re-login prompt when the
+   * refresh token is no longer accepted. Cached notes and the sync queue
+   * are kept, so no offline edit is lost while waiting for the user.
+   */
+  useEffect(() => {
+    return onSessionChange((event) => {
+      if (event.type === 'refreshed') {
+        setSession(event.session)
+      } else if (event.type === 'reauth-required') {
+        setNeedsReauth(true)
+      }
+    })
+  }, [])
+
+  // Keep the sync badge and panel up to date with the queue
+  useEffect(() => onQueueChange(setQueuedOperations), [])
+
+  // Tell the user when offline data can't be kept on this device
+  useEffect(() => onStorageProblem(setStorageProblem), [])
+
+  // Offer to reload when the service worker has installed a new build
+  useEffect(() => onUpdateAvailable(() => setUpdateAvailable(true)), [])
+
+  // While changes are queued, let the browser send them even after the tab is closed
+  useEffect(() => {
+    if (queuedOperations.length > 0) {
+      requestBackgroundSync()
+    }
+  }, [queuedOperations])
+
+  /**
+   * PULL CHANGES
+   * ------------
+   * Delta sync: asks the server what changed since the last pull
+   * (GET /api/sync) and applies it to the notes, tasks and tags caches,
+   * deletions included. The first pull after login brings everything.
+   * The notes/tasks/tags state is those caches, so Calendar, Notes and
+   * Tasks follow edits made on other devices. Falls back to the caches
+   * when the backend can't be reached.
+   */
+  const pullChanges = useCallback(async () => {
+    if (!sessionUserId) {
+      setNotes([])
+      setTasks([])
+      setTags([])
+      return
+    }
+
+    try {
+      const changes = await fetchChanges(apiBaseUrl, syncCursorStorage.load(sessionUserId))
+      if (changes) {
+        const { reset, deleted } = changes
+        setNotes(notesStorage.applyChanges(sessionUserId, { reset, records: changes.notes, deletedIds: deleted.notes }))
+        setTasks(tasksStorage.applyChanges(sessionUserId, { reset, records: changes.tasks, deletedIds: deleted.tasks }))
+
+        const changedTagIds = new Set([...changes.tags.map((tag) => tag.id), ...deleted.tags])
+        const userTags = [
+          ...(reset ? [] : tagsStorage.load(sessionUserId).filter((tag) => !changedTagIds.has(tag.id))),
+          ...changes.tags,
+        ].sort((a, b) => a.name.localeCompare(b.name))
+        setTags(userTags)
+        tagsStorage.save(sessionUserId, userTags)
+
+        syncCursorStorage.save(sessionUserId, changes.cursor)
+        setIsOfflineMode(false)
+        return
+      }
+    } catch {
+      // Network error or re-login needed - load from cache
+      console.log('Backend offline, loading from cache...')
+    }
+
+    setTags(tagsStorage.load(sessionUserId))
+    setTasks(tasksStorage.load(sessionUserId))
+    const cachedNotes = notesStorage.load(sessionUserId)
+    if (cachedNotes.length > 0) {
+      setNotes(cachedNotes)
+      setIsOfflineMode(true)
+    }
+  }, [apiBaseUrl, sessionUserId])
+
+  /**
+   * SYNC WITH SERVER
+   * ----------------
+   * Replays queued offline operations, then pulls what changed meanwhile
+   * (including those operations' results and edits from other devices).
+   * Used when the backend comes back online and after re-login.
+   */
+  const syncWithServer = useCallback(async () => {
+    if (!sessionUserId) return
+
+    await retryFailedRequests(apiBaseUrl)
+    await pullChanges()
+  }, [apiBaseUrl, sessionUserId, pullChanges])
+
+  // Background Sync fired while this tab is open: the tab sends the queue
+  useEffect(() => onSyncRequest(syncWithServer), [syncWithServer])
+
   /**
    * EFFECT: Backend Health Monitoring with Auto-Retry
    * --------------------------------------------------
@@ -164,23 +333,8 @@ function App() {
         setIsOfflineMode(false)
         
         // If we were offline and now online, retry failed requests
-        if (wasOffline && session?.token) {
-          await retryFailedRequests(apiBaseUrl, session.token)
-          // Reload notes from server to sync
-          try {
-            const response = await fetch(`${apiBaseUrl}/api/notes`, {
-              headers: {
-                Authorization: `Bearer ${session.token}`,
-              },
-            })
-            if (response.ok) {
-              const serverNotes = await response.json()
-              setNotes(serverNotes)
-              notesStorage.save(session.user.id, serverNotes)
-            }
-          } catch (error) {
-            console.error('Error syncing notes:', error)
-          }
+        if (wasOffline) {
+          await syncWithServer()
         }
         
         wasOffline = false
@@ -202,74 +356,34 @@ function App() {
       controller.abort()
       clearInterval(interval)
     }
-  }, [apiBaseUrl, session])
+  }, [apiBaseUrl, syncWithServer])
 
   /**
-   * EFFECT: Load User Notes & Request Notification Permission
-   * ---------------------------------------------------------
-   * Loads user's notes from backend when they log in.
-   * Falls back to localStorage if backend is offline.
-   * Also requests browser notification permission.
-   * 
-   * WHEN IT RUNS:
-   * - When session changes (user logs in/out)
-   * - When apiBaseUrl changes
-   * - When browserNotificationPermission changes
-   * 
-   * PROCESS:
-   * 1. If no session token, clears notes
-   * 2. If session exists, tries to fetch notes from /api/notes endpoint
-   * 3. If offline, loads from localStorage cache
-   * 4. Updates notes state with fetched/cached data
-   * 5. Requests notification permission if not already granted/denied
+   * EFFECT: Pull Changes
+   * --------------------
+   * Runs when the logged-in user changes (log in/out, not on token renewal),
+   * then every SYNC_INTERVAL_MS while the backend is online.
    */
   useEffect(() => {
-    async function loadNotes() {
-      if (!session?.token) {
-        setNotes([])
-        return
-      }
-
-      // Try to load from server first
-      try {
-        const response = await fetch(`${apiBaseUrl}/api/notes`, {
-          headers: {
-            Authorization: `Bearer ${session.token}`,
-          },
-        })
+    pullChanges()
+  }, [pullChanges])
 
-        if (response.ok) {
-          const userNotes = await response.json()
-          setNotes(userNotes)
-          // Cache notes for offline access
-          notesStorage.save(session.user.id, userNotes)
-          setIsOfflineMode(false)
-        } else {
-          // Server error - try loading from cache
-          const cachedNotes = notesStorage.load(session.user.id)
-          if (cachedNotes.length > 0) {
-            setNotes(cachedNotes)
-            setIsOfflineMode(true)
-          }
-        }
-      } catch (error) {
-        // Network error - load from cache
-        console.log('Backend offline, loading from cache...')
-        const cachedNotes = notesStorage.load(session.user.id)
-        if (cachedNotes.length > 0) {
-          setNotes(cachedNotes)
-          setIsOfflineMode(true)
-        }
-      }
-    }
-
-    loadNotes()
+  useEffect(() => {
+    if (!sessionUserId || isOfflineMode) return
+    const interval = setInterval(pullChanges, SYNC_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [sessionUserId, isOfflineMode, pullChanges])
 
-    // Request notification permission when user logs in
-    if (session?.token && browserNotificationPermission === 'default') {
+  /**
+   * EFFECT: Request Notification Permission
+   * ---------------------------------------
+   * Asks once the user is logged in, if not already granted/denied.
+   */
+  useEffect(() => {
+    if (sessionUserId && browserNotificationPermission === 'default') {
       requestNotificationPermission()
     }
-  }, [session, apiBaseUrl, browserNotificationPermission, requestNotificationPermission])
+  }, [sessionUserId, browserNotificationPermission, requestNotificationPermission])
 
   /**
    * EFFECT: Task Reminder System
@@ -277,18 +391,18 @@ function App() {
    * Checks for upcoming tasks and shows reminders.
    * 
    * HOW IT WORKS:
-   * - Only runs when user is logged in and has notes
+   * - Only runs when user is logged in and has tasks
    * - Checks immediately 5 seconds after login
    * - Then checks every 30 minutes
    * - Uses checkUpcomingTasks hook to find tasks due soon
    * - Shows notification if tasks are found
    * 
    * TIMING:
-   * - Initial check: 5 seconds after login (gives time for notes to load)
+   * - Initial check: 5 seconds after login (gives time for tasks to load)
    * - Subsequent checks: Every 30 minutes
    */
   useEffect(() => {
-    if (!session?.token || notes.length === 0) return
+    if (!session?.token || tasks.length === 0) return
 
     // Check for upcoming tasks every 30 minutes
     const checkTasks = () => {
@@ -308,7 +422,79 @@ function App() {
       clearTimeout(initialCheck)
       clearInterval(interval)
     }
-  }, [session, notes, checkUpcomingTasks, showTaskReminder])
+  }, [session, tasks, checkUpcomingTasks, showTaskReminder])
+
+  /**
+   * LOG OUT
+   * -------
+   * Revokes the session server-side (fire and forget) and clears local data.
+   * After account deletion there is nothing left to revoke or sync, so the
+   * queue of offline operations is dropped too.
+   */
+  const handleLogout = ({ accountDeleted = false } = {}) => {
+    if (session?.refreshToken && !accountDeleted) {
+      fetch(`${apiBaseUrl}/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      }).catch(() => {})
+    }
+    if (accountDeleted) {
+      syncQueue.clear()
+    }
+    sessionStorage.clear()
+    notesStorage.clear(session?.user?.id)
+    tasksStorage.clear(session?.user?.id)
+    tagsStorage.clear(session?.user?.id)
+    syncCursorStorage.clear(session?.user?.id)
+    setSession(null)
+    setSelectedDate(null)
+    setNotes([])
+    setTasks([])
+    setTags([])
+    setTagFilter(null)
+    setIsOfflineMode(false)
+    setNeedsReauth(false)
+    setShowAccountSettings(false)
+    setShowTrash(false)
+    setShowCalendarFile(false)
+    setShowTagManager(false)
+    setShowSyncPanel(false)
+  }
+
+  /**
+   * Offline changes were discarded in the sync panel. The caches may still
+   * show them, so the next pull fetches everything again.
+   */
+  const handleChangesDiscarded = () => {
+    syncCursorStorage.clear(session.user.id)
+    pullChanges()
+  }
+
+  /**
+   * A tag was deleted: the server took it off every note, do the same
+   * for the notes in memory and in the offline cache
+   */
+  const handleTagDeleted = (tagId) => {
+    const updatedNotes = notes.map((note) =>
+      note.tagIds?.includes(tagId)
+        ? { ...note, tagIds: note.tagIds.filter((id) => id !== tagId) }
+        : note
+    )
+    setNotes(updatedNotes)
+    notesStorage.save(session.user.id, updatedNotes)
+    if (tagFilter === tagId) {
+      setTagFilter(null)
+    }
+  }
+
+  // Notes shown in Calendar: repeating notes on each day they occur in the
+  // visible range, only those with the tag when a tag filter is active
+  const visibleNotes = useMemo(() => {
+    const { from, to } = visibleRange(visibleMonth)
+    const occurrences = expandRecords(notes, 'date', from, to)
+    return tagFilter ? occurrences.filter((note) => note.tagIds?.includes(tagFilter)) : occurrences
+  }, [notes, tagFilter, visibleMonth])
 
   const healthLabel = {
     checking: 'Checking backend…',
@@ -328,9 +514,39 @@ function App() {
       />
       <header className="app-header">
         <h1>{headerTitle}</h1>
-        <div className={`status-pill status-${serverStatus}`}>{healthLabel}</div>
+        <div className="app-header-status">
+          <div className={`status-pill status-${serverStatus}`}>{healthLabel}</div>
+          {session && (
+            <button
+              type="button"
+              className={`sync-badge ${queuedOperations.some((operation) => operation.conflict || operation.rejected) ? 'has-problems' : ''}`}
+              onClick={() => setShowSyncPanel((current) => !current)}
+              aria-label={`Sync: ${queuedOperations.length} unsynced ${queuedOperations.length === 1 ? 'change' : 'changes'}`}
+            >
+              {queuedOperations.length === 0 ? '✓ Synced' : `⟳ ${queuedOperations.length} unsynced`}
+            </button>
+          )}
+        </div>
       </header>
 
+      {updateAvailable && (
+        <div className="feedback success app-banner" role="status">
+          <span>A new version of WellWork is available.</span>
+          <button type="button" className="link-button" onClick={applyUpdate}>
+            Reload
+          </button>
+        </div>
+      )}
+
+      {storageProblem && (
+        <div className="feedback error app-banner" role="alert">
+          <span>{storageProblem.message}</span>
+          <button type="button" className="link-button" onClick={() => setStorageProblem(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
       <section className="panel">
         {session ? (
           <div className="dashboard-container">
@@ -367,41 +583,195 @@ function App() {
                   </div>
                 )}
               </div>
-              <button type="button" className="secondary" onClick={() => {
-                sessionStorage.clear()
-                notesStorage.clear(session?.user?.id)
-                setSession(null)
-                setSelectedDate(null)
-                setNotes([])
-                setIsOfflineMode(false)
-              }}>
-                Log out
-              </button>
+              <div className="dashboard-actions">
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => setShowTagManager((current) => !current)}
+                >
+                  Tags
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => setShowTrash((current) => !current)}
+                >
+                  Trash
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => setShowCalendarFile((current) => !current)}
+                >
+                  Import / export
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => setShowAccountSettings((current) => !current)}
+                >
+                  Account settings
+                </button>
+                <button type="button" className="secondary" onClick={() => handleLogout()}>
+                  Log out
+                </button>
+              </div>
             </div>
 
+            {showAccountSettings && (
+              <AccountSettings
+                apiBaseUrl={apiBaseUrl}
+                user={session.user}
+                onUserUpdated={(user, token) => {
+                  const updatedSession = { ...sessionStorage.load(), user, token }
+                  sessionStorage.save(updatedSession)
+                  setSession(updatedSession)
+                }}
+                onAccountDeleted={() => handleLogout({ accountDeleted: true })}
+                onDataImported={pullChanges}
+                onClose={() => setShowAccountSettings(false)}
+              />
+            )}
+
+            {showSyncPanel && (
+              <SyncPanel
+                userId={session.user.id}
+                operations={queuedOperations}
+                isOfflineMode={isOfflineMode || needsReauth}
+                onRetry={syncWithServer}
+                onDiscarded={handleChangesDiscarded}
+                onOpenDate={(date) => {
+                  setSelectedDate(date)
+                  setShowSyncPanel(false)
+                }}
+                onClose={() => setShowSyncPanel(false)}
+              />
+            )}
+
+            {showTrash && (
+              <TrashPanel
+                apiBaseUrl={apiBaseUrl}
+                notes={notes}
+                isOfflineMode={isOfflineMode || needsReauth}
+                onNoteRestored={(restoredNote) => {
+                  setNotes(notesStorage.merge(session.user.id, [restoredNote]))
+                }}
+                onClose={() => setShowTrash(false)}
+              />
+            )}
+
+            {showCalendarFile && (
+              <CalendarFilePanel
+                apiBaseUrl={apiBaseUrl}
+                tags={tags}
+                isOfflineMode={isOfflineMode || needsReauth}
+                onImported={pullChanges}
+                onClose={() => setShowCalendarFile(false)}
+              />
+            )}
+
+            {showTagManager && (
+              <TagManager
+                apiBaseUrl={apiBaseUrl}
+                tags={tags}
+                isOfflineMode={isOfflineMode || needsReauth}
+                onTagsChanged={(updatedTags) => {
+                  setTags(updatedTags)
+                  tagsStorage.save(session.user.id, updatedTags)
+                }}
+                onTagDeleted={handleTagDeleted}
+                onClose={() => setShowTagManager(false)}
+              />
+            )}
+
+            <NoteSearch
+              apiBaseUrl={apiBaseUrl}
+              userId={session.user.id}
+              tags={tags}
+              isOfflineMode={isOfflineMode || needsReauth}
+              onResultSelect={setSelectedDate}
+            />
+
+            {tags.length > 0 && (
+              <div className="tag-filter" role="group" aria-label="Filter notes by tag">
+                <span className="tag-filter-label">Show:</span>
+                <button
+                  type="button"
+                  className={`tag-chip ${tagFilter === null ? 'selected' : ''}`}
+                  style={{ '--tag-color': '#4f46e5' }}
+                  onClick={() => setTagFilter(null)}
+                  aria-pressed={tagFilter === null}
+                >
+                  All notes
+                </button>
+                {tags.map((tag) => (
+                  <TagChip
+                    key={tag.id}
+                    tag={tag}
+                    selected={tagFilter === tag.id}
+                    onClick={() => setTagFilter((current) => (current === tag.id ? null : tag.id))}
+                  />
+                ))}
+              </div>
+            )}
+
+            {needsReauth && (
+              <div className="modal-overlay" role="dialog" aria-modal="true" aria-labelledby="reauth-title">
+                <div className="modal-dialog">
+                  <h3 id="reauth-title">Session expired</h3>
+                  <p className="modal-text">
+                    Please log in again to keep syncing. Changes you made meanwhile are saved
+                    on this device and will be uploaded right after.
+                  </p>
+                  <Login
+                    apiBaseUrl={apiBaseUrl}
+                    initialUsername={session.user.username}
+                    onAuth={(payload) => {
+                      sessionStorage.save(payload)
+                      setSession(payload)
+                      setNeedsReauth(false)
+                      syncWithServer()
+                    }}
+                  />
+                </div>
+              </div>
+            )}
+
             <div className="dashboard-content">
               <div className="calendar-section">
                 <Calendar 
                   selectedDate={selectedDate} 
                   onDateSelect={setSelectedDate}
-                  notes={notes}
+                  onMonthChange={setVisibleMonth}
+                  notes={visibleNotes}
+                  tags={tags}
                 />
               </div>
               <div className="notes-section">
                 <Notes
                   selectedDate={selectedDate}
                   apiBaseUrl={apiBaseUrl}
-                  token={session.token}
                   userId={session.user.id}
-                  isOfflineMode={isOfflineMode}
+                  notes={notes}
+                  tags={tags}
+                  tagFilter={tagFilter}
+                  isOfflineMode={isOfflineMode || needsReauth}
                   onNoteSaved={(updatedNotes) => {
                     setNotes(updatedNotes)
                     notesStorage.save(session.user.id, updatedNotes)
                   }}
                 />
+                <Tasks
+                  selectedDate={selectedDate}
+                  apiBaseUrl={apiBaseUrl}
+                  userId={session.user.id}
+                  tasks={tasks}
+                  isOfflineMode={isOfflineMode || needsReauth}
+                  onTasksChanged={setTasks}
+                />
               </div>
               <div className="chatbot-section">
-                <ChatBot notes={notes} checkUpcomingTasks={checkUpcomingTasks} />
+                <ChatBot notes={notes} tasks={tasks} checkUpcomingTasks={checkUpcomingTasks} />
               </div>
             </div>
           </div>
@@ -432,6 +802,7 @@ function App() {
               <>
                 <Login
                   apiBaseUrl={apiBaseUrl}
+                  resetToken={resetToken}
                   onAuth={(payload) => {
                     setSession(payload)
                     sessionStorage.save(payload)
@@ -6,22 +6,24 @@
  * WHAT DOES THIS COMPONENT DO?
  * -----------------------------
  * Displays a monthly calendar view with interactive date selection.
- * Shows visual indicators for dates that have notes.
+ * Shows how many notes each date has, and the colours of their tags.
  * 
  * HOW IT WORKS:
  * ------------
  * 1. Displays current month in calendar grid format
  * 2. Highlights today's date
- * 3. Shows yellow highlight and dot for dates with notes
+ * 3. Shows a count badge and one dot per tag colour for dates with notes
  * 4. Highlights selected date
  * 5. User can navigate between months
  * 6. Clicking a date calls onDateSelect callback
+ * 7. A date selected elsewhere (e.g. from search) brings its month into view
+ * 8. The shown month is reported via onMonthChange (App.jsx expands repeating notes for it)
  * 
  * FEATURES:
  * --------
  * - Month navigation (previous/next)
  * - Today highlighting
- * - Note indicators (yellow background + dot)
+ * - Note indicators (number of notes + tag colour dots, grey for untagged notes)
  * - Selected date highlighting
  * - Responsive grid layout
  * 
@@ -37,7 +39,7 @@
  * A: Modify weekDays array order and firstDayOfMonth calculation
  * 
  * Q: How do I add event indicators?
- * A: Add hasEvent function similar to hasNote and add styling
+ * A: Collect them per date like dayInfo does and add styling
  * 
  * Q: How do I change the date format?
  * A: Modify formatDateString function
@@ -48,7 +50,13 @@
  * ============================================================================
  */
 
-import { useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
+import { monthKey } from './notesApi.js'
+
+// Dot colour for notes without (known) tags
+const UNTAGGED_COLOR = '#94a3b8'
+// More dots than this don't fit in a day cell
+const MAX_TAG_DOTS = 4
 
 /**
  * CALENDAR COMPONENT
@@ -56,10 +64,48 @@ import { useState } from 'react'
  * Props:
  *   - selectedDate: Currently selected date (YYYY-MM-DD) or null
  *   - onDateSelect: Callback function called when user clicks a date
- *   - notes: Array of note objects with date property
+ *   - onMonthChange: Callback function called with the shown month ('YYYY-MM'),
+ *     so App.jsx can load the notes around it
+ *   - notes: Array of note objects with date property (several per date allowed)
+ *   - tags: The user's tags ({ id, name, color }), for the colour dots
  */
-function Calendar({ selectedDate, onDateSelect, notes = [] }) {
+function Calendar({ selectedDate, onDateSelect, onMonthChange, notes = [], tags = [] }) {
   const [currentMonth, setCurrentMonth] = useState(new Date())
+  const [shownDate, setShownDate] = useState(selectedDate)
+
+  // Follow dates picked elsewhere (e.g. a search result) to their month
+  if (selectedDate !== shownDate) {
+    setShownDate(selectedDate)
+    if (selectedDate) {
+      setCurrentMonth(new Date(selectedDate + 'T00:00:00'))
+    }
+  }
+
+  const shownMonth = monthKey(currentMonth)
+  useEffect(() => {
+    if (onMonthChange) {
+      onMonthChange(shownMonth)
+    }
+  }, [shownMonth, onMonthChange])
+
+  // Per YYYY-MM-DD date: number of non-empty notes and the colours of their tags
+  const dayInfo = useMemo(() => {
+    const colorsById = new Map(tags.map((tag) => [tag.id, tag.color]))
+    const info = new Map()
+    for (const note of notes) {
+      if (!note.content || !note.content.trim()) continue
+
+      const entry = info.get(note.date) || { count: 0, colors: new Set() }
+      entry.count++
+      const colors = (note.tagIds || []).map((id) => colorsById.get(id)).filter(Boolean)
+      if (colors.length === 0) {
+        entry.colors.add(UNTAGGED_COLOR)
+      }
+      colors.forEach((color) => entry.colors.add(color))
+      info.set(note.date, entry)
+    }
+    return info
+  }, [notes, tags])
 
   const year = currentMonth.getFullYear()
   const month = currentMonth.getMonth()
@@ -111,10 +157,7 @@ function Calendar({ selectedDate, onDateSelect, notes = [] }) {
     return `${yyyy}-${mm}-${dd}`
   }
 
-  const hasNote = (day) => {
-    const dateStr = formatDateString(day)
-    return notes.some((note) => note.date === dateStr && note.content && note.content.trim())
-  }
+  const infoFor = (day) => dayInfo.get(formatDateString(day)) || { count: 0, colors: new Set() }
 
   const isSelected = (day) => {
     if (!selectedDate) return false
@@ -159,15 +202,24 @@ function Calendar({ selectedDate, onDateSelect, notes = [] }) {
         {Array.from({ length: daysInMonth }).map((_, index) => {
           const day = index + 1
           const dateStr = formatDateString(day)
+          const { count, colors } = infoFor(day)
           return (
             <button
               key={day}
               type="button"
-              className={`calendar-day ${isSelected(day) ? 'selected' : ''} ${isToday(day) ? 'today' : ''} ${hasNote(day) ? 'has-note' : ''}`}
+              className={`calendar-day ${isSelected(day) ? 'selected' : ''} ${isToday(day) ? 'today' : ''} ${count > 0 ? 'has-note' : ''}`}
               onClick={() => onDateSelect(dateStr)}
+              aria-label={count > 0 ? `${dateStr}, ${count} ${count === 1 ? 'note' : 'notes'}` : dateStr}
             >
               {day}
-              {hasNote(day) && <span className="note-indicator">•</span>}
+              {count > 0 && <span className="note-indicator" aria-hidden="true">{count > 99 ? '99+' : count}</span>}
+              {count > 0 && (
+                <span className="tag-dots" aria-hidden="true">
+                  {[...colors].slice(0, MAX_TAG_DOTS).map((color) => (
+                    <span key={color} className="tag-dot" style={{ backgroundColor: color }} />
+                  ))}
+                </span>
+              )}
             </button>
           )
         })}
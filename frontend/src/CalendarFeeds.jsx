@@ -0,0 +1,308 @@
+/**
+ * ============================================================================
+ * CALENDAR FEEDS COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * "Subscribe" section of the import / export panel (CalendarFilePanel.jsx):
+ * creates secret feed URLs that calendar apps subscribe to, so they keep
+ * showing the current notes and tasks without downloading a file again.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * - Feeds are managed through /api/feeds (backend/routes/feeds.js)
+ * - Each feed picks its notes (all, only some tags, none) and whether
+ *   tasks are in it
+ * - The URL is shown once, right after creating the feed: the server only
+ *   keeps a hash of it. A lost URL is revoked and a new feed created
+ * - Revoking a feed stops its URL working in every calendar app using it
+ *
+ * ============================================================================
+ */
+
+import { useEffect, useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import TagChip from './TagChip.jsx'
+
+const EMPTY_FORM = { name: '', notes: 'all', tagIds: [], includeTasks: true }
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+
+/**
+ * CALENDAR FEEDS COMPONENT
+ * ------------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - tags: The user's tags ({ id, name, color })
+ */
+function CalendarFeeds({ apiBaseUrl, tags }) {
+  const [feeds, setFeeds] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)
+  const [created, setCreated] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadFeeds() {
+      try {
+        const response = await authFetch(apiBaseUrl, '/api/feeds')
+        if (!response.ok) {
+          const { message } = await readApiError(response, 'Unable to load your calendar feeds.')
+          throw new Error(message)
+        }
+        const payload = await response.json()
+        if (!cancelled) {
+          setFeeds(payload)
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setFeedback({
+            type: 'error',
+            message: error.name === 'TypeError' ? 'Cannot connect to server. Please try again when online.' : error.message,
+          })
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    loadFeeds()
+    return () => {
+      cancelled = true
+    }
+  }, [apiBaseUrl])
+
+  /**
+   * Sends one feed request and reports failures in the section.
+   * Returns the parsed response body, or null on failure.
+   */
+  const request = async (busyKey, path, method, body, fallbackMessage) => {
+    setBusyId(busyKey)
+    setFeedback(null)
+    try {
+      const response = await authFetch(apiBaseUrl, path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      })
+      if (!response.ok) {
+        const { message, fieldErrors } = await readApiError(response, fallbackMessage)
+        setFeedback({ type: 'error', message: Object.values(fieldErrors).join(' ') || message })
+        return null
+      }
+      return await response.json()
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: error.name === 'TypeError' ? 'Cannot connect to server. Please try again when online.' : error.message,
+      })
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const toggleTag = (tagId) => {
+    setForm((current) => ({
+      ...current,
+      tagIds: current.tagIds.includes(tagId)
+        ? current.tagIds.filter((id) => id !== tagId)
+        : [...current.tagIds, tagId],
+    }))
+  }
+
+  const startEditing = (feed) => {
+    setEditingId(feed.id)
+    setCreated(null)
+    setForm({ name: feed.name, notes: feed.notes, tagIds: feed.tagIds, includeTasks: feed.includeTasks })
+  }
+
+  const stopEditing = () => {
+    setEditingId(null)
+    setForm(EMPTY_FORM)
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const body = { ...form, tagIds: form.notes === 'tagged' ? form.tagIds : [] }
+
+    if (editingId) {
+      const saved = await request(editingId, `/api/feeds/${editingId}`, 'PUT', body, 'Unable to update the feed.')
+      if (saved) {
+        setFeeds((current) => current.map((feed) => (feed.id === saved.id ? saved : feed)))
+        stopEditing()
+      }
+      return
+    }
+
+    const feed = await request('new', '/api/feeds', 'POST', body, 'Unable to create the feed.')
+    if (feed) {
+      const { token: _token, url, ...stored } = feed
+      setFeeds((current) => [...current, stored])
+      setCreated({ id: feed.id, url: `${apiBaseUrl}${url}` })
+      setForm(EMPTY_FORM)
+    }
+  }
+
+  const handleRevoke = async (feed) => {
+    if (!confirm(`Revoke the feed "${feed.name}"? Calendar apps subscribed to it stop getting updates.`)) return
+
+    const result = await request(feed.id, `/api/feeds/${feed.id}`, 'DELETE', null, 'Unable to revoke the feed.')
+    if (result) {
+      setFeeds((current) => current.filter((existing) => existing.id !== feed.id))
+      if (created?.id === feed.id) {
+        setCreated(null)
+      }
+      if (editingId === feed.id) {
+        stopEditing()
+      }
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(created.url)
+      setFeedback({ type: 'success', message: 'Feed URL copied.' })
+    } catch {
+      setFeedback({ type: 'error', message: 'Could not copy the URL. Select it and copy it by hand.' })
+    }
+  }
+
+  const describeFeed = (feed) => {
+    const tagNames = feed.tagIds
+      .map((tagId) => tags.find((tag) => tag.id === tagId)?.name)
+      .filter(Boolean)
+    const notes = {
+      all: 'All notes',
+      tagged: tagNames.length > 0 ? `Notes tagged ${tagNames.join(', ')}` : 'No notes (its tags were deleted)',
+      none: 'No notes',
+    }[feed.notes]
+    return `${notes}${feed.includeTasks ? ' and tasks' : ''}`
+  }
+
+  return (
+    <div className="calendar-file-section calendar-feeds">
+      <h4>Subscribe</h4>
+      <p className="modal-text">
+        A feed is a secret link that calendar apps can subscribe to. They keep showing your current notes and
+        tasks; anyone with the link can see them, so revoke it if it leaks.
+      </p>
+
+      {created && (
+        <div className="calendar-feed-created">
+          <p className="feedback success">Feed created. Copy the link now, it is only shown once:</p>
+          <div className="calendar-file-row">
+            <input type="text" value={created.url} readOnly onFocus={(event) => event.target.select()} aria-label="Feed URL" />
+            <button type="button" className="secondary" onClick={handleCopy}>
+              Copy
+            </button>
+            <a href={created.url.replace(/^https?:/, 'webcal:')}>Open in calendar app</a>
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="modal-text">Loading feeds...</p>
+      ) : feeds.length > 0 && (
+        <ul className="calendar-feed-list">
+          {feeds.map((feed) => (
+            <li key={feed.id} className="calendar-feed-item">
+              <div>
+                <strong>{feed.name}</strong>
+                <span className="calendar-feed-meta">
+                  {describeFeed(feed)} · created {formatDate(feed.createdAt)}
+                  {feed.lastUsedAt ? ` · last fetched ${formatDate(feed.lastUsedAt)}` : ' · not fetched yet'}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="note-item-button"
+                onClick={() => startEditing(feed)}
+                disabled={busyId !== null || editingId === feed.id}
+              >
+                Edit
+              </button>
+              <button
+                type="button"
+                className="note-item-button danger"
+                onClick={() => handleRevoke(feed)}
+                disabled={busyId !== null}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="calendar-feed-form" onSubmit={handleSubmit}>
+        <h5>{editingId ? 'Edit feed' : 'New feed'}</h5>
+        <input
+          type="text"
+          placeholder="Name shown in the calendar app (WellWork)"
+          value={form.name}
+          onChange={(event) => setForm((current) => ({ ...current, name: event.target.value }))}
+          maxLength={60}
+          aria-label="Feed name"
+        />
+        <fieldset className="calendar-feed-notes">
+          <legend>Notes</legend>
+          {[['all', 'All notes'], ['tagged', 'Only with these tags'], ['none', 'No notes']].map(([value, label]) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="feed-notes"
+                checked={form.notes === value}
+                onChange={() => setForm((current) => ({ ...current, notes: value }))}
+                disabled={value === 'tagged' && tags.length === 0}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        {form.notes === 'tagged' && (
+          <div className="notes-tag-picker" role="group" aria-label="Tags in this feed">
+            {tags.map((tag) => (
+              <TagChip key={tag.id} tag={tag} selected={form.tagIds.includes(tag.id)} onClick={() => toggleTag(tag.id)} />
+            ))}
+          </div>
+        )}
+        <label className="calendar-feed-tasks">
+          <input
+            type="checkbox"
+            checked={form.includeTasks}
+            onChange={(event) => setForm((current) => ({ ...current, includeTasks: event.target.checked }))}
+          />
+          Include tasks
+        </label>
+        <div className="calendar-file-row">
+          <button
+            type="submit"
+            className="notes-save-button"
+            disabled={busyId !== null || (form.notes === 'tagged' && form.tagIds.length === 0)}
+          >
+            {editingId ? 'Save feed' : busyId === 'new' ? 'Creating...' : 'Create feed'}
+          </button>
+          {editingId && (
+            <button type="button" className="secondary" onClick={stopEditing}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+    </div>
+  )
+}
+
+export default CalendarFeeds
@@ -0,0 +1,207 @@
+/**
+ * ============================================================================
+ * CALENDAR FILE PANEL COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Dashboard panel for iCalendar (.ics) files:
+ * - Import: events become notes, to-dos become tasks
+ * - Export: download every note and task as an .ics file that other
+ *   calendar apps (Google Calendar, Outlook, Apple Calendar...) can open
+ * - Subscribe: secret feed URLs that stay up to date (CalendarFeeds.jsx)
+ *
+ * HOW IT WORKS:
+ * ------------
+ * - The picked file is sent as is to POST /api/import/ics, with the
+ *   browser's time zone so meeting times come out in local time
+ * - The panel then lists what was added, updated or left alone, and what
+ *   was skipped and why; App.jsx reloads the notes and tasks (onImported)
+ * - Importing the same file again doesn't add copies: the server
+ *   recognises entries it imported before (see backend/routes/ical.js)
+ * - Export downloads GET /api/export/ics
+ *
+ * OFFLINE:
+ * -------
+ * All of it needs the backend; the panel says so when it is offline.
+ *
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import CalendarFeeds from './CalendarFeeds.jsx'
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// "3 added, 1 updated, 2 unchanged"
+const describeCounts = ({ created, updated, unchanged }) =>
+  [created && `${created} added`, updated && `${updated} updated`, unchanged && `${unchanged} unchanged`]
+    .filter(Boolean)
+    .join(', ') || 'none'
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+/**
+ * CALENDAR FILE PANEL COMPONENT
+ * -----------------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - tags: The user's tags, for choosing what a feed contains
+ *   - isOfflineMode: Whether backend is offline
+ *   - onImported: Callback function called after an import changed something
+ *   - onClose: Callback function to close the panel
+ */
+function CalendarFilePanel({ apiBaseUrl, tags = [], isOfflineMode = false, onImported, onClose }) {
+  const [file, setFile] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [result, setResult] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  const showRequestError = (error, fallback) => {
+    setFeedback({
+      type: 'error',
+      message: error.name === 'TypeError' ? 'Cannot connect to server. Please try again when online.' : error.message || fallback,
+    })
+  }
+
+  const handleImport = async (event) => {
+    event.preventDefault()
+    if (!file) return
+
+    setBusy('import')
+    setFeedback(null)
+    setResult(null)
+    try {
+      const params = new URLSearchParams({ timezone: browserTimeZone() })
+      const response = await authFetch(apiBaseUrl, `/api/import/ics?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/calendar' },
+        body: await file.text(),
+      })
+
+      if (!response.ok) {
+        const { message } = await readApiError(response, 'This file could not be imported.')
+        setFeedback({ type: 'error', message })
+        return
+      }
+
+      const imported = await response.json()
+      setResult(imported)
+      const changed = ['notes', 'tasks'].some((kind) => imported[kind].created + imported[kind].updated > 0)
+      if (changed && onImported) {
+        onImported()
+      }
+    } catch (error) {
+      showRequestError(error, 'This file could not be imported.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy('export')
+    setFeedback(null)
+    try {
+      const response = await authFetch(apiBaseUrl, '/api/export/ics')
+      if (!response.ok) {
+        const { message } = await readApiError(response, 'Unable to export your calendar.')
+        setFeedback({ type: 'error', message })
+        return
+      }
+
+      const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'wellwork.ics'
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      showRequestError(error, 'Unable to export your calendar.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const notices = result ? [...result.skipped.map((item) => ({ ...item, skipped: true })), ...result.warnings] : []
+
+  return (
+    <div className="calendar-file-panel">
+      <div className="account-settings-header">
+        <h3>Import &amp; export</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {isOfflineMode ? (
+        <p className="feedback error">Importing, exporting and feeds need the backend to be online.</p>
+      ) : (
+        <>
+          <form className="calendar-file-section" onSubmit={handleImport}>
+            <h4>Import an .ics file</h4>
+            <p className="modal-text">
+              Events become notes, to-dos become tasks. Times are shown in your time zone ({browserTimeZone()}).
+              Importing the same file again updates what changed instead of adding copies.
+            </p>
+            <div className="calendar-file-row">
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={(event) => {
+                  setFile(event.target.files[0] || null)
+                  setResult(null)
+                  setFeedback(null)
+                }}
+                aria-label="Calendar file"
+              />
+              <button type="submit" className="notes-save-button" disabled={!file || busy !== null}>
+                {busy === 'import' ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </form>
+
+          {result && (
+            <div className="calendar-file-result">
+              <p className="feedback success">
+                Notes: {describeCounts(result.notes)}. Tasks: {describeCounts(result.tasks)}.
+              </p>
+              {notices.length > 0 && (
+                <>
+                  <p className="modal-text">
+                    {result.skipped.length} skipped, {plural(result.warnings.length, 'warning')}:
+                  </p>
+                  <ul className="calendar-file-notices">
+                    {notices.map((notice, index) => (
+                      <li key={`${notice.uid}-${index}`} className={notice.skipped ? 'skipped' : 'warning'}>
+                        <strong>{notice.summary || notice.uid || 'Untitled'}</strong>: {notice.message}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="calendar-file-section">
+            <h4>Export</h4>
+            <p className="modal-text">
+              Download all your notes and tasks as an .ics file for other calendar apps.
+            </p>
+            <button type="button" className="secondary" onClick={handleExport} disabled={busy !== null}>
+              {busy === 'export' ? 'Preparing...' : 'Download .ics'}
+            </button>
+          </div>
+
+          <CalendarFeeds apiBaseUrl={apiBaseUrl} tags={tags} />
+        </>
+      )}
+
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+    </div>
+  )
+}
+
+export default CalendarFilePanel
@@ -24,7 +24,7 @@
  * - Pattern matching: Recognizes keywords like "calendar", "tips", "help"
  * - Random responses: Selects random answers from arrays for variety
  * - Note integration: Can tell users how many notes they have
- * - Task reminders: Shows upcoming tasks when asked
+ * - Task reminders: Shows open tasks due soon when asked (done tasks are skipped)
  * - Loading states: Shows typing indicator while "thinking"
  * 
  * COMMON QUESTIONS:
@@ -45,6 +45,7 @@
  */
 
 import { useState, useRef, useEffect } from 'react'
+import { upcomingOccurrences } from './recurrence.js'
 
 /**
  * RESPONSE DATABASE
@@ -60,11 +61,11 @@ const chatbotResponses = {
     "Welcome! I can help you manage your calendar, give wellness tips, or answer questions. What can I do for you?",
   ],
   help: [
-    "I can help you with:\n• Managing your calendar and notes\n• Wellness tips and reminders\n• Productivity advice\n• Time management suggestions\n\nWhat would you like help with?",
+    "I can help you with:\n• Managing your calendar, notes and tasks\n• Wellness tips and reminders\n• Productivity advice\n• Time management suggestions\n\nWhat would you like help with?",
   ],
   calendar: [
     "To add a note to a date, simply click on any date in the calendar and type your note in the text area. Click 'Save Note' when you're done!",
-    "You can see which dates have notes by looking for the yellow highlight and dot indicator on calendar dates.",
+    "You can see which dates have notes by looking for the badge on calendar dates, which shows how many notes a day has. The coloured dots show their tags.",
     "To delete a note, select the date, then click the 'Delete Note' button.",
   ],
   tips: [
@@ -97,10 +98,11 @@ const chatbotResponses = {
  * MAIN CHATBOT COMPONENT
  * ----------------------
  * Props:
- *   - notes: Array of user's notes (used to count notes and show upcoming tasks)
+ *   - notes: Array of user's notes (used to count notes)
+ *   - tasks: Array of user's tasks (used to show upcoming tasks)
  *   - checkUpcomingTasks: Function to check for tasks due soon
  */
-function ChatBot({ notes = [], checkUpcomingTasks }) {
+function ChatBot({ notes = [], tasks = [], checkUpcomingTasks }) {
   /**
    * STATE MANAGEMENT
    * ----------------
@@ -244,35 +246,29 @@ function ChatBot({ notes = [], checkUpcomingTasks }) {
           if (cleanMessage.startsWith('🔔') || cleanMessage.startsWith('⚠️') || cleanMessage.startsWith('⏰') || cleanMessage.startsWith('📅')) {
             cleanMessage = cleanMessage.slice(2).trim()
           }
-          return `🔔 ${cleanMessage}\n\nYou have tasks coming up! Check your calendar to see all upcoming notes.`
+          return `🔔 ${cleanMessage}\n\nYou have tasks coming up! Check your calendar to see all upcoming tasks.`
         }
       }
       
-      // Fallback: manually check notes for next 2 days
+      // Fallback: manually check open tasks (and days of repeating ones) for next 2 days
       const today = new Date()
       today.setHours(0, 0, 0, 0)
-      const tomorrow = new Date(today)
-      tomorrow.setDate(tomorrow.getDate() + 1)
-      const dayAfter = new Date(today)
-      dayAfter.setDate(dayAfter.getDate() + 2)
 
-      const upcoming = notes.filter((note) => {
-        if (!note.date) return false
-        const noteDate = new Date(note.date + 'T00:00:00')
-        noteDate.setHours(0, 0, 0, 0)
-        return noteDate >= today && noteDate <= dayAfter
-      })
+      const upcoming = upcomingOccurrences(tasks, 'dueDate', 2)
+        .filter((task) => task.status !== 'done')
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || (a.dueTime || '').localeCompare(b.dueTime || ''))
 
       if (upcoming.length === 0) {
         return "You don't have any tasks due in the next 2 days. Great job staying on top of things! 🎉"
       }
 
       let response = `You have ${upcoming.length} task${upcoming.length === 1 ? '' : 's'} coming up:\n\n`
-      upcoming.forEach((note) => {
-        const noteDate = new Date(note.date + 'T00:00:00')
-        const daysUntil = Math.ceil((noteDate - today) / (1000 * 60 * 60 * 24))
+      upcoming.forEach((task) => {
+        const dueDate = new Date(task.dueDate + 'T00:00:00')
+        const daysUntil = Math.round((dueDate - today) / (1000 * 60 * 60 * 24))
         const dateLabel = daysUntil === 0 ? 'Today' : daysUntil === 1 ? 'Tomorrow' : `In ${daysUntil} days`
-        response += `📅 ${dateLabel}: ${note.content.substring(0, 40)}${note.content.length > 40 ? '...' : ''}\n`
+        const time = task.dueTime ? ` ${task.dueTime}` : ''
+        response += `📅 ${dateLabel}${time}: ${task.title.substring(0, 40)}${task.title.length > 40 ? '...' : ''}\n`
       })
 
       return response
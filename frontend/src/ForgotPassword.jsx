@@ -0,0 +1,189 @@
+/**
+ * ============================================================================
+ * FORGOT PASSWORD COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ * 
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Lets users who forgot their password choose a new one.
+ * 
+ * HOW IT WORKS:
+ * ------------
+ * 1. User enters their username or email ("request" step)
+ * 2. Backend mails a reset link (POST /password/forgot)
+ * 3. User opens the link (App.jsx reads ?resetToken=...) or pastes the
+ *    reset code from the email ("reset" step)
+ * 4. User picks a new password (POST /password/reset)
+ * 5. Calls onDone with a success message, user logs in again
+ * 
+ * NOTES:
+ * -----
+ * - Only accounts registered with an email address can be reset
+ * - The backend answers the same whether or not the account exists
+ * - Reset codes work once and expire after 30 minutes (backend setting)
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+
+/**
+ * FORGOT PASSWORD COMPONENT
+ * -------------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - initialToken: Reset code from the email link (skips straight to the reset step)
+ *   - onDone: Callback function called with success message after the password is changed
+ *   - onCancel: Callback function to go back to the login form
+ */
+function ForgotPassword({ apiBaseUrl, initialToken = '', onDone, onCancel }) {
+  const [step, setStep] = useState(initialToken ? 'reset' : 'request')
+  const [form, setForm] = useState({ identifier: '', token: initialToken, password: '' })
+  const [feedback, setFeedback] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm((current) => ({ ...current, [name]: value }))
+  }
+
+  /**
+   * POST helper with the same error handling as Login/Register
+   */
+  const postJson = async (path, body, fallbackMessage) => {
+    const response = await fetch(`${apiBaseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+
+    if (!response.ok) {
+      let errorMessage = fallbackMessage
+      try {
+        const payload = await response.json()
+        errorMessage = payload.message || errorMessage
+      } catch {
+        errorMessage = `Server error: ${response.status} ${response.statusText}`
+      }
+      throw new Error(errorMessage)
+    }
+
+    return response.json()
+  }
+
+  const handleError = (error) => {
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      setFeedback({ type: 'error', message: 'Cannot connect to server. Make sure the backend is running.' })
+    } else {
+      setFeedback({ type: 'error', message: error.message || 'An error occurred. Please try again.' })
+    }
+  }
+
+  const handleRequest = async (event) => {
+    event.preventDefault()
+    setIsSubmitting(true)
+    setFeedback(null)
+
+    try {
+      const payload = await postJson('/password/forgot', { identifier: form.identifier }, 'Unable to request a reset.')
+      setFeedback({ type: 'success', message: payload.message })
+      setStep('reset')
+    } catch (error) {
+      handleError(error)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleReset = async (event) => {
+    event.preventDefault()
+    setIsSubmitting(true)
+    setFeedback(null)
+
+    try {
+      const payload = await postJson(
+        '/password/reset',
+        { token: form.token, password: form.password },
+        'Unable to reset password.',
+      )
+      setForm({ identifier: '', token: '', password: '' })
+      onDone(payload.message)
+    } catch (error) {
+      handleError(error)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return step === 'request' ? (
+    <form className="auth-form" onSubmit={handleRequest}>
+      <label htmlFor="forgot-identifier">Username or email</label>
+      <input
+        id="forgot-identifier"
+        name="identifier"
+        type="text"
+        placeholder="Your username or email"
+        value={form.identifier}
+        onChange={handleChange}
+        required
+      />
+
+      {feedback ? (
+        <p className={`feedback ${feedback.type}`}>{feedback.message}</p>
+      ) : null}
+
+      <button type="submit" disabled={isSubmitting}>
+        {isSubmitting ? 'Sending…' : 'Send reset link'}
+      </button>
+      <p className="stage-switch">
+        <button type="button" className="link-button" onClick={() => setStep('reset')}>
+          I already have a reset code
+        </button>
+        {' · '}
+        <button type="button" className="link-button" onClick={onCancel}>
+          Back to login
+        </button>
+      </p>
+    </form>
+  ) : (
+    <form className="auth-form" onSubmit={handleReset}>
+      {feedback ? (
+        <p className={`feedback ${feedback.type}`}>{feedback.message}</p>
+      ) : null}
+
+      <label htmlFor="reset-token">Reset code</label>
+      <input
+        id="reset-token"
+        name="token"
+        type="text"
+        placeholder="Paste the code from the email"
+        value={form.token}
+        onChange={handleChange}
+        required
+      />
+
+      <label htmlFor="reset-password">New password</label>
+      <input
+        id="reset-password"
+        name="password"
+        type="password"
+        placeholder="At least 6 characters"
+        value={form.password}
+        onChange={handleChange}
+        required
+        minLength={6}
+      />
+
+      <button type="submit" disabled={isSubmitting}>
+        {isSubmitting ? 'Saving…' : 'Set new password'}
+      </button>
+      <p className="stage-switch">
+        <button type="button" className="link-button" onClick={onCancel}>
+          Back to login
+        </button>
+      </p>
+    </form>
+  )
+}
+
+export default ForgotPassword
@@ -12,21 +12,22 @@
  * 1. User enters username and password
  * 2. Form submits to backend /login endpoint
  * 3. Backend validates credentials
- * 4. On success, receives JWT token and user info
- * 5. Calls onAuth callback with token and user data
+ * 4. On success, receives JWT access token, refresh token and user info
+ * 5. Calls onAuth callback with tokens and user data
  * 6. Parent component (App.jsx) handles session management
  * 
  * SECURITY:
  * --------
  * - Passwords are hashed on backend (never sent in plain text)
  * - Uses JWT tokens for authentication
- * - Token expires after 1 hour (handled by backend)
+ * - Access token expires after 1 hour, refresh token renews it (handled by backend)
  * 
  * ERROR HANDLING:
  * --------------
  * - Shows error if backend is offline
  * - Shows error if credentials are invalid
  * - Shows error if username/password is missing
+ * - Shows how long to wait when locked out after too many failed attempts (429)
  * 
  * COMMON QUESTIONS:
  * ----------------
@@ -36,25 +37,40 @@
  * Q: How do I add "Remember Me" functionality?
  * A: Store token in localStorage and check on app load
  * 
- * Q: How do I add password reset?
- * A: Add a new endpoint in backend and create a reset component
+ * Q: How does password reset work?
+ * A: "Forgot password?" opens ForgotPassword.jsx (email link or reset code)
  * 
  * ============================================================================
  */
 
 import { useState } from 'react'
+import ForgotPassword from './ForgotPassword.jsx'
+
+/**
+ * Turns a Retry-After value (seconds) into "X minutes" / "X seconds".
+ */
+function formatWait(seconds) {
+  if (seconds >= 60) {
+    const minutes = Math.ceil(seconds / 60)
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'}`
+}
 
 /**
  * LOGIN COMPONENT
  * ---------------
  * Props:
  *   - apiBaseUrl: Backend API base URL
- *   - onAuth: Callback function called with { token, user } on successful login
+ *   - onAuth: Callback function called with { token, refreshToken, user } on successful login
+ *   - initialUsername: Pre-filled, read-only username (re-login after session expiry)
+ *   - resetToken: Reset code from a password reset link (opens the reset form)
  */
-function Login({ apiBaseUrl, onAuth }) {
-  const [form, setForm] = useState({ username: '', password: '' })
+function Login({ apiBaseUrl, onAuth, initialUsername = '', resetToken = '' }) {
+  const [form, setForm] = useState({ username: initialUsername, password: '' })
   const [feedback, setFeedback] = useState(null)
   const [isSubmitting, setIsSubmitting] = useState(false)
+  const [showForgotPassword, setShowForgotPassword] = useState(Boolean(resetToken))
 
   const handleChange = (event) => {
     const { name, value } = event.target
@@ -79,6 +95,7 @@ function Login({ apiBaseUrl, onAuth }) {
    * - Network errors: Shows connection error message
    * - Server errors: Shows error message from backend
    * - Invalid credentials: Shows "Invalid credentials" message
+   * - Locked out / rate limited (429): Shows how long to wait (Retry-After)
    */
   const handleSubmit = async (event) => {
     event.preventDefault()
@@ -92,6 +109,23 @@ function Login({ apiBaseUrl, onAuth }) {
         body: JSON.stringify(form),
       })
 
+      if (response.status === 429) {
+        let retryAfter = Number(response.headers.get('Retry-After'))
+        let reason = 'Too many login attempts.'
+        try {
+          const payload = await response.json()
+          retryAfter = retryAfter || Number(payload.retryAfter)
+          if (payload.code === 'account_locked') {
+            reason = 'Too many failed login attempts. This account is temporarily locked.'
+          }
+        } catch {
+          // Keep the generic reason
+        }
+        throw new Error(
+          retryAfter > 0 ? `${reason} Please try again in ${formatWait(retryAfter)}.` : `${reason} Please try again later.`,
+        )
+      }
+
       if (!response.ok) {
         let errorMessage = 'Unable to log in.'
         try {
@@ -106,7 +140,7 @@ function Login({ apiBaseUrl, onAuth }) {
       const payload = await response.json()
       setFeedback(null)
       // Call parent callback with authentication data
-      onAuth({ token: payload.token, user: payload.user })
+      onAuth({ token: payload.token, refreshToken: payload.refreshToken, user: payload.user })
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         setFeedback({ 
@@ -121,6 +155,20 @@ function Login({ apiBaseUrl, onAuth }) {
     }
   }
 
+  if (showForgotPassword) {
+    return (
+      <ForgotPassword
+        apiBaseUrl={apiBaseUrl}
+        initialToken={resetToken}
+        onDone={(message) => {
+          setShowForgotPassword(false)
+          setFeedback({ type: 'success', message })
+        }}
+        onCancel={() => setShowForgotPassword(false)}
+      />
+    )
+  }
+
   return (
     <form className="auth-form" onSubmit={handleSubmit}>
       <label htmlFor="login-username">Username</label>
@@ -131,6 +179,7 @@ function Login({ apiBaseUrl, onAuth }) {
         placeholder="Your username"
         value={form.username}
         onChange={handleChange}
+        readOnly={Boolean(initialUsername)}
         required
       />
 
@@ -153,6 +202,18 @@ function Login({ apiBaseUrl, onAuth }) {
       <button type="submit" disabled={isSubmitting}>
         {isSubmitting ? 'Signing in…' : 'Sign in'}
       </button>
+      <p className="stage-switch">
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => {
+            setFeedback(null)
+            setShowForgotPassword(true)
+          }}
+        >
+          Forgot password?
+        </button>
+      </p>
     </form>
   )
 }
@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * NOTE CONFLICT DIALOG - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Shown by Notes.jsx when an edit was refused because the note changed on
+ * another device since this one loaded it (409 from PUT /api/notes/:id,
+ * see VERSIONS & CONFLICTS in backend/routes/notes.js). It shows what
+ * differs between the two and lets the user:
+ * - Keep mine: save this edit over the other one
+ * - Keep theirs: drop this edit and take the saved note
+ * - Merge: open both, line by line, in the editor to tidy up and save
+ *
+ * The dialog only reports the choice; Notes.jsx does the saving.
+ *
+ * ============================================================================
+ */
+
+import { useEffect } from 'react'
+import { diffLines } from './diff.js'
+import TagChip from './TagChip.jsx'
+
+/**
+ * NOTE CONFLICT COMPONENT
+ * -----------------------
+ * Props:
+ *   - mine: { content, tagIds } of the refused edit
+ *   - theirs: { content, tagIds } as saved on the server
+ *   - tags: The user's tags ({ id, name, color })
+ *   - isBusy: Whether "Keep mine" is being saved
+ *   - error: Message to show, or null
+ *   - onKeepMine / onKeepTheirs / onMerge: The user's choice
+ *   - onClose: Decide later (nothing is saved or dropped)
+ */
+function NoteConflict({ mine, theirs, tags = [], isBusy = false, error = null, onKeepMine, onKeepTheirs, onMerge, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]))
+  const tagChips = (tagIds = []) => {
+    const known = tagIds.filter((id) => tagsById.has(id))
+    return known.length > 0
+      ? known.map((id) => <TagChip key={id} tag={tagsById.get(id)} />)
+      : <span className="note-conflict-none">No tags</span>
+  }
+  const tagsDiffer = JSON.stringify([...(mine.tagIds || [])].sort()) !== JSON.stringify([...(theirs.tagIds || [])].sort())
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-labelledby="note-conflict-title">
+      <div className="modal-dialog note-conflict">
+        <h3 id="note-conflict-title">This note was changed elsewhere</h3>
+        <p className="modal-text">
+          While you were editing, the note was saved from another device or tab.
+          Lines marked + are only in your version, lines marked - only in the saved one.
+        </p>
+
+        {mine.content === theirs.content ? (
+          <pre className="history-diff">{mine.content}</pre>
+        ) : (
+          <pre className="history-diff">
+            {diffLines(theirs.content, mine.content).map((line, index) => (
+              <div key={index} className={`diff-line diff-${line.type}`}>
+                <span className="diff-marker" aria-hidden="true">
+                  {line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}
+                </span>
+                {line.text || ' '}
+              </div>
+            ))}
+          </pre>
+        )}
+
+        {tagsDiffer && (
+          <dl className="note-conflict-tags">
+            <dt>Your tags</dt>
+            <dd>{tagChips(mine.tagIds)}</dd>
+            <dt>Saved tags</dt>
+            <dd>{tagChips(theirs.tagIds)}</dd>
+          </dl>
+        )}
+
+        {error && <p className="feedback error">{error}</p>}
+
+        <div className="note-conflict-actions">
+          <button type="button" onClick={onKeepMine} disabled={isBusy}>
+            {isBusy ? 'Saving...' : 'Keep mine'}
+          </button>
+          <button type="button" className="secondary" onClick={onKeepTheirs} disabled={isBusy}>
+            Keep theirs
+          </button>
+          <button type="button" className="secondary" onClick={onMerge} disabled={isBusy}>
+            Merge
+          </button>
+          <button type="button" className="link-button" onClick={onClose} disabled={isBusy}>
+            Decide later
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NoteConflict
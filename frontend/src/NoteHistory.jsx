@@ -0,0 +1,259 @@
+/**
+ * ============================================================================
+ * NOTE HISTORY DRAWER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Side drawer listing every saved version of one note, with a line diff
+ * and a "Restore" button, so an accidental overwrite can be undone.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. Loads GET /api/notes/:id/history (newest first, first = current)
+ * 2. Selecting a version shows a diff against the version before it,
+ *    or against the current content
+ * 3. "Restore this version" calls
+ *    POST /api/notes/:id/history/:revisionId/restore; the restore is itself
+ *    saved as a new version, so it can be undone too
+ *
+ * OFFLINE:
+ * -------
+ * History lives on the server only, so the drawer needs the backend.
+ *
+ * ============================================================================
+ */
+
+import { useEffect, useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import { diffLines } from './diff.js'
+
+/**
+ * Short "Browser on OS" label from a User-Agent string
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device'
+
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ].find(([token]) => userAgent.includes(token))
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux'],
+  ].find(([token]) => userAgent.includes(token))
+
+  if (!browser && !os) return 'Other device'
+  if (!os) return browser[1]
+  if (!browser) return os[1]
+  return `${browser[1]} on ${os[1]}`
+}
+
+const formatTimestamp = (iso) =>
+  new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+
+/**
+ * NOTE HISTORY COMPONENT
+ * ----------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - note: The note whose history is shown ({ id, ... })
+ *   - isOfflineMode: Whether backend is offline
+ *   - onRestored: Callback function called with the restored note
+ *   - onClose: Callback function to close the drawer
+ */
+function NoteHistory({ apiBaseUrl, note, isOfflineMode = false, onRestored, onClose }) {
+  const [revisions, setRevisions] = useState([])
+  const [selectedIndex, setSelectedIndex] = useState(0)
+  const [compareWith, setCompareWith] = useState('previous')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isRestoring, setIsRestoring] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadHistory() {
+      setIsLoading(true)
+      setError(null)
+
+      if (isOfflineMode) {
+        setError('Note history needs the backend to be online.')
+        setIsLoading(false)
+        return
+      }
+
+      try {
+        const response = await authFetch(apiBaseUrl, `/api/notes/${note.id}/history`)
+        if (!response.ok) {
+          const { message } = await readApiError(response, 'Unable to load note history.')
+          throw new Error(message)
+        }
+        const history = await response.json()
+        if (!cancelled) {
+          setRevisions(history)
+          // Start on the previous version: usually the one people are looking for
+          setSelectedIndex(history.length > 1 ? 1 : 0)
+        }
+      } catch (loadError) {
+        if (!cancelled) {
+          setError(loadError.name === 'TypeError'
+            ? 'Note history needs the backend to be online.'
+            : loadError.message)
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    loadHistory()
+    return () => {
+      cancelled = true
+    }
+  }, [apiBaseUrl, note.id, isOfflineMode])
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const handleRestore = async () => {
+    const revision = revisions[selectedIndex]
+    if (!revision || revision.current) return
+
+    setIsRestoring(true)
+    setError(null)
+    try {
+      const response = await authFetch(
+        apiBaseUrl,
+        `/api/notes/${note.id}/history/${revision.id}/restore`,
+        { method: 'POST' }
+      )
+      if (!response.ok) {
+        const { message } = await readApiError(response, 'Unable to restore this version.')
+        throw new Error(message)
+      }
+      onRestored(await response.json())
+      onClose()
+    } catch (restoreError) {
+      setError(restoreError.name === 'TypeError'
+        ? 'Cannot connect to server. Restoring needs the backend to be online.'
+        : restoreError.message)
+    } finally {
+      setIsRestoring(false)
+    }
+  }
+
+  const selected = revisions[selectedIndex]
+  // Older text on the left of the diff, newer on the right
+  const baseline = compareWith === 'current'
+    ? revisions[0]
+    : revisions[selectedIndex + 1]
+  const diff = selected && baseline && baseline !== selected
+    ? (compareWith === 'current'
+        ? diffLines(selected.content, baseline.content)
+        : diffLines(baseline.content, selected.content))
+    : null
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <aside
+        className="history-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="history-header">
+          <h3 id="history-title">Note history</h3>
+          <button type="button" className="link-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        {isLoading && <p className="history-status">Loading history...</p>}
+        {error && <p className="feedback error">{error}</p>}
+
+        {!isLoading && revisions.length > 0 && (
+          <>
+            <ol className="history-list">
+              {revisions.map((revision, index) => (
+                <li key={revision.id || 'current'}>
+                  <button
+                    type="button"
+                    className={`history-item ${index === selectedIndex ? 'selected' : ''}`}
+                    onClick={() => setSelectedIndex(index)}
+                  >
+                    <span className="history-item-time">
+                      {formatTimestamp(revision.createdAt)}
+                      {revision.current && <span className="history-current"> (current)</span>}
+                    </span>
+                    <span className="history-item-device">{describeDevice(revision.userAgent)}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+
+            <div className="history-compare">
+              <label htmlFor="history-compare">Compare with</label>
+              <select
+                id="history-compare"
+                value={compareWith}
+                onChange={(event) => setCompareWith(event.target.value)}
+              >
+                <option value="previous">the version before it</option>
+                <option value="current">the current note</option>
+              </select>
+            </div>
+
+            {diff ? (
+              <pre className="history-diff">
+                {diff.map((line, index) => (
+                  <div key={index} className={`diff-line diff-${line.type}`}>
+                    <span className="diff-marker" aria-hidden="true">
+                      {line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}
+                    </span>
+                    {line.text || ' '}
+                  </div>
+                ))}
+              </pre>
+            ) : (
+              <pre className="history-diff">{selected?.content}</pre>
+            )}
+
+            <div className="notes-actions">
+              <button
+                type="button"
+                className="notes-save-button"
+                onClick={handleRestore}
+                disabled={!selected || selected.current || !selected.id || isRestoring}
+              >
+                {isRestoring ? 'Restoring...' : 'Restore this version'}
+              </button>
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  )
+}
+
+export default NoteHistory
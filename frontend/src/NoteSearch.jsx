@@ -0,0 +1,204 @@
+/**
+ * ============================================================================
+ * NOTE SEARCH COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Search box on the dashboard. Typing shows the best matching notes with
+ * the matched words highlighted; clicking a result selects its date, so
+ * Calendar and Notes jump there.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * - Waits SEARCH_DELAY_MS after the last keystroke, then asks
+ *   GET /api/notes/search (ranked by the backend, see backend/search.js)
+ * - Optional From / To dates limit the search to a date range
+ * - Results that arrive after the query changed again are ignored
+ *
+ * OFFLINE:
+ * -------
+ * When the backend is offline (or can't be reached) the same search runs
+ * against the notes cached on this device (noteSearch.js), and the
+ * results say so.
+ *
+ * ============================================================================
+ */
+
+import { useEffect, useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import { notesStorage } from './offlineStorage.js'
+import { searchNotes } from './noteSearch.js'
+import TagChip from './TagChip.jsx'
+
+const SEARCH_DELAY_MS = 250
+const RESULT_LIMIT = 20
+
+const formatDate = (dateStr) =>
+  new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+
+/**
+ * Snippet text with its highlight ranges wrapped in <mark>
+ */
+function renderSnippet(snippet, highlights) {
+  const parts = []
+  let cursor = 0
+  highlights.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(snippet.slice(cursor, start))
+    parts.push(<mark key={index}>{snippet.slice(start, end)}</mark>)
+    cursor = end
+  })
+  parts.push(snippet.slice(cursor))
+  return parts
+}
+
+/**
+ * NOTE SEARCH COMPONENT
+ * ---------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - userId: User ID, to search the offline cache
+ *   - tags: The user's tags ({ id, name, color }), shown on results
+ *   - isOfflineMode: Whether backend is offline
+ *   - onResultSelect: Callback function called with the date (YYYY-MM-DD) of a picked result
+ */
+function NoteSearch({ apiBaseUrl, userId, tags = [], isOfflineMode = false, onResultSelect }) {
+  const [query, setQuery] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [found, setFound] = useState(null)
+  const [isSearching, setIsSearching] = useState(false)
+  const [error, setError] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+
+  useEffect(() => {
+    // An empty box shows nothing (see hasQuery below), no need to search
+    if (!query.trim()) return
+
+    let cancelled = false
+    const searchOffline = () => ({
+      ...searchNotes(notesStorage.load(userId), query, { from, to, limit: RESULT_LIMIT }),
+      offline: true,
+    })
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true)
+      let result = null
+      let message = null
+
+      if (isOfflineMode) {
+        result = searchOffline()
+      } else {
+        const params = new URLSearchParams({ q: query, limit: String(RESULT_LIMIT) })
+        if (from) params.set('from', from)
+        if (to) params.set('to', to)
+        try {
+          const response = await authFetch(apiBaseUrl, `/api/notes/search?${params}`)
+          if (response.ok) {
+            result = { ...(await response.json()), offline: false }
+          } else {
+            const { message: apiMessage, fieldErrors } = await readApiError(response, 'Unable to search notes.')
+            message = Object.values(fieldErrors).join(' ') || apiMessage
+          }
+        } catch (searchError) {
+          if (searchError.name === 'TypeError') {
+            result = searchOffline()
+          } else {
+            message = searchError.message
+          }
+        }
+      }
+
+      if (!cancelled) {
+        setFound(result)
+        setError(message)
+        setIsSearching(false)
+      }
+    }, SEARCH_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [apiBaseUrl, userId, isOfflineMode, query, from, to])
+
+  const hasQuery = query.trim() !== ''
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]))
+
+  const handleSelect = (result) => {
+    setSelectedId(result.id)
+    onResultSelect(result.date)
+  }
+
+  return (
+    <div className="note-search">
+      <form className="note-search-form" role="search" onSubmit={(event) => event.preventDefault()}>
+        <input
+          type="search"
+          placeholder="Search notes..."
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === 'Escape') setQuery('')
+          }}
+          maxLength={200}
+          aria-label="Search notes"
+        />
+        <label className="note-search-date-field">
+          From
+          <input type="date" value={from} max={to || undefined} onChange={(event) => setFrom(event.target.value)} />
+        </label>
+        <label className="note-search-date-field">
+          To
+          <input type="date" value={to} min={from || undefined} onChange={(event) => setTo(event.target.value)} />
+        </label>
+      </form>
+
+      {hasQuery && error && <p className="field-error">{error}</p>}
+
+      {hasQuery && found && (
+        <div className="note-search-results" aria-live="polite">
+          <p className="note-search-summary">
+            {isSearching && 'Searching... '}
+            {found.total === 0
+              ? 'No matching notes.'
+              : `${found.total} matching ${found.total === 1 ? 'note' : 'notes'}`}
+            {found.total > found.results.length && ` (showing the best ${found.results.length})`}
+            {found.offline && ' · searched on this device'}
+          </p>
+          {found.results.length > 0 && (
+            <ul className="note-search-list">
+              {found.results.map((result) => (
+                <li key={result.id}>
+                  <button
+                    type="button"
+                    className={`note-search-result ${selectedId === result.id ? 'selected' : ''}`}
+                    onClick={() => handleSelect(result)}
+                  >
+                    <span className="note-search-result-date">{formatDate(result.date)}</span>
+                    <span className="note-search-snippet">{renderSnippet(result.snippet, result.highlights)}</span>
+                    {result.tagIds.some((id) => tagsById.has(id)) && (
+                      <span className="note-item-tags">
+                        {result.tagIds
+                          .filter((id) => tagsById.has(id))
+                          .map((id) => <TagChip key={id} tag={tagsById.get(id)} />)}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NoteSearch
@@ -2,54 +2,119 @@
  * ============================================================================
  * NOTES COMPONENT - FAQ & DOCUMENTATION
  * ============================================================================
- * 
+ *
  * WHAT DOES THIS COMPONENT DO?
  * -----------------------------
- * Allows users to create, edit, and delete notes for specific calendar dates.
- * 
+ * Shows the ordered list of notes for a calendar date (meetings, tasks,
+ * journal entries...) and lets users add, edit, reorder and delete them
+ * one by one.
+ *
  * HOW IT WORKS:
  * ------------
  * 1. User selects a date in the calendar
- * 2. Component loads existing note for that date (if any)
- * 3. User can type/edit note content in textarea
- * 4. Clicking "Save Note" saves to backend
- * 5. Clicking "Delete Note" removes note from backend
- * 6. Changes are synced with parent component
- * 
+ * 2. Component loads that day's notes, sorted by position
+ * 3. The textarea below the list adds a new note ("Add Note")
+ * 4. "Edit" on a note loads it into the textarea; "Save Changes" updates it
+ * 5. ↑ / ↓ move a note within the day, "Delete" removes it
+ * 6. "History" opens every saved version of a note (NoteHistory.jsx)
+ * 7. Tag chips under the textarea pick the note's tags; with a tag filter
+ *    active (App.jsx), only notes with that tag are listed
+ * 8. "Repeat" makes a note come back daily, weekly, monthly... (RepeatPicker)
+ * 9. Changes are synced with parent component
+ *
+ * REPEATING NOTES:
+ * ---------------
+ * - A repeating note is listed on every day it occurs (recurrence.js
+ *   expands the cached notes), marked with ↻ and its rule
+ * - Editing one asks whether the change is for this day only or for this
+ *   and the following days; deleting asks the same
+ * - Repeating notes keep their place in the day and have no ↑ / ↓
+ *
  * FEATURES:
  * --------
- * - Auto-loads note when date is selected
- * - Creates new note or updates existing one
- * - Delete confirmation dialog
+ * - Auto-loads the day's notes when date is selected
+ * - Any number of notes per day, kept in the order the user chooses
+ * - Version history with diff and restore
+ * - Deleted notes go to the trash and can be restored from there
  * - Loading states during API calls
  * - Error handling for network issues
- * 
+ *
  * DATA FLOW:
  * ---------
- * - Reads: Fetches notes from GET /api/notes
- * - Creates/Updates: POST /api/notes (if date exists, updates; otherwise creates)
- * - Deletes: DELETE /api/notes/:id
+ * - All requests go through authFetch (token renewal handled there)
+ * - Reads: Fetches the selected day only (GET /api/notes?from=<date>&to=<date>)
+ * - Creates: POST /api/notes (always adds a new note at the end of the day)
+ * - Updates: PUT /api/notes/:id (content and tagIds)
+ * - Reorders: PUT /api/notes/order with the day's note IDs in the new order
+ * - One day of a repeating note: ?occurrence=<date>&scope=this|future on
+ *   the PUT / DELETE (see backend/routes/notes.js)
+ * - Deletes: DELETE /api/notes/:id (moves the note to the trash)
+ * - History: GET /api/notes/:id/history and .../restore (in NoteHistory.jsx)
+ * - Writes answer with the affected note(s) only; they are merged into the
+ *   offline cache, which holds the full list
  * - Syncs: Calls onNoteSaved callback to update parent state
- * 
+ *
+ * OFFLINE:
+ * -------
+ * - Changes go to the offline cache and the sync queue
+ * - Notes created offline get a temp_ ID; editing or deleting one rewrites
+ *   or drops its queued create instead of queueing a request the server
+ *   could not match to a note. Once the create has synced, the temp_ ID is
+ *   replaced by the server's, also in queued reorders (offlineStorage.js)
+ * - Single days of a repeating note created offline can only be changed
+ *   once it has synced
+ *
+ * CONFLICTS:
+ * ---------
+ * - Edits send If-Match with the version of the note this device last saw;
+ *   if the note changed elsewhere since, the server refuses with a 409 and
+ *   its copy, and NoteConflict.jsx asks: keep mine, keep theirs or merge
+ * - Offline edits are queued with that If-Match too (only the first queued
+ *   edit of a note, later ones build on it). A queued edit refused on
+ *   replay stays queued with the server copy and gets a "Resolve" button
+ *
  * COMMON QUESTIONS:
  * ----------------
  * Q: How do I add rich text editing?
  * A: Replace textarea with a rich text editor library (e.g., Quill, TinyMCE)
- * 
- * Q: How do I add note categories/tags?
- * A: Add category field to note object and filter UI in parent component
- * 
- * Q: How do I add note search functionality?
- * A: Add search input and filter notes array before displaying
- * 
+ *
  * Q: How do I change the date format?
  * A: Modify formatDateDisplay function
- * 
+ *
  * ============================================================================
  */
 
 import { useState, useEffect } from 'react'
-import { notesStorage, syncQueue } from './offlineStorage.js'
+import { notesStorage, syncQueue, queuedNoteId } from './offlineStorage.js'
+import { authFetch } from './authFetch.js'
+import { fetchNotes } from './notesApi.js'
+import { readApiError } from './apiErrors.js'
+import { mergeLines } from './diff.js'
+import { describeRule, differingFields, expandRecords, occurrenceOf, pruneOverrides, splitSeries, withOverride } from './recurrence.js'
+import NoteConflict from './NoteConflict.jsx'
+import NoteHistory from './NoteHistory.jsx'
+import RepeatPicker from './RepeatPicker.jsx'
+import TagChip from './TagChip.jsx'
+
+/**
+ * Notes of one date in display order (same order as the backend:
+ * position, then creation time for notes saved before positions existed),
+ * occurrences of repeating notes included
+ */
+function notesForDate(notes, date) {
+  return expandRecords(notes, 'date', date, date)
+    .sort((a, b) => (a.position || 0) - (b.position || 0) || String(a.createdAt).localeCompare(String(b.createdAt)))
+}
+
+const isTempId = (id) => String(id).startsWith('temp_')
+
+const versionTag = (note) => `"${note.version || 1}"`
+
+// ?occurrence= and ?scope= of a note write URL (null when absent)
+const writeQuery = (url) => {
+  const params = new URLSearchParams(url.split('?')[1] || '')
+  return { occurrence: params.get('occurrence'), scope: params.get('scope') }
+}
 
 /**
  * NOTES COMPONENT
@@ -57,182 +122,344 @@ import { notesStorage, syncQueue } from './offlineStorage.js'
  * Props:
  *   - selectedDate: Currently selected date (YYYY-MM-DD format) or null
  *   - apiBaseUrl: Backend API base URL
- *   - token: JWT authentication token
  *   - userId: User ID for caching
+ *   - notes: The user's notes as known to App.jsx (e.g. after a restore from the trash)
+ *   - tags: The user's tags ({ id, name, color })
+ *   - tagFilter: ID of the tag to limit the list to, or null for all notes
  *   - isOfflineMode: Whether backend is offline
- *   - onNoteSaved: Callback function called with updated notes array after save/delete
+ *   - onNoteSaved: Callback function called with updated notes array after load/save/delete/reorder
  */
-function Notes({ selectedDate, apiBaseUrl, token, userId, isOfflineMode = false, onNoteSaved }) {
+function Notes({ selectedDate, apiBaseUrl, userId, notes, tags = [], tagFilter = null, isOfflineMode = false, onNoteSaved }) {
+  const [dayNotes, setDayNotes] = useState([])
   const [content, setContent] = useState('')
-  const [currentNoteId, setCurrentNoteId] = useState(null)
+  const [selectedTagIds, setSelectedTagIds] = useState([])
+  const [recurrence, setRecurrence] = useState('')
+  const [editingNoteId, setEditingNoteId] = useState(null)
+  // For a repeating note: change 'this' day only or this and all 'future' days
+  const [editScope, setEditScope] = useState('this')
+  const [deleteChoiceId, setDeleteChoiceId] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
-  const [isDeleting, setIsDeleting] = useState(false)
+  const [busyNoteId, setBusyNoteId] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+  const [historyNote, setHistoryNote] = useState(null)
+  // Refused edit being resolved: { url, body, current (server copy), operation (queued one, or null) }
+  const [conflict, setConflict] = useState(null)
+  const [isResolving, setIsResolving] = useState(false)
+  const [conflictError, setConflictError] = useState(null)
 
   /**
-   * EFFECT: Load Note When Date Changes
-   * -----------------------------------
-   * Automatically loads note content when user selects a different date.
-   * 
+   * EFFECT: Load Notes When Date Changes
+   * ------------------------------------
+   * Automatically loads the day's notes when user selects a different date.
+   *
    * WHEN IT RUNS:
    * - When selectedDate prop changes
    * - On component mount if date is already selected
-   * 
+   *
    * PROCESS:
-   * - If date selected: Fetches note from backend
-   * - If no date selected: Clears content
+   * - Resets the editor to "new note"
+   * - If date selected: Fetches notes from backend
+   * - If no date selected: Clears the list
    */
   useEffect(() => {
+    setSaveError(null)
+    setContent('')
+    setSelectedTagIds([])
+    setRecurrence('')
+    setEditingNoteId(null)
+    setEditScope('this')
+    setDeleteChoiceId(null)
+    setHistoryNote(null)
+    setConflict(null)
     if (selectedDate) {
-      loadNoteForDate(selectedDate)
+      loadNotesForDate(selectedDate)
     } else {
-      setContent('')
+      setDayNotes([])
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedDate])
 
-  const loadNoteForDate = async (date) => {
+  /**
+   * EFFECT: Follow Note Changes Made Elsewhere
+   * ------------------------------------------
+   * App.jsx's notes also change outside this component (trash restores,
+   * sync after coming back online); keep the day's list in step with them.
+   */
+  useEffect(() => {
+    if (selectedDate && notes) {
+      setDayNotes(notesForDate(notes, selectedDate))
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [notes])
+
+  const loadNotesForDate = async (date) => {
     setIsLoading(true)
-    
-    // Try to load from server first (if online)
+
+    // Try to load the day from server first (if online)
     if (!isOfflineMode) {
       try {
-        const response = await fetch(`${apiBaseUrl}/api/notes`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        })
+        const serverNotes = await fetchNotes(apiBaseUrl, { from: date, to: date })
 
-        if (response.ok) {
-          const notes = await response.json()
-          const noteForDate = notes.find((note) => note.date === date)
-          if (noteForDate) {
-            setContent(noteForDate.content)
-            setCurrentNoteId(noteForDate.id)
-          } else {
-            setContent('')
-            setCurrentNoteId(null)
-          }
+        if (serverNotes) {
+          applyNotes(notesStorage.replaceRange(userId, date, date, serverNotes), date)
           setIsLoading(false)
           return
         }
-      } catch (error) {
+      } catch {
         console.log('Backend offline, loading from cache...')
       }
     }
-    
-    // Fallback to localStorage cache
+
+    // Fallback to offline cache
     try {
-      const cachedNotes = notesStorage.load(userId)
-      const noteForDate = cachedNotes.find((note) => note.date === date)
-      if (noteForDate) {
-        setContent(noteForDate.content)
-        setCurrentNoteId(noteForDate.id)
-      } else {
-        setContent('')
-        setCurrentNoteId(null)
-      }
+      setDayNotes(notesForDate(notesStorage.load(userId), date))
     } catch (error) {
-      console.error('Error loading note from cache:', error)
-      setContent('')
+      console.error('Error loading notes from cache:', error)
+      setDayNotes([])
     } finally {
       setIsLoading(false)
     }
   }
 
+  /**
+   * Shows a new full note list (the updated cache)
+   * and hands it to the parent component
+   */
+  const applyNotes = (notes, date = selectedDate) => {
+    setDayNotes(notesForDate(notes, date))
+    if (onNoteSaved) {
+      onNoteSaved(notes)
+    }
+  }
+
+  const resetEditor = () => {
+    setContent('')
+    setSelectedTagIds([])
+    setRecurrence('')
+    setEditingNoteId(null)
+    setEditScope('this')
+    setSaveError(null)
+  }
+
+  const toggleTag = (tagId) => {
+    setSelectedTagIds((current) =>
+      current.includes(tagId) ? current.filter((id) => id !== tagId) : [...current, tagId]
+    )
+  }
+
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]))
+  const visibleNotes = tagFilter
+    ? dayNotes.filter((note) => note.tagIds?.includes(tagFilter))
+    : dayNotes
+  // Only notes that don't repeat are reordered by hand
+  const movableNotes = dayNotes.filter((note) => !note.recurrence)
+  const seriesStart = new Map((notes || []).map((note) => [note.id, note.date]))
+  const editingNote = dayNotes.find((note) => note.id === editingNoteId) || null
+  const editingRepeats = Boolean(editingNote?.recurrence)
+
+  // The note as cached (for a repeating note: the series, not the day)
+  const findCachedNote = (cachedNotes, noteId) => cachedNotes.find((cached) => cached.id === noteId) || null
+
+  // ?occurrence=&scope= for writes to one day of a repeating note
+  const occurrenceQuery = (scope) => `?occurrence=${selectedDate}&scope=${scope}`
+
+  // If-Match for an edit: the version of the note this device last saw
+  const ifMatchFor = (noteId) => {
+    const cached = findCachedNote(notesStorage.load(userId), noteId)
+    return cached ? { 'If-Match': versionTag(cached) } : {}
+  }
+
+  // Queued edits refused on replay (see retryFailedRequests), by note ID;
+  // only those for the whole note or for the selected day
+  const queuedConflicts = new Map(
+    syncQueue.getAll()
+      .filter((operation) => operation.conflict && [null, selectedDate].includes(writeQuery(operation.url).occurrence))
+      .map((operation) => [operation.conflict.id, operation])
+  )
+
   /**
    * SAVE NOTE HANDLER
    * -----------------
-   * Saves note content to backend (if online) or localStorage (if offline).
-   * 
+   * Adds a new note, or saves the note being edited.
+   *
    * HOW IT WORKS:
-   * - If online: POST request to /api/notes endpoint, syncs with server
-   * - If offline: Saves to localStorage and queues for later sync
-   * - Updates local state immediately for instant feedback
+   * - New note: POST /api/notes, appended to the end of the day
+   * - Edited note: PUT /api/notes/:id
+   * - Edited day of a repeating note: PUT with ?occurrence=&scope=; "this
+   *   and following days" answers with both the ended and the new series
+   * - If the server rejects the note (400): shows why under the textarea
+   *   and does NOT queue it, since retrying would fail the same way
+   * - If offline: Saves to the offline cache and queues for later sync
    * - Notifies parent component
-   * 
+   *
    * OFFLINE MODE:
    * - Creates temporary note with local ID
    * - Queues operation for sync when backend comes online
    * - User can continue working seamlessly
    */
   const handleSave = async () => {
-    if (!selectedDate) return
+    if (!selectedDate || !content.trim()) return
 
     setIsSaving(true)
-    const noteData = {
-      date: selectedDate,
-      content: content.trim(),
+    setSaveError(null)
+    const trimmedContent = content.trim()
+    // Drop tags deleted since they were picked
+    const tagIds = selectedTagIds.filter((id) => tagsById.has(id))
+
+    if (editingRepeats && isTempId(editingNoteId)) {
+      setSaveError('Single days of a repeating note can be changed once it has synced.')
+      setIsSaving(false)
+      return
+    }
+
+    // What is sent: a single day keeps the series' rule; "this and
+    // following" only sends a rule the user changed, so the server can
+    // carry over what is left of a COUNT
+    const query = editingRepeats ? occurrenceQuery(editScope) : ''
+    const body = { content: trimmedContent, tagIds }
+    if (!editingNoteId) {
+      body.date = selectedDate
+      body.recurrence = recurrence
+    } else if (!editingRepeats || (editScope === 'future' && recurrence !== editingNote.recurrence)) {
+      body.recurrence = recurrence
     }
 
     // Try to save to server first (if online)
-    if (!isOfflineMode) {
+    if (!isOfflineMode && !(editingNoteId && isTempId(editingNoteId))) {
       try {
-        const response = await fetch(`${apiBaseUrl}/api/notes`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(noteData),
-        })
+        const response = editingNoteId
+          ? await authFetch(apiBaseUrl, `/api/notes/${editingNoteId}${query}`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json', ...ifMatchFor(editingNoteId) },
+              body: JSON.stringify(body),
+            })
+          : await authFetch(apiBaseUrl, '/api/notes', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body),
+            })
 
         if (response.ok) {
-          const updatedNotes = await response.json()
-          const savedNote = updatedNotes.find((note) => note.date === selectedDate)
-          if (savedNote) {
-            setCurrentNoteId(savedNote.id)
-          }
-          // Sync with parent component and cache
-          if (onNoteSaved) {
-            onNoteSaved(updatedNotes)
-          }
+          // The server answers with the saved note (both series for a split)
+          const saved = await response.json()
+          applyNotes(notesStorage.merge(userId, Array.isArray(saved) ? saved : [saved]))
+          resetEditor()
+          setIsSaving(false)
+          return
+        }
+
+        if (response.status === 400) {
+          const { message, fieldErrors } = await readApiError(response, 'This note could not be saved.')
+          setSaveError(Object.values(fieldErrors).join(' ') || message)
           setIsSaving(false)
           return
         }
-      } catch (error) {
+
+        if (response.status === 409) {
+          // Saved elsewhere since this device loaded it: let the user choose
+          const { current } = await response.json()
+          setConflict({ url: `/api/notes/${editingNoteId}${query}`, body, current, operation: null })
+          setIsSaving(false)
+          return
+        }
+      } catch {
+        // Offline, or re-login needed: keep the edit locally either way
         console.log('Backend offline, saving to cache...')
       }
     }
 
-    // Offline mode: Save to localStorage and queue for sync
+    // Offline mode: Save to the offline cache and queue for sync
     try {
       const cachedNotes = notesStorage.load(userId)
-      const existingIndex = cachedNotes.findIndex((note) => note.date === selectedDate)
-      
-      const noteToSave = {
-        id: currentNoteId || `temp_${Date.now()}`,
-        userId: userId,
-        date: selectedDate,
-        content: content.trim(),
-        createdAt: existingIndex >= 0 ? cachedNotes[existingIndex].createdAt : new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      }
+      const now = new Date().toISOString()
 
-      if (existingIndex >= 0) {
-        cachedNotes[existingIndex] = noteToSave
+      if (editingNoteId) {
+        const index = cachedNotes.findIndex((note) => note.id === editingNoteId)
+        const cached = cachedNotes[index]
+        const splitsSeries = editingRepeats && editScope === 'future' && cached && selectedDate !== cached.date
+        let tempId
+
+        if (editingRepeats && editScope === 'this' && cached) {
+          const override = differingFields({ ...cached, tagIds: cached.tagIds || [] }, { content: trimmedContent, tagIds })
+          cachedNotes[index] = { ...cached, overrides: withOverride(cached.overrides, selectedDate, override), updatedAt: now }
+        } else if (splitsSeries) {
+          // End the series the day before; a new (temporary) note takes over from here
+          const { before, after } = splitSeries(cached, 'date', selectedDate)
+          const rule = body.recurrence === undefined ? after.recurrence : body.recurrence || null
+          cachedNotes[index] = { ...cached, ...before, updatedAt: now }
+          const lastPosition = cachedNotes
+            .filter((note) => note.date === selectedDate)
+            .reduce((max, note) => Math.max(max, note.position || 0), 0)
+          tempId = `temp_${Date.now()}`
+          cachedNotes.push({
+            id: tempId,
+            userId: userId,
+            date: selectedDate,
+            content: trimmedContent,
+            tagIds,
+            recurrence: rule,
+            overrides: pruneOverrides({ date: selectedDate, recurrence: rule, overrides: after.overrides }, 'date'),
+            position: lastPosition + 1,
+            createdAt: now,
+            updatedAt: now,
+          })
+        } else if (cached) {
+          const updated = { ...cached, content: trimmedContent, tagIds, updatedAt: now }
+          if (body.recurrence !== undefined) {
+            updated.recurrence = body.recurrence || null
+            updated.overrides = pruneOverrides(updated, 'date')
+          }
+          cachedNotes[index] = updated
+        }
+
+        if (isTempId(editingNoteId)) {
+          // Not on the server yet: send the new content with the queued create
+          syncQueue.updateWhere((operation) => operation.tempId === editingNoteId, {
+            body: { date: selectedDate, content: trimmedContent, tagIds, recurrence },
+          })
+        } else {
+          // Only the first queued edit checks the version; the later ones follow it
+          const alreadyQueued = syncQueue.getAll().some((operation) => queuedNoteId(operation) === editingNoteId)
+          syncQueue.add({
+            method: 'PUT',
+            url: `/api/notes/${editingNoteId}${query}`,
+            headers: alreadyQueued ? {} : ifMatchFor(editingNoteId),
+            body,
+            ...(tempId ? { tempId } : {})
+          })
+        }
       } else {
+        const lastPosition = notesForDate(cachedNotes, selectedDate)
+          .reduce((max, note) => Math.max(max, note.position || 0), 0)
+        const noteToSave = {
+          id: `temp_${Date.now()}`,
+          userId: userId,
+          date: selectedDate,
+          content: trimmedContent,
+          tagIds,
+          ...(recurrence ? { recurrence, overrides: {} } : {}),
+          position: lastPosition + 1,
+          createdAt: now,
+          updatedAt: now,
+        }
         cachedNotes.push(noteToSave)
+
+        // Queue for sync when online
+        syncQueue.add({
+          method: 'POST',
+          url: '/api/notes',
+          headers: {},
+          body,
+          tempId: noteToSave.id
+        })
       }
 
-      // Save to localStorage
+      // Save to the offline cache
       notesStorage.save(userId, cachedNotes)
-      
-      // Update local state
-      setCurrentNoteId(noteToSave.id)
-      
-      // Queue for sync when online
-      syncQueue.add({
-        method: 'POST',
-        url: '/api/notes',
-        headers: {},
-        body: noteData
-      })
 
-      // Notify parent component
-      if (onNoteSaved) {
-        onNoteSaved(cachedNotes)
-      }
+      applyNotes(cachedNotes)
+      resetEditor()
     } catch (error) {
       console.error('Error saving note to cache:', error)
       alert('Failed to save note. Please try again.')
@@ -241,71 +468,262 @@ function Notes({ selectedDate, apiBaseUrl, token, userId, isOfflineMode = false,
     }
   }
 
-  const handleDelete = async () => {
-    if (!selectedDate || !currentNoteId) return
+  /**
+   * CONFLICT HANDLERS
+   * -----------------
+   * For the edit in conflict (see CONFLICTS above). A queued edit is taken
+   * out of the sync queue once decided, together with the temporary note of
+   * a queued "this and following days" split.
+   */
+  const conflictTheirs = conflict && (
+    (writeQuery(conflict.url).occurrence && occurrenceOf(conflict.current, 'date', writeQuery(conflict.url).occurrence))
+    || conflict.current
+  )
+
+  const closeConflict = () => {
+    setConflict(null)
+    setConflictError(null)
+  }
+
+  const dropQueuedEdit = (operation) => syncQueue.discard(operation.id, userId)
+
+  const handleKeepMine = async () => {
+    const { url, body, current, operation } = conflict
+    setIsResolving(true)
+    setConflictError(null)
+    try {
+      // Same edit, now over the version on the server
+      const response = await authFetch(apiBaseUrl, url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': versionTag(current) },
+        body: JSON.stringify(body),
+      })
+
+      if (response.ok) {
+        const saved = await response.json()
+        if (operation) {
+          dropQueuedEdit(operation)
+        } else {
+          resetEditor()
+        }
+        applyNotes(notesStorage.merge(userId, Array.isArray(saved) ? saved : [saved]))
+        closeConflict()
+        return
+      }
+
+      if (response.status === 409) {
+        // Changed yet again meanwhile: show the newest copy
+        const { current: newer } = await response.json()
+        setConflict({ ...conflict, current: newer })
+        return
+      }
+
+      const { message } = await readApiError(response, 'This note could not be saved.')
+      setConflictError(message)
+    } catch {
+      setConflictError('Cannot connect to server. Please try again when online.')
+    } finally {
+      setIsResolving(false)
+    }
+  }
+
+  const handleKeepTheirs = () => {
+    if (conflict.operation) {
+      dropQueuedEdit(conflict.operation)
+    } else {
+      resetEditor()
+    }
+    applyNotes(notesStorage.merge(userId, [conflict.current]))
+    closeConflict()
+  }
+
+  // Both versions go into the editor, to be tidied up and saved over the server's
+  const handleMerge = () => {
+    const { url, body, current, operation } = conflict
+    if (operation) {
+      dropQueuedEdit(operation)
+    }
+    applyNotes(notesStorage.merge(userId, [current]))
+
+    const { scope } = writeQuery(url)
+    setEditingNoteId(current.id)
+    setEditScope(scope || 'this')
+    setContent(mergeLines(conflictTheirs.content, body.content))
+    setSelectedTagIds([...new Set([...(conflictTheirs.tagIds || []), ...(body.tagIds || [])])])
+    setRecurrence(body.recurrence === undefined ? current.recurrence || '' : body.recurrence || '')
+    setSaveError(null)
+    closeConflict()
+  }
+
+  const handleEdit = (note) => {
+    setEditingNoteId(note.id)
+    setContent(note.content)
+    setSelectedTagIds(note.tagIds || [])
+    setRecurrence(note.recurrence || '')
+    setEditScope('this')
+    setSaveError(null)
+  }
+
+  const handleScopeChange = (scope) => {
+    setEditScope(scope)
+    // A single day always keeps the series' rule
+    if (scope === 'this' && editingNote) {
+      setRecurrence(editingNote.recurrence || '')
+    }
+  }
 
-    if (!confirm('Are you sure you want to delete this note? This cannot be undone.')) {
+  /**
+   * DELETE NOTE HANDLER
+   * -------------------
+   * Deleted notes go to the trash (TrashPanel.jsx), so no confirmation is
+   * needed. Only a note that never reached the server is gone for good.
+   *
+   * For a repeating note, scope says what goes: 'this' day only, or this
+   * and all 'future' days. Those end up in no trash; from the first day
+   * on, the whole note is moved to the trash as usual.
+   */
+  const handleDelete = async (note, scope = null) => {
+    if (isTempId(note.id) && !confirm('This note has not been synced yet, so deleting it cannot be undone. Delete it?')) {
       return
     }
 
-    setIsDeleting(true)
+    setBusyNoteId(note.id)
+    setDeleteChoiceId(null)
+    const cached = findCachedNote(notesStorage.load(userId), note.id)
+    const wholeNote = !scope || isTempId(note.id) || (scope === 'future' && cached?.date === selectedDate)
+    const query = wholeNote ? '' : occurrenceQuery(scope)
 
     // Try to delete from server first (if online)
-    if (!isOfflineMode && !currentNoteId.startsWith('temp_')) {
+    if (!isOfflineMode && !isTempId(note.id)) {
       try {
-        const response = await fetch(`${apiBaseUrl}/api/notes/${currentNoteId}`, {
+        const response = await authFetch(apiBaseUrl, `/api/notes/${note.id}${query}`, {
           method: 'DELETE',
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
         })
 
         if (response.ok) {
-          const updatedNotes = await response.json()
-          setContent('')
-          setCurrentNoteId(null)
-          if (onNoteSaved) {
-            onNoteSaved(updatedNotes)
+          // A day of a repeating note: the server answers with the note as it is now
+          applyNotes(wholeNote
+            ? notesStorage.remove(userId, note.id)
+            : notesStorage.merge(userId, [await response.json()]))
+          if (editingNoteId === note.id) {
+            resetEditor()
           }
-          setIsDeleting(false)
+          setBusyNoteId(null)
           return
         }
-      } catch (error) {
+      } catch {
         console.log('Backend offline, deleting from cache...')
       }
     }
 
-    // Offline mode: Delete from localStorage and queue for sync
+    // Offline mode: Delete from the offline cache and queue for sync
     try {
+      if (!wholeNote && cached) {
+        const changes = scope === 'future'
+          ? splitSeries(cached, 'date', selectedDate).before
+          : { overrides: withOverride(cached.overrides, selectedDate, { cancelled: true }) }
+        syncQueue.add({
+          method: 'DELETE',
+          url: `/api/notes/${note.id}${query}`,
+          headers: {},
+          body: null
+        })
+        applyNotes(notesStorage.merge(userId, [{ ...cached, ...changes, updatedAt: new Date().toISOString() }]))
+        return
+      }
+
       const cachedNotes = notesStorage.load(userId)
-      const filteredNotes = cachedNotes.filter((note) => note.id !== currentNoteId)
-      
-      // Save to localStorage
+      const filteredNotes = cachedNotes.filter((cachedNote) => cachedNote.id !== note.id)
+
+      // Save to the offline cache
       notesStorage.save(userId, filteredNotes)
-      
-      // Queue delete for sync (only if it's a real note, not temp)
-      if (!currentNoteId.startsWith('temp_')) {
+
+      if (isTempId(note.id)) {
+        // Never reached the server: just forget its queued create
+        syncQueue.getAll()
+          .filter((operation) => operation.tempId === note.id)
+          .forEach((operation) => syncQueue.discard(operation.id, userId))
+      } else {
         syncQueue.add({
           method: 'DELETE',
-          url: `/api/notes/${currentNoteId}`,
+          url: `/api/notes/${note.id}`,
           headers: {},
           body: null
         })
       }
 
-      // Update local state
-      setContent('')
-      setCurrentNoteId(null)
-      
-      // Notify parent component
-      if (onNoteSaved) {
-        onNoteSaved(filteredNotes)
+      if (editingNoteId === note.id) {
+        resetEditor()
       }
+      applyNotes(filteredNotes)
     } catch (error) {
       console.error('Error deleting note from cache:', error)
       alert('Failed to delete note. Please try again.')
     } finally {
-      setIsDeleting(false)
+      setBusyNoteId(null)
+    }
+  }
+
+  /**
+   * MOVE NOTE HANDLER
+   * -----------------
+   * Swaps a note with its neighbour (direction -1 = up, 1 = down)
+   * and sends the day's new order to PUT /api/notes/order.
+   * Repeating notes are left out (they keep their place).
+   */
+  const handleMove = async (note, direction) => {
+    const index = movableNotes.findIndex((dayNote) => dayNote.id === note.id)
+    const target = index + direction
+    if (index < 0 || target < 0 || target >= movableNotes.length) return
+
+    const reordered = [...movableNotes]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(target, 0, moved)
+    const ids = reordered.map((dayNote) => dayNote.id)
+
+    setBusyNoteId(note.id)
+
+    if (!isOfflineMode && !ids.some(isTempId)) {
+      try {
+        const response = await authFetch(apiBaseUrl, '/api/notes/order', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ date: selectedDate, ids }),
+        })
+
+        if (response.ok) {
+          // The server answers with the day's notes in their new order
+          applyNotes(notesStorage.merge(userId, await response.json()))
+          setBusyNoteId(null)
+          return
+        }
+      } catch {
+        console.log('Backend offline, reordering in cache...')
+      }
+    }
+
+    // Offline mode: Renumber positions in the offline cache and queue for sync
+    try {
+      const positions = new Map(ids.map((id, i) => [id, i + 1]))
+      const cachedNotes = notesStorage.load(userId).map((cached) =>
+        positions.has(cached.id) ? { ...cached, position: positions.get(cached.id) } : cached
+      )
+      notesStorage.save(userId, cachedNotes)
+
+      // Temp IDs are replaced by the server's once their creates have synced
+      syncQueue.add({
+        method: 'PUT',
+        url: '/api/notes/order',
+        headers: {},
+        body: { date: selectedDate, ids }
+      })
+
+      applyNotes(cachedNotes)
+    } catch (error) {
+      console.error('Error reordering notes in cache:', error)
+      alert('Failed to reorder notes. Please try again.')
+    } finally {
+      setBusyNoteId(null)
     }
   }
 
@@ -337,14 +755,14 @@ function Notes({ selectedDate, apiBaseUrl, token, userId, isOfflineMode = false,
       </div>
 
       {isLoading ? (
-        <div className="notes-loading">Loading note...</div>
+        <div className="notes-loading">Loading notes...</div>
       ) : (
         <>
           {isOfflineMode && (
-            <div style={{ 
-              padding: '8px', 
-              marginBottom: '10px', 
-              backgroundColor: '#fff3cd', 
+            <div style={{
+              padding: '8px',
+              marginBottom: '10px',
+              backgroundColor: '#fff3cd',
               border: '1px solid #ffc107',
               borderRadius: '4px',
               fontSize: '14px',
@@ -353,39 +771,235 @@ function Notes({ selectedDate, apiBaseUrl, token, userId, isOfflineMode = false,
               ⚠️ Offline mode: Changes are saved locally and will sync when backend is online.
             </div>
           )}
+
+          {visibleNotes.length === 0 ? (
+            <p className="notes-empty">
+              {tagFilter && dayNotes.length > 0
+                ? 'No notes with this tag on this day.'
+                : 'No notes for this day yet.'}
+            </p>
+          ) : (
+            <ol className="notes-list">
+              {visibleNotes.map((note) => (
+                <li
+                  key={note.id}
+                  className={`note-item ${editingNoteId === note.id ? 'editing' : ''}`}
+                >
+                  <div className="note-item-body">
+                    <p className="note-item-content">{note.content}</p>
+                    {note.recurrence && (
+                      <p className="note-item-repeat">↻ {describeRule(note.recurrence, seriesStart.get(note.id))}</p>
+                    )}
+                    {note.tagIds?.some((id) => tagsById.has(id)) && (
+                      <div className="note-item-tags">
+                        {note.tagIds
+                          .filter((id) => tagsById.has(id))
+                          .map((id) => <TagChip key={id} tag={tagsById.get(id)} />)}
+                      </div>
+                    )}
+                  </div>
+                  <div className="note-item-actions">
+                    {/* Reordering a filtered list would hide where notes end up */}
+                    {!tagFilter && !note.recurrence && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => handleMove(note, -1)}
+                          disabled={movableNotes[0] === note || busyNoteId !== null}
+                          className="note-item-button"
+                          aria-label="Move note up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMove(note, 1)}
+                          disabled={movableNotes[movableNotes.length - 1] === note || busyNoteId !== null}
+                          className="note-item-button"
+                          aria-label="Move note down"
+                        >
+                          ↓
+                        </button>
+                      </>
+                    )}
+                    {queuedConflicts.has(note.id) && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          const operation = queuedConflicts.get(note.id)
+                          setConflict({ url: operation.url, body: operation.body, current: operation.conflict, operation })
+                        }}
+                        disabled={busyNoteId !== null}
+                        className="note-item-button warning"
+                        title="Your offline change clashes with a change made elsewhere"
+                      >
+                        Resolve
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(note)}
+                      disabled={busyNoteId !== null}
+                      className="note-item-button"
+                    >
+                      Edit
+                    </button>
+                    {!isTempId(note.id) && (
+                      <button
+                        type="button"
+                        onClick={() => setHistoryNote(note)}
+                        disabled={busyNoteId !== null}
+                        className="note-item-button"
+                      >
+                        History
+                      </button>
+                    )}
+                    {deleteChoiceId === note.id ? (
+                      <span className="repeat-delete-choice" role="group" aria-label="Delete which days?">
+                        <button type="button" onClick={() => handleDelete(note, 'this')} className="note-item-button danger">
+                          This day
+                        </button>
+                        <button type="button" onClick={() => handleDelete(note, 'future')} className="note-item-button danger">
+                          This &amp; following
+                        </button>
+                        <button type="button" onClick={() => setDeleteChoiceId(null)} className="note-item-button">
+                          Keep
+                        </button>
+                      </span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => (note.recurrence && !isTempId(note.id) ? setDeleteChoiceId(note.id) : handleDelete(note))}
+                        disabled={busyNoteId !== null}
+                        className="note-item-button danger"
+                        title={isTempId(note.id) ? 'Delete' : 'Move to trash'}
+                      >
+                        {busyNoteId === note.id ? '...' : 'Delete'}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <label htmlFor="notes-editor" className="notes-editor-label">
+            {editingNoteId ? 'Edit note' : 'New note'}
+          </label>
           <textarea
+            id="notes-editor"
             className="notes-textarea"
             value={content}
-            onChange={(e) => setContent(e.target.value)}
+            onChange={(e) => {
+              setContent(e.target.value)
+              setSaveError(null)
+            }}
             placeholder="Write your notes here..."
-            rows={10}
+            rows={6}
+            aria-invalid={Boolean(saveError)}
+            aria-describedby={saveError ? 'notes-save-error' : undefined}
+          />
+          {saveError && (
+            <p id="notes-save-error" className="field-error">{saveError}</p>
+          )}
+          {tags.length > 0 && (
+            <div className="notes-tag-picker" role="group" aria-label="Tags for this note">
+              {tags.map((tag) => (
+                <TagChip
+                  key={tag.id}
+                  tag={tag}
+                  selected={selectedTagIds.includes(tag.id)}
+                  onClick={() => toggleTag(tag.id)}
+                />
+              ))}
+            </div>
+          )}
+
+          {editingRepeats && (
+            <fieldset className="repeat-scope">
+              <legend>This note repeats. Save changes to</legend>
+              <label>
+                <input
+                  type="radio"
+                  name="repeat-scope"
+                  checked={editScope === 'this'}
+                  onChange={() => handleScopeChange('this')}
+                />
+                This day only
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="repeat-scope"
+                  checked={editScope === 'future'}
+                  onChange={() => handleScopeChange('future')}
+                />
+                This and following days
+              </label>
+            </fieldset>
+          )}
+          <RepeatPicker
+            date={selectedDate}
+            value={recurrence}
+            onChange={setRecurrence}
+            disabled={editingRepeats && editScope === 'this'}
           />
 
           <div className="notes-actions">
-            {currentNoteId && (
+            {editingNoteId && (
               <button
                 type="button"
-                onClick={handleDelete}
-                disabled={isDeleting}
-                className="notes-delete-button"
+                onClick={resetEditor}
+                disabled={isSaving}
+                className="notes-cancel-button"
               >
-                {isDeleting ? 'Deleting...' : 'Delete Note'}
+                Cancel
               </button>
             )}
             <button
               type="button"
               onClick={handleSave}
-              disabled={isSaving}
+              disabled={isSaving || !content.trim()}
               className="notes-save-button"
             >
-              {isSaving ? (isOfflineMode ? 'Saving locally...' : 'Saving...') : 'Save Note'}
+              {isSaving
+                ? (isOfflineMode ? 'Saving locally...' : 'Saving...')
+                : (editingNoteId ? 'Save Changes' : 'Add Note')}
             </button>
           </div>
         </>
       )}
+
+      {conflict && (
+        <NoteConflict
+          mine={{ content: conflict.body.content, tagIds: conflict.body.tagIds }}
+          theirs={{ content: conflictTheirs.content, tagIds: conflictTheirs.tagIds }}
+          tags={tags}
+          isBusy={isResolving}
+          error={conflictError}
+          onKeepMine={handleKeepMine}
+          onKeepTheirs={handleKeepTheirs}
+          onMerge={handleMerge}
+          onClose={closeConflict}
+        />
+      )}
+
+      {historyNote && (
+        <NoteHistory
+          apiBaseUrl={apiBaseUrl}
+          note={historyNote}
+          isOfflineMode={isOfflineMode}
+          onRestored={(restoredNote) => {
+            if (editingNoteId === historyNote.id) {
+              resetEditor()
+            }
+            applyNotes(notesStorage.merge(userId, [restoredNote]))
+          }}
+          onClose={() => setHistoryNote(null)}
+        />
+      )}
     </div>
   )
 }
 
 export default Notes
-
@@ -18,8 +18,9 @@
  * VALIDATION:
  * ----------
  * - Username: Required, must be unique
+ * - Email: Optional, needed to reset a forgotten password
  * - Password: Required, minimum 6 characters
- * - Backend handles additional validation
+ * - Backend validates every field; its errors are shown under each input
  * 
  * SECURITY:
  * --------
@@ -29,8 +30,8 @@
  * 
  * COMMON QUESTIONS:
  * ----------------
- * Q: How do I add email validation?
- * A: Add email field to form and validate format, add to backend schema
+ * Q: Why is email optional?
+ * A: It is only used for password reset links. Accounts without one can't reset.
  * 
  * Q: How do I add password strength requirements?
  * A: Add validation logic in handleSubmit before sending to backend
@@ -42,6 +43,7 @@
  */
 
 import { useState } from 'react'
+import { readApiError } from './apiErrors.js'
 
 /**
  * REGISTER COMPONENT
@@ -51,19 +53,28 @@ import { useState } from 'react'
  *   - onRegistered: Callback function called with success message after registration
  */
 function Register({ apiBaseUrl, onRegistered }) {
-  const [form, setForm] = useState({ username: '', password: '' })
+  const [form, setForm] = useState({ username: '', email: '', password: '' })
   const [feedback, setFeedback] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
 
   const handleChange = (event) => {
     const { name, value } = event.target
     setForm((current) => ({ ...current, [name]: value }))
+    // The user is fixing this field, so its old error no longer applies
+    setFieldErrors((current) => ({ ...current, [name]: undefined }))
   }
 
+  const renderFieldError = (field) =>
+    fieldErrors[field] ? (
+      <p id={`register-${field}-error`} className="field-error">{fieldErrors[field]}</p>
+    ) : null
+
   const handleSubmit = async (event) => {
     event.preventDefault()
     setIsSubmitting(true)
     setFeedback(null)
+    setFieldErrors({})
 
     try {
       const response = await fetch(`${apiBaseUrl}/register`, {
@@ -73,19 +84,18 @@ function Register({ apiBaseUrl, onRegistered }) {
       })
 
       if (!response.ok) {
-        let errorMessage = 'Unable to register.'
-        try {
-          const payload = await response.json()
-          errorMessage = payload.message || errorMessage
-        } catch {
-          errorMessage = `Server error: ${response.status} ${response.statusText}`
+        const { message, fieldErrors: errors } = await readApiError(response, 'Unable to register.')
+        if (Object.keys(errors).length > 0) {
+          // Shown next to the inputs instead of one message at the bottom
+          setFieldErrors(errors)
+          return
         }
-        throw new Error(errorMessage)
+        throw new Error(message)
       }
 
       const payload = await response.json()
       setFeedback(null)
-      setForm({ username: '', password: '' })
+      setForm({ username: '', email: '', password: '' })
       onRegistered(payload.message)
     } catch (error) {
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
@@ -108,8 +118,24 @@ function Register({ apiBaseUrl, onRegistered }) {
         placeholder="Dion"
         value={form.username}
         onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors.username)}
+        aria-describedby={fieldErrors.username ? 'register-username-error' : undefined}
         required
       />
+      {renderFieldError('username')}
+
+      <label htmlFor="register-email">Email (optional, for password reset)</label>
+      <input
+        id="register-email"
+        name="email"
+        type="email"
+        placeholder="you@example.com"
+        value={form.email}
+        onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors.email)}
+        aria-describedby={fieldErrors.email ? 'register-email-error' : undefined}
+      />
+      {renderFieldError('email')}
 
       <label htmlFor="register-password">Password</label>
       <input
@@ -119,9 +145,12 @@ function Register({ apiBaseUrl, onRegistered }) {
         placeholder="At least 6 characters"
         value={form.password}
         onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors.password)}
+        aria-describedby={fieldErrors.password ? 'register-password-error' : undefined}
         required
         minLength={6}
       />
+      {renderFieldError('password')}
 
       {feedback ? (
         <p className={`feedback ${feedback.type}`}>{feedback.message}</p>
@@ -0,0 +1,64 @@
+/**
+ * ============================================================================
+ * REPEAT PICKER COMPONENT
+ * ============================================================================
+ *
+ * "Repeat" select plus an optional end date, used by the note editor and
+ * the task form. The value is an RRULE-style rule ('' = doesn't repeat),
+ * see recurrence.js. A rule that isn't one of the offered choices (e.g.
+ * added through the API) is shown as its own option, so editing the note
+ * doesn't silently change it.
+ *
+ * ============================================================================
+ */
+
+import { describeRule, repeatChoices, splitRuleEnd, withRuleEnd } from './recurrence.js'
+
+/**
+ * REPEAT PICKER
+ * -------------
+ * Props:
+ *   - date: Start date (YYYY-MM-DD) the choices are worded for
+ *   - value: Current rule, '' for none
+ *   - onChange: Called with the new rule
+ *   - disabled: Whether the picker is disabled
+ */
+function RepeatPicker({ date, value = '', onChange, disabled = false }) {
+  const { base, until, count } = splitRuleEnd(value)
+  const choices = repeatChoices(date)
+  if (base && !choices.some((choice) => choice.value === base)) {
+    choices.push({ value: base, label: describeRule(base, date) })
+  }
+
+  return (
+    <div className="repeat-picker">
+      <label>
+        Repeat
+        <select
+          value={base}
+          onChange={(event) => onChange(withRuleEnd(event.target.value, until, count))}
+          disabled={disabled}
+        >
+          {choices.map((choice) => (
+            <option key={choice.value} value={choice.value}>{choice.label}</option>
+          ))}
+        </select>
+      </label>
+      {base && (
+        <label>
+          Until
+          <input
+            type="date"
+            value={until}
+            min={date}
+            onChange={(event) => onChange(withRuleEnd(base, event.target.value, count))}
+            disabled={disabled}
+          />
+        </label>
+      )}
+      {base && count && !until && <span className="repeat-picker-count">{count} times</span>}
+    </div>
+  )
+}
+
+export default RepeatPicker
@@ -0,0 +1,242 @@
+/**
+ * ============================================================================
+ * SYNC PANEL COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Dashboard panel showing every change made on this device that hasn't
+ * reached the server yet (the sync queue, see offlineStorage.js), so users
+ * can tell whether an offline edit went through:
+ * - What it is, how long ago it was made, how often sending it was tried
+ *   and the last error
+ * - Its state: waiting (sent with the next sync), conflict (the note was
+ *   changed elsewhere, resolved in the note's day) or refused (the server
+ *   won't take it as it is)
+ * - Retry now: sends the queue right away; refused changes are tried again
+ * - Discard: drops a change for good
+ * - Export: downloads refused and conflicting changes as JSON, so nothing
+ *   is lost when they are discarded
+ *
+ * The header's sync badge (App.jsx) counts the same operations.
+ *
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { syncQueue } from './offlineStorage.js'
+
+const MINUTE_MS = 60 * 1000
+
+// "just now", "5 min ago", "3 h ago", "2 days ago"
+function describeAge(timestamp, now) {
+  const minutes = Math.floor((now - timestamp) / MINUTE_MS)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} h ago`
+  const days = Math.floor(hours / 24)
+  return days === 1 ? '1 day ago' : `${days} days ago`
+}
+
+/**
+ * What a queued operation does, in words ("Edit note", "New task"...)
+ */
+function describeOperation(operation) {
+  const [, collection, id] = /^\/api\/(notes|tasks)(?:\/([^/?]+))?/.exec(operation.url) || []
+  if (!collection) return `${operation.method} ${operation.url}`
+  if (id === 'order') return `Reorder notes of ${operation.body?.date}`
+
+  const kind = collection === 'notes' ? 'note' : 'task'
+  const day = operation.body?.date || operation.body?.dueDate
+  const oneDay = new URLSearchParams(operation.url.split('?')[1] || '').get('occurrence')
+  const action = {
+    POST: `New ${kind}`,
+    PUT: `Edit ${kind}`,
+    DELETE: `Delete ${kind}`,
+  }[operation.method] || `${operation.method} ${kind}`
+
+  return [action, oneDay && `(${oneDay})`, !oneDay && day && `for ${day}`].filter(Boolean).join(' ')
+}
+
+// A glimpse of what the operation sends
+function previewOperation(operation) {
+  const text = operation.body?.content ?? operation.body?.title ?? ''
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text
+}
+
+// Day to open for a conflict: the single day edited, or the note's own
+const conflictDate = (operation) =>
+  new URLSearchParams(operation.url.split('?')[1] || '').get('occurrence') || operation.conflict.date
+
+const operationState = (operation) =>
+  operation.conflict ? 'conflict' : operation.rejected ? 'refused' : 'waiting'
+
+const STATE_LABELS = {
+  waiting: 'Waiting',
+  conflict: 'Conflict',
+  refused: 'Refused',
+}
+
+/**
+ * SYNC PANEL COMPONENT
+ * --------------------
+ * Props:
+ *   - userId: User ID (for the offline cache)
+ *   - operations: The sync queue (App.jsx keeps it up to date)
+ *   - isOfflineMode: Whether backend is offline
+ *   - onRetry: Callback function that replays the queue now (returns a promise)
+ *   - onDiscarded: Callback function called after changes were discarded
+ *   - onOpenDate: Callback function to show a date (to resolve a conflict)
+ *   - onClose: Callback function to close the panel
+ */
+function SyncPanel({ userId, operations, isOfflineMode = false, onRetry, onDiscarded, onOpenDate, onClose }) {
+  // Ages are worked out against the time the panel was opened or last acted on
+  const [now, setNow] = useState(() => Date.now())
+  const [isSyncing, setIsSyncing] = useState(false)
+  const [feedback, setFeedback] = useState(null)
+
+  const failed = operations.filter((operation) => operationState(operation) !== 'waiting')
+
+  const handleRetry = async (operation = null) => {
+    setFeedback(null)
+    setIsSyncing(true)
+    // Refused changes get another go; conflicts still need the user
+    for (const queued of operation ? [operation] : operations) {
+      if (queued.rejected) {
+        syncQueue.update(queued.id, { rejected: false })
+      }
+    }
+    try {
+      await onRetry()
+    } finally {
+      setIsSyncing(false)
+      setNow(Date.now())
+    }
+  }
+
+  const handleDiscard = (operation) => {
+    if (!confirm(`Discard "${describeOperation(operation)}"? This change will be lost.`)) return
+
+    syncQueue.discard(operation.id, userId)
+    setFeedback({ type: 'success', message: 'Change discarded.' })
+    setNow(Date.now())
+    onDiscarded()
+  }
+
+  const handleExport = () => {
+    const exported = {
+      exportedAt: new Date().toISOString(),
+      operations: failed.map((operation) => ({
+        description: describeOperation(operation),
+        method: operation.method,
+        url: operation.url,
+        body: operation.body,
+        queuedAt: new Date(operation.timestamp).toISOString(),
+        retries: operation.retries,
+        lastError: operation.lastError,
+        serverCopy: operation.conflict || null,
+      })),
+    }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `wellwork-unsynced-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="sync-panel">
+      <div className="account-settings-header">
+        <h3>Sync</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <p className="modal-text">
+        {operations.length === 0
+          ? 'Everything is synced: all changes made on this device have reached the server.'
+          : `${operations.length} ${operations.length === 1 ? 'change' : 'changes'} made on this device ${operations.length === 1 ? 'has' : 'have'} not reached the server yet.`}
+        {isOfflineMode && operations.length > 0 && ' They will be sent when the backend is back online.'}
+      </p>
+
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+
+      {operations.length > 0 && (
+        <>
+          <ul className="notes-list">
+            {operations.map((operation) => {
+              const state = operationState(operation)
+              return (
+                <li key={operation.id} className="note-item">
+                  <div className="trash-item-body">
+                    <p className="trash-item-meta">
+                      <span className={`sync-state sync-state-${state}`}>{STATE_LABELS[state]}</span>
+                      {' '}{describeAge(operation.timestamp, now)}
+                      {operation.retries > 0 && ` · tried ${operation.retries} ${operation.retries === 1 ? 'time' : 'times'}`}
+                    </p>
+                    <p className="note-item-content">
+                      <strong>{describeOperation(operation)}</strong>
+                      {previewOperation(operation) && <> · {previewOperation(operation)}</>}
+                    </p>
+                    {state === 'conflict' && (
+                      <p className="sync-item-error">
+                        Changed on another device meanwhile. Open the day and choose which version to keep.
+                      </p>
+                    )}
+                    {state !== 'conflict' && operation.lastError && (
+                      <p className="sync-item-error">Last error: {operation.lastError}</p>
+                    )}
+                  </div>
+                  <div className="note-item-actions">
+                    {state === 'conflict' ? (
+                      <button
+                        type="button"
+                        className="note-item-button warning"
+                        onClick={() => onOpenDate(conflictDate(operation))}
+                      >
+                        Open day
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        className="note-item-button"
+                        onClick={() => handleRetry(operation)}
+                        disabled={isSyncing || isOfflineMode}
+                      >
+                        Retry
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="note-item-button danger"
+                      onClick={() => handleDiscard(operation)}
+                      disabled={isSyncing}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+
+          <div className="notes-actions">
+            {failed.length > 0 && (
+              <button type="button" className="secondary" onClick={handleExport}>
+                Export failed ({failed.length})
+              </button>
+            )}
+            <button type="button" onClick={() => handleRetry()} disabled={isSyncing || isOfflineMode}>
+              {isSyncing ? 'Syncing…' : 'Retry now'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SyncPanel
@@ -0,0 +1,38 @@
+/**
+ * ============================================================================
+ * TAG CHIP COMPONENT
+ * ============================================================================
+ *
+ * Small coloured label for a tag ({ id, name, color }).
+ * - Without onClick: plain label (e.g. on a note)
+ * - With onClick: toggle button; `selected` fills it with the tag colour
+ *   (tag filter, tag picker in the note editor)
+ *
+ * ============================================================================
+ */
+
+function TagChip({ tag, selected = false, onClick }) {
+  const style = { '--tag-color': tag.color }
+
+  if (!onClick) {
+    return (
+      <span className="tag-chip" style={style}>
+        {tag.name}
+      </span>
+    )
+  }
+
+  return (
+    <button
+      type="button"
+      className={`tag-chip ${selected ? 'selected' : ''}`}
+      style={style}
+      onClick={onClick}
+      aria-pressed={selected}
+    >
+      {tag.name}
+    </button>
+  )
+}
+
+export default TagChip
@@ -0,0 +1,209 @@
+/**
+ * ============================================================================
+ * TAG MANAGER COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Dashboard panel to create, rename, recolour and delete tags
+ * (e.g. "Work", "Wellness"). Notes pick their tags in Notes.jsx.
+ *
+ * HOW IT WORKS:
+ * ------------
+ * - Requests go through authFetch to the /api/tags endpoints
+ * - The updated tag list is passed to App.jsx via onTagsChanged
+ * - Deleting a tag also removes it from every note (server side);
+ *   App.jsx mirrors that locally via onTagDeleted
+ *
+ * OFFLINE:
+ * -------
+ * Tags are edited online only; the cached tags still show offline.
+ *
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import TagChip from './TagChip.jsx'
+
+// Suggested colours for new tags, used in turn
+const TAG_COLORS = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#a855f7', '#ec4899', '#64748b']
+
+const sortTags = (tags) => [...tags].sort((a, b) => a.name.localeCompare(b.name))
+
+/**
+ * TAG MANAGER COMPONENT
+ * ---------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - tags: The user's tags ({ id, name, color })
+ *   - isOfflineMode: Whether backend is offline
+ *   - onTagsChanged: Callback function called with the updated tags array
+ *   - onTagDeleted: Callback function called with the ID of a deleted tag
+ *   - onClose: Callback function to close the panel
+ */
+function TagManager({ apiBaseUrl, tags, isOfflineMode = false, onTagsChanged, onTagDeleted, onClose }) {
+  const [newTag, setNewTag] = useState({ name: '', color: TAG_COLORS[tags.length % TAG_COLORS.length] })
+  const [drafts, setDrafts] = useState({})
+  const [busyId, setBusyId] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  /**
+   * Sends one tag request and reports failures in the panel.
+   * Returns the parsed response body, or null on failure.
+   */
+  const request = async (busyKey, path, method, body, fallbackMessage) => {
+    setBusyId(busyKey)
+    setFeedback(null)
+    try {
+      const response = await authFetch(apiBaseUrl, path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      })
+      if (!response.ok) {
+        const { message, fieldErrors } = await readApiError(response, fallbackMessage)
+        setFeedback({ type: 'error', message: Object.values(fieldErrors).join(' ') || message })
+        return null
+      }
+      return await response.json()
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: error.name === 'TypeError'
+          ? 'Cannot connect to server. Tags can only be changed while online.'
+          : error.message,
+      })
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    const created = await request('new', '/api/tags', 'POST', newTag, 'Unable to create tag.')
+    if (created) {
+      const updated = sortTags([...tags, created])
+      onTagsChanged(updated)
+      setNewTag({ name: '', color: TAG_COLORS[updated.length % TAG_COLORS.length] })
+    }
+  }
+
+  const draftFor = (tag) => drafts[tag.id] || { name: tag.name, color: tag.color }
+
+  const updateDraft = (tag, changes) => {
+    setDrafts((current) => ({ ...current, [tag.id]: { ...draftFor(tag), ...changes } }))
+  }
+
+  const handleSave = async (tag) => {
+    const saved = await request(tag.id, `/api/tags/${tag.id}`, 'PUT', draftFor(tag), 'Unable to update tag.')
+    if (saved) {
+      onTagsChanged(sortTags(tags.map((existing) => (existing.id === tag.id ? saved : existing))))
+      setDrafts((current) => {
+        const next = { ...current }
+        delete next[tag.id]
+        return next
+      })
+    }
+  }
+
+  const handleDelete = async (tag) => {
+    if (!confirm(`Delete the tag "${tag.name}"? It will be removed from all notes.`)) return
+
+    const result = await request(tag.id, `/api/tags/${tag.id}`, 'DELETE', null, 'Unable to delete tag.')
+    if (result) {
+      onTagsChanged(tags.filter((existing) => existing.id !== tag.id))
+      onTagDeleted(tag.id)
+    }
+  }
+
+  return (
+    <div className="tag-manager">
+      <div className="account-settings-header">
+        <h3>Tags</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {isOfflineMode && (
+        <p className="feedback error">Tags can only be changed while the backend is online.</p>
+      )}
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+
+      {tags.length === 0 ? (
+        <p className="notes-empty">No tags yet. Create one below, e.g. "Work" or "Wellness".</p>
+      ) : (
+        <ul className="tag-manager-list">
+          {tags.map((tag) => {
+            const draft = draftFor(tag)
+            const isChanged = draft.name !== tag.name || draft.color !== tag.color
+            return (
+              <li key={tag.id} className="tag-manager-item">
+                <input
+                  type="color"
+                  value={draft.color}
+                  onChange={(event) => updateDraft(tag, { color: event.target.value })}
+                  aria-label={`Colour of ${tag.name}`}
+                  disabled={isOfflineMode}
+                />
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(event) => updateDraft(tag, { name: event.target.value })}
+                  maxLength={30}
+                  aria-label={`Name of ${tag.name}`}
+                  disabled={isOfflineMode}
+                />
+                <button
+                  type="button"
+                  className="note-item-button"
+                  onClick={() => handleSave(tag)}
+                  disabled={!isChanged || busyId !== null || isOfflineMode}
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  className="note-item-button danger"
+                  onClick={() => handleDelete(tag)}
+                  disabled={busyId !== null || isOfflineMode}
+                >
+                  Delete
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <form className="tag-manager-item tag-manager-new" onSubmit={handleCreate}>
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(event) => setNewTag((current) => ({ ...current, color: event.target.value }))}
+          aria-label="Colour of the new tag"
+          disabled={isOfflineMode}
+        />
+        <input
+          type="text"
+          placeholder="New tag name"
+          value={newTag.name}
+          onChange={(event) => setNewTag((current) => ({ ...current, name: event.target.value }))}
+          maxLength={30}
+          aria-label="New tag name"
+          disabled={isOfflineMode}
+          required
+        />
+        <button type="submit" disabled={busyId !== null || isOfflineMode || !newTag.name.trim()}>
+          {busyId === 'new' ? 'Adding...' : 'Add tag'}
+        </button>
+        {newTag.name.trim() && <TagChip tag={{ name: newTag.name.trim(), color: newTag.color }} />}
+      </form>
+    </div>
+  )
+}
+
+export default TagManager
@@ -0,0 +1,507 @@
+/**
+ * ============================================================================
+ * TASKS COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Shows the tasks due on the selected date as a checklist. Unlike notes,
+ * tasks have a status: ticking the checkbox marks a task done, and done
+ * tasks no longer trigger reminders (useTaskReminders.js).
+ *
+ * HOW IT WORKS:
+ * ------------
+ * 1. The day's tasks come from App.jsx, which loads them for the visible
+ *    calendar months (GET /api/tasks?from=&to=)
+ * 2. The checkbox switches a task between done and to do
+ * 3. The status select also offers "In progress"
+ * 4. The form below the list adds a task with an optional time, a priority
+ *    and a repeat rule (RepeatPicker)
+ * 5. "Delete" removes a task (tasks have no trash)
+ *
+ * REPEATING TASKS:
+ * ---------------
+ * A repeating task shows up on each day it is due, marked with ↻. Every
+ * day has its own status: ticking one off only changes that day (a
+ * scope=this PUT, see backend/routes/tasks.js). Deleting asks whether to
+ * drop this day only or this and all following days.
+ *
+ * ORDER:
+ * -----
+ * Same as the backend (routes/tasks.js): by time, tasks without a time
+ * first, then priority (high first), then creation.
+ *
+ * DATA FLOW:
+ * ---------
+ * - Creates: POST /api/tasks
+ * - Updates: PUT /api/tasks/:id with every field (status changes included);
+ *   ?occurrence=<date>&scope=this for one day of a repeating task
+ * - Deletes: DELETE /api/tasks/:id
+ * - Writes answer with the affected task; it is merged into the
+ *   localStorage cache and handed to App.jsx via onTasksChanged
+ *
+ * OFFLINE:
+ * -------
+ * Works like Notes.jsx: changes go to the cache and the sync queue, and
+ * tasks created offline get a temp_ ID until they are synced. Single days
+ * of a repeating task created offline can be changed once it has synced.
+ *
+ * ============================================================================
+ */
+
+import { useState } from 'react'
+import { tasksStorage, syncQueue } from './offlineStorage.js'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+import { describeRule, differingFields, expandRecords, splitSeries, withOverride } from './recurrence.js'
+import RepeatPicker from './RepeatPicker.jsx'
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 }
+
+const STATUS_LABELS = {
+  todo: 'To do',
+  'in-progress': 'In progress',
+  done: 'Done',
+}
+
+const isTempId = (id) => String(id).startsWith('temp_')
+
+/**
+ * Tasks due on one date in display order, occurrences of repeating tasks
+ * included
+ */
+function tasksForDate(tasks, date) {
+  return expandRecords(tasks, 'dueDate', date, date)
+    .sort((a, b) =>
+      (a.dueTime || '').localeCompare(b.dueTime || '') ||
+      PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+      String(a.createdAt).localeCompare(String(b.createdAt))
+    )
+}
+
+// The fields PUT /api/tasks/:id expects
+const taskBody = (task) => ({
+  title: task.title,
+  dueDate: task.dueDate,
+  dueTime: task.dueTime || null,
+  priority: task.priority,
+  status: task.status,
+  recurrence: task.recurrence || '',
+})
+
+// A single day of a repeating task keeps the series' rule
+const occurrenceBody = (task) => {
+  const { recurrence: _recurrence, ...body } = taskBody(task)
+  return body
+}
+
+/**
+ * TASKS COMPONENT
+ * ---------------
+ * Props:
+ *   - selectedDate: Currently selected date (YYYY-MM-DD format) or null
+ *   - apiBaseUrl: Backend API base URL
+ *   - userId: User ID for caching
+ *   - tasks: The user's tasks as known to App.jsx
+ *   - isOfflineMode: Whether backend is offline
+ *   - onTasksChanged: Callback function called with the updated tasks array after add/update/delete
+ */
+function Tasks({ selectedDate, apiBaseUrl, userId, tasks = [], isOfflineMode = false, onTasksChanged }) {
+  const [title, setTitle] = useState('')
+  const [dueTime, setDueTime] = useState('')
+  const [priority, setPriority] = useState('medium')
+  const [recurrence, setRecurrence] = useState('')
+  const [deleteChoiceId, setDeleteChoiceId] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [busyTaskId, setBusyTaskId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const dayTasks = tasksForDate(tasks, selectedDate)
+  const openCount = dayTasks.filter((task) => task.status !== 'done').length
+
+  const applyTasks = (updatedTasks) => {
+    if (onTasksChanged) {
+      onTasksChanged(updatedTasks)
+    }
+  }
+
+  const showApiError = async (response, fallback) => {
+    const { message, fieldErrors } = await readApiError(response, fallback)
+    setError(Object.values(fieldErrors).join(' ') || message)
+  }
+
+  /**
+   * ADD TASK HANDLER
+   * ----------------
+   * POST /api/tasks; a rejected task (400) shows why and is not queued.
+   * Offline, the task is cached with a temp_ ID and its create is queued.
+   */
+  const handleAdd = async (event) => {
+    event.preventDefault()
+    if (!selectedDate || !title.trim()) return
+
+    setIsSaving(true)
+    setError(null)
+    const body = {
+      title: title.trim(),
+      dueDate: selectedDate,
+      dueTime: dueTime || null,
+      priority,
+      status: 'todo',
+      recurrence,
+    }
+
+    const resetForm = () => {
+      setTitle('')
+      setDueTime('')
+      setPriority('medium')
+      setRecurrence('')
+    }
+
+    if (!isOfflineMode) {
+      try {
+        const response = await authFetch(apiBaseUrl, '/api/tasks', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        })
+
+        if (response.ok) {
+          applyTasks(tasksStorage.merge(userId, [await response.json()]))
+          resetForm()
+          setIsSaving(false)
+          return
+        }
+
+        if (response.status === 400) {
+          await showApiError(response, 'This task could not be saved.')
+          setIsSaving(false)
+          return
+        }
+      } catch {
+        console.log('Backend offline, saving task to cache...')
+      }
+    }
+
+    // Offline mode: Save to localStorage and queue for sync
+    try {
+      const now = new Date().toISOString()
+      const task = {
+        id: `temp_${Date.now()}`,
+        userId,
+        ...body,
+        recurrence: recurrence || null,
+        overrides: {},
+        completedAt: null,
+        createdAt: now,
+        updatedAt: now,
+      }
+
+      syncQueue.add({
+        method: 'POST',
+        url: '/api/tasks',
+        headers: {},
+        body,
+        tempId: task.id
+      })
+
+      applyTasks(tasksStorage.merge(userId, [task]))
+      resetForm()
+    } catch (cacheError) {
+      console.error('Error saving task to cache:', cacheError)
+      alert('Failed to save task. Please try again.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  /**
+   * UPDATE TASK HANDLER
+   * -------------------
+   * Saves a changed task (e.g. a new status) with PUT /api/tasks/:id.
+   * Offline, the change is cached and queued; for a task that is not on
+   * the server yet, its queued create is rewritten instead.
+   * For a repeating task only the given day changes: the server (and,
+   * offline, the cache) keeps it as an override of the series.
+   */
+  const handleUpdate = async (task, changes) => {
+    const updated = { ...task, ...changes }
+    const repeating = Boolean(task.recurrence)
+    setError(null)
+
+    if (repeating && isTempId(task.id)) {
+      setError('Single days of a repeating task can be changed once it has synced.')
+      return
+    }
+
+    setBusyTaskId(task.id)
+    const url = repeating
+      ? `/api/tasks/${task.id}?occurrence=${task.dueDate}&scope=this`
+      : `/api/tasks/${task.id}`
+    const body = repeating ? occurrenceBody(updated) : taskBody(updated)
+
+    if (!isOfflineMode && !isTempId(task.id)) {
+      try {
+        const response = await authFetch(apiBaseUrl, url, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        })
+
+        if (response.ok) {
+          applyTasks(tasksStorage.merge(userId, [await response.json()]))
+          setBusyTaskId(null)
+          return
+        }
+
+        if (response.status === 400 || response.status === 404) {
+          await showApiError(response, 'This task could not be updated.')
+          setBusyTaskId(null)
+          return
+        }
+      } catch {
+        console.log('Backend offline, updating task in cache...')
+      }
+    }
+
+    try {
+      const now = new Date().toISOString()
+      const completedAt = updated.status === 'done' ? (task.completedAt || now) : null
+
+      if (repeating) {
+        const series = tasksStorage.load(userId).find((cached) => cached.id === task.id)
+        if (series) {
+          const override = differingFields(series, {
+            title: updated.title,
+            dueTime: updated.dueTime || null,
+            priority: updated.priority,
+            status: updated.status,
+            completedAt,
+          })
+          syncQueue.add({ method: 'PUT', url, headers: {}, body })
+          applyTasks(tasksStorage.merge(userId, [{
+            ...series,
+            overrides: withOverride(series.overrides, task.dueDate, override),
+            updatedAt: now,
+          }]))
+        }
+        return
+      }
+
+      const cachedTask = { ...updated, completedAt, updatedAt: now }
+
+      if (isTempId(task.id)) {
+        syncQueue.updateWhere((operation) => operation.tempId === task.id, {
+          body: taskBody(cachedTask),
+        })
+      } else {
+        syncQueue.add({
+          method: 'PUT',
+          url: `/api/tasks/${task.id}`,
+          headers: {},
+          body: taskBody(cachedTask)
+        })
+      }
+
+      applyTasks(tasksStorage.merge(userId, [cachedTask]))
+    } catch (cacheError) {
+      console.error('Error updating task in cache:', cacheError)
+      alert('Failed to update task. Please try again.')
+    } finally {
+      setBusyTaskId(null)
+    }
+  }
+
+  /**
+   * DELETE TASK HANDLER
+   * -------------------
+   * Tasks have no trash, so deleting asks for confirmation first. For a
+   * repeating task the "This day" / "This & following" choice is the
+   * confirmation; from the first day on, the whole task is deleted.
+   */
+  const handleDelete = async (task, scope = null) => {
+    if (!scope && !confirm(`Delete the task "${task.title}"?`)) return
+
+    setBusyTaskId(task.id)
+    setDeleteChoiceId(null)
+    setError(null)
+    const series = tasksStorage.load(userId).find((cached) => cached.id === task.id)
+    const wholeTask = !scope || isTempId(task.id) || (scope === 'future' && series?.dueDate === task.dueDate)
+    const query = wholeTask ? '' : `?occurrence=${task.dueDate}&scope=${scope}`
+
+    if (!isOfflineMode && !isTempId(task.id)) {
+      try {
+        const response = await authFetch(apiBaseUrl, `/api/tasks/${task.id}${query}`, {
+          method: 'DELETE',
+        })
+
+        // 404: already gone, drop it from the cache all the same
+        if ((response.ok && wholeTask) || response.status === 404) {
+          applyTasks(tasksStorage.remove(userId, task.id))
+          setBusyTaskId(null)
+          return
+        }
+        if (response.ok) {
+          // One or more days of a repeating task: the task as it is now
+          applyTasks(tasksStorage.merge(userId, [await response.json()]))
+          setBusyTaskId(null)
+          return
+        }
+      } catch {
+        console.log('Backend offline, deleting task from cache...')
+      }
+    }
+
+    try {
+      if (!wholeTask && series) {
+        const changes = scope === 'future'
+          ? splitSeries(series, 'dueDate', task.dueDate).before
+          : { overrides: withOverride(series.overrides, task.dueDate, { cancelled: true }) }
+        syncQueue.add({
+          method: 'DELETE',
+          url: `/api/tasks/${task.id}${query}`,
+          headers: {},
+          body: null
+        })
+        applyTasks(tasksStorage.merge(userId, [{ ...series, ...changes, updatedAt: new Date().toISOString() }]))
+        return
+      }
+
+      if (isTempId(task.id)) {
+        // Never reached the server: just forget its queued create
+        syncQueue.removeWhere((operation) => operation.tempId === task.id)
+      } else {
+        syncQueue.add({
+          method: 'DELETE',
+          url: `/api/tasks/${task.id}`,
+          headers: {},
+          body: null
+        })
+      }
+
+      applyTasks(tasksStorage.remove(userId, task.id))
+    } catch (cacheError) {
+      console.error('Error deleting task from cache:', cacheError)
+      alert('Failed to delete task. Please try again.')
+    } finally {
+      setBusyTaskId(null)
+    }
+  }
+
+  if (!selectedDate) {
+    return null
+  }
+
+  return (
+    <div className="tasks-container">
+      <div className="tasks-header">
+        <h3>Tasks</h3>
+        {dayTasks.length > 0 && (
+          <span className="tasks-count">
+            {openCount === 0 ? 'All done' : `${openCount} open`}
+          </span>
+        )}
+      </div>
+
+      {dayTasks.length === 0 ? (
+        <p className="notes-empty">No tasks due this day.</p>
+      ) : (
+        <ul className="tasks-list">
+          {dayTasks.map((task) => (
+            <li
+              key={task.id}
+              className={`task-item priority-${task.priority} ${task.status === 'done' ? 'done' : ''}`}
+            >
+              <label className="task-item-main">
+                <input
+                  type="checkbox"
+                  checked={task.status === 'done'}
+                  onChange={(event) => handleUpdate(task, { status: event.target.checked ? 'done' : 'todo' })}
+                  disabled={busyTaskId !== null}
+                />
+                <span className="task-item-title">{task.title}</span>
+              </label>
+              <span className="task-item-meta">
+                {task.dueTime && <span className="task-item-time">{task.dueTime}</span>}
+                <span className="task-item-priority">{task.priority}</span>
+                {task.recurrence && (
+                  <span className="task-item-repeat" title={describeRule(task.recurrence)}>↻</span>
+                )}
+              </span>
+              <select
+                className="task-item-status"
+                value={task.status}
+                onChange={(event) => handleUpdate(task, { status: event.target.value })}
+                disabled={busyTaskId !== null}
+                aria-label={`Status of ${task.title}`}
+              >
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {deleteChoiceId === task.id ? (
+                <span className="repeat-delete-choice" role="group" aria-label="Delete which days?">
+                  <button type="button" onClick={() => handleDelete(task, 'this')} className="note-item-button danger">
+                    This day
+                  </button>
+                  <button type="button" onClick={() => handleDelete(task, 'future')} className="note-item-button danger">
+                    This &amp; following
+                  </button>
+                  <button type="button" onClick={() => setDeleteChoiceId(null)} className="note-item-button">
+                    Keep
+                  </button>
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => (task.recurrence && !isTempId(task.id) ? setDeleteChoiceId(task.id) : handleDelete(task))}
+                  disabled={busyTaskId !== null}
+                  className="note-item-button danger"
+                >
+                  {busyTaskId === task.id ? '...' : 'Delete'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="tasks-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={title}
+          onChange={(event) => {
+            setTitle(event.target.value)
+            setError(null)
+          }}
+          placeholder="New task..."
+          maxLength={200}
+          aria-label="Task title"
+          aria-invalid={Boolean(error)}
+        />
+        <input
+          type="time"
+          value={dueTime}
+          onChange={(event) => setDueTime(event.target.value)}
+          aria-label="Due time (optional)"
+        />
+        <select
+          value={priority}
+          onChange={(event) => setPriority(event.target.value)}
+          aria-label="Priority"
+        >
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+        </select>
+        <RepeatPicker date={selectedDate} value={recurrence} onChange={setRecurrence} />
+        <button type="submit" className="notes-save-button" disabled={isSaving || !title.trim()}>
+          {isSaving ? 'Adding...' : 'Add Task'}
+        </button>
+      </form>
+      {error && <p className="field-error">{error}</p>}
+    </div>
+  )
+}
+
+export default Tasks
@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * TRASH PANEL COMPONENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS COMPONENT DO?
+ * -----------------------------
+ * Dashboard panel listing deleted notes:
+ * - Restore a note (it goes back to the end of its day)
+ * - Delete a note for good
+ * - Empty the whole trash
+ *
+ * HOW IT WORKS:
+ * ------------
+ * - Loads GET /api/trash; reloads whenever the notes change, so notes
+ *   deleted while the panel is open show up right away
+ * - The server purges notes older than its retention period by itself;
+ *   each note shows how long it has left
+ * - Restoring passes the restored note to App.jsx via onNoteRestored
+ *
+ * OFFLINE:
+ * -------
+ * The trash lives on the server only, so the panel needs the backend.
+ * Notes deleted offline appear here once the sync queue has been replayed.
+ *
+ * ============================================================================
+ */
+
+import { useEffect, useState } from 'react'
+import { authFetch } from './authFetch.js'
+import { readApiError } from './apiErrors.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatDate = (dateStr) =>
+  new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS))
+
+/**
+ * TRASH PANEL COMPONENT
+ * ---------------------
+ * Props:
+ *   - apiBaseUrl: Backend API base URL
+ *   - notes: The user's notes (only used to know when to reload)
+ *   - isOfflineMode: Whether backend is offline
+ *   - onNoteRestored: Callback function called with the restored note
+ *   - onClose: Callback function to close the panel
+ */
+function TrashPanel({ apiBaseUrl, notes, isOfflineMode = false, onNoteRestored, onClose }) {
+  const [trashedNotes, setTrashedNotes] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function loadTrash() {
+      if (isOfflineMode) {
+        setFeedback({ type: 'error', message: 'The trash needs the backend to be online.' })
+        setIsLoading(false)
+        return
+      }
+
+      try {
+        const response = await authFetch(apiBaseUrl, '/api/trash')
+        if (!response.ok) {
+          const { message } = await readApiError(response, 'Unable to load the trash.')
+          throw new Error(message)
+        }
+        const payload = await response.json()
+        if (!cancelled) {
+          setTrashedNotes(payload.notes)
+          setRetentionDays(payload.retentionDays)
+          setFeedback(null)
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setFeedback({
+            type: 'error',
+            message: error.name === 'TypeError' ? 'The trash needs the backend to be online.' : error.message,
+          })
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    loadTrash()
+    return () => {
+      cancelled = true
+    }
+  }, [apiBaseUrl, isOfflineMode, notes])
+
+  /**
+   * Sends one trash request and reports failures in the panel.
+   * Returns the parsed response body, or null on failure.
+   */
+  const request = async (busyKey, path, method, fallbackMessage) => {
+    setBusyId(busyKey)
+    setFeedback(null)
+    try {
+      const response = await authFetch(apiBaseUrl, path, { method })
+      if (!response.ok) {
+        const { message } = await readApiError(response, fallbackMessage)
+        setFeedback({ type: 'error', message })
+        return null
+      }
+      return await response.json()
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: error.name === 'TypeError'
+          ? 'Cannot connect to server. The trash needs the backend to be online.'
+          : error.message,
+      })
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRestore = async (note) => {
+    const restoredNote = await request(note.id, `/api/trash/${note.id}/restore`, 'POST', 'Unable to restore this note.')
+    if (restoredNote) {
+      setTrashedNotes((current) => current.filter((trashed) => trashed.id !== note.id))
+      onNoteRestored(restoredNote)
+    }
+  }
+
+  const handlePurge = async (note) => {
+    if (!confirm('Delete this note for good? This cannot be undone.')) return
+
+    const result = await request(note.id, `/api/trash/${note.id}`, 'DELETE', 'Unable to delete this note.')
+    if (result) {
+      setTrashedNotes((current) => current.filter((trashed) => trashed.id !== note.id))
+    }
+  }
+
+  const handleEmpty = async () => {
+    if (!confirm(`Delete all ${trashedNotes.length} notes in the trash for good? This cannot be undone.`)) return
+
+    const result = await request('all', '/api/trash', 'DELETE', 'Unable to empty the trash.')
+    if (result) {
+      setTrashedNotes([])
+      setFeedback({ type: 'success', message: result.message })
+    }
+  }
+
+  return (
+    <div className="trash-panel">
+      <div className="account-settings-header">
+        <h3>Trash</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {retentionDays !== null && (
+        <p className="modal-text">
+          Deleted notes are kept for {retentionDays} days, then removed automatically.
+        </p>
+      )}
+
+      {feedback && <p className={`feedback ${feedback.type}`}>{feedback.message}</p>}
+
+      {isLoading ? (
+        <p className="notes-loading">Loading trash...</p>
+      ) : (
+        !isOfflineMode && (
+          trashedNotes.length === 0 ? (
+            <p className="notes-empty">The trash is empty.</p>
+          ) : (
+            <>
+              <ul className="notes-list">
+                {trashedNotes.map((note) => (
+                  <li key={note.id} className="note-item">
+                    <div className="trash-item-body">
+                      <p className="trash-item-meta">
+                        {formatDate(note.date)} · removed in {daysLeft(note.purgeAt)} days
+                      </p>
+                      <p className="note-item-content">{note.content}</p>
+                    </div>
+                    <div className="note-item-actions">
+                      <button
+                        type="button"
+                        className="note-item-button"
+                        onClick={() => handleRestore(note)}
+                        disabled={busyId !== null}
+                      >
+                        Restore
+                      </button>
+                      <button
+                        type="button"
+                        className="note-item-button danger"
+                        onClick={() => handlePurge(note)}
+                        disabled={busyId !== null}
+                      >
+                        Delete forever
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <div className="notes-actions">
+                <button
+                  type="button"
+                  className="trash-empty-button"
+                  onClick={handleEmpty}
+                  disabled={busyId !== null}
+                >
+                  {busyId === 'all' ? 'Emptying...' : 'Empty trash'}
+                </button>
+              </div>
+            </>
+          )
+        )
+      )}
+    </div>
+  )
+}
+
+export default TrashPanel
@@ -0,0 +1,34 @@
+/**
+ * ============================================================================
+ * API ERROR HELPERS
+ * ============================================================================
+ * 
+ * The backend answers invalid input with:
+ *   400 { message, errors: [{ field, message }] }
+ * 
+ * readApiError turns any failed response into
+ *   { message, fieldErrors: { [field]: message } }
+ * so forms can show each error next to its input.
+ * 
+ * ============================================================================
+ */
+
+/**
+ * Reads the error body of a failed response.
+ * Falls back to fallbackMessage (or the status line) when the body isn't JSON.
+ */
+export async function readApiError(response, fallbackMessage) {
+  try {
+    const payload = await response.json()
+    const fieldErrors = {}
+    for (const error of payload.errors || []) {
+      // Keep the first message per field
+      if (error.field && !fieldErrors[error.field]) {
+        fieldErrors[error.field] = error.message
+      }
+    }
+    return { message: payload.message || fallbackMessage, fieldErrors }
+  } catch {
+    return { message: `Server error: ${response.status} ${response.statusText}`, fieldErrors: {} }
+  }
+}
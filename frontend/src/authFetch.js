@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * AUTHENTICATED FETCH - FAQ & DOCUMENTATION
+ * ============================================================================
+ * 
+ * WHAT DOES THIS UTILITY DO?
+ * ---------------------------
+ * One place for every request that needs the user's access token:
+ * - Adds the Authorization header from the saved session
+ * - Detects an expired/rejected access token (401/403)
+ * - Renews it once with the refresh token (POST /auth/refresh) and retries
+ * - Asks the user to log in again when renewal is impossible
+ * 
+ * HOW IT WORKS:
+ * ------------
+ * 1. authFetch() sends the request with the current access token
+ * 2. On 401/403 it calls refreshSession() and repeats the request
+ * 3. Only one refresh runs at a time, across all tabs (and the service
+ *    worker); parallel requests wait for it
+ * 4. New tokens are saved (sessionStorage in offlineStorage.js) and
+ *    announced to listeners
+ * 5. If the refresh token is expired or revoked, listeners get
+ *    'reauth-required' and authFetch throws AuthRequiredError
+ * 
+ * SEVERAL TABS:
+ * -------------
+ * A refresh token works once: a second use looks stolen and the server
+ * ends the session. So refreshes hold a Web Lock ('wellwork-auth-refresh')
+ * and first read the stored session again; if another tab renewed it
+ * meanwhile, its tokens are used instead of asking the server. Browsers
+ * without Web Locks only coordinate within a tab.
+ *
+ * OFFLINE EDITS:
+ * -------------
+ * Nothing is cleared when re-login is required. Callers treat
+ * AuthRequiredError like being offline (save locally, queue for sync),
+ * and App.jsx resumes the sync queue after the user logs in again.
+ * 
+ * USAGE:
+ * -----
+ * const response = await authFetch(apiBaseUrl, '/api/notes')
+ * const unsubscribe = onSessionChange((event) => { ... })
+ * 
+ * ============================================================================
+ */
+
+import { sessionStorage, whenStored } from './offlineStorage.js'
+
+/**
+ * Thrown when the user has to log in again before requests can continue.
+ */
+export class AuthRequiredError extends Error {
+  constructor(message = 'Your session has expired. Please log in again.') {
+    super(message)
+    this.name = 'AuthRequiredError'
+  }
+}
+
+const REFRESH_LOCK = 'wellwork-auth-refresh'
+
+const listeners = new Set()
+let refreshInFlight = null
+
+/**
+ * Subscribe to session events:
+ *   { type: 'refreshed', session } - new tokens were saved
+ *   { type: 'reauth-required' }    - user must log in again
+ * Returns an unsubscribe function.
+ */
+export function onSessionChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+function emit(event) {
+  listeners.forEach((listener) => listener(event))
+}
+
+function requireReauth() {
+  emit({ type: 'reauth-required' })
+  return new AuthRequiredError()
+}
+
+async function requestNewTokens(apiBaseUrl, known) {
+  const session = await sessionStorage.loadStored()
+  if (!session?.refreshToken) {
+    throw requireReauth()
+  }
+  if (known && session.refreshToken !== known.refreshToken) {
+    // Another tab renewed the tokens while this one waited for the lock
+    emit({ type: 'refreshed', session })
+    return session
+  }
+
+  // Network errors propagate as-is: the caller is simply offline
+  const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: session.refreshToken }),
+  })
+
+  if (response.status === 400 || response.status === 401) {
+    throw requireReauth()
+  }
+  if (!response.ok) {
+    throw new Error(`Session refresh failed: ${response.status}`)
+  }
+
+  const payload = await response.json()
+  const renewedSession = {
+    ...session,
+    token: payload.token,
+    refreshToken: payload.refreshToken,
+    user: payload.user || session.user,
+  }
+  sessionStorage.save(renewedSession)
+  // Stored before the lock is released, so the next tab reads these tokens
+  await whenStored()
+  emit({ type: 'refreshed', session: renewedSession })
+  return renewedSession
+}
+
+function withRefreshLock(operation) {
+  const locks = typeof navigator === 'undefined' ? null : navigator.locks
+  return locks ? locks.request(REFRESH_LOCK, operation) : operation()
+}
+
+/**
+ * REFRESH SESSION
+ * ---------------
+ * Renews the access token. Concurrent callers share a single request,
+ * and other tabs wait for it (see SEVERAL TABS), since each refresh token
+ * can only be used once.
+ */
+export function refreshSession(apiBaseUrl) {
+  if (!refreshInFlight) {
+    const known = sessionStorage.load()
+    refreshInFlight = withRefreshLock(() => requestNewTokens(apiBaseUrl, known)).finally(() => {
+      refreshInFlight = null
+    })
+  }
+  return refreshInFlight
+}
+
+function isAuthFailure(response) {
+  return response.status === 401 || response.status === 403
+}
+
+/**
+ * AUTHENTICATED FETCH
+ * -------------------
+ * Same as fetch(`${apiBaseUrl}${path}`, options), plus the Authorization
+ * header and transparent token renewal.
+ * 
+ * THROWS:
+ * - AuthRequiredError: user must log in again
+ * - TypeError: network error (backend offline)
+ */
+export async function authFetch(apiBaseUrl, path, options = {}) {
+  const send = (session) =>
+    fetch(`${apiBaseUrl}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${session.token}`,
+      },
+    })
+
+  const session = sessionStorage.load()
+  if (!session?.token) {
+    throw new AuthRequiredError()
+  }
+
+  const response = await send(session)
+  if (!isAuthFailure(response)) {
+    return response
+  }
+
+  // Another request may have renewed the token while this one was in flight
+  const latest = sessionStorage.load()
+  const renewed = latest?.token && latest.token !== session.token
+    ? latest
+    : await refreshSession(apiBaseUrl)
+
+  const retried = await send(renewed)
+  if (isAuthFailure(retried)) {
+    throw requireReauth()
+  }
+  return retried
+}
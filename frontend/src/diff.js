@@ -0,0 +1,65 @@
+/**
+ * ============================================================================
+ * LINE DIFF
+ * ============================================================================
+ *
+ * diffLines(oldText, newText) compares two texts line by line and returns
+ *   [{ type: 'same' | 'added' | 'removed', text }]
+ * in reading order. Used by the note history drawer.
+ *
+ * mergeLines(theirText, myText) keeps every line of both texts, in reading
+ * order, each shared line once. A starting point for merging two edits of
+ * a note (NoteConflict.jsx), not a finished merge.
+ *
+ * Uses a longest-common-subsequence table, which is fine for note-sized
+ * texts (a 10,000 character note is a few hundred lines at most).
+ *
+ * ============================================================================
+ */
+
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n')
+  const newLines = newText.split('\n')
+  const rows = oldLines.length
+  const cols = newLines.length
+
+  // lcs[i][j] = length of the common subsequence of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const result = []
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: oldLines[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i] })
+      i++
+    } else {
+      result.push({ type: 'added', text: newLines[j] })
+      j++
+    }
+  }
+  while (i < rows) {
+    result.push({ type: 'removed', text: oldLines[i++] })
+  }
+  while (j < cols) {
+    result.push({ type: 'added', text: newLines[j++] })
+  }
+  return result
+}
+
+export function mergeLines(theirText, myText) {
+  return diffLines(theirText, myText)
+    .map((line) => line.text)
+    .join('\n')
+}
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { openOfflineStore } from './offlineStorage.js'
+import { registerServiceWorker } from './serviceWorkerClient.js'
+import { getApiBaseUrl } from './mobileConfig.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// The app reads cached notes and the sync queue as soon as it starts
+openOfflineStore().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+  registerServiceWorker(getApiBaseUrl())
+})
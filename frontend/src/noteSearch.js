@@ -0,0 +1,140 @@
+/**
+ * ============================================================================
+ * OFFLINE NOTE SEARCH
+ * ============================================================================
+ *
+ * searchNotes(notes, query, { from, to, limit }) searches cached notes the
+ * same way GET /api/notes/search does (see backend/search.js), so results
+ * look alike online and offline:
+ *   { total, results: [{ id, date, tagIds, updatedAt, score, snippet, highlights }] }
+ *
+ * - Every query word must match; the last one also as a prefix
+ * - Case and accents are ignored ("Café" matches "cafe")
+ * - Ranked by BM25 with a bonus for the whole phrase, newest date first on ties
+ * - highlights are [start, end) ranges within snippet
+ * - A repeating note is in the from/to range when one of its occurrences is
+ *
+ * There is no index: the cache is scanned on every search, which is quick
+ * enough for the notes one person keeps on a device.
+ *
+ * ============================================================================
+ */
+
+import { overlapsRange } from './recurrence.js'
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu
+const MAX_QUERY_TERMS = 10
+const SNIPPET_LENGTH = 160
+const SNIPPET_LEAD = 40
+
+// BM25 parameters, same as the backend
+const K1 = 1.2
+const B = 0.75
+const PHRASE_BONUS = 1.5
+
+const foldWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+
+/**
+ * Words of a text with their position: [{ term, start, end }]
+ */
+function tokenize(text) {
+  return [...String(text || '').matchAll(WORD_PATTERN)].map((match) => ({
+    term: foldWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }))
+}
+
+function termMatcher(queryTerms) {
+  const last = queryTerms[queryTerms.length - 1]
+  return (term, queryTerm) => term === queryTerm || (queryTerm === last && term.startsWith(queryTerm))
+}
+
+function buildSnippet(content, queryTerms) {
+  const matches = termMatcher(queryTerms)
+  const hits = tokenize(content).filter((token) => queryTerms.some((queryTerm) => matches(token.term, queryTerm)))
+
+  let start = 0
+  if (hits.length > 0 && content.length > SNIPPET_LENGTH) {
+    start = Math.max(0, Math.min(hits[0].start - SNIPPET_LEAD, content.length - SNIPPET_LENGTH))
+    if (start > 0) {
+      const space = content.slice(start, hits[0].start).search(/\s/)
+      if (space >= 0) start += space + 1
+    }
+  }
+  let end = Math.min(content.length, start + SNIPPET_LENGTH)
+  if (end < content.length) {
+    const lastSpace = content.slice(start, end).search(/\s\S*$/)
+    if (lastSpace > 0) end = start + lastSpace
+  }
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < content.length ? '…' : ''
+
+  return {
+    snippet: prefix + content.slice(start, end) + suffix,
+    highlights: hits
+      .filter((hit) => hit.start >= start && hit.end <= end)
+      .map((hit) => [hit.start - start + prefix.length, hit.end - start + prefix.length]),
+  }
+}
+
+export function searchNotes(notes, query, { from, to, limit = 20 } = {}) {
+  const queryTerms = [...new Set(tokenize(query).map((token) => token.term))].slice(0, MAX_QUERY_TERMS)
+  if (queryTerms.length === 0 || notes.length === 0) {
+    return { total: 0, results: [] }
+  }
+
+  const docs = notes.map((note) => {
+    const terms = tokenize(note.content).map((token) => token.term)
+    const counts = new Map()
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1))
+    return { note, terms, counts }
+  })
+  const averageLength = docs.reduce((sum, doc) => sum + doc.terms.length, 0) / docs.length || 1
+  const matches = termMatcher(queryTerms)
+  const phrase = queryTerms.length > 1 ? queryTerms.join(' ') : null
+
+  // Per query word: how often each note holds a matching word, and its idf
+  const frequencies = queryTerms.map((queryTerm) => {
+    const perDoc = docs.map((doc) => {
+      let frequency = 0
+      doc.counts.forEach((count, term) => {
+        if (matches(term, queryTerm)) frequency += count
+      })
+      return frequency
+    })
+    const docFrequency = perDoc.filter((frequency) => frequency > 0).length
+    const idf = Math.log(1 + (docs.length - docFrequency + 0.5) / (docFrequency + 0.5))
+    return { perDoc, idf }
+  })
+
+  const scored = []
+  docs.forEach((doc, index) => {
+    if (!overlapsRange(doc.note, 'date', from, to)) return
+    if (frequencies.some(({ perDoc }) => perDoc[index] === 0)) return
+
+    const norm = K1 * (1 - B + (B * doc.terms.length) / averageLength)
+    let score = frequencies.reduce(
+      (sum, { perDoc, idf }) => sum + (idf * perDoc[index] * (K1 + 1)) / (perDoc[index] + norm),
+      0
+    )
+    if (phrase && doc.terms.join(' ').includes(phrase)) {
+      score *= PHRASE_BONUS
+    }
+    scored.push({ note: doc.note, score })
+  })
+
+  scored.sort((a, b) => b.score - a.score || b.note.date.localeCompare(a.note.date))
+
+  return {
+    total: scored.length,
+    results: scored.slice(0, limit).map(({ note, score }) => ({
+      id: note.id,
+      date: note.date,
+      tagIds: note.tagIds || [],
+      updatedAt: note.updatedAt,
+      score: Math.round(score * 1000) / 1000,
+      ...buildSnippet(note.content || '', queryTerms),
+    })),
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * ============================================================================
+ * NOTES & TASKS API HELPERS
+ * ============================================================================
+ *
+ * fetchNotes(apiBaseUrl, { from, to }) loads the notes of a date range from
+ * GET /api/notes, following the X-Next-Cursor header page by page.
+ * fetchChanges(apiBaseUrl, cursor) asks GET /api/sync what changed since the
+ * last sync (everything when cursor is null): { cursor, reset, notes, tasks,
+ * tags, deleted: { notes, tasks, tags } }. App.jsx applies it to the caches.
+ * Both return null when the server answered with an error; network errors
+ * (and AuthRequiredError) are thrown like authFetch does.
+ *
+ * visibleRange('2025-01') is the range the dashboard shows (notes and
+ * tasks, repeating ones expanded) for a calendar month: from the first day
+ * of the month before to the last day of the month after.
+ *
+ * ============================================================================
+ */
+
+import { authFetch } from './authFetch.js'
+
+const PAGE_SIZE = 500
+
+const formatDate = (date) => {
+  const yyyy = date.getFullYear()
+  const mm = String(date.getMonth() + 1).padStart(2, '0')
+  const dd = String(date.getDate()).padStart(2, '0')
+  return `${yyyy}-${mm}-${dd}`
+}
+
+/**
+ * 'YYYY-MM' of a Date (local time)
+ */
+export const monthKey = (date) => formatDate(date).slice(0, 7)
+
+export function visibleRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number)
+  return {
+    from: formatDate(new Date(year, monthNumber - 2, 1)),
+    to: formatDate(new Date(year, monthNumber + 1, 0)),
+  }
+}
+
+export async function fetchNotes(apiBaseUrl, { from, to }) {
+  const notes = []
+  let cursor = null
+
+  do {
+    const params = new URLSearchParams({ from, to, limit: String(PAGE_SIZE) })
+    if (cursor) params.set('cursor', cursor)
+
+    const response = await authFetch(apiBaseUrl, `/api/notes?${params}`)
+    if (!response.ok) {
+      return null
+    }
+    notes.push(...(await response.json()))
+    cursor = response.headers.get('X-Next-Cursor')
+  } while (cursor)
+
+  return notes
+}
+
+export async function fetchChanges(apiBaseUrl, cursor) {
+  const response = await authFetch(apiBaseUrl, cursor ? `/api/sync?${new URLSearchParams({ since: cursor })}` : '/api/sync')
+  if (response.status === 400 && cursor) {
+    // Not a cursor this server knows: start over
+    return fetchChanges(apiBaseUrl, null)
+  }
+  return response.ok ? response.json() : null
+}
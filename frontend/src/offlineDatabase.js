@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * OFFLINE DATABASE - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS MODULE DO?
+ * -------------------------
+ * Opens the browser's IndexedDB database that holds the offline notes, the
+ * sync queue and the session, and reads and writes whole lists of records.
+ * It knows nothing about notes or syncing; offlineStorage.js does, and is
+ * the only module that uses this one. Unlike localStorage, IndexedDB can
+ * also be read by the service worker (serviceWorker.js).
+ *
+ * WHY INDEXEDDB?
+ * -------------
+ * localStorage keeps one string per key, about 5 MB in all, and has to
+ * parse or rewrite the whole string on every access. IndexedDB stores
+ * records one by one, gets far more space, and writes in the background.
+ *
+ * DATABASE 'wellwork' (version 2):
+ * -------------------------------
+ * - notes: one record per cached note, keyed by [userId, id]
+ *   Indexes: date ([userId, date]) and updatedAt ([userId, updatedAt]),
+ *   for a user's notes of some days or the most recently changed ones
+ * - syncQueue: one record per queued operation, keyed by id
+ *   Index: timestamp (queue order, oldest first)
+ * - settings: { key, value } records, e.g. the session (version 2)
+ *
+ * ERRORS:
+ * ------
+ * Writes run in one transaction: all of them are stored or none. A failed
+ * transaction rejects with its error, e.g. a QuotaExceededError when the
+ * device is out of space.
+ *
+ * ============================================================================
+ */
+
+const DATABASE_NAME = 'wellwork'
+const DATABASE_VERSION = 2
+
+/**
+ * Open the database, creating or upgrading its stores as needed.
+ * Rejects if IndexedDB is missing or refused (e.g. some private windows).
+ */
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+
+    request.onupgradeneeded = () => {
+      const database = request.result
+      if (!database.objectStoreNames.contains('notes')) {
+        const notes = database.createObjectStore('notes', { keyPath: ['userId', 'id'] })
+        notes.createIndex('date', ['userId', 'date'])
+        notes.createIndex('updatedAt', ['userId', 'updatedAt'])
+      }
+      if (!database.objectStoreNames.contains('syncQueue')) {
+        const queue = database.createObjectStore('syncQueue', { keyPath: 'id' })
+        queue.createIndex('timestamp', 'timestamp')
+      }
+      if (!database.objectStoreNames.contains('settings')) {
+        database.createObjectStore('settings', { keyPath: 'key' })
+      }
+    }
+
+    request.onsuccess = () => {
+      const database = request.result
+      // Let a newer version of the app (another tab) upgrade the database
+      database.onversionchange = () => database.close()
+      resolve(database)
+    }
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error('The offline database is in use by an older tab'))
+  })
+}
+
+/**
+ * All records of a store, in key order or in the order of indexName
+ */
+export function readAll(database, storeName, indexName = null) {
+  return new Promise((resolve, reject) => {
+    const store = database.transaction(storeName, 'readonly').objectStore(storeName)
+    const request = (indexName ? store.index(indexName) : store).getAll()
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Write to one or more stores in a single transaction.
+ * changes: { [storeName]: { clear?, put?: [records], remove?: [keys] } },
+ * applied in that order per store. Resolves once everything is stored.
+ */
+export function writeRecords(database, changes) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(Object.keys(changes), 'readwrite')
+
+    transaction.oncomplete = () => resolve()
+    transaction.onabort = () => reject(transaction.error || new Error('Offline database write was aborted'))
+
+    try {
+      for (const [storeName, { clear = false, put = [], remove = [] }] of Object.entries(changes)) {
+        const store = transaction.objectStore(storeName)
+        if (clear) store.clear()
+        put.forEach((record) => store.put(record))
+        remove.forEach((key) => store.delete(key))
+      }
+    } catch (error) {
+      // e.g. a record without its key: store none of them
+      transaction.onabort = null
+      transaction.abort()
+      reject(error)
+    }
+  })
+}
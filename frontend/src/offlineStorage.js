@@ -5,28 +5,66 @@
  * 
  * WHAT DOES THIS UTILITY DO?
  * ---------------------------
- * Provides offline-first functionality using browser localStorage:
- * - Caches notes locally for offline access
+ * Provides offline-first functionality using browser storage (IndexedDB
+ * for notes, the sync queue and the session, localStorage for the rest):
+ * - Caches notes, tasks and tags locally for offline access
  * - Caches user session for offline login persistence
- * - Queues failed API requests for retry when online
- * - Automatically syncs when backend comes back online
+ * - Queues failed API requests for retry when online, replayed in order
+ *   and applied once each (operation IDs, see RETRY FAILED REQUESTS)
+ * - Automatically syncs when backend comes back online (via authFetch.js)
  * 
  * HOW IT WORKS:
  * ------------
- * 1. All data operations check localStorage first
+ * 1. All data operations check the local cache first
  * 2. If backend is online, syncs with server
  * 3. If backend is offline, uses cached data
  * 4. Failed requests are queued and retried when online
  * 
- * STORAGE KEYS:
- * ------------
- * - 'wellwork_notes_{userId}': User's notes cache
- * - 'wellwork_session': User session cache
- * - 'wellwork_sync_queue': Queue of pending operations
+ * INDEXEDDB (database 'wellwork', see offlineDatabase.js):
+ * ------------------------------------------------------
+ * - notes: Every user's notes cache, kept up to date by delta sync
+ *   (GET /api/sync, see fetchChanges in notesApi.js)
+ * - syncQueue: Queue of pending operations
+ * - settings: The session ('session') and the API URL ('apiBaseUrl'),
+ *   which the service worker needs to send the queue by itself
+ * openOfflineStore() (main.jsx, before the app starts; serviceWorker.js)
+ * reads them all into memory once. From then on reads come from memory and stay synchronous;
+ * each save writes only the records that changed, in the background and
+ * in the order the saves were made. Records are never changed in place,
+ * so a changed record is simply a different object. Other tabs are told
+ * to read the stores again after each write.
+ *
+ * MIGRATION:
+ * ---------
+ * Earlier versions kept notes, the queue and the session in localStorage
+ * ('wellwork_notes_{userId}', 'wellwork_sync_queue', 'wellwork_session').
+ * The first start with IndexedDB moves them over and then removes those
+ * keys.
+ *
+ * LOCALSTORAGE KEYS:
+ * -----------------
+ * - 'wellwork_tags_{userId}': User's tags cache
+ * - 'wellwork_tasks_{userId}': User's tasks cache (by due date, like notes)
+ * - 'wellwork_sync_cursor_{userId}': Where the next delta sync continues
+ * - 'wellwork_{key}': Settings, only without IndexedDB (so the user stays
+ *   logged in; 'wellwork_session' is where the session always was)
+ *
+ * STORAGE PROBLEMS:
+ * ----------------
+ * A write that fails - most often because the device is out of space
+ * (QuotaExceededError) - is reported to onStorageProblem listeners, and
+ * App.jsx tells the user. The data stays in memory and the next write
+ * tries to store everything again. Without IndexedDB (e.g. some private
+ * windows) notes and the queue only last until the page is closed, which
+ * is reported the same way.
  * 
  * ============================================================================
  */
 
+import { authFetch, AuthRequiredError } from './authFetch.js'
+import { overlapsRange } from './recurrence.js'
+import { openDatabase, readAll, writeRecords } from './offlineDatabase.js'
+
 const STORAGE_PREFIX = 'wellwork_'
 
 /**
@@ -36,214 +74,839 @@ function getUserKey(userId, key) {
   return `${STORAGE_PREFIX}${key}_${userId}`
 }
 
+/**
+ * STORAGE PROBLEMS
+ * ----------------
+ * Failed writes are reported to listeners as { kind, message }, kind
+ * being 'quota' (out of space), 'failed' or 'unavailable' (no IndexedDB).
+ */
+const problemListeners = new Set()
+let lastProblem = null
+
+const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+
+function reportStorageProblem(problem) {
+  lastProblem = problem
+  problemListeners.forEach((listener) => listener(problem))
+}
+
+function reportWriteError(error) {
+  reportStorageProblem(isQuotaError(error)
+    ? {
+        kind: 'quota',
+        message: 'This device has run out of storage space for WellWork. Recent changes are kept until you close the page; free up space (or sync while online) to keep them offline.',
+      }
+    : {
+        kind: 'failed',
+        message: 'Saving to this device failed. Recent changes are kept until you close the page.',
+      })
+}
+
+/**
+ * Subscribe to storage problems; a problem reported before subscribing is
+ * passed on right away. Returns an unsubscribe function.
+ */
+export function onStorageProblem(listener) {
+  problemListeners.add(listener)
+  if (lastProblem) listener(lastProblem)
+  return () => problemListeners.delete(listener)
+}
+
+/**
+ * OFFLINE DATABASE
+ * ----------------
+ * Notes (by user ID) and the sync queue in memory, and their IndexedDB
+ * copy. Writes are chained, so they are stored in the order they were made.
+ */
+const notesByUser = new Map()
+let queue = []
+const settings = new Map()
+let database = null
+let writes = Promise.resolve()
+// Stores whose last write failed: the next write stores all their records
+const incompleteStores = new Set()
+const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('wellwork-offline-store')
+
+const allRecords = {
+  notes: () => [...notesByUser].flatMap(([userId, notes]) => notes.map((note) => ({ ...note, userId }))),
+  syncQueue: () => queue,
+  settings: () => [...settings].map(([key, value]) => ({ key, value })),
+}
+
+// Store changes ({ put, remove }) to one store in the background
+function persist(storeName, changes) {
+  writes = writes.then(async () => {
+    if (!database) return
+    const complete = incompleteStores.has(storeName)
+    try {
+      await writeRecords(database, {
+        [storeName]: complete ? { clear: true, put: allRecords[storeName]() } : changes,
+      })
+      incompleteStores.delete(storeName)
+      channel?.postMessage(storeName)
+    } catch (error) {
+      console.error(`Error saving ${storeName} to IndexedDB:`, error)
+      incompleteStores.add(storeName)
+      reportWriteError(error)
+    }
+  })
+  return writes
+}
+
+// Read a store into memory again (another tab wrote to it)
+async function reload(storeName) {
+  if (storeName === 'notes') {
+    const notes = await readAll(database, 'notes')
+    notesByUser.clear()
+    for (const note of notes) {
+      notesByUser.set(note.userId, [...(notesByUser.get(note.userId) || []), note])
+    }
+  } else if (storeName === 'syncQueue') {
+    queue = await readAll(database, 'syncQueue', 'timestamp')
+    notifyQueueListeners()
+  } else if (storeName === 'settings') {
+    settings.clear()
+    for (const { key, value } of await readAll(database, 'settings')) {
+      settings.set(key, value)
+    }
+  }
+}
+
+/**
+ * Resolves once every save made so far is in IndexedDB (or has failed)
+ */
+export const whenStored = () => writes
+
+channel?.addEventListener('message', ({ data: storeName }) => {
+  // After this tab's own writes, which the other tab hasn't seen
+  writes = writes.then(() => database && !incompleteStores.has(storeName) && reload(storeName))
+    .catch((error) => console.error(`Error reloading ${storeName} from IndexedDB:`, error))
+})
+
+/**
+ * Move notes, the queue and the session kept in localStorage by earlier
+ * versions into memory and IndexedDB. What is already in IndexedDB wins;
+ * the localStorage keys are removed once IndexedDB has everything.
+ */
+async function migrateFromLocalStorage() {
+  // The service worker has no localStorage (and nothing to move)
+  if (typeof localStorage === 'undefined') return
+
+  const notesPrefix = getUserKey('', 'notes')
+  const queueKey = `${STORAGE_PREFIX}sync_queue`
+  const sessionKey = `${STORAGE_PREFIX}session`
+  const keys = []
+  for (let index = 0; index < localStorage.length; index++) {
+    const key = localStorage.key(index)
+    if (key === queueKey || key === sessionKey || key.startsWith(notesPrefix)) keys.push(key)
+  }
+  if (keys.length === 0) return
+
+  const migratedNotes = []
+  const migratedOperations = []
+  const migratedSettings = []
+  for (const key of keys) {
+    let data
+    try {
+      data = JSON.parse(localStorage.getItem(key)) || (key === sessionKey ? null : [])
+    } catch (error) {
+      console.error(`Skipping unreadable ${key}:`, error)
+      continue
+    }
+
+    if (key === queueKey) {
+      // Older operations may lack an ID; timestamps must give their order
+      let previous = queue.length > 0 ? queue[queue.length - 1].timestamp : 0
+      const known = new Set(queue.map((operation) => operation.id))
+      for (const operation of data) {
+        if (operation.id && known.has(operation.id)) continue
+        previous = Math.max(operation.timestamp || 0, previous + 1)
+        migratedOperations.push({
+          retries: 0,
+          lastError: null,
+          ...operation,
+          id: operation.id || newOperationId(),
+          timestamp: previous,
+        })
+      }
+    } else if (key === sessionKey) {
+      if (settings.has('session')) continue
+      settings.set('session', data)
+      migratedSettings.push({ key: 'session', value: data })
+    } else {
+      const userId = key.slice(notesPrefix.length)
+      if (notesByUser.has(userId)) continue
+      notesByUser.set(userId, data)
+      migratedNotes.push(...data.map((note) => ({ ...note, userId })))
+    }
+  }
+  queue = [...queue, ...migratedOperations]
+
+  if (!database) return
+  try {
+    await writeRecords(database, {
+      notes: { put: migratedNotes },
+      syncQueue: { put: migratedOperations },
+      settings: { put: migratedSettings },
+    })
+    keys.forEach((key) => localStorage.removeItem(key))
+    console.log(`Moved ${migratedNotes.length} notes, ${migratedOperations.length} queued operations and ${migratedSettings.length} settings to IndexedDB`)
+  } catch (error) {
+    console.error('Error moving offline data to IndexedDB:', error)
+    incompleteStores.add('notes')
+    incompleteStores.add('syncQueue')
+    incompleteStores.add('settings')
+    reportWriteError(error)
+  }
+}
+
+/**
+ * Load notes, the sync queue and the settings from IndexedDB (moving them
+ * over from localStorage the first time). Must finish before anything else
+ * in this module is used; main.jsx waits for it before starting the app.
+ * Calling it again reads everything again. Never rejects: without
+ * IndexedDB, everything is kept in memory only.
+ */
+export async function openOfflineStore() {
+  try {
+    database ??= await openDatabase()
+    await reload('notes')
+    await reload('syncQueue')
+    await reload('settings')
+  } catch (error) {
+    console.error('IndexedDB is not available, offline data will not be kept:', error)
+    database = null
+    reportStorageProblem({
+      kind: 'unavailable',
+      message: 'This browser does not let WellWork store data on this device, so changes made offline are lost when you close the page.',
+    })
+  }
+
+  try {
+    await migrateFromLocalStorage()
+  } catch (error) {
+    console.error('Error reading offline data from localStorage:', error)
+  }
+}
+
+/**
+ * CACHE HELPERS
+ * -------------
+ * Shared by the notes and tasks caches. store is notesStorage or
+ * tasksStorage; each returns the updated cache.
+ */
+
+// Add or replace records (matched by ID)
+function mergeRecords(store, userId, records) {
+  const incoming = new Map(records.map((record) => [record.id, record]))
+  const merged = [
+    ...store.load(userId).filter((cached) => !incoming.has(cached.id)),
+    ...incoming.values(),
+  ]
+  store.save(userId, merged)
+  return merged
+}
+
+function removeRecord(store, userId, id) {
+  const remaining = store.load(userId).filter((cached) => cached.id !== id)
+  store.save(userId, remaining)
+  return remaining
+}
+
+// Replace the cached records that show up within from..to (inclusive; for
+// repeating ones, any occurrence) with the server's copy. Records created
+// offline and still waiting in the sync queue are kept; records outside
+// the range are left alone.
+function replaceRecordsInRange(store, dateField, userId, from, to, records) {
+  const pendingIds = new Set(syncQueue.getAll().map((operation) => operation.tempId).filter(Boolean))
+  const incomingIds = new Set(records.map((record) => record.id))
+  const kept = store.load(userId).filter(
+    (cached) => !incomingIds.has(cached.id)
+      && (!overlapsRange(cached, dateField, from, to) || pendingIds.has(cached.id))
+  )
+  const merged = [...kept, ...records]
+  store.save(userId, merged)
+  return merged
+}
+
+// IDs of cached records with operations still in the sync queue: notes and
+// tasks created offline (tempId) and the ones named in a queued URL
+function pendingRecordIds() {
+  const ids = new Set()
+  for (const operation of syncQueue.getAll()) {
+    if (operation.tempId) ids.add(operation.tempId)
+    const match = /^\/api\/(?:notes|tasks)\/([^/?]+)/.exec(operation.url)
+    if (match) ids.add(match[1])
+  }
+  return ids
+}
+
+// Apply one delta sync ({ reset, records, deletedIds }) to the cache.
+// reset replaces the whole cache. Records with queued operations keep their
+// local state until the queue has been replayed; offline-created records
+// that are no longer queued are dropped, their server copy comes in records.
+function applyRecordChanges(store, userId, { reset, records, deletedIds = [] }) {
+  const pendingIds = pendingRecordIds()
+  const isTemp = (record) => String(record.id).startsWith('temp_')
+  const incoming = records.filter((record) => !pendingIds.has(record.id))
+  const incomingIds = new Set(incoming.map((record) => record.id))
+  const deleted = new Set(deletedIds.filter((id) => !pendingIds.has(id)))
+
+  const kept = store.load(userId).filter((cached) =>
+    pendingIds.has(cached.id)
+    || (!reset && !isTemp(cached) && !incomingIds.has(cached.id) && !deleted.has(cached.id))
+  )
+  const merged = [...kept, ...incoming]
+  store.save(userId, merged)
+  return merged
+}
+
 /**
  * NOTES STORAGE
  * -------------
- * Functions to save/load notes from localStorage
+ * Functions to save/load notes, kept in memory and in IndexedDB
  */
 export const notesStorage = {
   /**
-   * Save notes to localStorage
+   * Save a user's notes (replaces the cached ones)
    */
   save: (userId, notes) => {
+    const previous = new Map((notesByUser.get(userId) || []).map((note) => [note.id, note]))
+    const current = new Set(notes.map((note) => note.id))
+    notesByUser.set(userId, [...notes])
+    persist('notes', {
+      put: notes.filter((note) => previous.get(note.id) !== note).map((note) => ({ ...note, userId })),
+      remove: [...previous.keys()].filter((id) => !current.has(id)).map((id) => [userId, id]),
+    })
+    return true
+  },
+
+  /**
+   * Load a user's notes (a copy; the notes themselves must not be changed)
+   */
+  load: (userId) => [...(notesByUser.get(userId) || [])],
+
+  /**
+   * Add or replace notes in the cache (matched by ID).
+   * Returns the updated cache.
+   */
+  merge: (userId, notes) => mergeRecords(notesStorage, userId, notes),
+
+  /**
+   * Remove one note from the cache. Returns the updated cache.
+   */
+  remove: (userId, noteId) => removeRecord(notesStorage, userId, noteId),
+
+  /**
+   * Replace the cached notes dated from..to (YYYY-MM-DD, inclusive) with
+   * the server's copy, keeping unsynced offline notes. Returns the updated cache.
+   */
+  replaceRange: (userId, from, to, notes) => replaceRecordsInRange(notesStorage, 'date', userId, from, to, notes),
+
+  /**
+   * Apply a delta sync ({ reset, records, deletedIds }) to the cache,
+   * keeping notes with unsynced offline changes. Returns the updated cache.
+   */
+  applyChanges: (userId, changes) => applyRecordChanges(notesStorage, userId, changes),
+
+  /**
+   * Clear a user's notes
+   */
+  clear: (userId) => {
+    if (notesByUser.has(userId)) {
+      notesStorage.save(userId, [])
+      notesByUser.delete(userId)
+    }
+  }
+}
+
+/**
+ * TAGS STORAGE
+ * ------------
+ * Functions to save/load the user's tags from localStorage, so tag chips
+ * and colours still show offline (tags are only edited online)
+ */
+export const tagsStorage = {
+  save: (userId, tags) => {
     try {
-      const key = getUserKey(userId, 'notes')
-      localStorage.setItem(key, JSON.stringify(notes))
+      localStorage.setItem(getUserKey(userId, 'tags'), JSON.stringify(tags))
       return true
     } catch (error) {
-      console.error('Error saving notes to localStorage:', error)
+      console.error('Error saving tags to localStorage:', error)
+      reportWriteError(error)
       return false
     }
   },
 
-  /**
-   * Load notes from localStorage
-   */
   load: (userId) => {
     try {
-      const key = getUserKey(userId, 'notes')
-      const data = localStorage.getItem(key)
+      const data = localStorage.getItem(getUserKey(userId, 'tags'))
       return data ? JSON.parse(data) : []
     } catch (error) {
-      console.error('Error loading notes from localStorage:', error)
+      console.error('Error loading tags from localStorage:', error)
       return []
     }
   },
 
-  /**
-   * Clear notes from localStorage
-   */
   clear: (userId) => {
     try {
-      const key = getUserKey(userId, 'notes')
-      localStorage.removeItem(key)
+      localStorage.removeItem(getUserKey(userId, 'tags'))
     } catch (error) {
-      console.error('Error clearing notes from localStorage:', error)
+      console.error('Error clearing tags from localStorage:', error)
     }
   }
 }
 
 /**
- * SESSION STORAGE
- * --------------
- * Functions to save/load user session from localStorage
+ * TASKS STORAGE
+ * -------------
+ * Functions to save/load the user's tasks from localStorage.
+ * Works like notesStorage; ranges are by due date.
  */
-export const sessionStorage = {
-  /**
-   * Save session to localStorage
-   */
-  save: (session) => {
+export const tasksStorage = {
+  save: (userId, tasks) => {
     try {
-      localStorage.setItem(`${STORAGE_PREFIX}session`, JSON.stringify(session))
+      localStorage.setItem(getUserKey(userId, 'tasks'), JSON.stringify(tasks))
       return true
     } catch (error) {
-      console.error('Error saving session to localStorage:', error)
+      console.error('Error saving tasks to localStorage:', error)
+      reportWriteError(error)
       return false
     }
   },
 
-  /**
-   * Load session from localStorage
-   */
-  load: () => {
+  load: (userId) => {
     try {
-      const data = localStorage.getItem(`${STORAGE_PREFIX}session`)
-      return data ? JSON.parse(data) : null
+      const data = localStorage.getItem(getUserKey(userId, 'tasks'))
+      return data ? JSON.parse(data) : []
     } catch (error) {
-      console.error('Error loading session from localStorage:', error)
-      return null
+      console.error('Error loading tasks from localStorage:', error)
+      return []
     }
   },
 
-  /**
-   * Clear session from localStorage
-   */
-  clear: () => {
+  merge: (userId, tasks) => mergeRecords(tasksStorage, userId, tasks),
+
+  remove: (userId, taskId) => removeRecord(tasksStorage, userId, taskId),
+
+  replaceRange: (userId, from, to, tasks) => replaceRecordsInRange(tasksStorage, 'dueDate', userId, from, to, tasks),
+
+  applyChanges: (userId, changes) => applyRecordChanges(tasksStorage, userId, changes),
+
+  clear: (userId) => {
     try {
-      localStorage.removeItem(`${STORAGE_PREFIX}session`)
+      localStorage.removeItem(getUserKey(userId, 'tasks'))
     } catch (error) {
-      console.error('Error clearing session from localStorage:', error)
+      console.error('Error clearing tasks from localStorage:', error)
     }
   }
 }
 
 /**
- * SYNC QUEUE
- * ----------
- * Queue system for failed API requests that need retry
+ * SYNC CURSOR STORAGE
+ * -------------------
+ * The cursor of the last delta sync per user. Cleared together with the
+ * caches, so the next sync starts over with everything.
  */
-export const syncQueue = {
-  /**
-   * Add operation to sync queue
-   */
-  add: (operation) => {
+export const syncCursorStorage = {
+  save: (userId, cursor) => {
     try {
-      const queue = syncQueue.getAll()
-      queue.push({
-        ...operation,
-        timestamp: Date.now(),
-        retries: 0
-      })
-      localStorage.setItem(`${STORAGE_PREFIX}sync_queue`, JSON.stringify(queue))
+      localStorage.setItem(getUserKey(userId, 'sync_cursor'), cursor)
       return true
     } catch (error) {
-      console.error('Error adding to sync queue:', error)
+      console.error('Error saving sync cursor to localStorage:', error)
+      reportWriteError(error)
       return false
     }
   },
 
-  /**
-   * Get all queued operations
-   */
-  getAll: () => {
+  load: (userId) => {
     try {
-      const data = localStorage.getItem(`${STORAGE_PREFIX}sync_queue`)
-      return data ? JSON.parse(data) : []
+      return localStorage.getItem(getUserKey(userId, 'sync_cursor'))
     } catch (error) {
-      console.error('Error loading sync queue:', error)
-      return []
+      console.error('Error loading sync cursor from localStorage:', error)
+      return null
     }
   },
 
-  /**
-   * Remove operation from queue
-   */
-  remove: (index) => {
+  clear: (userId) => {
     try {
-      const queue = syncQueue.getAll()
-      queue.splice(index, 1)
-      localStorage.setItem(`${STORAGE_PREFIX}sync_queue`, JSON.stringify(queue))
+      localStorage.removeItem(getUserKey(userId, 'sync_cursor'))
+    } catch (error) {
+      console.error('Error clearing sync cursor from localStorage:', error)
+    }
+  }
+}
+
+/**
+ * SETTINGS STORAGE
+ * ----------------
+ * Small values by key, in memory and in IndexedDB, so the service worker
+ * can read them too. Without IndexedDB they go to localStorage instead
+ * ('wellwork_{key}').
+ */
+export const settingsStorage = {
+  save: (key, value) => {
+    settings.set(key, value)
+    if (database) {
+      persist('settings', { put: [{ key, value }] })
+      return true
+    }
+    try {
+      localStorage.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(value))
       return true
     } catch (error) {
-      console.error('Error removing from sync queue:', error)
+      console.error(`Error saving ${key} to localStorage:`, error)
+      reportWriteError(error)
       return false
     }
   },
 
-  /**
-   * Clear entire sync queue
-   */
-  clear: () => {
+  load: (key) => settings.get(key) ?? null,
+
+  clear: (key) => {
+    settings.delete(key)
+    if (database) {
+      persist('settings', { remove: [key] })
+      return
+    }
     try {
-      localStorage.removeItem(`${STORAGE_PREFIX}sync_queue`)
+      localStorage.removeItem(`${STORAGE_PREFIX}${key}`)
     } catch (error) {
-      console.error('Error clearing sync queue:', error)
+      console.error(`Error clearing ${key} from localStorage:`, error)
     }
   }
 }
 
+/**
+ * SESSION STORAGE
+ * --------------
+ * Functions to save/load the user session (a setting, see above)
+ */
+export const sessionStorage = {
+  save: (session) => settingsStorage.save('session', session),
+
+  load: () => settingsStorage.load('session'),
+
+  /**
+   * The session as stored in IndexedDB right now: another tab may have
+   * renewed the tokens before this tab heard about it
+   */
+  loadStored: async () => {
+    writes = writes.then(() => database && !incompleteStores.has('settings') && reload('settings'))
+      .catch((error) => console.error('Error reloading settings from IndexedDB:', error))
+    await writes
+    return settingsStorage.load('session')
+  },
+
+  clear: () => settingsStorage.clear('session')
+}
+
+/**
+ * SYNC QUEUE
+ * ----------
+ * Queue system for failed API requests that need retry.
+ * Each operation gets an ID of its own when queued; replay sends it as
+ * the Idempotency-Key header, so the server applies it only once however
+ * often it is sent (see backend/idempotency.js).
+ *
+ * OPERATION FIELDS:
+ *   { id, method, url, headers, body, tempId?, timestamp, retries,
+ *     lastError, conflict?, rejected? }
+ */
+
+// Random ID for a queued operation (crypto.randomUUID needs HTTPS, this doesn't)
+function newOperationId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+const queueListeners = new Set()
+
+function notifyQueueListeners() {
+  queueListeners.forEach((listener) => listener([...queue]))
+}
+
+// Replace the queue, storing only the operations that changed
+function saveQueue(operations) {
+  const previous = new Map(queue.map((operation) => [operation.id, operation]))
+  const current = new Set(operations.map((operation) => operation.id))
+  queue = operations
+  persist('syncQueue', {
+    put: operations.filter((operation) => previous.get(operation.id) !== operation),
+    remove: [...previous.keys()].filter((id) => !current.has(id)),
+  })
+  notifyQueueListeners()
+}
+
+/**
+ * Subscribe to changes of the sync queue; listener gets the new queue
+ * (e.g. for the sync panel and its badge). Returns an unsubscribe function.
+ */
+export function onQueueChange(listener) {
+  queueListeners.add(listener)
+  return () => queueListeners.delete(listener)
+}
+
+export const syncQueue = {
+  /**
+   * Add operation to sync queue (at the end: replayed after everything
+   * queued before it). Timestamps only go up, so they keep the order.
+   */
+  add: (operation) => {
+    const last = queue[queue.length - 1]
+    saveQueue([...queue, {
+      ...operation,
+      id: newOperationId(),
+      timestamp: Math.max(Date.now(), last ? last.timestamp + 1 : 0),
+      retries: 0,
+      lastError: null
+    }])
+    return true
+  },
+
+  /**
+   * Get all queued operations, oldest first (a copy; the operations
+   * themselves must not be changed)
+   */
+  getAll: () => [...queue],
+
+  /**
+   * Merge changes into the operation with this ID
+   */
+  update: (id, changes) => syncQueue.updateWhere((operation) => operation.id === id, changes),
+
+  /**
+   * Remove the operation with this ID
+   */
+  remove: (id) => syncQueue.removeWhere((operation) => operation.id === id),
+
+  /**
+   * Drop an operation for good (the user gave up on it). Dropping a create
+   * also takes its temporary record out of userId's cache and out of
+   * queued reorders, which would otherwise wait for it forever.
+   */
+  discard: (id, userId) => {
+    const operation = syncQueue.getAll().find((queued) => queued.id === id)
+    if (!operation) return false
+    syncQueue.remove(id)
+
+    if (operation.tempId) {
+      const store = operation.url.startsWith('/api/tasks') ? tasksStorage : notesStorage
+      removeRecord(store, userId, operation.tempId)
+      const reorders = syncQueue.getAll().filter((queued) => queued.url === '/api/notes/order')
+      for (const reorder of reorders) {
+        if (reorder.body.ids.includes(operation.tempId)) {
+          syncQueue.update(reorder.id, {
+            body: { ...reorder.body, ids: reorder.body.ids.filter((noteId) => noteId !== operation.tempId) },
+          })
+        }
+      }
+    }
+    return true
+  },
+
+  /**
+   * Merge changes into every queued operation matching predicate
+   * (e.g. new content for a note that was created offline and not synced yet)
+   */
+  updateWhere: (predicate, changes) => {
+    saveQueue(queue.map((operation) =>
+      predicate(operation) ? { ...operation, ...changes } : operation
+    ))
+    return true
+  },
+
+  /**
+   * Remove every queued operation matching predicate
+   */
+  removeWhere: (predicate) => {
+    saveQueue(queue.filter((operation) => !predicate(operation)))
+    return true
+  },
+
+  /**
+   * Clear entire sync queue
+   */
+  clear: () => saveQueue([])
+}
+
+/**
+ * ID of the note a queued operation writes to, or null
+ */
+export const queuedNoteId = (operation) => /^\/api\/notes\/([^/?]+)/.exec(operation.url)?.[1] || null
+
+// 'notes/<id>' or 'tasks/<id>' for an operation on one note or task, else null
+const queuedRecordKey = (operation) => /^\/api\/((?:notes|tasks)\/[^/?]+)/.exec(operation.url)?.[1] || null
+
+// IDs of the records an operation names: the one in its URL and, for a
+// reorder, the ones in body.ids (never free text like a note's content)
+const namedIds = (operation) => [
+  queuedRecordKey(operation)?.split('/')[1],
+  ...(Array.isArray(operation.body?.ids) ? operation.body.ids : []),
+].filter(Boolean)
+
+// Whether an operation names a record whose create is still queued, and so
+// can only be sent once that create has gone through
+const waitsForCreate = (operation) => {
+  const pendingIds = new Set(syncQueue.getAll().map((queued) => queued.tempId).filter(Boolean))
+  return namedIds(operation).some((id) => pendingIds.has(id))
+}
+
+/**
+ * A queued create went through: the cached record with the temporary ID
+ * is replaced by the server's, and queued operations naming the temporary
+ * ID (e.g. a reorder) now name the server's ID.
+ */
+function replaceTempId(operation, record) {
+  const store = operation.url.startsWith('/api/tasks') ? tasksStorage : notesStorage
+  const cached = store.load(record.userId)
+  store.save(record.userId, [
+    ...cached.filter((existing) => existing.id !== operation.tempId && existing.id !== record.id),
+    record,
+  ])
+
+  saveQueue(syncQueue.getAll().map((queued) => {
+    if (!namedIds(queued).includes(operation.tempId)) return queued
+    const swap = (id) => (id === operation.tempId ? record.id : id)
+    return {
+      ...queued,
+      url: queued.url.replace(`/${operation.tempId}`, `/${record.id}`),
+      body: Array.isArray(queued.body?.ids) ? { ...queued.body, ids: queued.body.ids.map(swap) } : queued.body,
+    }
+  }))
+}
+
 /**
  * RETRY FAILED REQUESTS
  * ---------------------
- * Attempts to retry all queued operations when backend comes online
+ * Replays the queued operations in the order they were made, oldest first.
+ * Requests go through authFetch, so an expired access token is renewed
+ * first. If the user has to log in again, replay stops and the queue is
+ * left untouched until App.jsx calls this again after re-login.
+ *
+ * OUTCOMES:
+ * - Success: the operation leaves the queue; for a create (tempId), the
+ *   temporary ID is replaced by the server's everywhere (replaceTempId)
+ * - Network error or server error (5xx, 429): replay stops here, since
+ *   later operations may build on this one; it is tried again next time
+ * - A note edit that meets a newer version on the server (409, see If-Match
+ *   in Notes.jsx) is not retried: the server copy is kept with it as
+ *   operation.conflict until the user resolves it in Notes.jsx
+ * - Refused (other 4xx): sending it again would fail the same way, so it
+ *   is marked rejected and no longer sent
+ * Nothing is ever dropped without the user: conflicted and rejected
+ * operations stay queued, with retries and lastError, and later operations
+ * on the same note or task wait for them.
+ * A DELETE answered with 404 counts as done (the record is gone anyway).
+ *
+ * Task creates are left for a page: the task cache is in localStorage,
+ * which the service worker lacks, so it could not swap in the server's ID
+ * (replaceTempId). They stay queued, as does everything naming their
+ * temporary ID, and the next replay from a tab sends them.
+ *
+ * Replays never overlap: a call while one is running waits for that one.
+ * Resolves to false if replay had to stop early (offline, server trouble,
+ * re-login needed), so the service worker knows to try again later.
+ *
+ * BACKGROUND SYNC:
+ * Pages ask the service worker for a Background Sync with this tag while
+ * operations are queued (serviceWorkerClient.js). The browser fires it
+ * when the device is back online, even after the tab was closed, and
+ * serviceWorker.js replays the queue with this same function.
  */
-export async function retryFailedRequests(apiBaseUrl, token) {
+export const BACKGROUND_SYNC_TAG = 'wellwork-sync-queue'
+
+let replay = null
+
+export function retryFailedRequests(apiBaseUrl) {
+  if (!replay) {
+    replay = replayQueue(apiBaseUrl).finally(() => {
+      replay = null
+    })
+  }
+  return replay
+}
+
+async function replayQueue(apiBaseUrl) {
   const queue = syncQueue.getAll()
-  if (queue.length === 0) return
+  if (queue.length === 0) return true
 
   console.log(`Retrying ${queue.length} queued operations...`)
 
-  for (let i = queue.length - 1; i >= 0; i--) {
-    const operation = queue[i]
-    
+  // Records whose earlier operations are on hold
+  const heldRecords = new Set(
+    queue.filter((operation) => operation.conflict || operation.rejected).map(queuedRecordKey).filter(Boolean)
+  )
+  const hold = (operation) => {
+    const record = queuedRecordKey(operation)
+    if (record) heldRecords.add(record)
+  }
+
+  for (const { id } of queue) {
+    // Read again: replaying earlier operations may have rewritten this one
+    const operation = syncQueue.getAll().find((queued) => queued.id === id)
+    if (!operation || operation.conflict || operation.rejected) continue
+    if (heldRecords.has(queuedRecordKey(operation)) || waitsForCreate(operation)) {
+      hold(operation)
+      continue
+    }
+    if (operation.tempId && operation.url.startsWith('/api/tasks') && typeof localStorage === 'undefined') {
+      continue
+    }
+
+    let response
     try {
-      const response = await fetch(`${apiBaseUrl}${operation.url}`, {
+      response = await authFetch(apiBaseUrl, operation.url, {
         method: operation.method,
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
+          'Idempotency-Key': operation.id,
           ...operation.headers
         },
         body: operation.body ? JSON.stringify(operation.body) : undefined
       })
-
-      if (response.ok) {
-        // Success - remove from queue
-        syncQueue.remove(i)
-        console.log(`Successfully synced: ${operation.method} ${operation.url}`)
-      } else {
-        // Still failing - increment retries
-        operation.retries++
-        if (operation.retries > 5) {
-          // Too many retries - remove from queue
-          syncQueue.remove(i)
-          console.warn(`Gave up on: ${operation.method} ${operation.url}`)
-        }
-      }
     } catch (error) {
-      // Network error - keep in queue
-      operation.retries++
-      if (operation.retries > 5) {
-        syncQueue.remove(i)
-        console.warn(`Gave up on: ${operation.method} ${operation.url}`)
+      if (error instanceof AuthRequiredError) {
+        // Not the operation's fault - keep everything queued for after re-login
+        console.log('Sync paused until the user logs in again')
+        return false
       }
+      // Offline again - keep this and everything after it for next time
+      syncQueue.update(id, { retries: operation.retries + 1, lastError: 'Cannot connect to server.' })
+      return false
     }
-  }
-
-  // Update queue with new retry counts
-  const updatedQueue = syncQueue.getAll()
-  localStorage.setItem(`${STORAGE_PREFIX}sync_queue`, JSON.stringify(updatedQueue))
-}
 
+    if (response.ok || (response.status === 404 && operation.method === 'DELETE')) {
+      const saved = response.ok ? await response.json().catch(() => null) : null
+      syncQueue.remove(id)
+      if (operation.tempId && saved) {
+        // A split answers with [ended series, new series]
+        replaceTempId(operation, Array.isArray(saved) ? saved[saved.length - 1] : saved)
+      }
+      console.log(`Successfully synced: ${operation.method} ${operation.url}`)
+      continue
+    }
 
+    const answer = await response.json().catch(() => ({}))
+    const message = answer.message || `Server error: ${response.status}`
+    if (response.status >= 500 || response.status === 429) {
+      // Server trouble - try again later, in the same order
+      syncQueue.update(id, { retries: operation.retries + 1, lastError: message })
+      return false
+    }
 
+    if (response.status === 409) {
+      // Changed on another device meanwhile: wait for the user's decision
+      const resolution = answer.current ? { conflict: answer.current } : { rejected: true }
+      syncQueue.update(id, { retries: operation.retries + 1, lastError: message, ...resolution })
+      console.warn(`Conflict on: ${operation.method} ${operation.url}`)
+    } else {
+      syncQueue.update(id, { retries: operation.retries + 1, lastError: message, rejected: true })
+      console.warn(`Refused: ${operation.method} ${operation.url} (${message})`)
+    }
+    hold(operation)
+  }
+  return true
+}
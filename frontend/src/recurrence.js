@@ -0,0 +1,454 @@
+/**
+ * ============================================================================
+ * RECURRENCE (REPEATING NOTES & TASKS)
+ * ============================================================================
+ *
+ * Copy of backend/recurrence.js, so repeating notes and tasks expand into
+ * their occurrences in the browser too (and offline). Keep both in step:
+ * npm test in backend/ (checkRecurrence.js) compares the two.
+ *
+ * - A repeating record has recurrence ('FREQ=WEEKLY;BYDAY=MO,WE') and its
+ *   own date (date / dueDate) is the first occurrence
+ * - record.overrides holds per-day changes ("this occurrence" edits) and
+ *   { cancelled: true } for deleted days
+ * - expandRecords(records, dateField, from, to) lists what shows on each
+ *   day; an occurrence keeps the series id and gets the occurrence date
+ *
+ * For the UI there are also describeRule(rule) ('Weekly on Mon, Wed') and
+ * repeatChoices(date), the rules offered when creating a note or task.
+ *
+ * ============================================================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']
+const MAX_INTERVAL = 999
+const MAX_COUNT = 1000
+export const RULE_MAX_LENGTH = 200
+
+// Dates are handled as whole days since 1970-01-01 (UTC)
+const dayNumber = (date) => Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10))) / DAY_MS
+const dayString = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10)
+const weekdayIndex = (day) => (new Date(day * DAY_MS).getUTCDay() + 6) % 7 // Monday = 0
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+function isRealDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  return dayString(dayNumber(value)) === value
+}
+
+/**
+ * Parses a rule. Returns { rule } or { error } (a message for the user).
+ * rule: { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay: [n], until, count }
+ */
+export function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Repeat rule is empty.' }
+  }
+  if (text.length > RULE_MAX_LENGTH) {
+    return { error: `Repeat rule must be at most ${RULE_MAX_LENGTH} characters.` }
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null }
+  const parts = text.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean)
+
+  for (const part of parts) {
+    const [key, value] = part.split('=')
+    if (!value) {
+      return { error: `Repeat rule part "${part}" has no value.` }
+    }
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          return { error: 'Repeat frequency must be DAILY, WEEKLY, MONTHLY or YEARLY.' }
+        }
+        rule.freq = value
+        break
+      case 'INTERVAL':
+        rule.interval = Number(value)
+        if (!/^\d+$/.test(value) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          return { error: `Repeat interval must be a whole number from 1 to ${MAX_INTERVAL}.` }
+        }
+        break
+      case 'BYDAY':
+        for (const entry of value.split(',')) {
+          const match = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry)
+          if (!match) {
+            return { error: `Repeat weekday "${entry}" is not valid.` }
+          }
+          rule.byDay.push({ weekday: match[2], ordinal: match[1] ? Number(match[1]) : null })
+        }
+        break
+      case 'BYMONTHDAY':
+        for (const entry of value.split(',')) {
+          const day = Number(entry)
+          if (!/^[+-]?\d+$/.test(entry) || day === 0 || day < -31 || day > 31) {
+            return { error: `Repeat day of month "${entry}" is not valid.` }
+          }
+          rule.byMonthDay.push(day)
+        }
+        break
+      case 'UNTIL': {
+        // YYYYMMDD, a UTC date-time (YYYYMMDDTHHMMSSZ) or YYYY-MM-DD
+        const digits = value.replace(/-/g, '').slice(0, 8)
+        const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`
+        if (!/^\d{8}/.test(value.replace(/-/g, '')) || !isRealDate(date)) {
+          return { error: 'Repeat end (UNTIL) must be a date like 20251231.' }
+        }
+        rule.until = date
+        break
+      }
+      case 'COUNT':
+        rule.count = Number(value)
+        if (!/^\d+$/.test(value) || rule.count < 1 || rule.count > MAX_COUNT) {
+          return { error: `Repeat count must be a whole number from 1 to ${MAX_COUNT}.` }
+        }
+        break
+      case 'WKST':
+        // Weeks start on Monday here; other week starts are accepted but ignored
+        break
+      default:
+        return { error: `Repeat rule part "${key}" is not supported.` }
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: 'Repeat rule needs a FREQ.' }
+  }
+  if (rule.until && rule.count) {
+    return { error: 'Repeat rule can have UNTIL or COUNT, not both.' }
+  }
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY' && rule.freq !== 'MONTHLY') {
+    return { error: 'BYDAY is only supported for weekly and monthly repeats.' }
+  }
+  if (rule.freq === 'WEEKLY' && rule.byDay.some((entry) => entry.ordinal !== null)) {
+    return { error: 'Weekly repeats take plain weekdays (MO,WE), without numbers.' }
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    return { error: 'BYMONTHDAY is only supported for monthly repeats.' }
+  }
+  if (rule.byDay.length > 0 && rule.byMonthDay.length > 0) {
+    return { error: 'Repeat rule can have BYDAY or BYMONTHDAY, not both.' }
+  }
+
+  return { rule }
+}
+
+/**
+ * The rule in its canonical text form (what gets stored)
+ */
+export function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`]
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`)
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal ?? ''}${weekday}`).join(',')}`)
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`)
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`)
+  if (rule.count) parts.push(`COUNT=${rule.count}`)
+  return parts.join(';')
+}
+
+/**
+ * The period'th period after the start (a day, week, month or year):
+ * { first: its first day, days: candidate days within it, sorted }
+ */
+function periodDays(rule, start, period) {
+  const step = period * rule.interval
+
+  if (rule.freq === 'DAILY') {
+    return { first: start + step, days: [start + step] }
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const monday = start - weekdayIndex(start) + step * 7
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(({ weekday }) => WEEKDAYS.indexOf(weekday))
+      : [weekdayIndex(start)]
+    return { first: monday, days: [...new Set(weekdays)].sort((a, b) => a - b).map((index) => monday + index) }
+  }
+
+  const startDate = new Date(start * DAY_MS)
+  const first = Date.UTC(
+    startDate.getUTCFullYear() + (rule.freq === 'YEARLY' ? step : 0),
+    startDate.getUTCMonth() + (rule.freq === 'MONTHLY' ? step : 0),
+    1,
+  ) / DAY_MS
+  const firstDate = new Date(first * DAY_MS)
+  const length = daysInMonth(firstDate.getUTCFullYear(), firstDate.getUTCMonth())
+
+  let monthDays
+  if (rule.byMonthDay.length > 0) {
+    monthDays = rule.byMonthDay.map((day) => (day > 0 ? day : length + day + 1))
+  } else if (rule.byDay.length > 0) {
+    monthDays = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const offset = (WEEKDAYS.indexOf(weekday) - weekdayIndex(first) + 7) % 7
+      const all = []
+      for (let day = offset + 1; day <= length; day += 7) all.push(day)
+      if (ordinal === null) return all
+      const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal]
+      return picked ? [picked] : []
+    })
+  } else {
+    monthDays = [startDate.getUTCDate()]
+  }
+
+  const days = [...new Set(monthDays)]
+    .filter((day) => day >= 1 && day <= length)
+    .sort((a, b) => a - b)
+    .map((day) => first + day - 1)
+  return { first, days }
+}
+
+/**
+ * Largest number of days one period can span, to skip ahead to a range:
+ * skipping by it never passes a period that reaches into the range
+ */
+function longestPeriod(rule) {
+  return { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq] * rule.interval
+}
+
+/**
+ * Occurrence dates of a series starting at start (YYYY-MM-DD) that fall
+ * within from..to (inclusive), at most limit of them. Cancelled
+ * occurrences are included; they still count towards COUNT.
+ */
+export function occurrenceDates(start, rule, from, to, limit = Infinity) {
+  const startDay = dayNumber(start)
+  const fromDay = dayNumber(from)
+  const lastDay = Math.min(dayNumber(to), rule.until ? dayNumber(rule.until) : Infinity)
+  const dates = []
+  let seen = 0
+
+  const emit = (day) => {
+    seen += 1
+    if (day >= fromDay) dates.push(dayString(day))
+  }
+  const done = () => dates.length >= limit
+
+  if (startDay > lastDay) {
+    return dates
+  }
+
+  // With COUNT every occurrence from the start has to be counted
+  // otherwise whole periods before the range can be skipped
+  let period = rule.count ? 0 : Math.max(0, Math.floor((fromDay - startDay) / longestPeriod(rule)) - 1)
+  if (period === 0) {
+    emit(startDay)
+  }
+
+  for (; ; period += 1) {
+    const { first, days } = periodDays(rule, startDay, period)
+    if (first > lastDay) {
+      return dates
+    }
+    for (const day of days) {
+      if (day <= startDay) continue
+      if (done() || day > lastDay || (rule.count && seen >= rule.count)) {
+        return dates
+      }
+      emit(day)
+    }
+  }
+}
+
+
+/**
+ * The record's occurrences within from..to, with overrides applied and
+ * cancelled ones left out. A record that doesn't repeat is returned as
+ * is when its date is in the range.
+ */
+export function expandRecord(record, dateField, from, to) {
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {}
+  if (!rule) {
+    const date = record[dateField]
+    return date >= from && date <= to ? [record] : []
+  }
+
+  const { overrides = {}, ...series } = record
+  return occurrenceDates(record[dateField], rule, from, to)
+    .filter((date) => !overrides[date]?.cancelled)
+    .map((date) => ({ ...series, ...overrides[date], [dateField]: date }))
+}
+
+export function expandRecords(records, dateField, from, to) {
+  return records.flatMap((record) => expandRecord(record, dateField, from, to))
+}
+
+/**
+ * The record's occurrence on date, or null if there is none (or it was
+ * cancelled)
+ */
+export function occurrenceOf(record, dateField, date) {
+  return expandRecord(record, dateField, date, date)[0] || null
+}
+
+/**
+ * Whether the record shows up anywhere within from..to (either bound may
+ * be left out). Used to list repeating records for a date range.
+ */
+export function overlapsRange(record, dateField, from, to) {
+  const date = record[dateField]
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {}
+  if (!rule) {
+    return (!from || date >= from) && (!to || date <= to)
+  }
+  if (to && date > to) return false
+  if (!from || date >= from) return true
+  return occurrenceDates(date, rule, from, to || '9999-12-31', 1).length > 0
+}
+
+/**
+ * Splits a series at one of its occurrences ("this and all future"
+ * changes). Returns the fields of the part before it, which ends the day
+ * before, and of the part from it on, whose COUNT is reduced by the
+ * occurrences before. Overrides go with the part their date belongs to.
+ */
+export function splitSeries(record, dateField, at) {
+  const { rule } = parseRule(record.recurrence)
+  const start = record[dateField]
+  const dayBefore = dayString(dayNumber(at) - 1)
+  const countBefore = occurrenceDates(start, rule, start, dayBefore).length
+
+  const overridesBefore = {}
+  const overridesAfter = {}
+  for (const [date, override] of Object.entries(record.overrides || {})) {
+    (date < at ? overridesBefore : overridesAfter)[date] = override
+  }
+
+  return {
+    before: { recurrence: formatRule({ ...rule, count: null, until: dayBefore }), overrides: overridesBefore },
+    after: {
+      recurrence: formatRule({ ...rule, count: rule.count ? rule.count - countBefore : null }),
+      overrides: overridesAfter,
+    },
+  }
+}
+
+/**
+ * Overrides whose date is still an occurrence under the record's
+ * (changed) rule; all of them go when it stops repeating.
+ */
+export function pruneOverrides(record, dateField) {
+  const { rule } = record.recurrence ? parseRule(record.recurrence) : {}
+  if (!rule) {
+    return {}
+  }
+  return Object.fromEntries(
+    Object.entries(record.overrides || {})
+      .filter(([date]) => occurrenceDates(record[dateField], rule, date, date).length > 0),
+  )
+}
+
+/**
+ * The fields of values that differ from the series, i.e. what an
+ * occurrence override has to store
+ */
+export function differingFields(series, values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(series[field] ?? null)),
+  )
+}
+
+/**
+ * overrides with date set to override (or dropped when it is empty)
+ */
+export function withOverride(overrides = {}, date, override) {
+  const others = { ...overrides }
+  delete others[date]
+  return Object.keys(override).length > 0 ? { ...others, [date]: override } : others
+}
+
+const WEEKDAY_NAMES = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' }
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' }
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }
+
+const displayDate = (date, options) =>
+  new Date(date + 'T00:00:00').toLocaleDateString('en-US', options)
+
+/**
+ * Short description of a rule for the UI, e.g.
+ * 'Every 2 weeks on Mon, Wed until Dec 31, 2025'
+ */
+export function describeRule(text, start = null) {
+  const { rule } = parseRule(text)
+  if (!rule) return 'Repeats'
+
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${UNITS[rule.freq]}s` : {
+    DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly',
+  }[rule.freq]
+
+  let on = ''
+  if (rule.byDay.length > 0) {
+    on = ` on ${rule.byDay
+      .map(({ weekday, ordinal }) => (ordinal ? `the ${ORDINAL_NAMES[ordinal] || ordinal} ` : '') + WEEKDAY_NAMES[weekday])
+      .join(', ')}`
+  } else if (rule.byMonthDay.length > 0) {
+    on = ` on day ${rule.byMonthDay.map((day) => (day === -1 ? 'last' : day)).join(', ')}`
+  } else if (start && rule.freq === 'WEEKLY') {
+    on = ` on ${displayDate(start, { weekday: 'short' })}`
+  } else if (start && rule.freq === 'MONTHLY') {
+    on = ` on day ${Number(start.slice(8, 10))}`
+  } else if (start && rule.freq === 'YEARLY') {
+    on = ` on ${displayDate(start, { month: 'short', day: 'numeric' })}`
+  }
+
+  let end = ''
+  if (rule.until) {
+    end = ` until ${displayDate(rule.until, { year: 'numeric', month: 'short', day: 'numeric' })}`
+  } else if (rule.count) {
+    end = `, ${rule.count} times`
+  }
+
+  return every + on + end
+}
+
+/**
+ * The repeat rules offered for a start date (YYYY-MM-DD): [{ value, label }]
+ */
+export function repeatChoices(date) {
+  const weekday = WEEKDAYS[weekdayIndex(dayNumber(date))]
+  const name = WEEKDAY_NAMES[weekday]
+  return [
+    { value: '', label: "Doesn't repeat" },
+    { value: 'FREQ=DAILY', label: 'Every day' },
+    { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday (Mon-Fri)' },
+    { value: `FREQ=WEEKLY;BYDAY=${weekday}`, label: `Weekly on ${name}` },
+    { value: `FREQ=WEEKLY;INTERVAL=2;BYDAY=${weekday}`, label: `Every 2 weeks on ${name}` },
+    { value: 'FREQ=MONTHLY', label: `Monthly on day ${Number(date.slice(8, 10))}` },
+    { value: 'FREQ=YEARLY', label: `Yearly on ${displayDate(date, { month: 'short', day: 'numeric' })}` },
+  ]
+}
+
+/**
+ * A rule split into the repeat choice and its end date:
+ * { base: rule without UNTIL / COUNT, until: YYYY-MM-DD or '', count }
+ */
+export function splitRuleEnd(text) {
+  const { rule } = text ? parseRule(text) : {}
+  if (!rule) return { base: '', until: '', count: null }
+  return { base: formatRule({ ...rule, until: null, count: null }), until: rule.until || '', count: rule.count }
+}
+
+/**
+ * base with an end date (or none when until is ''); ending by date
+ * replaces an end by count
+ */
+export function withRuleEnd(base, until, count = null) {
+  if (!base) return ''
+  const { rule } = parseRule(base)
+  return formatRule({ ...rule, until: until || null, count: until ? null : count })
+}
+
+const localDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * Occurrences of records from today (local time) up to days days ahead
+ */
+export function upcomingOccurrences(records, dateField, days) {
+  const today = new Date()
+  const last = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days)
+  return expandRecords(records, dateField, localDate(today), localDate(last))
+}
@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS DO?
+ * ------------------
+ * Makes the web build an installable app that starts without a network:
+ * - Precaches the whole Vite build (the "app shell": index.html, scripts,
+ *   styles, icons, manifest) when it is installed
+ * - Serves the app shell from that cache, so a cold start works with the
+ *   backend, or the whole network, down; notes then come from IndexedDB
+ * - Sends the sync queue when the device is back online, even after the
+ *   tab was closed (Background Sync, see BACKGROUND SYNC below)
+ *
+ * BUILD:
+ * -----
+ * Not part of the app bundle: vite.config.js builds this file into
+ * dist/sw.js after the app, filling in __PRECACHE_FILES__ (every file of
+ * the build) and __BUILD_ID__ (a hash of them). A new build therefore is
+ * a new service worker, which the browser picks up on its next check.
+ *
+ * UPDATES:
+ * -------
+ * A new service worker installs next to the running one and waits, so
+ * open tabs keep the build they started with. serviceWorkerClient.js
+ * shows "update available"; Reload sends 'skip-waiting', the new worker
+ * takes over, drops the old cache and the page reloads on the new build.
+ *
+ * BACKGROUND SYNC:
+ * ---------------
+ * On a 'wellwork-sync-queue' sync event:
+ * - With a tab open, the tab is asked to sync (it may be logging in or
+ *   already syncing, and owns the session)
+ * - Otherwise the worker reads the queue, the session and the API URL
+ *   from IndexedDB and replays the queue itself (retryFailedRequests in
+ *   offlineStorage.js: same order, same idempotency keys). If it has to
+ *   stop early, the browser is told to try again later.
+ * - Task creates wait for a tab: the task cache is still in localStorage,
+ *   which a service worker cannot reach, so the worker could not replace
+ *   the task's temporary ID with the server's
+ *
+ * Not registered in development (npm run dev) or in the Capacitor app.
+ *
+ * ============================================================================
+ */
+
+/* global __PRECACHE_FILES__, __BUILD_ID__ */
+
+import {
+  BACKGROUND_SYNC_TAG,
+  openOfflineStore,
+  retryFailedRequests,
+  sessionStorage,
+  settingsStorage,
+  whenStored,
+} from './offlineStorage.js'
+
+const CACHE_PREFIX = 'wellwork-shell-'
+const CACHE_NAME = `${CACHE_PREFIX}${__BUILD_ID__}`
+
+// Files are relative to the worker's scope (the build is served from './')
+const scopeUrl = (file) => new URL(file, self.registration.scope).href
+const SHELL_URL = scopeUrl('index.html')
+const PRECACHED = new Set(__PRECACHE_FILES__.map(scopeUrl))
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll([...PRECACHED]))
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const stale = (await caches.keys())
+      .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+    await Promise.all(stale.map((name) => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting()
+  }
+})
+
+/**
+ * Cache first for the app shell. Only the app's own page and files are
+ * answered here; everything else, the API included, goes to the network.
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  url.search = ''
+  url.hash = ''
+  const isAppPage = request.mode === 'navigate'
+    && (url.href === self.registration.scope || url.href === SHELL_URL)
+
+  if (isAppPage) {
+    event.respondWith(
+      caches.match(SHELL_URL, { cacheName: CACHE_NAME }).then((cached) => cached || fetch(request))
+    )
+  } else if (PRECACHED.has(url.href)) {
+    event.respondWith(
+      caches.match(url.href, { cacheName: CACHE_NAME }).then((cached) => cached || fetch(request))
+    )
+  }
+})
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
+    event.waitUntil(sendQueue())
+  }
+})
+
+async function sendQueue() {
+  const tabs = await self.clients.matchAll({ type: 'window' })
+  if (tabs.length > 0) {
+    tabs.forEach((tab) => tab.postMessage({ type: 'sync-queue' }))
+    return
+  }
+
+  // Read again: a tab may have changed everything since the last sync
+  await openOfflineStore()
+  const apiBaseUrl = settingsStorage.load('apiBaseUrl')
+  if (!apiBaseUrl || !sessionStorage.load()) return
+
+  const finished = await retryFailedRequests(apiBaseUrl)
+  await whenStored()
+  if (!finished) {
+    // Rejecting makes the browser fire the sync again later
+    throw new Error('Sync queue not sent yet')
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER CLIENT - FAQ & DOCUMENTATION
+ * ============================================================================
+ *
+ * WHAT DOES THIS UTILITY DO?
+ * ---------------------------
+ * The page's side of the service worker (serviceWorker.js):
+ * - Registers it (production web build only, not in the Capacitor app)
+ * - Tells listeners when a new build is ready ("update available") and
+ *   switches to it on request
+ * - Asks for a Background Sync while operations are queued, and passes on
+ *   the worker's request to sync when a tab is open
+ *
+ * USAGE:
+ * -----
+ * registerServiceWorker(apiBaseUrl)        // main.jsx, once
+ * onUpdateAvailable(() => ...)             // App.jsx shows the prompt
+ * applyUpdate()                            // "Reload" in that prompt
+ * requestBackgroundSync()                  // whenever the queue has work
+ * onSyncRequest(() => ...)                 // App.jsx syncs
+ * The on* functions return an unsubscribe function.
+ *
+ * ============================================================================
+ */
+
+import { isMobile } from './mobileConfig.js'
+import { BACKGROUND_SYNC_TAG, settingsStorage } from './offlineStorage.js'
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+const isSupported = import.meta.env.PROD && !isMobile && 'serviceWorker' in navigator
+
+const updateListeners = new Set()
+const syncListeners = new Set()
+let waitingWorker = null
+
+function announceUpdate(worker) {
+  waitingWorker = worker
+  updateListeners.forEach((listener) => listener())
+}
+
+/**
+ * Subscribe to "a new build is installed and waiting". A build already
+ * waiting is announced right away.
+ */
+export function onUpdateAvailable(listener) {
+  updateListeners.add(listener)
+  if (waitingWorker) listener()
+  return () => updateListeners.delete(listener)
+}
+
+/**
+ * Subscribe to the service worker asking an open tab to send the queue
+ */
+export function onSyncRequest(listener) {
+  syncListeners.add(listener)
+  return () => syncListeners.delete(listener)
+}
+
+/**
+ * Register the service worker and watch for new builds.
+ * apiBaseUrl is saved for the worker's Background Sync.
+ */
+export async function registerServiceWorker(apiBaseUrl) {
+  if (!isSupported) return
+
+  settingsStorage.save('apiBaseUrl', apiBaseUrl)
+
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'sync-queue') {
+      syncListeners.forEach((listener) => listener())
+    }
+  })
+
+  try {
+    const registration = await navigator.serviceWorker.register('./sw.js')
+
+    // Without a controller this is the first install, not an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      announceUpdate(registration.waiting)
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          announceUpdate(worker)
+        }
+      })
+    })
+
+    // Tabs left open for days still hear about new builds
+    setInterval(() => {
+      registration.update().catch(() => {})
+    }, UPDATE_CHECK_INTERVAL_MS)
+  } catch (error) {
+    console.error('Service worker registration failed:', error)
+  }
+}
+
+/**
+ * Switch to the waiting build: the new worker takes over and the page
+ * reloads on it.
+ */
+export function applyUpdate() {
+  if (!waitingWorker) return
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  waitingWorker.postMessage({ type: 'skip-waiting' })
+}
+
+/**
+ * Ask the browser to send the queue once the device is online, even if
+ * the tab is closed by then. Browsers without Background Sync rely on the
+ * open tab's auto-sync, as before.
+ */
+export async function requestBackgroundSync() {
+  if (!isSupported) return
+  try {
+    const registration = await navigator.serviceWorker.getRegistration()
+    await registration?.sync?.register(BACKGROUND_SYNC_TAG)
+  } catch (error) {
+    console.warn('Background Sync not available:', error)
+  }
+}
@@ -5,13 +5,14 @@
  * 
  * WHAT DOES THIS HOOK DO?
  * -----------------------
- * Monitors user's notes and generates reminders for upcoming tasks.
+ * Monitors user's tasks and generates reminders for the ones due soon.
  * Prevents duplicate reminders for the same task on the same day.
  * 
  * HOW IT WORKS:
  * ------------
- * 1. Checks notes for tasks due today, tomorrow, or day after tomorrow
- * 2. Finds the most urgent (closest date) task
+ * 1. Checks open tasks (not done) due today, tomorrow, or day after tomorrow
+ *    (each day of a repeating task counts as a task due that day)
+ * 2. Finds the most urgent one (closest date, then time, then priority)
  * 3. Generates reminder message with appropriate emoji
  * 4. Marks reminder as shown (prevents duplicates)
  * 5. Resets shown reminders daily at midnight
@@ -21,13 +22,15 @@
  * - Today: ⚠️ "Task due TODAY"
  * - Tomorrow: ⏰ "Task due TOMORROW"
  * - Day after: 📅 "Task due in 2 days"
+ * - The due time is mentioned when the task has one
+ * - Done tasks are never reminded
  * - Only shows one reminder at a time (most urgent)
  * - Each task can only be reminded once per day
  * 
  * DUPLICATE PREVENTION:
  * --------------------
  * - Uses Set to track shown reminders
- * - Key format: "{noteId}-{date}"
+ * - Key format: "{taskId}-{date}"
  * - Resets daily at midnight
  * 
  * COMMON QUESTIONS:
@@ -42,12 +45,17 @@
  * A: Modify the reset interval check (currently checks every minute)
  * 
  * Q: How do I add custom reminder messages?
- * A: Modify the message generation logic based on note properties
+ * A: Modify the message generation logic based on task properties
  * 
  * ============================================================================
  */
 
 import { useEffect, useState, useCallback } from 'react'
+import { upcomingOccurrences } from './recurrence.js'
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 }
+
+const shorten = (text) => `${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`
 
 /**
  * TASK REMINDERS HOOK
@@ -55,34 +63,34 @@ import { useEffect, useState, useCallback } from 'react'
  * Custom React hook that checks for upcoming tasks and generates reminders.
  * 
  * PARAMETERS:
- *   - notes: Array of note objects with date and content properties
+ *   - tasks: Array of task objects ({ id, title, dueDate, dueTime, priority, status })
  * 
  * RETURNS:
  * {
- *   checkUpcomingTasks: () => { message: string, noteId: string, date: string } | null
+ *   checkUpcomingTasks: () => { message: string, taskId: string, date: string } | null
  * }
  */
-function useTaskReminders(notes = []) {
+function useTaskReminders(tasks = []) {
   const [reminderShown, setReminderShown] = useState(new Set())
 
   /**
    * CHECK UPCOMING TASKS FUNCTION
    * ----------------------------
-   * Analyzes notes and returns reminder for most urgent upcoming task.
+   * Analyzes tasks and returns reminder for most urgent upcoming task.
    * 
    * PROCESS:
-   * 1. Filters notes due in next 2 days
-   * 2. Excludes notes already reminded today
-   * 3. Sorts by date (closest first)
+   * 1. Filters open tasks due in next 2 days
+   * 2. Excludes tasks already reminded today
+   * 3. Sorts by date, time and priority (most urgent first)
    * 4. Generates reminder message for most urgent
    * 5. Marks reminder as shown
    * 6. Returns reminder object or null
    * 
    * RETURN FORMAT:
-   * { message: string, noteId: string, date: string } | null
+   * { message: string, taskId: string, date: string } | null
    */
   const checkUpcomingTasks = useCallback(() => {
-    if (!notes || notes.length === 0) return null
+    if (!tasks || tasks.length === 0) return null
 
     // Set up date boundaries (today, tomorrow, day after)
     const today = new Date()
@@ -94,39 +102,41 @@ function useTaskReminders(notes = []) {
     const dayAfterTomorrow = new Date(today)
     dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2)
 
-    // Find notes that are due today or in the next 2 days
-    const upcomingNotes = notes.filter((note) => {
-      if (!note.date || !note.content) return false
+    const todayKey = today.toISOString().split('T')[0]
+
+    // Find open tasks that are due today or in the next 2 days
+    const upcomingTasks = upcomingOccurrences(tasks, 'dueDate', 2).filter((task) => {
+      if (!task.dueDate || !task.title || task.status === 'done') return false
 
-      const noteDate = new Date(note.date + 'T00:00:00')
-      noteDate.setHours(0, 0, 0, 0)
+      const dueDate = new Date(task.dueDate + 'T00:00:00')
+      dueDate.setHours(0, 0, 0, 0)
 
-      const isToday = noteDate.getTime() === today.getTime()
-      const isTomorrow = noteDate.getTime() === tomorrow.getTime()
-      const isDayAfter = noteDate.getTime() === dayAfterTomorrow.getTime()
+      const isToday = dueDate.getTime() === today.getTime()
+      const isTomorrow = dueDate.getTime() === tomorrow.getTime()
+      const isDayAfter = dueDate.getTime() === dayAfterTomorrow.getTime()
 
-      // Check if we've already shown a reminder for this note today
-      const reminderKey = `${note.id}-${today.toISOString().split('T')[0]}`
-      if (reminderShown.has(reminderKey)) {
+      // Check if we've already shown a reminder for this task today
+      if (reminderShown.has(`${task.id}-${todayKey}`)) {
         return false
       }
 
       return isToday || isTomorrow || isDayAfter
     })
 
-    if (upcomingNotes.length === 0) return null
+    if (upcomingTasks.length === 0) return null
 
-    // Get the most urgent (closest date) note
-    const urgentNote = upcomingNotes.sort((a, b) => {
-      const dateA = new Date(a.date + 'T00:00:00')
-      const dateB = new Date(b.date + 'T00:00:00')
-      return dateA - dateB
-    })[0]
+    // Get the most urgent task: closest date, then time (untimed last), then priority
+    const urgentTask = [...upcomingTasks].sort((a, b) =>
+      a.dueDate.localeCompare(b.dueDate) ||
+      (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99') ||
+      PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]
+    )[0]
 
-    const noteDate = new Date(urgentNote.date + 'T00:00:00')
-    noteDate.setHours(0, 0, 0, 0)
+    const dueDate = new Date(urgentTask.dueDate + 'T00:00:00')
+    dueDate.setHours(0, 0, 0, 0)
     
-    const daysUntil = Math.ceil((noteDate - today) / (1000 * 60 * 60 * 24))
+    const daysUntil = Math.round((dueDate - today) / (1000 * 60 * 60 * 24))
+    const title = `"${shorten(urgentTask.title)}"${urgentTask.dueTime ? ` at ${urgentTask.dueTime}` : ''}`
     
     // Generate appropriate message based on urgency
     let message = ''
@@ -134,20 +144,19 @@ function useTaskReminders(notes = []) {
 
     if (daysUntil === 0) {
       emoji = '⚠️'
-      message = `🔔 Task due TODAY: "${urgentNote.content.substring(0, 50)}${urgentNote.content.length > 50 ? '...' : ''}"`
+      message = `🔔 Task due TODAY: ${title}`
     } else if (daysUntil === 1) {
       emoji = '⏰'
-      message = `🔔 Task due TOMORROW: "${urgentNote.content.substring(0, 50)}${urgentNote.content.length > 50 ? '...' : ''}"`
+      message = `🔔 Task due TOMORROW: ${title}`
     } else {
-      message = `🔔 Task due in ${daysUntil} days: "${urgentNote.content.substring(0, 50)}${urgentNote.content.length > 50 ? '...' : ''}"`
+      message = `🔔 Task due in ${daysUntil} days: ${title}`
     }
 
     // Mark this reminder as shown (prevents duplicate reminders)
-    const reminderKey = `${urgentNote.id}-${today.toISOString().split('T')[0]}`
-    setReminderShown((prev) => new Set(prev).add(reminderKey))
+    setReminderShown((prev) => new Set(prev).add(`${urgentTask.id}-${todayKey}`))
 
-    return { message: `${emoji} ${message}`, noteId: urgentNote.id, date: urgentNote.date }
-  }, [notes, reminderShown])
+    return { message: `${emoji} ${message}`, taskId: urgentTask.id, date: urgentTask.dueDate }
+  }, [tasks, reminderShown])
 
   /**
    * EFFECT: Daily Reminder Reset
@@ -178,11 +187,3 @@ function useTaskReminders(notes = []) {
 }
 
 export default useTaskReminders
-
-
-
-
-
-
-
-
@@ -1,9 +1,77 @@
-import { defineConfig } from 'vite'
+import { defineConfig, build } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+/**
+ * Builds src/serviceWorker.js into <outDir>/sw.js once the app is built,
+ * with the list of files to precache (everything the build wrote, public/
+ * included) and a build ID hashed from their contents. The worker is a
+ * classic script (IIFE), which every browser with service workers runs.
+ */
+function serviceWorker() {
+  let config
+  let files
+  let hash
+
+  return {
+    name: 'wellwork-service-worker',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+
+    buildStart() {
+      files = []
+      hash = createHash('sha256')
+    },
+
+    writeBundle(_options, bundle) {
+      for (const [fileName, output] of Object.entries(bundle)) {
+        files.push(fileName)
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      const publicFiles = config.publicDir
+        ? readdirSync(config.publicDir, { recursive: true, withFileTypes: true }).filter((entry) => entry.isFile())
+        : []
+      for (const entry of publicFiles) {
+        const path = join(entry.parentPath, entry.name)
+        const fileName = relative(config.publicDir, path).split('\\').join('/')
+        files.push(fileName)
+        hash.update(fileName).update(readFileSync(path))
+      }
+    },
+
+    async closeBundle() {
+      await build({
+        configFile: false,
+        root: config.root,
+        logLevel: 'warn',
+        define: {
+          __PRECACHE_FILES__: JSON.stringify(files),
+          __BUILD_ID__: JSON.stringify(hash.digest('hex').slice(0, 16)),
+        },
+        build: {
+          outDir: config.build.outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          lib: {
+            entry: 'src/serviceWorker.js',
+            formats: ['iife'],
+            name: 'wellworkServiceWorker',
+            fileName: () => 'sw.js',
+          },
+        },
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: './', // Required for Capacitor - relative paths
   build: {
     outDir: 'dist',